@@ -0,0 +1,40 @@
+/**
+ * Request/response helpers shared by the serverless routes in api/.
+ * They only use the plain Node request and response, so the routes run the
+ * same on Vercel and behind the Vite dev server (see vite.config.js).
+ */
+
+// Errors carrying the status a route should answer with; anything else is a 502
+export const requestError = (message, responseStatus) => {
+  const error = new Error(message);
+  error.responseStatus = responseStatus;
+  return error;
+};
+
+export const sendJson = (res, status, body, cacheSeconds = 0) => {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json; charset=utf-8');
+  res.setHeader('Cache-Control', cacheSeconds > 0
+    ? `public, s-maxage=${cacheSeconds}, stale-while-revalidate=${cacheSeconds}`
+    : 'no-store');
+  res.end(JSON.stringify(body));
+};
+
+const parseJson = (raw) => {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    throw requestError('Invalid JSON body', 400);
+  }
+};
+
+// Vercel parses JSON bodies for us (and hands over the raw string when it
+// can't); the dev server doesn't
+export const readJsonBody = async (req) => {
+  if (req.body && typeof req.body === 'object') return req.body;
+  if (typeof req.body === 'string') return parseJson(req.body);
+
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return parseJson(raw);
+};
@@ -0,0 +1,70 @@
+import { lookup } from 'dns/promises';
+import { isIP } from 'net';
+import { requestError } from './http.js';
+
+/**
+ * fetch() for user-supplied URLs: only public http(s) addresses are fetched,
+ * on every redirect hop, so the routes can't be used to reach internal services.
+ */
+
+const MAX_REDIRECTS = 4;
+
+// Loopback, private, link-local, CGNAT, multicast and reserved ranges
+const isPrivateAddress = (address) => {
+  if (isIP(address) === 6) {
+    const value = address.toLowerCase();
+    if (value.startsWith('::ffff:')) return isPrivateAddress(value.slice(7));
+    return value === '::' || value === '::1' || /^f[cd]/.test(value) || /^fe[89ab]/.test(value) || value.startsWith('ff');
+  }
+
+  const [a, b] = address.split('.').map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 169 && b === 254) ||
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 100 && b >= 64 && b <= 127);
+};
+
+export const assertPublicUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw requestError('Invalid URL', 400);
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    throw requestError('Only http and https URLs are supported', 400);
+  }
+
+  const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+  const addresses = isIP(hostname)
+    ? [hostname]
+    : (await lookup(hostname, { all: true }).catch(() => [])).map(entry => entry.address);
+
+  if (addresses.length === 0) throw requestError('Could not resolve host', 400);
+  if (addresses.some(isPrivateAddress)) throw requestError('This address cannot be fetched', 400);
+};
+
+// fetch() that checks every hop before following a redirect
+export const safeFetch = async (url, options = {}) => {
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    await assertPublicUrl(current);
+    const response = await fetch(current, { ...options, redirect: 'manual' });
+    const location = response.headers.get('location');
+
+    if (response.status < 300 || response.status >= 400 || !location) {
+      // response.url is empty for some runtimes with manual redirects
+      Object.defineProperty(response, 'url', { value: current });
+      return response;
+    }
+
+    current = new URL(location, current).href;
+  }
+
+  throw requestError('Too many redirects', 502);
+};
+
+export default safeFetch;
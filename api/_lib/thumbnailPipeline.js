@@ -0,0 +1,204 @@
+import sharp from 'sharp';
+import { extractMetadata, fetchHtml, FETCH_TIMEOUT_MS } from '../../src/utils/metadataExtractor.js';
+import { safeFetch } from './safeFetch.js';
+
+/**
+ * Self-hosted resource thumbnails.
+ *
+ * Each resource gets one source image, tried in this order: the image_url
+ * the submitter gave, the page's og:image, then a screenshot from the
+ * configured provider. The image is resized to THUMBNAIL_WIDTHS, stored in the
+ * public `thumbnails` bucket and recorded on the resource (see
+ * db/add_resource_thumbnails.sql):
+ *   { status: 'ready', source, widths: { 320: url, ... }, generated_at }
+ *   { status: 'failed', error, generated_at } when no source image worked
+ */
+
+export const THUMBNAIL_BUCKET = 'thumbnails';
+export const THUMBNAIL_WIDTHS = [320, 640, 1280];
+
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+// Narrower images are icons or tracking pixels, not page previews
+const MIN_SOURCE_WIDTH = 200;
+const SCREENSHOT_TIMEOUT_MS = 30000;
+
+/**
+ * Download an image, refusing anything that isn't one or is too large
+ * @param {string} url - Image URL
+ * @param {Object} options
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to safeFetch)
+ * @param {number} options.timeoutMs - Give up after this long
+ * @returns {Promise<Buffer>} Image bytes
+ */
+export const downloadImage = async (url, { fetchImpl = safeFetch, timeoutMs = FETCH_TIMEOUT_MS } = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+
+  try {
+    const response = await fetchImpl(url, { signal: controller.signal, headers: { Accept: 'image/*' } });
+    if (!response.ok) throw new Error(`Image responded with ${response.status}`);
+
+    const contentType = response.headers.get('content-type') || '';
+    if (!contentType.startsWith('image/')) throw new Error(`Not an image (${contentType || 'unknown type'})`);
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) throw new Error('Image is too large');
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_IMAGE_BYTES) throw new Error('Image is too large');
+    return buffer;
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Screenshot providers share one interface:
+ *   { name, capture(url) -> Promise<Buffer> }
+ * so another service can be swapped in without touching the pipeline.
+ */
+export const createMicrolinkProvider = ({ apiKey = null } = {}) => ({
+  name: 'microlink',
+  async capture(url) {
+    const endpoint = apiKey ? 'https://pro.microlink.io' : 'https://api.microlink.io';
+    const response = await fetch(`${endpoint}/?url=${encodeURIComponent(url)}&screenshot=true&meta=false`, {
+      headers: apiKey ? { 'x-api-key': apiKey } : {}
+    });
+    const body = await response.json().catch(() => null);
+    const screenshotUrl = body?.data?.screenshot?.url;
+
+    if (!response.ok || !screenshotUrl) {
+      throw new Error(body?.message || `Microlink responded with ${response.status}`);
+    }
+
+    return downloadImage(screenshotUrl, { fetchImpl: fetch, timeoutMs: SCREENSHOT_TIMEOUT_MS });
+  }
+});
+
+/**
+ * Pick the screenshot provider from SCREENSHOT_PROVIDER ('microlink' by
+ * default, or 'none' to only use images the page provides)
+ * @param {Object} env - Environment variables
+ * @returns {Object|null} Provider, or null when screenshots are disabled
+ */
+export const createScreenshotProvider = (env = process.env) => {
+  const provider = (env.SCREENSHOT_PROVIDER || 'microlink').toLowerCase();
+
+  switch (provider) {
+    case 'none':
+      return null;
+    case 'microlink':
+      return createMicrolinkProvider({ apiKey: env.MICROLINK_API_KEY || null });
+    default:
+      throw new Error(`Unknown SCREENSHOT_PROVIDER: ${provider}`);
+  }
+};
+
+/**
+ * Find the image to build a resource's thumbnails from
+ * @param {Object} resource - Resource with url and image_url
+ * @param {Object} options
+ * @param {Object|null} options.screenshotProvider - Last resort when the page has no usable image
+ * @param {Function} options.fetchPage - Page fetcher for metadata (see metadataExtractor.js)
+ * @param {Function} options.download - Image downloader
+ * @returns {Promise<Object>} { source, buffer }; throws when nothing worked
+ */
+export const resolveThumbnailSource = async (resource, {
+  screenshotProvider = null,
+  fetchPage = (url) => fetchHtml(url, { fetchImpl: safeFetch }),
+  download = downloadImage
+} = {}) => {
+  const problems = [];
+  const candidates = [];
+
+  if (resource.image_url) candidates.push({ source: 'image_url', url: resource.image_url });
+
+  try {
+    const metadata = await extractMetadata(resource.url, { fetchPage });
+    if (metadata.image && metadata.image !== resource.image_url) {
+      candidates.push({ source: 'og:image', url: metadata.image });
+    }
+  } catch (error) {
+    problems.push(`page: ${error.message}`);
+  }
+
+  for (const candidate of candidates) {
+    try {
+      const buffer = await download(candidate.url);
+      const { width } = await sharp(buffer).metadata();
+      if (width >= MIN_SOURCE_WIDTH) return { source: candidate.source, buffer };
+      problems.push(`${candidate.source}: only ${width}px wide`);
+    } catch (error) {
+      problems.push(`${candidate.source}: ${error.message}`);
+    }
+  }
+
+  if (screenshotProvider) {
+    try {
+      return { source: `screenshot:${screenshotProvider.name}`, buffer: await screenshotProvider.capture(resource.url) };
+    } catch (error) {
+      problems.push(`screenshot: ${error.message}`);
+    }
+  }
+
+  throw new Error(`No thumbnail source (${problems.join('; ') || 'no image found'})`);
+};
+
+/**
+ * Resize an image to every thumbnail width (never enlarging it)
+ * @param {Buffer} buffer - Source image
+ * @returns {Promise<Array<Object>>} [{ width, data }] as WebP
+ */
+export const renderVariants = (buffer) => Promise.all(THUMBNAIL_WIDTHS.map(async width => ({
+  width,
+  data: await sharp(buffer, { failOn: 'none' })
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .webp({ quality: 80 })
+    .toBuffer()
+})));
+
+/**
+ * Build, store and record the thumbnails for one resource
+ * @param {Object} resource - Resource with id, url and image_url
+ * @param {Object} options
+ * @param {Object} options.client - Supabase client with the service role key
+ * @param {Object|null} options.screenshotProvider - See createScreenshotProvider
+ * @returns {Promise<Object>} The thumbnails value written to the resource.
+ *   A resource without a usable image is recorded as failed; storage and
+ *   database errors are thrown so the run can be retried.
+ */
+export const generateThumbnails = async (resource, { client, screenshotProvider = null }) => {
+  let thumbnails;
+
+  try {
+    const { source, buffer } = await resolveThumbnailSource(resource, { screenshotProvider });
+    const variants = await renderVariants(buffer);
+    // Paths are reused when a resource is regenerated, so version the URLs
+    const version = Date.now();
+    const widths = {};
+
+    for (const { width, data } of variants) {
+      const path = `${resource.id}/${width}.webp`;
+      const { error } = await client.storage
+        .from(THUMBNAIL_BUCKET)
+        .upload(path, data, { contentType: 'image/webp', cacheControl: '31536000', upsert: true });
+
+      if (error) throw Object.assign(error, { storage: true });
+      widths[width] = `${client.storage.from(THUMBNAIL_BUCKET).getPublicUrl(path).data.publicUrl}?v=${version}`;
+    }
+
+    thumbnails = { status: 'ready', source, widths, generated_at: new Date().toISOString() };
+  } catch (error) {
+    if (error.storage) throw error;
+    thumbnails = { status: 'failed', error: error.message, generated_at: new Date().toISOString() };
+  }
+
+  const { error: updateError } = await client
+    .from('resources')
+    .update({ thumbnails })
+    .eq('id', resource.id);
+
+  if (updateError) throw updateError;
+  return thumbnails;
+};
+
+export default generateThumbnails;
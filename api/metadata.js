@@ -0,0 +1,40 @@
+import { extractMetadata, fetchHtml } from '../src/utils/metadataExtractor.js';
+import { sendJson } from './_lib/http.js';
+import { safeFetch } from './_lib/safeFetch.js';
+
+/**
+ * GET /api/metadata?url=<page>
+ *
+ * Fetches a page server-side (browsers can't read other sites' HTML) and
+ * returns { success, data } with the metadata from parseMetadata(), or
+ * { success: false, message } with a 4xx/5xx status.
+ */
+
+// Metadata rarely changes; let the CDN keep answers for a day
+const CACHE_SECONDS = 60 * 60 * 24;
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', 'GET');
+    sendJson(res, 405, { success: false, message: 'Method not allowed' });
+    return;
+  }
+
+  const target = new URL(req.url, 'http://localhost').searchParams.get('url');
+  if (!target) {
+    sendJson(res, 400, { success: false, message: 'Missing url parameter' });
+    return;
+  }
+
+  const url = /^[a-z][a-z0-9+.-]*:\/\//i.test(target) ? target : `https://${target}`;
+
+  try {
+    const data = await extractMetadata(url, {
+      fetchPage: (pageUrl) => fetchHtml(pageUrl, { fetchImpl: safeFetch })
+    });
+    sendJson(res, 200, { success: true, data }, CACHE_SECONDS);
+  } catch (error) {
+    console.error(`Error extracting metadata for ${url}:`, error.message);
+    sendJson(res, error.responseStatus || 502, { success: false, message: error.message });
+  }
+}
@@ -0,0 +1,106 @@
+import { timingSafeEqual } from 'node:crypto';
+import { createClient } from '@supabase/supabase-js';
+import { readJsonBody, requestError, sendJson } from './_lib/http.js';
+import { createScreenshotProvider, generateThumbnails } from './_lib/thumbnailPipeline.js';
+
+/**
+ * POST /api/thumbnails { resourceId }
+ *
+ * Makes sure a resource has stored thumbnails and returns
+ * { success, data: thumbnails } (see _lib/thumbnailPipeline.js). Resources
+ * that already have them are answered from the database, so calling this
+ * again is cheap; a failed attempt is only retried after RETRY_FAILED_AFTER_MS.
+ *
+ * Callers send either the signed-in user's access token
+ * (`Authorization: Bearer <jwt>`), which must belong to the resource's
+ * submitter or an admin, or THUMBNAILS_SECRET in the `X-Thumbnails-Secret`
+ * header for trusted jobs. Resources awaiting approval are skipped.
+ *
+ * Needs SUPABASE_SERVICE_ROLE_KEY (and VITE_SUPABASE_URL or SUPABASE_URL)
+ * to write to storage and to the resource.
+ */
+
+const RETRY_FAILED_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const createServiceClient = () => {
+  const url = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) throw requestError('Thumbnail service is not configured', 503);
+
+  return createClient(url, key, { auth: { persistSession: false } });
+};
+
+const hasSharedSecret = (req) => {
+  const secret = process.env.THUMBNAILS_SECRET;
+  const given = req.headers['x-thumbnails-secret'];
+  if (!secret || typeof given !== 'string') return false;
+
+  const expected = Buffer.from(secret);
+  const actual = Buffer.from(given);
+  return expected.length === actual.length && timingSafeEqual(expected, actual);
+};
+
+// Only the resource's submitter or an admin may spend the service role on it
+const authorize = async (req, client, resource) => {
+  if (hasSharedSecret(req)) return;
+
+  const token = req.headers.authorization?.match(/^Bearer (.+)$/)?.[1];
+  if (!token) throw requestError('Sign in to generate thumbnails', 401);
+
+  const { data: { user } = {}, error } = await client.auth.getUser(token);
+  if (error || !user) throw requestError('Invalid or expired session', 401);
+  if (resource.user_id === user.id) return;
+
+  const { data: profile } = await client
+    .from('profiles')
+    .select('is_admin')
+    .eq('id', user.id)
+    .maybeSingle();
+  if (!profile?.is_admin) throw requestError('Not allowed to generate thumbnails for this resource', 403);
+};
+
+const isSettled = (thumbnails) => {
+  if (thumbnails?.status === 'ready') return true;
+  return thumbnails?.status === 'failed' &&
+    Date.now() - new Date(thumbnails.generated_at).getTime() < RETRY_FAILED_AFTER_MS;
+};
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', 'POST');
+    sendJson(res, 405, { success: false, message: 'Method not allowed' });
+    return;
+  }
+
+  try {
+    const { resourceId } = await readJsonBody(req);
+    if (!resourceId) throw requestError('Missing resourceId', 400);
+
+    const client = createServiceClient();
+    const { data: resource, error } = await client
+      .from('resources')
+      .select('id, url, image_url, thumbnails, user_id, approved')
+      .eq('id', resourceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!resource) throw requestError('Resource not found', 404);
+
+    await authorize(req, client, resource);
+    if (resource.approved === false) throw requestError('Resource is awaiting approval', 409);
+
+    if (isSettled(resource.thumbnails)) {
+      sendJson(res, 200, { success: true, data: resource.thumbnails });
+      return;
+    }
+
+    const thumbnails = await generateThumbnails(resource, {
+      client,
+      screenshotProvider: createScreenshotProvider()
+    });
+    sendJson(res, 200, { success: true, data: thumbnails });
+  } catch (error) {
+    console.error('Error generating thumbnails:', error.message);
+    sendJson(res, error.responseStatus || 502, { success: false, message: error.message });
+  }
+}
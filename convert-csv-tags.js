@@ -2,6 +2,7 @@ import fs from 'fs';
 import { createReadStream } from 'fs';
 import { createObjectCsvWriter } from 'csv-writer';
 import csv from 'csv-parser';
+import { splitTags } from './src/utils/csvUtils.js';
 
 // Input and output file paths
 const inputFile = 'database-content.csv';
@@ -15,16 +16,10 @@ createReadStream(inputFile)
   .pipe(csv())
   .on('data', (row) => {
     // Process the tags column
-    if (row.tags) {
-      // Remove any surrounding quotes, split by commas, and trim whitespace
-      const tagsArray = row.tags.replace(/"/g, '').split(',').map(tag => tag.trim());
-      
-      // Format as PostgreSQL array: {"tag1","tag2","tag3"}
-      row.tags = `{${tagsArray.map(tag => `"${tag}"`).join(',')}}`;
-    } else {
-      // If no tags, use empty array
-      row.tags = '{}';
-    }
+    // Split with the same rules the app and the importers use (quotes removed,
+    // trimmed), then format as a PostgreSQL array: {"tag1","tag2","tag3"}
+    const tagsArray = splitTags(row.tags);
+    row.tags = `{${tagsArray.map(tag => `"${tag}"`).join(',')}}`;
     
     processedRows.push(row);
   })
@@ -0,0 +1,157 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { parseCsv, splitTags } from './src/utils/csvUtils.js';
+import { DEFAULT_TAXONOMY, buildTaxonomyTree, groupByTaxonomy } from './src/utils/taxonomy.js';
+import { renderAwesomeMarkdown, renderStaticHtml } from './src/utils/awesomeList.js';
+
+// Get the directory of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: resolve(__dirname, '.env') });
+
+// Usage: node generate-awesome-list.js [--collection <slug>] [--local] [--out <dir>] [--title <text>]
+//   --collection  render one public or unlisted collection instead of the catalog
+//   --local       read database-content.csv instead of Supabase
+//   --out         output directory for README.md and index.html (default: awesome-list)
+const argValue = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+const collectionSlug = argValue('--collection');
+const local = process.argv.includes('--local');
+const outDir = resolve(__dirname, argValue('--out') || 'awesome-list');
+
+const isWebUrl = (url) => /^https?:\/\/\S+$/i.test(url || '');
+
+const createSupabase = () => {
+  const supabaseUrl = process.env.VITE_SUPABASE_URL;
+  const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_SERVICE_ROLE_KEY;
+
+  if (!supabaseUrl || !supabaseKey) {
+    console.error('Error: Supabase credentials not found in environment variables.');
+    console.error('Please make sure you have set VITE_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file, or pass --local.');
+    process.exit(1);
+  }
+
+  return createClient(supabaseUrl, supabaseKey);
+};
+
+// The taxonomy from the categories and subcategories tables; --local uses
+// the default one
+async function loadTaxonomy() {
+  if (local) return DEFAULT_TAXONOMY;
+
+  const supabase = createSupabase();
+  const [categories, subcategories] = await Promise.all([
+    supabase.from('categories').select('*'),
+    supabase.from('subcategories').select('*')
+  ]);
+
+  if (categories.error) throw categories.error;
+  if (subcategories.error) throw subcategories.error;
+  return buildTaxonomyTree(categories.data, subcategories.data);
+}
+
+// Every approved resource in the catalog, by title. The service role key
+// bypasses row level security, so pending submissions are filtered here.
+async function loadCatalog() {
+  if (local) {
+    const rows = parseCsv(fs.readFileSync(resolve(__dirname, 'database-content.csv'), 'utf8'));
+    return {
+      title: 'Awesome Mindy',
+      description: 'Creative resources for designers, developers and makers, curated on Mindy.',
+      resources: rows
+        .map(row => ({ ...row, tags: splitTags(row.tags) }))
+        .sort((a, b) => a.title.localeCompare(b.title))
+    };
+  }
+
+  const { data, error } = await createSupabase()
+    .from('resources')
+    .select('title, url, description, category, subcategory, tags')
+    .eq('approved', true)
+    .order('title', { ascending: true });
+
+  if (error) throw error;
+  return {
+    title: 'Awesome Mindy',
+    description: 'Creative resources for designers, developers and makers, curated on Mindy.',
+    resources: data
+  };
+}
+
+// One collection's resources, in the collection's order. Private collections
+// are refused, since the output is meant to be published.
+async function loadCollection(slug) {
+  if (local) {
+    console.error('Error: collections are only stored in Supabase; drop --local to use --collection.');
+    process.exit(1);
+  }
+
+  const supabase = createSupabase();
+  const { data: collection, error } = await supabase
+    .from('collections')
+    .select('id, title, description, visibility, items:collection_items(resource_id, position)')
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!collection) {
+    console.error(`Error: no collection with the slug "${slug}".`);
+    process.exit(1);
+  }
+  if (collection.visibility === 'private') {
+    console.error(`Error: "${collection.title}" is private. Make it unlisted or public to publish it.`);
+    process.exit(1);
+  }
+
+  const resourceIds = [...(collection.items || [])]
+    .sort((a, b) => a.position - b.position)
+    .map(item => item.resource_id);
+
+  const { data: resources, error: resourcesError } = resourceIds.length > 0
+    ? await supabase
+      .from('resources')
+      .select('id, title, url, description, category, subcategory, tags')
+      .eq('approved', true)
+      .in('id', resourceIds)
+    : { data: [], error: null };
+
+  if (resourcesError) throw resourcesError;
+  const byId = new Map(resources.map(resource => [resource.id, resource]));
+
+  return {
+    title: collection.title,
+    description: collection.description || '',
+    resources: resourceIds.map(id => byId.get(id)).filter(Boolean)
+  };
+}
+
+async function generate() {
+  try {
+    const { title, description, resources } = collectionSlug
+      ? await loadCollection(collectionSlug)
+      : await loadCatalog();
+
+    const listed = resources.filter(resource => isWebUrl(resource.url));
+    const sections = groupByTaxonomy(listed, await loadTaxonomy());
+    const options = { title: argValue('--title') || title, description, generatedAt: new Date() };
+
+    fs.mkdirSync(outDir, { recursive: true });
+    fs.writeFileSync(resolve(outDir, 'README.md'), renderAwesomeMarkdown(sections, options));
+    fs.writeFileSync(resolve(outDir, 'index.html'), renderStaticHtml(sections, options));
+
+    console.log(`Wrote README.md and index.html for ${listed.length} resources to ${outDir}`);
+  } catch (err) {
+    console.error('Error generating the awesome list:', err);
+    process.exit(1);
+  }
+}
+
+generate();
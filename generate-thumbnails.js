@@ -0,0 +1,64 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { createScreenshotProvider, generateThumbnails } from './api/_lib/thumbnailPipeline.js';
+
+// Get the directory of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: resolve(__dirname, '.env') });
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Error: Supabase credentials not found in environment variables.');
+  console.error('Please make sure you have set VITE_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Resources without thumbnails get them; --force rebuilds every resource
+const force = process.argv.includes('--force');
+
+async function generateAll() {
+  let query = supabase
+    .from('resources')
+    .select('id, title, url, image_url')
+    .order('created_at', { ascending: true });
+
+  if (!force) query = query.is('thumbnails', null);
+
+  const { data: resources, error } = await query;
+  if (error) {
+    console.error('Error loading resources:', error);
+    return;
+  }
+
+  console.log(`Generating thumbnails for ${resources.length} resources.`);
+  const screenshotProvider = createScreenshotProvider();
+  let ready = 0;
+
+  // One at a time, to stay gentle with the sites and the screenshot provider
+  for (const resource of resources) {
+    try {
+      const thumbnails = await generateThumbnails(resource, { client: supabase, screenshotProvider });
+      if (thumbnails.status === 'ready') {
+        ready++;
+        console.log(`✓ ${resource.title} (${thumbnails.source})`);
+      } else {
+        console.log(`✗ ${resource.title}: ${thumbnails.error}`);
+      }
+    } catch (err) {
+      console.error(`Error storing thumbnails for ${resource.title}:`, err.message);
+    }
+  }
+
+  console.log(`Done: ${ready} of ${resources.length} resources have thumbnails.`);
+}
+
+generateAll();
@@ -4,6 +4,9 @@ import { parse } from 'csv-parse/sync';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, resolve } from 'path';
+import { splitTags } from './src/utils/csvUtils.js';
+import { findDuplicates, mergeDuplicate } from './src/utils/urlUtils.js';
+import { attributesFromTags } from './src/utils/attributeSchemas.js';
 
 // Get the directory of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -34,21 +37,80 @@ const fileContent = fs.readFileSync('database-content-formatted.csv', 'utf8');
 const records = parse(fileContent, {
   columns: true,
   skip_empty_lines: true
+}).map(record => {
+  const tags = splitTags(record.tags);
+  return {
+    ...record,
+    tags,
+    attributes: attributesFromTags(tags, record.category, record.subcategory),
+    // The curated catalog is published as is; new rows otherwise wait for approval
+    approved: true
+  };
 });
 
+// Duplicates of existing resources are skipped, or with --merge their tags
+// and missing fields are folded into the resource that's already there
+const mergeDuplicates = process.argv.includes('--merge');
+
 console.log(`Found ${records.length} records to import.`);
 
 // Insert data into Supabase
 async function importData() {
   try {
+    const { data: existing, error: existingError } = await supabase
+      .from('resources')
+      .select('*');
+
+    if (existingError) {
+      console.error('Error loading existing resources:', existingError);
+      return;
+    }
+
+    const { unique, duplicates } = findDuplicates(records, existing);
+
+    duplicates.forEach(({ resource, existing: match, inBatch }) => {
+      console.log(`Duplicate: ${resource.url} matches ${inBatch ? 'an earlier row' : 'existing resource'} ${match.url}`);
+    });
+
+    if (mergeDuplicates) {
+      for (const { resource, existing: match, inBatch } of duplicates) {
+        const changes = mergeDuplicate(match, resource);
+        if (Object.keys(changes).length === 0) continue;
+
+        if (inBatch) {
+          Object.assign(match, changes);
+          continue;
+        }
+
+        const { error: mergeError } = await supabase
+          .from('resources')
+          .update(changes)
+          .eq('id', match.id);
+
+        if (mergeError) {
+          console.error(`Error merging ${resource.url}:`, mergeError);
+        } else {
+          Object.assign(match, changes);
+          console.log(`Merged ${resource.url} into ${match.url}`);
+        }
+      }
+    } else if (duplicates.length > 0) {
+      console.log(`Skipping ${duplicates.length} duplicates (run with --merge to fold them into the existing resources)`);
+    }
+
+    if (unique.length === 0) {
+      console.log('Nothing new to import');
+      return;
+    }
+
     const { data, error } = await supabase
       .from('resources')
-      .insert(records);
+      .insert(unique);
       
     if (error) {
       console.error('Error importing data:', error);
     } else {
-      console.log(`Successfully imported ${records.length} resources`);
+      console.log(`Successfully imported ${unique.length} resources`);
     }
   } catch (err) {
     console.error('Unexpected error during import:', err);
@@ -0,0 +1,69 @@
+import { createClient } from '@supabase/supabase-js';
+import dotenv from 'dotenv';
+import { fileURLToPath } from 'url';
+import { dirname, resolve } from 'path';
+import { attributesFromTags } from './src/utils/attributeSchemas.js';
+
+// Get the directory of the current module
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables from .env file
+dotenv.config({ path: resolve(__dirname, '.env') });
+
+const supabaseUrl = process.env.VITE_SUPABASE_URL;
+const supabaseKey = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.VITE_SUPABASE_SERVICE_ROLE_KEY;
+
+if (!supabaseUrl || !supabaseKey) {
+  console.error('Error: Supabase credentials not found in environment variables.');
+  console.error('Please make sure you have set VITE_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY in your .env file.');
+  process.exit(1);
+}
+
+const supabase = createClient(supabaseUrl, supabaseKey);
+
+// Print what would change without writing it
+const dryRun = process.argv.includes('--dry-run');
+
+// Fill in resources.attributes from tags such as free, commercial and figma
+// (see TAG_ATTRIBUTES in src/utils/attributeSchemas.js). Attributes that are
+// already set are kept, and the tags themselves are left in place.
+async function migrateAttributes() {
+  const { data: resources, error } = await supabase
+    .from('resources')
+    .select('id, title, category, subcategory, tags, attributes');
+
+  if (error) {
+    console.error('Error loading resources:', error);
+    return;
+  }
+
+  let updated = 0;
+
+  for (const resource of resources) {
+    const current = resource.attributes || {};
+    const attributes = attributesFromTags(resource.tags, resource.category, resource.subcategory, current);
+    if (Object.keys(attributes).length === Object.keys(current).length) continue;
+
+    console.log(`${resource.title}: ${JSON.stringify(attributes)}`);
+    if (dryRun) {
+      updated++;
+      continue;
+    }
+
+    const { error: updateError } = await supabase
+      .from('resources')
+      .update({ attributes })
+      .eq('id', resource.id);
+
+    if (updateError) {
+      console.error(`Error updating ${resource.title}:`, updateError);
+    } else {
+      updated++;
+    }
+  }
+
+  console.log(`${dryRun ? 'Would update' : 'Updated'} ${updated} of ${resources.length} resources.`);
+}
+
+migrateAttributes();
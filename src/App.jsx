@@ -18,9 +18,13 @@ import HomePage from './pages/HomePage';
 import CategoryPage from './pages/CategoryPage';
 import ResourcePage from './pages/ResourcePage';
 import FavoritesPage from './pages/FavoritesPage';
+import CollectionsPage from './pages/CollectionsPage';
+import CollectionPage from './pages/CollectionPage';
 import ProfilePage from './pages/ProfilePage';
 import EditProfilePage from './pages/EditProfilePage';
 import SubmitResourcePage from './pages/SubmitResourcePage';
+import ImportPage from './pages/ImportPage';
+import EditResourcePage from './pages/EditResourcePage';
 import AdminPage from './pages/AdminPage';
 import NotFoundPage from './pages/NotFoundPage';
 import TestPage from './pages/TestPage';
@@ -31,6 +35,7 @@ import StatusPage from './pages/StatusPage';
 import { UserProvider } from './context/UserContext';
 import { LanguageProvider } from './context/LanguageContext';
 import { ResourcesProvider } from './context/ResourcesContext';
+import { TaxonomyProvider } from './context/TaxonomyContext';
 
 // AnimatedRoutes component to handle route transitions
 const AnimatedRoutes = () => {
@@ -54,11 +59,26 @@ const AnimatedRoutes = () => {
             <ResourcePage />
           </PageTransition>
         } />
+        <Route path="/resource/:id/edit" element={
+          <PageTransition>
+            <EditResourcePage />
+          </PageTransition>
+        } />
         <Route path="/favorites" element={
           <PageTransition>
             <FavoritesPage />
           </PageTransition>
         } />
+        <Route path="/collections" element={
+          <PageTransition>
+            <CollectionsPage />
+          </PageTransition>
+        } />
+        <Route path="/c/:slug" element={
+          <PageTransition>
+            <CollectionPage />
+          </PageTransition>
+        } />
         <Route path="/profile" element={
           <PageTransition>
             <ProfilePage />
@@ -74,6 +94,11 @@ const AnimatedRoutes = () => {
             <SubmitResourcePage />
           </PageTransition>
         } />
+        <Route path="/import" element={
+          <PageTransition>
+            <ImportPage />
+          </PageTransition>
+        } />
         <Route path="/admin" element={
           <PageTransition>
             <AdminPage />
@@ -118,6 +143,7 @@ function App() {
       const { data: resources, error: resourcesError } = await supabase
         .from('resources')
         .select('*')
+        .eq('approved', true)
         .order('created_at', { ascending: false });
         
       if (resourcesError) {
@@ -235,26 +261,28 @@ function App() {
     <UserProvider>
       <LanguageProvider>
         <ResourcesProvider>
-          <HelmetProvider>
-            <BrowserRouter>
-              <div className="app-container min-h-screen flex flex-col grid-bg minimal-scrollbar">
-                <Navbar onOpenAuth={() => setShowAuthModal(true)} />
+          <TaxonomyProvider>
+            <HelmetProvider>
+              <BrowserRouter>
+                <div className="app-container min-h-screen flex flex-col grid-bg minimal-scrollbar">
+                  <Navbar onOpenAuth={() => setShowAuthModal(true)} />
                 
-                <main id="main-content" className="flex-grow">
-                  <AnimatedRoutes />
-                </main>
+                  <main id="main-content" className="flex-grow">
+                    <AnimatedRoutes />
+                  </main>
                 
-                <Footer />
+                  <Footer />
                 
-                <AuthModal 
-                  isOpen={showAuthModal} 
-                  onClose={() => setShowAuthModal(false)} 
-                />
+                  <AuthModal 
+                    isOpen={showAuthModal} 
+                    onClose={() => setShowAuthModal(false)} 
+                  />
                 
-                <ScrollToTop />
-              </div>
-            </BrowserRouter>
-          </HelmetProvider>
+                  <ScrollToTop />
+                </div>
+              </BrowserRouter>
+            </HelmetProvider>
+          </TaxonomyProvider>
         </ResourcesProvider>
       </LanguageProvider>
     </UserProvider>
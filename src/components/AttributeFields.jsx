@@ -0,0 +1,101 @@
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+
+const inputClass = 'w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent';
+
+/**
+ * Typed inputs for a category's attribute schema (see attributeSchemas.js):
+ * a dropdown per 'select' field, checkboxes per 'multiselect' option and a
+ * single checkbox per 'boolean' field.
+ */
+const AttributeFields = ({ schema, values = {}, onChange, disabled = false }) => {
+  const { t } = useLanguage();
+
+  if (!schema || schema.length === 0) return null;
+
+  const setValue = (key, value) => onChange({ ...values, [key]: value });
+
+  const toggleOption = (key, option) => {
+    const selected = Array.isArray(values[key]) ? values[key] : [];
+    setValue(key, selected.includes(option)
+      ? selected.filter(value => value !== option)
+      : [...selected, option]);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {schema.map(({ key, type, options = [] }) => {
+        const label = t(`attributes.fields.${key}`, key);
+
+        if (type === 'boolean') {
+          return (
+            <label key={key} className="flex items-center text-sm font-medium md:pt-7">
+              <input
+                type="checkbox"
+                checked={values[key] === true}
+                onChange={(e) => setValue(key, e.target.checked)}
+                className="mr-2 accent-lime-accent"
+                disabled={disabled}
+              />
+              {label}
+            </label>
+          );
+        }
+
+        if (type === 'multiselect') {
+          const selected = Array.isArray(values[key]) ? values[key] : [];
+          return (
+            <fieldset key={key} className="md:col-span-2">
+              <legend className="block text-sm font-medium mb-1">{label}</legend>
+              <div className="flex flex-wrap gap-2">
+                {options.map(option => (
+                  <label
+                    key={option}
+                    className={`inline-flex items-center px-3 py-1 rounded-full text-xs cursor-pointer border transition-colors ${
+                      selected.includes(option)
+                        ? 'bg-[#bfff58]/20 text-[#bfff58] border-[#bfff58]/30'
+                        : 'bg-dark-400 text-gray-300 border-glass-200'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selected.includes(option)}
+                      onChange={() => toggleOption(key, option)}
+                      className="sr-only"
+                      disabled={disabled}
+                    />
+                    {t(`attributes.values.${option}`, option)}
+                  </label>
+                ))}
+              </div>
+            </fieldset>
+          );
+        }
+
+        return (
+          <div key={key}>
+            <label htmlFor={`attribute-${key}`} className="block text-sm font-medium mb-1">
+              {label}
+            </label>
+            <select
+              id={`attribute-${key}`}
+              value={values[key] || ''}
+              onChange={(e) => setValue(key, e.target.value)}
+              className={inputClass}
+              disabled={disabled}
+            >
+              <option value="">{t('attributes.notSpecified', 'Not specified')}</option>
+              {options.map(option => (
+                <option key={option} value={option}>
+                  {t(`attributes.values.${option}`, option)}
+                </option>
+              ))}
+            </select>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default AttributeFields;
@@ -0,0 +1,78 @@
+import React from 'react';
+import { useLanguage } from '../context/LanguageContext';
+
+/**
+ * Facet filters for a category's attribute schema (see attributeSchemas.js).
+ * 'select' fields pick one value, 'multiselect' fields any number (resources
+ * must have all of them) and 'boolean' fields are a single on/off chip.
+ *
+ * @param {Object} props
+ * @param {Array} props.schema - Fields from getAttributeSchema
+ * @param {Object} props.filters - Selected values by field key
+ * @param {Function} props.onChange - Called with the field key and its new value (null to clear)
+ * @returns {JSX.Element}
+ */
+export default function AttributeFilters({ schema = [], filters = {}, onChange }) {
+  const { t } = useLanguage();
+
+  if (schema.length === 0) return null;
+
+  const chipClass = (active) => `
+    inline-flex items-center px-2 py-1 rounded-full text-xs
+    ${active
+      ? 'bg-[#bfff58]/20 text-[#bfff58] border border-[#bfff58]/30'
+      : 'bg-[rgba(255,255,255,0.05)] text-gray-300 border border-transparent'}
+    transition-all duration-200 hover:bg-[rgba(255,255,255,0.1)]
+  `;
+
+  const toggle = ({ key, type }, option) => {
+    const current = filters[key];
+
+    if (type === 'boolean') {
+      onChange(key, current ? null : true);
+    } else if (type === 'multiselect') {
+      const selected = current || [];
+      const next = selected.includes(option)
+        ? selected.filter(value => value !== option)
+        : [...selected, option];
+      onChange(key, next.length > 0 ? next : null);
+    } else {
+      onChange(key, current === option ? null : option);
+    }
+  };
+
+  return (
+    <div className="mb-4 space-y-3">
+      {schema.map(field => {
+        const label = t(`attributes.fields.${field.key}`, field.key);
+
+        if (field.type === 'boolean') {
+          return (
+            <div key={field.key} className="flex flex-wrap items-center gap-1.5">
+              <button onClick={() => toggle(field)} className={chipClass(filters[field.key] === true)}>
+                {label}
+              </button>
+            </div>
+          );
+        }
+
+        const selected = field.type === 'multiselect' ? (filters[field.key] || []) : [filters[field.key]];
+
+        return (
+          <div key={field.key} className="flex flex-wrap items-center gap-1.5">
+            <h3 className="text-sm text-gray-400 font-medium mr-1">{label}:</h3>
+            {field.options.map(option => (
+              <button
+                key={option}
+                onClick={() => toggle(field, option)}
+                className={chipClass(selected.includes(option))}
+              >
+                {t(`attributes.values.${option}`, option)}
+              </button>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,290 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { UploadIcon } from '@heroicons/react/outline';
+import { isLocalModeEnabled } from '../utils/dataSources';
+import { BULK_CSV_TEMPLATE, BULK_MAX_ROWS, parseBulkInput, validateBulkRow } from '../utils/bulkSubmit';
+import { attributesFromTags } from '../utils/attributeSchemas';
+import { checkForDuplicates, fetchUrlMetadata, submitResource } from '../utils/resourceUtils';
+import { useLanguage } from '../context/LanguageContext';
+import { useTaxonomy } from '../context/TaxonomyContext';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  valid: 'bg-[#bfff58]/20 text-[#bfff58]',
+  invalid: 'bg-red-500/20 text-red-300',
+  submitted: 'bg-green-500/20 text-green-300',
+  failed: 'bg-red-500/20 text-red-300'
+};
+
+const ERROR_MESSAGES = {
+  required: 'is required',
+  invalidUrl: 'is not an http(s) URL',
+  unknownCategory: 'is not a known category',
+  unknownSubcategory: 'is not a subcategory of this category',
+  duplicate: 'is already in the catalog',
+  repeated: 'is repeated in this list'
+};
+
+/**
+ * Bulk mode of the submit page: a CSV (database-content.csv columns) or a
+ * list of URLs is checked row by row (see utils/bulkSubmit.js) and the rows
+ * that pass are submitted unapproved, to wait in the admin queue.
+ * URLs without a title or description get them from the page's metadata;
+ * rows without a category take the one picked here.
+ */
+const BulkSubmitForm = ({ user }) => {
+  const { t } = useLanguage();
+  const { taxonomy, getName, findCategory } = useTaxonomy();
+  const [text, setText] = useState('');
+  const [defaults, setDefaults] = useState({ category: '', subcategory: '' });
+  const [rows, setRows] = useState([]);
+  const [truncated, setTruncated] = useState(0);
+  const [progress, setProgress] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+  // Pending resources only exist in the database the admins review
+  const localMode = isLocalModeEnabled();
+
+  const defaultSubcategories = findCategory(defaults.category)?.subcategories || [];
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    setText(await file.text());
+    setRows([]);
+  };
+
+  const handleCheck = async () => {
+    const parsed = parseBulkInput(text);
+    if (parsed.rows.length === 0) {
+      toast.error(t('bulk.errors.empty', 'Paste a CSV or at least one URL'));
+      return;
+    }
+
+    const total = parsed.rows.length;
+    const filled = [];
+
+    // Rows without a category take the default; URLs without details are
+    // looked up one at a time
+    for (const [index, row] of parsed.rows.entries()) {
+      setProgress({ done: index, total });
+      const resource = row.category ? { ...row } : { ...row, category: defaults.category, subcategory: defaults.subcategory };
+
+      if ((!resource.title || !resource.description) && /^https?:\/\//i.test(resource.url)) {
+        const metadata = await fetchUrlMetadata(resource.url);
+        if (metadata.data) {
+          resource.title = resource.title || metadata.data.title || '';
+          resource.description = resource.description || metadata.data.description || '';
+          resource.image_url = resource.image_url || metadata.data.image || '';
+        }
+      }
+      filled.push(resource);
+    }
+
+    const checked = filled.map(resource => validateBulkRow(resource, { taxonomy }));
+    const withUrls = checked
+      .filter(({ errors }) => !errors.some(error => error.field === 'url'))
+      .map(({ resource }) => resource);
+    const duplicateCheck = await checkForDuplicates(withUrls);
+    setProgress(null);
+
+    if (!duplicateCheck.success) {
+      toast.error(t('bulk.errors.duplicates', 'Could not check for duplicates; they will be flagged when submitted'));
+    }
+    const duplicates = new Map(duplicateCheck.data.duplicates.map(duplicate => [duplicate.resource, duplicate]));
+
+    setTruncated(parsed.truncated);
+    setRows(checked.map(({ resource, errors }) => {
+      const duplicate = duplicates.get(resource);
+      const rowErrors = duplicate
+        ? [...errors, { field: 'url', code: duplicate.inBatch ? 'repeated' : 'duplicate', existing: duplicate.existing }]
+        : errors;
+
+      return {
+        key: `${resource.row}-${resource.url}`,
+        resource,
+        errors: rowErrors,
+        status: rowErrors.length > 0 ? 'invalid' : 'valid',
+        error: null
+      };
+    }));
+  };
+
+  const handleSubmit = async () => {
+    const valid = rows.filter(row => row.status === 'valid');
+    if (valid.length === 0) return;
+
+    setSubmitting(true);
+    let done = 0;
+
+    for (const row of valid) {
+      const { resource } = row;
+      const result = await submitResource({
+        title: resource.title,
+        description: resource.description,
+        url: resource.url,
+        image_url: resource.image_url || null,
+        category: resource.category,
+        subcategory: resource.subcategory || null,
+        tags: resource.tags,
+        // Tags like "free" fill in attributes
+        attributes: attributesFromTags(resource.tags, resource.category, resource.subcategory || null),
+        user_id: user.id,
+        approved: false
+      });
+
+      if (result.success) {
+        done += 1;
+        updateRow(row.key, { status: 'submitted', error: null });
+      } else {
+        updateRow(row.key, { status: 'failed', error: result.message });
+      }
+    }
+
+    setSubmitting(false);
+    if (done === valid.length) {
+      toast.success(t('bulk.submitted', `${done} resources submitted for review`, { count: done }));
+    } else {
+      toast.error(t('bulk.errors.someFailed', `${valid.length - done} resources could not be submitted`, { count: valid.length - done }));
+    }
+  };
+
+  const counts = rows.reduce((acc, row) => ({ ...acc, [row.status]: (acc[row.status] || 0) + 1 }), {});
+  const busy = Boolean(progress) || submitting;
+
+  return (
+    <div className="space-y-6">
+      <p className="text-white/70 text-sm">
+        {t('bulk.description', `Paste one URL per line, or a CSV with the columns ${BULK_CSV_TEMPLATE.trim()}. Up to ${BULK_MAX_ROWS} rows are checked; the ones that pass are submitted for admin approval.`, { columns: BULK_CSV_TEMPLATE.trim(), max: BULK_MAX_ROWS })}
+      </p>
+
+      {localMode && (
+        <p className="bg-dark-400 p-4 rounded-lg text-sm text-yellow-300">
+          {t('bulk.localMode', 'Bulk submissions go to the admin queue in the database. Switch off local mode to submit them.')}
+        </p>
+      )}
+
+      <div>
+        <div className="flex items-center justify-between mb-1">
+          <label htmlFor="bulk-input" className="block text-sm font-medium">
+            {t('bulk.input', 'URLs or CSV')}
+          </label>
+          <label className="inline-flex items-center text-sm text-lime-accent hover:underline cursor-pointer">
+            <UploadIcon className="w-4 h-4 mr-1" />
+            {t('bulk.chooseFile', 'Load a file')}
+            <input type="file" accept=".csv,.txt,text/csv,text/plain" onChange={handleFile} className="hidden" disabled={busy} />
+          </label>
+        </div>
+        <textarea
+          id="bulk-input"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          rows={8}
+          placeholder={`https://example.com\nhttps://example.org/tool\n\n${t('bulk.orCsv', 'or')}\n\n${BULK_CSV_TEMPLATE}`}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg font-mono text-sm focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          disabled={busy}
+        />
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="bulk-category" className="block text-sm font-medium mb-1">
+            {t('bulk.defaultCategory', 'Category for rows without one')}
+          </label>
+          <select
+            id="bulk-category"
+            value={defaults.category}
+            onChange={(e) => setDefaults({ category: e.target.value, subcategory: '' })}
+            className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+            disabled={busy}
+          >
+            <option value="">{t('bulk.none', 'None')}</option>
+            {taxonomy.map(category => (
+              <option key={category.slug} value={category.slug}>{getName(category)}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="bulk-subcategory" className="block text-sm font-medium mb-1">
+            {t('bulk.defaultSubcategory', 'Subcategory')}
+          </label>
+          <select
+            id="bulk-subcategory"
+            value={defaults.subcategory}
+            onChange={(e) => setDefaults(prev => ({ ...prev, subcategory: e.target.value }))}
+            className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+            disabled={busy || defaultSubcategories.length === 0}
+          >
+            <option value="">{t('bulk.none', 'None')}</option>
+            {defaultSubcategories.map(subcategory => (
+              <option key={subcategory.slug} value={subcategory.slug}>{getName(subcategory)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={handleCheck} className="btn btn-secondary" disabled={busy || !text.trim()}>
+          {progress
+            ? t('bulk.checking', `Checking ${progress.done + 1} of ${progress.total}...`, { current: progress.done + 1, total: progress.total })
+            : t('bulk.check', 'Check rows')}
+        </button>
+        {rows.length > 0 && (
+          <button onClick={handleSubmit} className="btn btn-primary" disabled={busy || localMode || !counts.valid}>
+            {submitting
+              ? t('bulk.submitting', 'Submitting...')
+              : t('bulk.submit', `Submit ${counts.valid || 0} valid rows`, { count: counts.valid || 0 })}
+          </button>
+        )}
+      </div>
+
+      {rows.length > 0 && (
+        <div>
+          <p className="text-sm text-white/60 mb-3">
+            {t('bulk.summary', `${counts.valid || 0} valid, ${counts.invalid || 0} with errors`, { valid: counts.valid || 0, invalid: counts.invalid || 0 })}
+            {truncated > 0 && ` · ${t('bulk.truncated', `${truncated} rows past the limit were not read`, { count: truncated })}`}
+          </p>
+
+          <ul className="space-y-2">
+            {rows.map(({ key, resource, errors, status, error }) => (
+              <li key={key} className="bg-dark-400 rounded-lg p-3 text-sm">
+                <div className="flex items-center gap-2">
+                  <span className="text-white/40 text-xs w-8 shrink-0">#{resource.row}</span>
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[status]}`}>
+                    {t(`bulk.status.${status}`, status)}
+                  </span>
+                  <span className="font-medium truncate">{resource.title || resource.url || t('bulk.untitled', 'Untitled row')}</span>
+                </div>
+                {resource.url && <p className="text-xs text-gray-400 break-all mt-1 ml-10">{resource.url}</p>}
+                {status === 'invalid' && (
+                  <ul className="mt-2 ml-10 space-y-1 text-xs text-red-300">
+                    {errors.map(rowError => (
+                      <li key={`${rowError.field}-${rowError.code}`}>
+                        <span className="font-medium">{t(`bulk.fields.${rowError.field}`, rowError.field)}</span>{' '}
+                        {t(`bulk.errors.${rowError.code}`, ERROR_MESSAGES[rowError.code])}
+                        {rowError.existing && (
+                          <>
+                            {': '}
+                            <Link to={`/resource/${rowError.existing.id}`} className="underline">{rowError.existing.title}</Link>
+                          </>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                {error && <p className="mt-2 ml-10 text-xs text-red-300">{error}</p>}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BulkSubmitForm;
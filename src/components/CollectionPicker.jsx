@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import { Link } from 'react-router-dom';
+import { FolderAddIcon, CheckIcon, PlusIcon, LockClosedIcon } from '@heroicons/react/outline';
+import { createCollection, getUserCollections, setCollectionMembership } from '../utils/resourceUtils';
+import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import toast from 'react-hot-toast';
+
+// Width of the dropdown in pixels (w-64)
+const DROPDOWN_WIDTH = 256;
+
+/**
+ * "Add to collection" button with a dropdown of the user's collections.
+ * Ticking a collection adds the resource, unticking removes it; the default
+ * collection is the user's favorites, so onFavoriteChange reports changes to it.
+ * The dropdown is rendered in a portal so cards with overflow-hidden don't
+ * clip it; clicks in it don't reach a surrounding clickable card.
+ */
+const CollectionPicker = ({
+  resourceId,
+  onFavoriteChange = null,
+  buttonClassName = '',
+  iconClassName = 'w-4 h-4',
+  align = 'right',
+  label = null
+}) => {
+  const { user } = useUser();
+  const { t } = useLanguage();
+  const [open, setOpen] = useState(false);
+  const [position, setPosition] = useState(null);
+  const [collections, setCollections] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [pendingId, setPendingId] = useState(null);
+  const [newTitle, setNewTitle] = useState('');
+  const [creating, setCreating] = useState(false);
+  const buttonRef = useRef(null);
+  const dropdownRef = useRef(null);
+
+  useEffect(() => {
+    if (!open || !user) return undefined;
+    let mounted = true;
+
+    const fetchCollections = async () => {
+      setLoading(true);
+      const result = await getUserCollections(user.id, { skipCache: true });
+      if (!mounted) return;
+
+      if (result.success) {
+        setCollections(result.data);
+      } else {
+        toast.error(t('collections.errors.load', 'Failed to load collections'));
+      }
+      setLoading(false);
+    };
+
+    fetchCollections();
+
+    // Close when clicking anywhere else, or when the button moves away
+    const handleClickOutside = (e) => {
+      if (buttonRef.current?.contains(e.target) || dropdownRef.current?.contains(e.target)) return;
+      setOpen(false);
+    };
+    const close = () => setOpen(false);
+    document.addEventListener('mousedown', handleClickOutside);
+    window.addEventListener('scroll', close, true);
+    window.addEventListener('resize', close);
+
+    return () => {
+      mounted = false;
+      document.removeEventListener('mousedown', handleClickOutside);
+      window.removeEventListener('scroll', close, true);
+      window.removeEventListener('resize', close);
+    };
+  }, [open, user, t]);
+
+  const stop = (e) => {
+    e.stopPropagation();
+  };
+
+  const handleToggleOpen = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    if (!user) {
+      toast.error(t('collections.signInRequired', 'Sign in to save resources to collections'));
+      return;
+    }
+    const rect = buttonRef.current.getBoundingClientRect();
+    const left = align === 'left' ? rect.left : rect.right - DROPDOWN_WIDTH;
+    setPosition({
+      top: rect.bottom + 8,
+      left: Math.max(8, Math.min(left, window.innerWidth - DROPDOWN_WIDTH - 8))
+    });
+    setOpen(prev => !prev);
+  };
+
+  const handleToggleCollection = async (collection) => {
+    if (pendingId) return;
+    const included = !collection.resource_ids.includes(resourceId);
+
+    setPendingId(collection.id);
+    const result = await setCollectionMembership(collection, resourceId, user.id, included);
+    setPendingId(null);
+
+    if (!result.success) {
+      toast.error(t('collections.errors.update', 'Failed to update collection'));
+      return;
+    }
+
+    setCollections(prev => prev.map(item => (item.id === collection.id
+      ? {
+          ...item,
+          resource_ids: included
+            ? [...item.resource_ids, resourceId]
+            : item.resource_ids.filter(id => id !== resourceId)
+        }
+      : item)));
+    if (collection.is_default && onFavoriteChange) onFavoriteChange(included);
+    toast.success(included
+      ? t('collections.added', `Added to ${collection.title}`, { title: collection.title })
+      : t('collections.removed', `Removed from ${collection.title}`, { title: collection.title }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+
+    const title = newTitle.trim();
+    if (!title || creating) return;
+
+    setCreating(true);
+    const created = await createCollection(user.id, { title, visibility: 'private' });
+    if (!created.success) {
+      setCreating(false);
+      toast.error(t('collections.errors.create', 'Failed to create collection'));
+      return;
+    }
+
+    setNewTitle('');
+    setCollections(prev => [...prev, created.data]);
+    setCreating(false);
+    await handleToggleCollection(created.data);
+  };
+
+  return (
+    <div className="relative" onClick={stop}>
+      <button
+        ref={buttonRef}
+        type="button"
+        onClick={handleToggleOpen}
+        className={buttonClassName}
+        aria-label={t('collections.addTo', 'Add to collection')}
+        aria-expanded={open}
+      >
+        <FolderAddIcon className={iconClassName} />
+        {label}
+      </button>
+
+      {open && position && createPortal(
+        <div
+          ref={dropdownRef}
+          className="fixed z-50 w-64 bg-dark-300 border border-glass-300 rounded-lg shadow-xl p-2 text-left"
+          style={{ top: position.top, left: position.left }}
+        >
+          <div className="flex items-center justify-between px-2 py-1 mb-1">
+            <span className="text-xs text-gray-400 font-medium">{t('collections.addTo', 'Add to collection')}</span>
+            <Link to="/collections" className="text-xs text-lime-accent hover:underline" onClick={() => setOpen(false)}>
+              {t('collections.manage', 'Manage')}
+            </Link>
+          </div>
+
+          {loading ? (
+            <div className="flex justify-center py-3">
+              <div className="animate-spin rounded-full h-5 w-5 border-t-2 border-b-2 border-[#bfff58]"></div>
+            </div>
+          ) : (
+            <ul className="max-h-56 overflow-y-auto">
+              {collections.map(collection => {
+                const included = collection.resource_ids.includes(resourceId);
+                return (
+                  <li key={collection.id}>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleCollection(collection)}
+                      disabled={pendingId === collection.id}
+                      className="w-full flex items-center px-2 py-1.5 rounded text-sm text-white/80 hover:bg-glass-200 transition-colors"
+                    >
+                      <span className={`w-4 h-4 mr-2 flex items-center justify-center rounded border ${
+                        included ? 'bg-[#bfff58]/20 border-[#bfff58]/50 text-[#bfff58]' : 'border-glass-300'
+                      }`}>
+                        {included && <CheckIcon className="w-3 h-3" />}
+                      </span>
+                      <span className="truncate flex-1 text-left">
+                        {collection.is_default ? t('collections.favorites', 'Favorites') : collection.title}
+                      </span>
+                      {collection.visibility === 'private' && <LockClosedIcon className="w-3 h-3 text-gray-500 ml-2" />}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <form onSubmit={handleCreate} className="flex items-center mt-2 pt-2 border-t border-glass-200">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              placeholder={t('collections.newPlaceholder', 'New collection')}
+              className="flex-1 min-w-0 px-2 py-1 bg-dark-400 border border-glass-200 rounded text-sm focus:outline-none focus:ring-1 focus:ring-lime-accent"
+              disabled={creating}
+            />
+            <button
+              type="submit"
+              className="ml-2 p-1.5 rounded bg-[#bfff58]/20 text-[#bfff58] hover:bg-[#bfff58]/30 transition-colors"
+              disabled={creating || !newTitle.trim()}
+              aria-label={t('collections.create', 'Create collection')}
+            >
+              <PlusIcon className="w-4 h-4" />
+            </button>
+          </form>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default CollectionPicker;
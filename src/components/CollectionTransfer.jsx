@@ -0,0 +1,162 @@
+import { useState, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { DownloadIcon, UploadIcon } from '@heroicons/react/outline';
+import { EXPORT_FORMATS, exportResources, parseBookmarkFile } from '../utils/bookmarkFormats';
+import { importToCollection } from '../utils/resourceUtils';
+import { useLanguage } from '../context/LanguageContext';
+import toast from 'react-hot-toast';
+
+const FORMAT_LABELS = {
+  json: 'JSON',
+  csv: 'CSV',
+  html: 'HTML'
+};
+
+// Save generated content as a file
+const downloadFile = (content, filename, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Link to the submit form, pre-filled from an imported entry. The category is
+// left for the submitter to pick, since imports may use names we don't have.
+const submitLink = (entry) => {
+  const params = new URLSearchParams({ url: entry.url });
+  ['title', 'description'].forEach(field => {
+    if (entry[field]) params.set(field, entry[field]);
+  });
+  if (entry.tags.length > 0) params.set('tags', entry.tags.join(', '));
+  return `/submit?${params.toString()}`;
+};
+
+/**
+ * Export a collection's resources as JSON, CSV or a bookmarks HTML file, and
+ * (for its owner) import those formats into it. Imported links that aren't
+ * in the catalog are listed with a link to submit them.
+ */
+const CollectionTransfer = ({ collection, title, canImport = false, userId = null }) => {
+  const { t } = useLanguage();
+  const [importing, setImporting] = useState(false);
+  const [report, setReport] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const handleExport = (format) => {
+    const { content, type, extension } = exportResources(collection.resources, format, { title });
+    downloadFile(content, `${collection.slug}.${extension}`, type);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    let entries;
+    try {
+      ({ entries } = parseBookmarkFile(await file.text(), file.name));
+    } catch (error) {
+      console.error('Error reading import file:', error);
+      toast.error(t('transfer.errors.read', 'Could not read that file. Use JSON, CSV or a bookmarks HTML file.'));
+      return;
+    }
+
+    if (entries.length === 0) {
+      toast.error(t('transfer.errors.empty', 'No links found in that file'));
+      return;
+    }
+
+    setImporting(true);
+    const result = await importToCollection(collection, entries, userId);
+    setImporting(false);
+
+    if (!result.success) {
+      toast.error(t('transfer.errors.import', 'Import failed'));
+      return;
+    }
+
+    setReport(result.data);
+    toast.success(t('transfer.imported', `Added ${result.data.added.length} resources`, { count: result.data.added.length }));
+  };
+
+  return (
+    <div className="glass-card p-4 mb-8">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div className="flex items-center flex-wrap gap-2">
+          <span className="text-sm text-gray-400 mr-1">{t('transfer.export', 'Export')}</span>
+          {EXPORT_FORMATS.map(format => (
+            <button
+              key={format}
+              onClick={() => handleExport(format)}
+              disabled={collection.resources.length === 0}
+              className="flex items-center px-3 py-1 rounded-full text-xs bg-glass-200 text-white/80 hover:bg-glass-300 transition-colors disabled:opacity-40"
+            >
+              <DownloadIcon className="w-3 h-3 mr-1" />
+              {FORMAT_LABELS[format]}
+            </button>
+          ))}
+        </div>
+
+        {canImport && (
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".json,.csv,.html,.htm,application/json,text/csv,text/html"
+              onChange={handleImport}
+              className="hidden"
+            />
+            <button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+              className="btn btn-secondary flex items-center text-sm"
+            >
+              <UploadIcon className="w-4 h-4 mr-2" />
+              {importing ? t('transfer.importing', 'Importing...') : t('transfer.import', 'Import bookmarks')}
+            </button>
+          </div>
+        )}
+      </div>
+
+      {report && (
+        <div className="mt-4 pt-4 border-t border-glass-200 text-sm">
+          <p className="text-white/70">
+            {t('transfer.summary', `${report.added.length} added, ${report.existing.length} already here, ${report.missing.length} not in the catalog`, {
+              added: report.added.length,
+              existing: report.existing.length,
+              missing: report.missing.length
+            })}
+          </p>
+
+          {report.missing.length > 0 && (
+            <>
+              <p className="text-gray-400 mt-3 mb-2">
+                {t('transfer.missingHint', 'These links are not in Mindy yet. Submit them to add them to the catalog:')}
+              </p>
+              <ul className="max-h-64 overflow-y-auto space-y-1">
+                {report.missing.map(entry => (
+                  <li key={entry.url} className="flex items-center justify-between gap-3">
+                    <span className="truncate text-white/80" title={entry.url}>{entry.title || entry.url}</span>
+                    <Link to={submitLink(entry)} className="text-lime-accent text-xs hover:underline shrink-0">
+                      {t('transfer.submit', 'Submit')}
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <button onClick={() => setReport(null)} className="text-xs text-gray-400 hover:text-white mt-3">
+            {t('transfer.dismiss', 'Dismiss')}
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionTransfer;
@@ -2,10 +2,16 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { v4 as uuidv4 } from 'uuid';
 import supabase, { executeWithRetry, handleSupabaseError } from '../utils/supabase';
 import { optimizedRequest } from '../utils/requestManager';
+import { attachAuthors } from '../utils/authorLoader';
+import { entityTag, getList, invalidateTags, putList } from '../utils/entityStore';
+import { enqueueMutation, getPendingMutations, subscribeOutbox } from '../utils/outbox';
+import { isNetworkError } from '../utils/connectionHealth';
 import { formatDistanceToNow } from 'date-fns';
 import { Avatar, Button, TextField, Typography, Box, Paper, CircularProgress, Alert } from '@mui/material';
 import SendIcon from '@mui/icons-material/Send';
 import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import { ERROR_TYPES, getErrorMessage, isRetryableError } from '../utils/errors';
 
 // Validate resource ID format (UUID)
 const isValidResourceId = (id) => {
@@ -14,38 +20,29 @@ const isValidResourceId = (id) => {
   return uuidRegex.test(id);
 };
 
-// Comment cache to reduce database load
-const commentCache = {
-  data: {},
-  timestamp: {},
-  ttl: 60000, // 1 minute cache TTL
-  
-  // Get comments from cache if available and not expired
-  get(resourceId) {
-    const now = Date.now();
-    if (this.data[resourceId] && now - this.timestamp[resourceId] < this.ttl) {
-      return this.data[resourceId];
-    }
-    return null;
-  },
-  
-  // Store comments in cache
-  set(resourceId, comments) {
-    this.data[resourceId] = comments;
-    this.timestamp[resourceId] = Date.now();
-  },
-  
-  // Clear all cache
-  clear() {
-    this.data = {};
-    this.timestamp = {};
-  }
+// Comment lists live in the shared entity store, tagged per resource
+const commentListKey = (resourceId) => `comments:${resourceId}`;
+
+// Comments written offline that are still waiting in the outbox
+const queuedComments = (resourceId) => getPendingMutations('comment')
+  .filter(entry => entry.payload.comment.resource_id === resourceId)
+  .map(entry => ({
+    ...entry.payload.comment,
+    user: entry.meta.user,
+    isPending: true,
+    syncFailed: entry.status === 'failed'
+  }));
+
+// Show queued comments first, skipping any that already reached the database
+const withQueuedComments = (resourceId, comments) => {
+  const ids = new Set(comments.map(comment => comment.id));
+  return [...queuedComments(resourceId).filter(comment => !ids.has(comment.id)), ...comments];
 };
 
 export default function CommentSection({ resourceId }) {
   const [comments, setComments] = useState([]);
   const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // { cause, onRetry }, rendered with getErrorMessage
   const [newComment, setNewComment] = useState('');
   const [submitting, setSubmitting] = useState(false);
   const [retryCount, setRetryCount] = useState(0);
@@ -53,6 +50,7 @@ export default function CommentSection({ resourceId }) {
   const maxCommentsToShow = 5;
   
   const { user } = useUser();
+  const { t } = useLanguage();
   const resourceIdRef = useRef(resourceId);
   const commentsEndRef = useRef(null);
   const commentsFetched = useRef(false);
@@ -75,6 +73,8 @@ export default function CommentSection({ resourceId }) {
         console.log('Comment change detected:', payload);
         
         // Refresh comments when a change is detected
+        invalidateTags(commentListKey(resourceId));
+        commentsFetched.current = false;
         fetchComments();
       })
       .subscribe((status) => {
@@ -89,7 +89,7 @@ export default function CommentSection({ resourceId }) {
     // Skip if resource ID is invalid
     if (!isValidResourceId(resourceId)) {
       setLoading(false);
-      setError('Invalid resource ID');
+      setError({ cause: { type: ERROR_TYPES.NOT_FOUND } });
       return;
     }
     
@@ -105,10 +105,10 @@ export default function CommentSection({ resourceId }) {
       console.log(`Fetching comments for resource ${resourceId}`);
       
       // Check cache first
-      const cachedComments = commentCache.get(resourceId);
+      const cachedComments = getList(commentListKey(resourceId))?.data;
       if (cachedComments) {
         console.log(`Found ${cachedComments.length} cached comments for resource ${resourceId}`);
-        setComments(cachedComments);
+        setComments(withQueuedComments(resourceId, cachedComments));
         setLoading(false);
         commentsFetched.current = true;
         resourceIdRef.current = resourceId;
@@ -124,68 +124,32 @@ export default function CommentSection({ resourceId }) {
       
       if (error) throw error;
       
-      // Process comments and fetch user data separately
-      const enhancedComments = await Promise.all(
-        (data || []).map(async (comment) => {
-          let userData = null;
-          
-          // Try to get user info if user_id exists
-          if (comment.user_id) {
-            try {
-              // Try users table first
-              const { data: userInfo, error: userError } = await supabase
-                .from('users')
-                .select('username, avatar_url')
-                .eq('id', comment.user_id)
-                .single();
-              
-              if (!userError && userInfo) {
-                userData = userInfo;
-              } else {
-                // Fallback to profiles table
-                try {
-                  const { data: profileInfo, error: profileError } = await supabase
-                    .from('profiles')
-                    .select('username, avatar_url')
-                    .eq('id', comment.user_id)
-                    .single();
-                  
-                  if (!profileError && profileInfo) {
-                    userData = profileInfo;
-                  }
-                } catch (profileError) {
-                  console.warn('Failed to fetch profile data for comment:', profileError);
-                }
-              }
-            } catch (userError) {
-              console.warn('Failed to fetch user data for comment:', userError);
-            }
-          }
-          
-          // Return comment with user data or fallback
-          return {
-            ...comment,
-            user: userData || {
-              username: comment.user_id ? `User ${comment.user_id.substring(0, 5)}` : 'Anonymous',
-              avatar_url: null
-            }
-          };
-        })
-      );
+      // Resolve all comment authors with one batched query
+      const enhancedComments = await attachAuthors(data || []);
       
       console.log(`Fetched ${enhancedComments.length} comments for resource ${resourceId}`);
       
       // Update state and cache
-      setComments(enhancedComments);
-      commentCache.set(resourceId, enhancedComments);
+      setComments(withQueuedComments(resourceId, enhancedComments));
+      putList(commentListKey(resourceId), 'comments', enhancedComments, {
+        tags: [commentListKey(resourceId)],
+        ttl: 60000 // 1 minute, comments change more often than resources
+      });
       commentsFetched.current = true;
       resourceIdRef.current = resourceId;
     } catch (err) {
       console.error('Error fetching comments:', err);
-      setError('Failed to load comments');
+      const retryable = isRetryableError(err);
+      setError({
+        cause: err,
+        onRetry: retryable ? () => {
+          setRetryCount(0);
+          fetchComments();
+        } : null
+      });
       
-      // Try again after a delay if we haven't tried too many times
-      if (retryCount < 3) {
+      // Try again after a delay if it can help and we haven't tried too many times
+      if (retryable && retryCount < 3) {
         setTimeout(() => {
           setRetryCount(prev => prev + 1);
           fetchComments();
@@ -220,6 +184,20 @@ export default function CommentSection({ resourceId }) {
     };
   }, [resourceId, fetchComments, setupSubscription]);
   
+  // Refresh when queued comments for this resource sync, fail or are discarded
+  useEffect(() => {
+    const queuedKey = () => JSON.stringify(queuedComments(resourceId).map(comment => [comment.id, comment.syncFailed]));
+    let lastKey = queuedKey();
+    
+    return subscribeOutbox(() => {
+      const nextKey = queuedKey();
+      if (nextKey === lastKey) return;
+      lastKey = nextKey;
+      commentsFetched.current = false;
+      fetchComments();
+    });
+  }, [resourceId, fetchComments]);
+  
   // Handle comment submission with optimistic updates
   const handleSubmitComment = async (e) => {
     e.preventDefault();
@@ -229,7 +207,7 @@ export default function CommentSection({ resourceId }) {
     
     // Skip if resource ID is invalid
     if (!isValidResourceId(resourceId)) {
-      setError('Cannot add comment: Invalid resource ID');
+      setError({ cause: { type: ERROR_TYPES.NOT_FOUND } });
       return;
     }
     
@@ -263,6 +241,8 @@ export default function CommentSection({ resourceId }) {
         return supabase
           .from('comments')
           .insert({
+            // Client-side id, so a replay from the offline outbox can't duplicate it
+            id: optimisticId,
             content: optimisticComment.content,
             resource_id: resourceId,
             user_id: user?.id
@@ -280,11 +260,33 @@ export default function CommentSection({ resourceId }) {
         )
       );
       
+      // Other views of this resource's comments need to refetch
+      invalidateTags(commentListKey(resourceId));
+      
     } catch (err) {
       console.error('Error submitting comment:', err);
       
+      // Offline: keep the comment and post it when the connection is back
+      if (isNetworkError(err) && user) {
+        setComments(prevComments => 
+          prevComments.map(comment => 
+            comment.id === optimisticId ? { ...comment, isOptimistic: false, isPending: true } : comment
+          )
+        );
+        enqueueMutation('comment', {
+          comment: {
+            id: optimisticId,
+            content: optimisticComment.content,
+            resource_id: resourceId,
+            user_id: user.id,
+            created_at: timestamp
+          }
+        }, { user: optimisticComment.user });
+        return;
+      }
+      
       // Handle the error by showing an error message and removing the optimistic comment
-      setError('Failed to submit comment: ' + err.message);
+      setError({ cause: err });
       
       // Remove the optimistic comment
       setComments(prevComments => 
@@ -304,7 +306,7 @@ export default function CommentSection({ resourceId }) {
     
     // Skip if resource ID is invalid
     if (!isValidResourceId(resourceId)) {
-      setError('Cannot delete comment: Invalid resource ID');
+      setError({ cause: { type: ERROR_TYPES.NOT_FOUND } });
       return;
     }
     
@@ -332,6 +334,8 @@ export default function CommentSection({ resourceId }) {
         prevComments.filter(comment => comment.id !== commentId)
       );
       
+      invalidateTags([entityTag('comments', commentId), commentListKey(resourceId)]);
+      
     } catch (err) {
       console.error('Error deleting comment:', err);
       
@@ -342,7 +346,10 @@ export default function CommentSection({ resourceId }) {
         )
       );
       
-      setError('Failed to delete comment: ' + err.message);
+      setError({
+        cause: err,
+        onRetry: isRetryableError(err) ? () => handleDeleteComment(commentId) : null
+      });
     }
   };
   
@@ -373,8 +380,16 @@ export default function CommentSection({ resourceId }) {
       </Typography>
       
       {error && (
-        <Alert severity="error" sx={{ mb: 2 }}>
-          {error}
+        <Alert
+          severity="error"
+          sx={{ mb: 2 }}
+          action={error.onRetry && (
+            <Button color="inherit" size="small" onClick={() => { setError(null); error.onRetry(); }}>
+              {t('common.retry', 'Retry')}
+            </Button>
+          )}
+        >
+          {getErrorMessage(error.cause, t)}
         </Alert>
       )}
       
@@ -426,7 +441,7 @@ export default function CommentSection({ resourceId }) {
               key={comment.id} 
               sx={{ 
                 p: 2, 
-                bgcolor: comment.isOptimistic ? 'action.selected' : 'background.paper',
+                bgcolor: comment.isOptimistic || comment.isPending ? 'action.selected' : 'background.paper',
                 opacity: comment.deleting ? 0.5 : 1,
                 transition: 'opacity 0.3s',
                 position: 'relative',
@@ -448,10 +463,11 @@ export default function CommentSection({ resourceId }) {
                   <Typography variant="caption" sx={{ color: 'text.secondary' }}>
                     {formatDate(comment.created_at)}
                     {comment.isOptimistic && ' (Posting...)'}
+                    {comment.isPending && (comment.syncFailed ? ' (Could not sync)' : ' (Waiting to sync)')}
                   </Typography>
                 </Box>
                 
-                {user && user.id === comment.user_id && !comment.isOptimistic && (
+                {user && user.id === comment.user_id && !comment.isOptimistic && !comment.isPending && (
                   <Button 
                     size="small" 
                     color="error" 
@@ -0,0 +1,35 @@
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { ExclamationIcon } from '@heroicons/react/outline';
+import { useLanguage } from '../context/LanguageContext';
+
+// Shown when a submitted URL matches resources already in the catalog
+const DuplicateNotice = ({ duplicates }) => {
+  const { t } = useLanguage();
+
+  if (!duplicates || duplicates.length === 0) return null;
+
+  return (
+    <div className="bg-dark-400 border border-yellow-500/40 p-4 rounded-lg mb-6">
+      <div className="flex items-center text-yellow-300 mb-2">
+        <ExclamationIcon className="w-5 h-5 mr-2" />
+        <h2 className="font-medium">{t('duplicates.title', 'This resource already exists')}</h2>
+      </div>
+      <p className="text-white/70 text-sm mb-3">
+        {t('duplicates.description', 'Another resource links to the same page. Check it out, or use a different URL.')}
+      </p>
+      <ul className="space-y-2">
+        {duplicates.map((resource) => (
+          <li key={resource.id}>
+            <Link to={`/resource/${resource.id}`} className="text-lime-accent hover:underline">
+              {resource.title}
+            </Link>
+            <span className="block text-xs text-gray-400 truncate">{resource.url}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default DuplicateNotice;
@@ -5,6 +5,7 @@ import { useLanguage } from '../context/LanguageContext';
 import { SearchIcon } from '@heroicons/react/outline';
 import LanguageSwitcher from './LanguageSwitcher';
 import supabase from '../utils/supabase';
+import { discardMutation, flushOutbox, getOutboxState, retryMutation, subscribeOutbox } from '../utils/outbox';
 
 const Navbar = ({ onOpenAuth }) => {
   const { user, signOut } = useUser();
@@ -13,6 +14,11 @@ const Navbar = ({ onOpenAuth }) => {
   const [isMenuOpen, setIsMenuOpen] = useState(false);
   const [searchQuery, setSearchQuery] = useState('');
   const [isAdmin, setIsAdmin] = useState(false);
+  const [outbox, setOutbox] = useState(getOutboxState);
+  const [isOutboxOpen, setIsOutboxOpen] = useState(false);
+
+  // Track changes made offline that are waiting to sync
+  useEffect(() => subscribeOutbox(setOutbox), []);
 
   // Check if user is admin
   useEffect(() => {
@@ -49,6 +55,26 @@ const Navbar = ({ onOpenAuth }) => {
     navigate('/');
   };
   
+  const outboxCount = outbox.entries.length;
+  
+  const outboxSummary = () => {
+    if (outbox.syncing) return t('outbox.syncing', 'Syncing...');
+    return outboxCount === 1
+      ? t('outbox.pendingOne', '1 change waiting to sync')
+      : t('outbox.pending', `${outboxCount} changes waiting to sync`, { count: outboxCount });
+  };
+  
+  const outboxLabel = (entry) => {
+    const labels = {
+      favorite: t('outbox.types.favorite', 'Add favorite'),
+      unfavorite: t('outbox.types.unfavorite', 'Remove favorite'),
+      submit: t('outbox.types.submit', 'Submit resource'),
+      comment: t('outbox.types.comment', 'Comment')
+    };
+    const detail = entry.meta?.title || entry.payload.comment?.content;
+    return detail ? `${labels[entry.type]}: ${detail}` : labels[entry.type];
+  };
+  
   const handleSearch = (e) => {
     e.preventDefault();
     if (searchQuery.trim()) {
@@ -92,10 +118,59 @@ const Navbar = ({ onOpenAuth }) => {
           <Link to="/favorites" className="text-white/60 hover:text-lime-accent transition-colors duration-200">
             {t('common.favorites', 'Favorites')}
           </Link>
+          <Link to="/collections" className="text-white/60 hover:text-lime-accent transition-colors duration-200">
+            {t('common.collections', 'Collections')}
+          </Link>
           <Link to="/submit" className="text-white/60 hover:text-lime-accent transition-colors duration-200">
             {t('common.submit', 'Submit')}
           </Link>
           
+          {/* Offline changes waiting to sync */}
+          {outboxCount > 0 && (
+            <div className="relative">
+              <button
+                onClick={() => setIsOutboxOpen(!isOutboxOpen)}
+                className={`px-3 py-1 rounded-full text-xs transition-colors duration-200 ${
+                  outbox.failedCount > 0 ? 'bg-red-500/20 text-red-300' : 'bg-yellow-500/20 text-yellow-300'
+                }`}
+              >
+                {outboxSummary()}
+              </button>
+              
+              {isOutboxOpen && (
+                <div className="absolute right-0 mt-2 w-72 glass-card py-2 border-glass-300/50">
+                  {outbox.entries.map(entry => (
+                    <div key={entry.id} className="px-4 py-2 text-sm">
+                      <div className="text-white/80 truncate">{outboxLabel(entry)}</div>
+                      {entry.status === 'failed' && (
+                        <div className="flex items-center justify-between mt-1">
+                          <span className="text-red-300 text-xs truncate">{entry.lastError || t('outbox.failed', 'Could not sync')}</span>
+                          <span className="flex space-x-2 ml-2">
+                            <button onClick={() => retryMutation(entry.id)} className="text-lime-accent text-xs">
+                              {t('outbox.retry', 'Retry')}
+                            </button>
+                            <button onClick={() => discardMutation(entry.id)} className="text-white/60 hover:text-red-300 text-xs">
+                              {t('outbox.discard', 'Discard')}
+                            </button>
+                          </span>
+                        </div>
+                      )}
+                    </div>
+                  ))}
+                  {outbox.pendingCount > 0 && (
+                    <button
+                      onClick={() => flushOutbox()}
+                      disabled={outbox.syncing}
+                      className="block w-full text-left px-4 py-2 text-lime-accent hover:text-lime-accent/80 text-sm disabled:opacity-50"
+                    >
+                      {t('outbox.syncNow', 'Sync now')}
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          )}
+          
           {/* Language Switcher */}
           <LanguageSwitcher />
           
@@ -185,6 +260,13 @@ const Navbar = ({ onOpenAuth }) => {
               >
                 {t('common.favorites', 'Favorites')}
               </Link>
+              <Link 
+                to="/collections" 
+                className="text-white/70 hover:text-lime-accent transition-colors duration-200"
+                onClick={() => setIsMenuOpen(false)}
+              >
+                {t('common.collections', 'Collections')}
+              </Link>
               <Link 
                 to="/submit" 
                 className="text-white/70 hover:text-lime-accent transition-colors duration-200"
@@ -193,6 +275,16 @@ const Navbar = ({ onOpenAuth }) => {
                 {t('common.submit', 'Submit')}
               </Link>
               
+              {outboxCount > 0 && (
+                <button
+                  onClick={() => flushOutbox()}
+                  disabled={outbox.syncing}
+                  className="text-left text-yellow-300 hover:text-lime-accent transition-colors duration-200"
+                >
+                  {outboxSummary()}
+                </button>
+              )}
+              
               {user ? (
                 <>
                   <Link 
@@ -1,9 +1,33 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import { getRelatedResources } from '../utils/resourceUtils';
+import { useLanguage } from '../context/LanguageContext';
+
+// Turn a ranking reason from relatedScoring.js into a short label
+const describeReason = (reason, t) => {
+  switch (reason.type) {
+    case 'tags': {
+      const tags = reason.tags.slice(0, 3).join(', ');
+      return t('related.tags', `Shares tags: ${tags}`, { tags });
+    }
+    case 'subcategory':
+      return t('related.subcategory', `Also in ${reason.subcategory}`, { subcategory: reason.subcategory });
+    case 'software': {
+      const software = reason.software.map(id => t(`software.${id}`, id)).join(', ');
+      return t('related.software', `Also for ${software}`, { software });
+    }
+    case 'coFavorites':
+      return reason.count === 1
+        ? t('related.coFavorite', 'Favorited together by 1 person')
+        : t('related.coFavorites', `Favorited together by ${reason.count} people`, { count: reason.count });
+    default:
+      return null;
+  }
+};
 
 const RelatedResources = ({ resources, isLoading }) => {
+  const { t } = useLanguage();
+
   if (isLoading) {
     return (
       <div className="space-y-4">
@@ -20,7 +44,7 @@ const RelatedResources = ({ resources, isLoading }) => {
   if (!resources || resources.length === 0) {
     return (
       <div className="text-gray-400 p-4 text-center">
-        No related resources found
+        {t('related.noResults', 'No related resources found')}
       </div>
     );
   }
@@ -40,6 +64,15 @@ const RelatedResources = ({ resources, isLoading }) => {
             {resource.description && (
               <p className="text-gray-400 text-sm line-clamp-2 mb-2">{resource.description}</p>
             )}
+            {resource.related?.reasons?.length > 0 && (
+              <ul className="mb-2 space-y-0.5">
+                {resource.related.reasons.slice(0, 2).map(reason => (
+                  <li key={reason.type} className="text-xs text-gray-400">
+                    {describeReason(reason, t)}
+                  </li>
+                ))}
+              </ul>
+            )}
             <div className="flex justify-between items-center mt-1">
               <span className="text-xs text-gray-500">
                 {resource.category}
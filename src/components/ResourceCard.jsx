@@ -9,7 +9,9 @@ import toast from 'react-hot-toast';
 import GlassCard from './ui/GlassCard';
 import AutoThumbnail from './ui/AutoThumbnail';
 import SoftwareIcon from './ui/SoftwareIcon';
-import { getWebsiteThumbnail, getWebsiteFavicon } from '../utils/thumbnailUtils';
+import { getResourceThumbnails, getWebsiteFavicon } from '../utils/thumbnailUtils';
+import { toggleFavorite } from '../utils/resourceUtils';
+import CollectionPicker from './CollectionPicker';
 
 export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
   const { user } = useUser();
@@ -31,7 +33,6 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
   const [isLoading, setIsLoading] = useState(false);
   const [imageLoaded, setImageLoaded] = useState(false);
   const [imageError, setImageError] = useState(false);
-  const [thumbnailUrl, setThumbnailUrl] = useState(resource.image_url || null);
   const [faviconUrl, setFaviconUrl] = useState(null);
   const [commentCount, setCommentCount] = useState(0);
   
@@ -40,6 +41,16 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
   const favoritesChecked = useRef(false);
   const thumbnailsFetched = useRef(false);
   const resourceIdRef = useRef(resource?.id);
+  
+  // Stored thumbnail variants or the submitted image; on error (or with
+  // neither) AutoThumbnail draws a placeholder
+  const { thumbnailUrl: storedThumbnailUrl, srcSet: thumbnailSrcSet } = getResourceThumbnails(resource, { size: 'medium' });
+  const thumbnailUrl = imageError ? null : storedThumbnailUrl;
+  
+  // Give newly generated thumbnails a chance after an earlier error
+  useEffect(() => {
+    setImageError(false);
+  }, [storedThumbnailUrl]);
 
   useEffect(() => {
     // Only run this effect if the resource ID changes or on first mount
@@ -125,20 +136,6 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
     if (!thumbnailsFetched.current && resource?.url) {
       thumbnailsFetched.current = true;
       
-      // Get thumbnail if no image_url
-      if (!resource.image_url) {
-        try {
-          // getWebsiteThumbnail returns a string directly, not a Promise
-          const thumbnailUrl = getWebsiteThumbnail(resource.url);
-          if (thumbnailUrl) {
-            setThumbnailUrl(thumbnailUrl);
-          }
-        } catch (err) {
-          console.error('Error fetching thumbnail:', err);
-          setImageError(true);
-        }
-      }
-      
       // Get favicon
       try {
         // getWebsiteFavicon is also synchronous
@@ -194,25 +191,13 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
     setIsFavorited(prev => !prev);
     
     try {
-      if (isFavorited) {
-        // Remove favorite
-        const { error } = await supabase
-          .from('favorites')
-          .delete()
-          .eq('user_id', user.id)
-          .eq('resource_id', resource.id);
-          
-        if (error) throw error;
-      } else {
-        // Add favorite
-        const { error } = await supabase
-          .from('favorites')
-          .insert({
-            user_id: user.id,
-            resource_id: resource.id
-          });
-          
-        if (error) throw error;
+      // Goes through resourceUtils so the shared store sees the new like count
+      const result = await toggleFavorite(resource.id, user.id, isFavorited);
+      if (!result.success) throw new Error(result.message);
+      
+      // Offline: the change waits in the outbox, keep the optimistic state
+      if (result.queued) {
+        toast(t('outbox.queued', 'Saved offline. Will sync when you are back online.'), { icon: '🕓' });
       }
     } catch (err) {
       console.error('Error toggling favorite:', err);
@@ -300,14 +285,12 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
   
   // Handle image error
   const handleImageError = () => {
-    setImageError(true);
-    setImageLoaded(true);
-    
-    // Clear the thumbnailUrl on error to ensure we fall back to the generated thumbnail
+    // thumbnailUrl becomes null, so we fall back to the generated thumbnail
     if (thumbnailUrl) {
       console.log(`Thumbnail error for resource: ${resource.title}`);
-      setThumbnailUrl(null);
     }
+    setImageError(true);
+    setImageLoaded(true);
   };
   
   if (!resource) return null;
@@ -344,6 +327,8 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
             <div className="relative aspect-video overflow-hidden rounded-t-xl bg-dark-300/50">
               <AutoThumbnail 
                 src={thumbnailUrl} 
+                srcSet={thumbnailSrcSet}
+                sizes="(min-width: 1024px) 33vw, (min-width: 640px) 50vw, 100vw"
                 alt={resource.title}
                 url={resource.url}
                 title={resource.title}
@@ -381,6 +366,13 @@ export default function ResourceCard({ resource: resourceProp, delay = 0 }) {
                   )}
                 </button>
                 
+                <CollectionPicker
+                  resourceId={resource.id}
+                  onFavoriteChange={setIsFavorited}
+                  buttonClassName="p-1.5 rounded-full bg-dark-100/70 backdrop-blur-sm text-white/80 hover:text-lime-accent transition-colors duration-200"
+                  iconClassName="w-4 h-4 text-white"
+                />
+                
                 <button 
                   onClick={shareResource}
                   className="p-1.5 rounded-full bg-dark-100/70 backdrop-blur-sm text-white/80 hover:text-lime-accent transition-colors duration-200"
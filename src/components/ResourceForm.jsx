@@ -0,0 +1,199 @@
+import { getAttributeSchema } from '../utils/attributeSchemas';
+import { useLanguage } from '../context/LanguageContext';
+import { useTaxonomy } from '../context/TaxonomyContext';
+import AttributeFields from './AttributeFields';
+
+/**
+ * Resource fields shared by the submit and edit pages: title, description,
+ * URL, image, category, subcategory, the category's attributes and comma
+ * separated tags.
+ * Category options come from the taxonomy; the page owns formData and submission.
+ * urlHint is rendered under the URL field (e.g. details read from the page).
+ */
+const ResourceForm = ({
+  formData,
+  setFormData,
+  onSubmit,
+  disabled = false,
+  loading = false,
+  submitLabel = null,
+  submittingLabel = null,
+  urlHint = null
+}) => {
+  const { t } = useLanguage();
+  const { taxonomy, getName, findCategory } = useTaxonomy();
+  
+  // Subcategories of the selected category
+  const filteredSubcategories = findCategory(formData.category)?.subcategories || [];
+  
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+    
+    // Reset subcategory when category changes
+    if (name === 'category') {
+      setFormData(prev => ({ ...prev, subcategory: '' }));
+    }
+  };
+  
+  return (
+    <form onSubmit={onSubmit} className="space-y-6">
+      <div>
+        <label htmlFor="title" className="block text-sm font-medium mb-1">
+          {t('submit.form.title', 'Title')} *
+        </label>
+        <input
+          id="title"
+          name="title"
+          type="text"
+          value={formData.title}
+          onChange={handleChange}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          required
+          disabled={disabled}
+        />
+      </div>
+      
+      <div>
+        <label htmlFor="description" className="block text-sm font-medium mb-1">
+          {t('submit.form.description', 'Description')} *
+        </label>
+        <textarea
+          id="description"
+          name="description"
+          value={formData.description}
+          onChange={handleChange}
+          rows={4}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          required
+          disabled={disabled}
+        />
+      </div>
+      
+      <div>
+        <label htmlFor="url" className="block text-sm font-medium mb-1">
+          {t('submit.form.url', 'URL')} *
+        </label>
+        <input
+          id="url"
+          name="url"
+          type="url"
+          value={formData.url}
+          onChange={handleChange}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          required
+          disabled={disabled}
+        />
+        {urlHint}
+      </div>
+      
+      <div>
+        <label htmlFor="image_url" className="block text-sm font-medium mb-1">
+          {t('submit.form.imageUrl', 'Image URL')}
+        </label>
+        <input
+          id="image_url"
+          name="image_url"
+          type="url"
+          value={formData.image_url}
+          onChange={handleChange}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          disabled={disabled}
+        />
+        <p className="text-white/50 text-xs mt-1">
+          {t('submit.form.imageUrlHelp', 'Optional. Leave blank to use a default image.')}
+        </p>
+      </div>
+      
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label htmlFor="category" className="block text-sm font-medium mb-1">
+            {t('submit.form.category', 'Category')} *
+          </label>
+          <select
+            id="category"
+            name="category"
+            value={formData.category}
+            onChange={handleChange}
+            className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+            required
+            disabled={disabled}
+          >
+            <option value="">{t('submit.form.selectCategory', 'Select a category')}</option>
+            {taxonomy.map((category) => (
+              <option key={category.slug} value={category.slug}>
+                {getName(category)}
+              </option>
+            ))}
+          </select>
+        </div>
+        
+        <div>
+          <label htmlFor="subcategory" className="block text-sm font-medium mb-1">
+            {t('submit.form.subcategory', 'Subcategory')}
+          </label>
+          <select
+            id="subcategory"
+            name="subcategory"
+            value={formData.subcategory}
+            onChange={handleChange}
+            className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+            disabled={!formData.category || disabled}
+          >
+            <option value="">{t('submit.form.selectSubcategory', 'Select a subcategory (optional)')}</option>
+            {filteredSubcategories.map((subcategory) => (
+              <option key={subcategory.slug} value={subcategory.slug}>
+                {getName(subcategory)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      
+      <AttributeFields
+        schema={getAttributeSchema(formData.category, formData.subcategory)}
+        values={formData.attributes || {}}
+        onChange={(attributes) => setFormData(prev => ({ ...prev, attributes }))}
+        disabled={disabled}
+      />
+      
+      <div>
+        <label htmlFor="tags" className="block text-sm font-medium mb-1">
+          {t('submit.form.tags', 'Tags')}
+        </label>
+        <input
+          id="tags"
+          name="tags"
+          type="text"
+          value={formData.tags}
+          onChange={handleChange}
+          className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          disabled={disabled}
+        />
+        <p className="text-white/50 text-xs mt-1">
+          {t('submit.form.tagsHelp', 'Separate tags with commas (e.g., design, tools, productivity)')}
+        </p>
+      </div>
+      
+      <button
+        type="submit"
+        className="btn btn-primary w-full"
+        disabled={disabled}
+      >
+        {loading ? (
+          <span className="flex items-center justify-center">
+            <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+              <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+              <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+            </svg>
+            {submittingLabel || t('submit.form.submitting', 'Submitting...')}
+          </span>
+        ) : (
+          submitLabel || t('submit.form.submit', 'Submit Resource')
+        )}
+      </button>
+    </form>
+  );
+};
+
+export default ResourceForm;
@@ -0,0 +1,117 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { formatDistanceToNow } from 'date-fns';
+import { ReplyIcon } from '@heroicons/react/outline';
+import { getResourceRevisions, revertRevision } from '../utils/resourceUtils';
+import { subscribe } from '../utils/entityStore';
+import { getErrorMessage } from '../utils/errors';
+import { useLanguage } from '../context/LanguageContext';
+import toast from 'react-hot-toast';
+
+// Show a stored field value (tags are arrays, attributes objects, cleared fields are null)
+const formatValue = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '—';
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    if (entries.length === 0) return '—';
+    return entries.map(([key, item]) => `${key}: ${formatValue(item)}`).join('; ');
+  }
+  return String(value);
+};
+
+const ResourceHistory = ({ resourceId, userId }) => {
+  const { t } = useLanguage();
+  const [revisions, setRevisions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [revertingId, setRevertingId] = useState(null);
+
+  const fetchRevisions = useCallback(async () => {
+    const result = await getResourceRevisions(resourceId);
+    setRevisions(result.data || []);
+    setIsLoading(false);
+  }, [resourceId]);
+
+  useEffect(() => {
+    setIsLoading(true);
+    fetchRevisions();
+
+    // Edits and reverts add a revision
+    return subscribe((tags) => {
+      if (tags.includes(`revisions:${resourceId}`)) fetchRevisions();
+    });
+  }, [resourceId, fetchRevisions]);
+
+  const handleRevert = async (revision) => {
+    setRevertingId(revision.id);
+    const result = await revertRevision(revision, userId);
+    setRevertingId(null);
+
+    if (result.success) {
+      toast.success(t('history.reverted', 'Revision reverted'));
+    } else {
+      toast.error(`${t('history.revertFailed', 'Failed to revert')}: ${getErrorMessage(result.error, t)}`);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="space-y-3">
+        {[1, 2].map((i) => (
+          <div key={i} className="bg-dark-300 rounded-lg p-4 animate-pulse">
+            <div className="h-3 bg-dark-400 rounded w-1/2 mb-3"></div>
+            <div className="h-3 bg-dark-400 rounded w-3/4"></div>
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  if (revisions.length === 0) {
+    return (
+      <div className="text-gray-400 p-4 text-center">
+        {t('history.empty', 'No edits yet')}
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {revisions.map((revision) => (
+        <div key={revision.id} className="bg-dark-300 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-3">
+            <div className="text-sm">
+              <span className="text-white">{revision.user?.username || t('user.anonymous', 'Anonymous')}</span>
+              <span className="text-gray-400">
+                {' · '}
+                {formatDistanceToNow(new Date(revision.created_at), { addSuffix: true })}
+              </span>
+            </div>
+            <button
+              onClick={() => handleRevert(revision)}
+              disabled={revertingId !== null}
+              className="flex items-center text-xs px-2 py-1 rounded bg-dark-400 hover:bg-dark-500 text-gray-200 transition-colors disabled:opacity-50"
+            >
+              <ReplyIcon className="w-3 h-3 mr-1" />
+              {revertingId === revision.id ? t('history.reverting', 'Reverting...') : t('history.revert', 'Revert')}
+            </button>
+          </div>
+
+          <dl className="space-y-2 text-sm">
+            {Object.entries(revision.changes || {}).map(([field, change]) => (
+              <div key={field}>
+                <dt className="text-gray-400 text-xs">{t(`history.fields.${field}`, field)}</dt>
+                <dd className="break-words">
+                  <span className="text-red-300 line-through">{formatValue(change.from)}</span>
+                  {' → '}
+                  <span className="text-[#bfff58]">{formatValue(change.to)}</span>
+                </dd>
+              </div>
+            ))}
+          </dl>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ResourceHistory;
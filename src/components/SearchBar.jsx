@@ -135,6 +135,7 @@ export default function SearchBar({ onSearch, className = '', minimal = false })
           const { data, error } = await supabase
             .from('resources')
             .select('*')
+            .eq('approved', true)
             .textSearch('title', searchQuery)
             .limit(5);
           
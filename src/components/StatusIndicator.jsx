@@ -1,62 +1,40 @@
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import supabase, { checkSupabaseConnection } from '../utils/supabase';
+import { checkSupabaseConnection } from '../utils/supabase';
+import { getConnectionHealth, subscribeConnectionHealth } from '../utils/connectionHealth';
 
 /**
  * StatusIndicator component displays the current status of:
  * 1. Server connection (by checking if the component can load)
- * 2. Supabase connection (by running a simple query)
+ * 2. Supabase connection (from the shared connection health module)
  * 
- * NOTE: This component has been modified to prevent excessive Supabase queries
+ * It never polls: every Supabase request already reports to the connection
+ * health module, and its circuit breaker schedules probes while offline.
  */
 const StatusIndicator = () => {
-  const [supabaseStatus, setSupabaseStatus] = useState('online'); // Default to online to prevent checks
+  const [health, setHealth] = useState(getConnectionHealth);
   const [serverStatus, setServerStatus] = useState('online');
-  const [lastChecked, setLastChecked] = useState(new Date()); // Set to current time
   const [isExpanded, setIsExpanded] = useState(false);
-  const [checkInProgress, setCheckInProgress] = useState(false);
-  const [manualCheckEnabled, setManualCheckEnabled] = useState(false);
+
+  // Follow connection health changes
+  useEffect(() => subscribeConnectionHealth(setHealth), []);
+
+  const supabaseStatus = health.status === 'unknown' ? 'online' : health.status;
+  const checkInProgress = health.status === 'checking';
+  const lastChecked = health.lastCheckedAt ? new Date(health.lastCheckedAt) : null;
 
   // Function to check Supabase connection - only when manually triggered
   const checkSupabaseStatus = async () => {
-    // Only allow manual checks if explicitly enabled
-    if (!manualCheckEnabled) {
-      console.log('Manual checks are disabled. Enable them first.');
-      return;
-    }
-    
     // Prevent multiple simultaneous checks
     if (checkInProgress) return;
     
     try {
-      setCheckInProgress(true);
-      setSupabaseStatus('checking');
-      
-      // Use the existing checkSupabaseConnection function
-      const isConnected = await checkSupabaseConnection(true); // Force a fresh check
-      
-      if (isConnected) {
-        setSupabaseStatus('online');
-      } else {
-        console.error('Supabase connection failed');
-        setSupabaseStatus('offline');
-      }
+      await checkSupabaseConnection(true); // Force a fresh check
     } catch (error) {
       console.error('Failed to check Supabase status:', error);
-      setSupabaseStatus('offline');
-    } finally {
-      setCheckInProgress(false);
-      // Update last checked timestamp
-      setLastChecked(new Date());
     }
   };
 
-  // No automatic checks on mount - completely disabled
-  useEffect(() => {
-    // No initial check - assume online
-    console.log('StatusIndicator: Automatic checks disabled');
-  }, []);
-
   // Format the last checked time
   const formatLastChecked = () => {
     if (!lastChecked) return 'Never';
@@ -121,23 +99,23 @@ const StatusIndicator = () => {
             <span className="text-white/70">{formatLastChecked()}</span>
           </div>
           
+          {health.state !== 'closed' && (
+            <div className="flex justify-between text-xs mt-1">
+              <span className="text-white/50">Next retry:</span>
+              <span className="text-white/70">
+                {health.nextProbeAt ? new Date(health.nextProbeAt).toLocaleTimeString() : 'Soon'}
+              </span>
+            </div>
+          )}
+          
           <div className="flex flex-col gap-2 mt-2">
-            {!manualCheckEnabled ? (
-              <button
-                onClick={() => setManualCheckEnabled(true)}
-                className="w-full py-1.5 px-2 bg-dark-300 rounded-md hover:bg-dark-400 transition-colors text-xs"
-              >
-                Enable Manual Checks
-              </button>
-            ) : (
-              <button
-                onClick={checkSupabaseStatus}
-                disabled={checkInProgress}
-                className="w-full py-1.5 px-2 bg-dark-300 rounded-md hover:bg-dark-400 transition-colors text-xs disabled:opacity-50"
-              >
-                {checkInProgress ? 'Checking...' : 'Check Now'}
-              </button>
-            )}
+            <button
+              onClick={checkSupabaseStatus}
+              disabled={checkInProgress}
+              className="w-full py-1.5 px-2 bg-dark-300 rounded-md hover:bg-dark-400 transition-colors text-xs disabled:opacity-50"
+            >
+              {checkInProgress ? 'Checking...' : 'Check Now'}
+            </button>
             
             <Link 
               to="/status"
@@ -26,7 +26,8 @@ export default function TagCloud({ tags: propTags, selectedTags, onTagClick }) {
       // Get all resources with tags
       const { data, error } = await supabase
         .from('resources')
-        .select('tags');
+        .select('tags')
+        .eq('approved', true);
         
       if (error) throw error;
       
@@ -0,0 +1,324 @@
+import { useState } from 'react';
+import { ChevronUpIcon, ChevronDownIcon, PencilIcon, SwitchHorizontalIcon, PlusIcon } from '@heroicons/react/outline';
+import { createTaxonomyNode, updateTaxonomyNode, mergeTaxonomyNodes, reorderTaxonomy } from '../utils/resourceUtils';
+import { createTaxonomySlug } from '../utils/taxonomy';
+import { moveInOrder } from '../utils/collections';
+import { useTaxonomy } from '../context/TaxonomyContext';
+import TaxonomyIcon, { TAXONOMY_ICONS } from './ui/TaxonomyIcon';
+import toast from 'react-hot-toast';
+
+const inputClass = 'w-full px-3 py-2 bg-dark-300 border border-glass-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-lime-accent/50';
+
+// Form values for a node; the Portuguese name is the only translation so far
+const toForm = (node) => ({
+  name: node.name || '',
+  slug: node.slug || '',
+  emoji: node.emoji || '',
+  icon: node.icon || '',
+  pt: node.translations?.pt || '',
+  category_id: node.category_id
+});
+
+/**
+ * Admin editor for the category taxonomy: add, edit, reorder and merge
+ * categories and subcategories. Changing a slug, moving a subcategory or
+ * merging rewrites the affected resources (see db/create_taxonomy.sql).
+ */
+export default function TaxonomyEditor() {
+  const { taxonomy, loading } = useTaxonomy();
+  const [newCategory, setNewCategory] = useState('');
+  const [newSubcategories, setNewSubcategories] = useState({});
+  const [editing, setEditing] = useState(null);
+  const [merging, setMerging] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // Run a change and report it; returns whether it succeeded
+  const run = async (change, successMessage) => {
+    setBusy(true);
+    const result = await change();
+    setBusy(false);
+
+    if (!result.success) {
+      toast.error(result.message);
+      return false;
+    }
+    toast.success(typeof successMessage === 'function' ? successMessage(result.data) : successMessage);
+    return true;
+  };
+
+  const addCategory = async (e) => {
+    e.preventDefault();
+    const name = newCategory.trim();
+    if (!createTaxonomySlug(name)) return;
+
+    const added = await run(
+      () => createTaxonomyNode('category', { name, slug: createTaxonomySlug(name) }),
+      `Added "${name}"`
+    );
+    if (added) setNewCategory('');
+  };
+
+  const addSubcategory = async (e, category) => {
+    e.preventDefault();
+    const name = (newSubcategories[category.id] || '').trim();
+    if (!createTaxonomySlug(name)) return;
+
+    const added = await run(
+      () => createTaxonomyNode('subcategory', { name, slug: createTaxonomySlug(name), category_id: category.id }),
+      `Added "${name}" to ${category.name}`
+    );
+    if (added) setNewSubcategories(prev => ({ ...prev, [category.id]: '' }));
+  };
+
+  const startEditing = (kind, node) => {
+    setMerging(null);
+    setEditing({ kind, id: node.id, form: toForm(node), translations: node.translations || {} });
+  };
+
+  const saveEditing = async (e) => {
+    e.preventDefault();
+    const { kind, id, form, translations } = editing;
+    const slug = createTaxonomySlug(form.slug || form.name);
+    if (!form.name.trim() || !slug) {
+      toast.error('A name and a slug are required');
+      return;
+    }
+
+    const changes = {
+      name: form.name.trim(),
+      slug,
+      emoji: form.emoji.trim() || null,
+      icon: form.icon || null,
+      translations: { ...translations, pt: form.pt.trim() || undefined },
+      ...(kind === 'subcategory' && { category_id: form.category_id })
+    };
+
+    const saved = await run(() => updateTaxonomyNode(kind, id, changes), `Saved "${changes.name}"`);
+    if (saved) setEditing(null);
+  };
+
+  const move = async (kind, siblings, index, offset) => {
+    const ids = siblings.map(node => node.id);
+    const next = moveInOrder(ids, index, offset);
+    if (next === ids) return;
+    await run(() => reorderTaxonomy(kind, next), 'Order saved');
+  };
+
+  const startMerging = (kind, node) => {
+    setEditing(null);
+    setMerging({ kind, id: node.id, name: node.name, targetId: '' });
+  };
+
+  const confirmMerge = async (e) => {
+    e.preventDefault();
+    const { kind, id, name, targetId } = merging;
+    const target = mergeTargets(kind, id).find(option => String(option.id) === targetId);
+    if (!target) return;
+
+    if (!window.confirm(`Merge "${name}" into "${target.label}"? Its resources move over and "${name}" is deleted.`)) {
+      return;
+    }
+
+    const merged = await run(
+      () => mergeTaxonomyNodes(kind, id, target.id),
+      (moved) => `Merged into "${target.label}", ${moved} resources moved`
+    );
+    if (merged) setMerging(null);
+  };
+
+  // Nodes of the same kind a node can be merged into
+  const mergeTargets = (kind, id) => (kind === 'category'
+    ? taxonomy.map(category => ({ id: category.id, label: category.name }))
+    : taxonomy.flatMap(category => category.subcategories.map(subcategory => ({
+      id: subcategory.id,
+      label: `${category.name} / ${subcategory.name}`
+    })))
+  ).filter(option => option.id !== id);
+
+  const setField = (field, value) => setEditing(prev => ({ ...prev, form: { ...prev.form, [field]: value } }));
+
+  const renderEditForm = () => (
+    <form onSubmit={saveEditing} className="mt-3 p-4 bg-dark-300 rounded-lg border border-glass-300 grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <label className="text-sm">
+        <span className="block text-gray-400 mb-1">Name</span>
+        <input className={inputClass} value={editing.form.name} onChange={(e) => setField('name', e.target.value)} />
+      </label>
+      <label className="text-sm">
+        <span className="block text-gray-400 mb-1">Slug (renaming it moves the resources)</span>
+        <input className={inputClass} value={editing.form.slug} onChange={(e) => setField('slug', e.target.value)} />
+      </label>
+      <label className="text-sm">
+        <span className="block text-gray-400 mb-1">Portuguese name</span>
+        <input className={inputClass} value={editing.form.pt} onChange={(e) => setField('pt', e.target.value)} />
+      </label>
+      <label className="text-sm">
+        <span className="block text-gray-400 mb-1">Emoji</span>
+        <input className={inputClass} value={editing.form.emoji} onChange={(e) => setField('emoji', e.target.value)} />
+      </label>
+      <label className="text-sm">
+        <span className="block text-gray-400 mb-1">Icon</span>
+        <select className={inputClass} value={editing.form.icon} onChange={(e) => setField('icon', e.target.value)}>
+          <option value="">None</option>
+          {Object.keys(TAXONOMY_ICONS).map(icon => (
+            <option key={icon} value={icon}>{icon}</option>
+          ))}
+        </select>
+      </label>
+      {editing.kind === 'subcategory' && (
+        <label className="text-sm">
+          <span className="block text-gray-400 mb-1">Category</span>
+          <select
+            className={inputClass}
+            value={editing.form.category_id}
+            onChange={(e) => setField('category_id', taxonomy.find(category => String(category.id) === e.target.value)?.id)}
+          >
+            {taxonomy.map(category => (
+              <option key={category.id} value={category.id}>{category.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+      <div className="sm:col-span-2 flex justify-end space-x-3">
+        <button type="button" onClick={() => setEditing(null)} className="btn btn-secondary" disabled={busy}>
+          Cancel
+        </button>
+        <button type="submit" className="btn btn-primary" disabled={busy}>
+          Save
+        </button>
+      </div>
+    </form>
+  );
+
+  const renderMergeForm = () => (
+    <form onSubmit={confirmMerge} className="mt-3 p-4 bg-dark-300 rounded-lg border border-glass-300 flex flex-wrap items-center gap-3">
+      <span className="text-sm text-gray-300">Merge "{merging.name}" into</span>
+      <select
+        className={`${inputClass} sm:w-auto flex-1`}
+        value={merging.targetId}
+        onChange={(e) => setMerging(prev => ({ ...prev, targetId: e.target.value }))}
+      >
+        <option value="">Select a {merging.kind}</option>
+        {mergeTargets(merging.kind, merging.id).map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <button type="button" onClick={() => setMerging(null)} className="btn btn-secondary" disabled={busy}>
+        Cancel
+      </button>
+      <button type="submit" className="btn btn-primary" disabled={busy || !merging.targetId}>
+        Merge
+      </button>
+    </form>
+  );
+
+  const renderNode = (kind, node, siblings, index) => {
+    const isEditing = editing?.kind === kind && editing.id === node.id;
+    const isMerging = merging?.kind === kind && merging.id === node.id;
+
+    return (
+      <div>
+        <div className="flex items-center justify-between gap-3">
+          <div className="flex items-center min-w-0">
+            {node.icon && <TaxonomyIcon name={node.icon} className="w-4 h-4 mr-2 text-lime-accent flex-shrink-0" />}
+            {node.emoji && <span className="mr-2" aria-hidden="true">{node.emoji}</span>}
+            <span className={kind === 'category' ? 'font-medium' : 'text-sm'}>{node.name}</span>
+            <span className="ml-2 text-xs text-gray-500 truncate">{node.slug}</span>
+          </div>
+          <div className="flex items-center space-x-1 flex-shrink-0">
+            <button
+              onClick={() => move(kind, siblings, index, -1)}
+              disabled={busy || index === 0}
+              className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+              aria-label="Move up"
+            >
+              <ChevronUpIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => move(kind, siblings, index, 1)}
+              disabled={busy || index === siblings.length - 1}
+              className="p-1 text-gray-400 hover:text-white disabled:opacity-30"
+              aria-label="Move down"
+            >
+              <ChevronDownIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => startEditing(kind, node)}
+              disabled={busy}
+              className="p-1 text-gray-400 hover:text-lime-accent"
+              aria-label="Edit"
+            >
+              <PencilIcon className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => startMerging(kind, node)}
+              disabled={busy}
+              className="p-1 text-gray-400 hover:text-lime-accent"
+              aria-label="Merge"
+            >
+              <SwitchHorizontalIcon className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+        {isEditing && renderEditForm()}
+        {isMerging && renderMergeForm()}
+      </div>
+    );
+  };
+
+  return (
+    <div className="glass-card p-6">
+      <h2 className="text-xl font-semibold mb-2">Taxonomy</h2>
+      <p className="text-sm text-gray-400 mb-4">
+        Categories and subcategories shown across the site. Renaming a slug, moving a subcategory
+        or merging updates the resources filed under it.
+      </p>
+
+      {loading ? (
+        <div className="flex justify-center py-8">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-lime-accent"></div>
+        </div>
+      ) : (
+        <div className="space-y-4">
+          {taxonomy.map((category, index) => (
+            <div key={category.id} className="p-4 bg-dark-200 rounded-lg border border-glass-300">
+              {renderNode('category', category, taxonomy, index)}
+
+              <div className="mt-3 ml-6 space-y-2">
+                {category.subcategories.map((subcategory, subIndex) => (
+                  <div key={subcategory.id}>
+                    {renderNode('subcategory', subcategory, category.subcategories, subIndex)}
+                  </div>
+                ))}
+
+                <form onSubmit={(e) => addSubcategory(e, category)} className="flex items-center gap-2 pt-1">
+                  <input
+                    className={inputClass}
+                    placeholder="New subcategory"
+                    value={newSubcategories[category.id] || ''}
+                    onChange={(e) => setNewSubcategories(prev => ({ ...prev, [category.id]: e.target.value }))}
+                  />
+                  <button type="submit" className="p-2 text-gray-400 hover:text-lime-accent" disabled={busy} aria-label="Add subcategory">
+                    <PlusIcon className="w-4 h-4" />
+                  </button>
+                </form>
+              </div>
+            </div>
+          ))}
+
+          <form onSubmit={addCategory} className="flex items-center gap-2">
+            <input
+              className={inputClass}
+              placeholder="New category"
+              value={newCategory}
+              onChange={(e) => setNewCategory(e.target.value)}
+            />
+            <button type="submit" className="btn btn-primary flex items-center" disabled={busy}>
+              <PlusIcon className="w-4 h-4 mr-1" />
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+}
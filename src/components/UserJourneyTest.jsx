@@ -1,6 +1,10 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import supabase from '../utils/supabase';
+import { createLocalSupabaseClient } from '../utils/memorySupabase';
+import { optimizedRequest, clearTableCache } from '../utils/requestManager';
+import { invalidateTags } from '../utils/entityStore';
+import { isLocalModeEnabled, canToggleLocalMode, setLocalModeEnabled } from '../utils/dataSources';
 import { toast } from 'react-hot-toast';
 
 const UserJourneyTest = () => {
@@ -13,7 +17,8 @@ const UserJourneyTest = () => {
     likeComment: { status: 'pending', message: 'Not tested yet' },
     unlikeRemoveComment: { status: 'pending', message: 'Not tested yet' },
     search: { status: 'pending', message: 'Not tested yet' },
-    searchInteraction: { status: 'pending', message: 'Not tested yet' }
+    searchInteraction: { status: 'pending', message: 'Not tested yet' },
+    taxonomyCache: { status: 'pending', message: 'Not tested yet' }
   });
   const [resources, setResources] = useState([]);
   const [categories, setCategories] = useState([]);
@@ -21,40 +26,39 @@ const UserJourneyTest = () => {
   const [tags, setTags] = useState([]);
   const [isRunningTests, setIsRunningTests] = useState(false);
   const [currentTest, setCurrentTest] = useState('');
-  const [isSupabaseMode, setIsSupabaseMode] = useState(false);
+  const [isSupabaseMode, setIsSupabaseMode] = useState(() => !isLocalModeEnabled());
   const [testComment, setTestComment] = useState(null);
+  // In local mode the tests run against an in-memory copy of the catalog
+  const [localClient] = useState(() => createLocalSupabaseClient());
+  const db = isSupabaseMode ? supabase : localClient;
 
   // Use a valid UUID for testing
   const TEST_USER_ID = "00000000-0000-4000-a000-000000000000";
 
-  // Check if Supabase mode is enabled
+  // Load test data for the active mode
   useEffect(() => {
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    setIsSupabaseMode(forceSupabase);
-    
-    if (forceSupabase) {
-      fetchTestData();
-    } else {
-      // Use mock data when not in Supabase mode
+    fetchTestData(db);
+
+    if (!isSupabaseMode) {
       setTestResults(prev => ({
         ...prev,
-        homepage: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        filtering: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        resourceDetails: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        navigation: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        likeComment: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        unlikeRemoveComment: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        search: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        searchInteraction: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' }
+        homepage: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        filtering: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        resourceDetails: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        navigation: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        likeComment: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        unlikeRemoveComment: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        search: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        searchInteraction: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' }
       }));
     }
   }, []);
 
   // Fetch data needed for tests
-  const fetchTestData = async () => {
+  const fetchTestData = async (client = db) => {
     try {
       // Fetch a sample of resources
-      const { data: resourcesData, error: resourcesError } = await supabase
+      const { data: resourcesData, error: resourcesError } = await client
         .from('resources')
         .select('*')
         .limit(10);
@@ -89,43 +93,38 @@ const UserJourneyTest = () => {
       }
     } catch (error) {
       console.error('Error fetching test data:', error);
-      toast.error('Failed to fetch test data from Supabase');
+      toast.error('Failed to fetch test data');
     }
   };
 
   // Toggle Supabase connection mode
   const toggleSupabaseMode = () => {
-    const newMode = !isSupabaseMode;
+    const newMode = !setLocalModeEnabled(isSupabaseMode);
     setIsSupabaseMode(newMode);
-    localStorage.setItem('forceSupabaseConnection', newMode.toString());
     
     if (newMode) {
       toast.success('Supabase mode enabled. The app will use live data.');
-      fetchTestData();
+      fetchTestData(supabase);
     } else {
       toast.success('Local data mode enabled. Connection checks disabled for performance.');
+      fetchTestData(localClient);
       // Reset test results to info state
       setTestResults(prev => ({
         ...prev,
-        homepage: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        filtering: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        resourceDetails: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        navigation: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        likeComment: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        unlikeRemoveComment: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        search: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' },
-        searchInteraction: { status: 'info', message: 'Using local data mode. Enable Supabase to run tests.' }
+        homepage: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        filtering: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        resourceDetails: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        navigation: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        likeComment: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        unlikeRemoveComment: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        search: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' },
+        searchInteraction: { status: 'info', message: 'Using local data mode. Tests will run against the in-memory database.' }
       }));
     }
   };
 
   // Run all tests
   const runAllTests = async () => {
-    if (!isSupabaseMode) {
-      toast.error('Please enable Supabase mode to run tests');
-      return;
-    }
-    
     setIsRunningTests(true);
     
     // Test homepage
@@ -152,6 +151,9 @@ const UserJourneyTest = () => {
     // Test interaction with search results
     await testSearchInteraction();
     
+    // Test that taxonomy edits reach the cached categories
+    await testTaxonomyCache();
+    
     setIsRunningTests(false);
   };
 
@@ -216,7 +218,7 @@ const UserJourneyTest = () => {
       
       // Test category filtering
       const category = categories[0];
-      const { data: categoryResources, error: categoryError } = await supabase
+      const { data: categoryResources, error: categoryError } = await db
         .from('resources')
         .select('*')
         .eq('category', category)
@@ -238,7 +240,7 @@ const UserJourneyTest = () => {
       // Test subcategory filtering if available
       if (subcategories.length > 0) {
         const subcategory = subcategories[0];
-        const { data: subcategoryResources, error: subcategoryError } = await supabase
+        const { data: subcategoryResources, error: subcategoryError } = await db
           .from('resources')
           .select('*')
           .eq('subcategory', subcategory)
@@ -262,7 +264,7 @@ const UserJourneyTest = () => {
       if (tags.length > 0) {
         const tag = tags[0];
         // Avoid using tags field directly, search in title or description instead
-        const { data: tagResources, error: tagError } = await supabase
+        const { data: tagResources, error: tagError } = await db
           .from('resources')
           .select('*')
           .or(`title.ilike.%${tag}%,description.ilike.%${tag}%`)
@@ -317,7 +319,7 @@ const UserJourneyTest = () => {
       const resource = resources[0];
       
       // Test resource details retrieval
-      const { data: resourceDetails, error: resourceError } = await supabase
+      const { data: resourceDetails, error: resourceError } = await db
         .from('resources')
         .select('*')
         .eq('id', resource.id)
@@ -337,7 +339,7 @@ const UserJourneyTest = () => {
       }
       
       // Test comments functionality
-      const { data: comments, error: commentsError } = await supabase
+      const { data: comments, error: commentsError } = await db
         .from('comments')
         .select('*')
         .eq('resource_id', resource.id)
@@ -346,7 +348,7 @@ const UserJourneyTest = () => {
       if (commentsError) throw commentsError;
       
       // Test related resources functionality
-      const { data: relatedResources, error: relatedError } = await supabase
+      const { data: relatedResources, error: relatedError } = await db
         .from('resources')
         .select('*')
         .eq('category', resource.category)
@@ -432,7 +434,7 @@ const UserJourneyTest = () => {
       const resource = resources[0];
       
       // Test adding a like - using valid UUID format
-      const { error: likeError } = await supabase
+      const { error: likeError } = await db
         .from('favorites')
         .upsert([
           { 
@@ -472,7 +474,7 @@ const UserJourneyTest = () => {
       
       // Test adding a comment
       const testCommentText = `Test comment from journey test ${Date.now()}`;
-      const { data: commentData, error: commentError } = await supabase
+      const { data: commentData, error: commentError } = await db
         .from('comments')
         .insert([
           { 
@@ -552,7 +554,7 @@ const UserJourneyTest = () => {
       const resource = resources[0];
       
       // Test removing a like - using valid UUID format
-      const { error: unlikeError } = await supabase
+      const { error: unlikeError } = await db
         .from('favorites')
         .delete()
         .eq('resource_id', resource.id)
@@ -588,7 +590,7 @@ const UserJourneyTest = () => {
       
       // Test removing the comment
       if (testComment) {
-        const { error: removeCommentError } = await supabase
+        const { error: removeCommentError } = await db
           .from('comments')
           .delete()
           .eq('id', testComment.id);
@@ -610,7 +612,7 @@ const UserJourneyTest = () => {
         }
       } else {
         // If no test comment was created, try to find and remove any test comments
-        const { data: testComments, error: findCommentsError } = await supabase
+        const { data: testComments, error: findCommentsError } = await db
           .from('comments')
           .select('*')
           .eq('resource_id', resource.id)
@@ -648,7 +650,7 @@ const UserJourneyTest = () => {
         // Remove found test comments
         if (testComments && testComments.length > 0) {
           for (const comment of testComments) {
-            const { error: deleteError } = await supabase
+            const { error: deleteError } = await db
               .from('comments')
               .delete()
               .eq('id', comment.id);
@@ -685,7 +687,7 @@ const UserJourneyTest = () => {
       const searchTerm = "figma";
       
       // Search in resources table - fix the query to handle tags as array
-      const { data: searchResults, error: searchError } = await supabase
+      const { data: searchResults, error: searchError } = await db
         .from('resources')
         .select('*')
         .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`)
@@ -740,7 +742,7 @@ const UserJourneyTest = () => {
       const searchTerm = "figma";
       
       // Search in resources table - fix the query to handle tags as array
-      const { data: searchResults, error: searchError } = await supabase
+      const { data: searchResults, error: searchError } = await db
         .from('resources')
         .select('*')
         .or(`title.ilike.%${searchTerm}%,description.ilike.%${searchTerm}%`)
@@ -763,7 +765,7 @@ const UserJourneyTest = () => {
       const resource = searchResults[0];
       
       // Test toggling like status (first unlike to ensure clean state)
-      await supabase
+      await db
         .from('favorites')
         .delete()
         .eq('resource_id', resource.id)
@@ -776,7 +778,7 @@ const UserJourneyTest = () => {
         });
       
       // Then like the resource - using valid UUID format
-      const { error: likeError } = await supabase
+      const { error: likeError } = await db
         .from('favorites')
         .upsert([
           { 
@@ -829,6 +831,51 @@ const UserJourneyTest = () => {
     }
   };
 
+  // Test that a taxonomy change drops cached category responses. Runs
+  // against a stubbed fetch, so no database is read or changed.
+  const testTaxonomyCache = async () => {
+    setCurrentTest('taxonomyCache');
+    const endpoint = '/rest/v1/categories?select=*&journey_test=taxonomy';
+    const realFetch = window.fetch;
+    let reads = 0;
+    
+    try {
+      window.fetch = async () => {
+        reads += 1;
+        return new Response(JSON.stringify([{ id: 1, slug: 'tools', name: `Tools ${reads}` }]), {
+          status: 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      };
+      
+      const [before] = await optimizedRequest(endpoint, { bypassCache: true });
+      const [cached] = await optimizedRequest(endpoint);
+      if (cached.name !== before.name) {
+        throw new Error('Categories were not served from the request cache');
+      }
+      
+      // What changeTaxonomy does after a rename, reorder or merge
+      invalidateTags(['taxonomy']);
+      const [after] = await optimizedRequest(endpoint);
+      
+      setTestResults(prev => ({
+        ...prev,
+        taxonomyCache: after.name !== before.name
+          ? { status: 'success', message: `Categories were read again after the change ("${before.name}" -> "${after.name}")` }
+          : { status: 'error', message: 'Categories were still served from the cache after a taxonomy change' }
+      }));
+    } catch (error) {
+      console.error('Error testing taxonomy cache:', error);
+      setTestResults(prev => ({
+        ...prev,
+        taxonomyCache: { status: 'error', message: `Error: ${error.message}` }
+      }));
+    } finally {
+      window.fetch = realFetch;
+      clearTableCache('categories');
+    }
+  };
+
   // Navigate to test specific pages
   const navigateToHomepage = () => {
     navigate('/');
@@ -881,25 +928,27 @@ const UserJourneyTest = () => {
         <div className="flex justify-between items-center mb-6">
           <h3 className="text-xl font-semibold">Test Results</h3>
           <div className="flex items-center gap-3">
-            <button 
-              onClick={toggleSupabaseMode}
-              className={`flex items-center px-3 py-2 rounded-lg text-sm transition-colors ${
-                isSupabaseMode
-                  ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
-                  : 'bg-dark-400 text-white/70 hover:bg-dark-500'
-              }`}
-            >
-              <span className="mr-2">
-                {isSupabaseMode ? 'Using Supabase' : 'Using Local Data'}
-              </span>
-              <span className={`w-2 h-2 rounded-full ${
-                isSupabaseMode ? 'bg-lime-accent' : 'bg-white/30'
-              }`}></span>
-            </button>
+            {canToggleLocalMode() && (
+              <button 
+                onClick={toggleSupabaseMode}
+                className={`flex items-center px-3 py-2 rounded-lg text-sm transition-colors ${
+                  isSupabaseMode
+                    ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
+                    : 'bg-dark-400 text-white/70 hover:bg-dark-500'
+                }`}
+              >
+                <span className="mr-2">
+                  {isSupabaseMode ? 'Using Supabase' : 'Using Local Data'}
+                </span>
+                <span className={`w-2 h-2 rounded-full ${
+                  isSupabaseMode ? 'bg-lime-accent' : 'bg-white/30'
+                }`}></span>
+              </button>
+            )}
             
             <button 
               onClick={runAllTests}
-              disabled={isRunningTests || !isSupabaseMode}
+              disabled={isRunningTests}
               className="px-4 py-2 bg-lime-accent text-dark-500 rounded-lg font-medium hover:bg-lime-accent/90 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {isRunningTests ? `Testing ${currentTest}...` : 'Run All Tests'}
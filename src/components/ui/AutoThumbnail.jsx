@@ -5,6 +5,8 @@ import React, { useMemo, useState } from 'react';
  * 
  * @param {Object} props
  * @param {string} props.src - URL of the thumbnail image
+ * @param {string} props.srcSet - Optional srcset with stored width variants
+ * @param {string} props.sizes - Optional sizes hint for srcSet
  * @param {string} props.alt - Alt text for the image
  * @param {string} props.url - URL of the resource
  * @param {string} props.title - The title of the resource
@@ -17,6 +19,8 @@ import React, { useMemo, useState } from 'react';
  */
 export default function AutoThumbnail({ 
   src, 
+  srcSet, 
+  sizes, 
   alt = '', 
   url = '', 
   title = 'Resource', 
@@ -204,6 +208,8 @@ export default function AutoThumbnail({
     return (
       <img 
         src={src} 
+        srcSet={srcSet}
+        sizes={srcSet ? sizes : undefined}
         alt={alt || title || 'Resource thumbnail'} 
         className={className || 'w-full h-full object-cover'}
         onError={handleImageError} 
@@ -0,0 +1,46 @@
+import {
+  BookOpenIcon,
+  CollectionIcon,
+  ColorSwatchIcon,
+  CubeIcon,
+  DesktopComputerIcon,
+  FilmIcon,
+  LightBulbIcon,
+  MusicNoteIcon,
+  PhotographIcon,
+  ShoppingBagIcon,
+  SparklesIcon,
+  TagIcon,
+  UserGroupIcon
+} from '@heroicons/react/outline';
+
+// Icons a category can use; the names are what categories.icon stores
+export const TAXONOMY_ICONS = {
+  collection: CollectionIcon,
+  cube: CubeIcon,
+  'user-group': UserGroupIcon,
+  'light-bulb': LightBulbIcon,
+  'book-open': BookOpenIcon,
+  'color-swatch': ColorSwatchIcon,
+  'desktop-computer': DesktopComputerIcon,
+  film: FilmIcon,
+  'music-note': MusicNoteIcon,
+  photograph: PhotographIcon,
+  'shopping-bag': ShoppingBagIcon,
+  sparkles: SparklesIcon,
+  tag: TagIcon
+};
+
+/**
+ * TaxonomyIcon - Displays the icon a category or subcategory was given in
+ * the taxonomy editor
+ *
+ * @param {Object} props
+ * @param {string} props.name - Key of TAXONOMY_ICONS; unknown names show a tag
+ * @param {string} props.className - Additional CSS classes
+ * @returns {JSX.Element} - A Heroicons outline icon
+ */
+export default function TaxonomyIcon({ name, className = 'w-5 h-5' }) {
+  const Icon = TAXONOMY_ICONS[name] || TagIcon;
+  return <Icon className={className} aria-hidden="true" />;
+}
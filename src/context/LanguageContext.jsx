@@ -60,20 +60,249 @@ const FALLBACK_TRANSLATIONS = {
       removeFavorite: 'Remove from favorites',
       addedToFavorites: 'Added to favorites',
       removedFromFavorites: 'Removed from favorites',
+      edit: 'Edit',
       share: {
         copied: 'Link copied to clipboard'
       }
     },
+    related: {
+      noResults: 'No related resources found',
+      tags: 'Shares tags: {{tags}}',
+      subcategory: 'Also in {{subcategory}}',
+      software: 'Also for {{software}}',
+      coFavorite: 'Favorited together by 1 person',
+      coFavorites: 'Favorited together by {{count}} people'
+    },
+    edit: {
+      title: 'Edit Resource',
+      description: 'Changes are saved to the revision history, so admins can review and revert them.',
+      save: 'Save Changes',
+      saving: 'Saving...',
+      success: 'Resource updated',
+      noChanges: 'Nothing to save',
+      notAllowed: 'Only the person who submitted this resource or an admin can edit it.',
+      errors: {
+        saveFailed: 'Failed to save changes'
+      }
+    },
+    history: {
+      title: 'Edit History',
+      empty: 'No edits yet',
+      revert: 'Revert',
+      reverting: 'Reverting...',
+      reverted: 'Revision reverted',
+      revertFailed: 'Failed to revert',
+      fields: {
+        title: 'Title',
+        description: 'Description',
+        url: 'URL',
+        image_url: 'Image',
+        category: 'Category',
+        subcategory: 'Subcategory',
+        tags: 'Tags',
+        attributes: 'Attributes'
+      }
+    },
+    attributes: {
+      notSpecified: 'Not specified',
+      fields: {
+        pricing: 'Pricing',
+        license: 'License',
+        variable: 'Variable font',
+        formats: 'Formats',
+        style: 'Style',
+        platforms: 'Platforms'
+      },
+      values: {
+        free: 'Free',
+        freemium: 'Freemium',
+        paid: 'Paid',
+        subscription: 'Subscription',
+        'one-time': 'One-time purchase',
+        'open-source': 'Open source',
+        personal: 'Personal use',
+        commercial: 'Commercial use',
+        outline: 'Outline',
+        solid: 'Solid',
+        duotone: 'Duotone',
+        flat: 'Flat',
+        '3d': '3D',
+        'hand-drawn': 'Hand-drawn',
+        web: 'Web',
+        macos: 'macOS',
+        windows: 'Windows',
+        linux: 'Linux',
+        ios: 'iOS',
+        android: 'Android',
+        figma: 'Figma',
+        adobe: 'Adobe'
+      }
+    },
+    collections: {
+      title: 'Collections',
+      yours: 'Your collections',
+      public: 'Public collections',
+      noPublic: 'No public collections yet.',
+      browse: 'Browse collections',
+      favorites: 'Favorites',
+      addTo: 'Add to collection',
+      manage: 'Manage',
+      newPlaceholder: 'New collection',
+      create: 'Create collection',
+      added: 'Added to {{title}}',
+      removed: 'Removed from {{title}}',
+      saved: 'Collection saved',
+      deleted: 'Collection deleted',
+      edit: 'Edit',
+      delete: 'Delete collection',
+      confirmDelete: 'Delete this collection? The resources themselves are kept.',
+      copyLink: 'Copy link',
+      linkCopied: 'Link copied to clipboard',
+      moveUp: 'Move up',
+      moveDown: 'Move down',
+      remove: 'Remove from collection',
+      empty: 'This collection has no resources yet.',
+      resourceCount: '{{count}} resources',
+      notFound: 'Collection not found',
+      notFoundDescription: 'It may be private, or the link may be wrong.',
+      signInRequired: 'Sign in to save resources to collections',
+      signInPrompt: 'Sign in to group resources into collections and share them.',
+      fields: {
+        title: 'Title',
+        description: 'Description',
+        cover: 'Cover image URL',
+        visibility: 'Visibility'
+      },
+      visibility: {
+        private: 'Private',
+        unlisted: 'Unlisted',
+        public: 'Public'
+      },
+      errors: {
+        load: 'Failed to load collections',
+        create: 'Failed to create collection',
+        update: 'Failed to update collection',
+        delete: 'Failed to delete collection',
+        copy: 'Could not copy the link',
+        titleRequired: 'Give the collection a title'
+      }
+    },
+    transfer: {
+      export: 'Export',
+      import: 'Import bookmarks',
+      importing: 'Importing...',
+      imported: 'Added {{count}} resources',
+      summary: '{{added}} added, {{existing}} already here, {{missing}} not in the catalog',
+      missingHint: 'These links are not in Mindy yet. Submit them to add them to the catalog:',
+      submit: 'Submit',
+      dismiss: 'Dismiss',
+      errors: {
+        read: 'Could not read that file. Use JSON, CSV or a bookmarks HTML file.',
+        empty: 'No links found in that file',
+        import: 'Import failed'
+      }
+    },
+    import: {
+      title: 'Import Links',
+      description: 'Bring in links from Raindrop, Pocket, Are.na or an awesome list. Review each one before it is submitted.',
+      signInPrompt: 'Sign in to import links from other tools.',
+      source: 'Source',
+      chooseFile: 'Choose export file',
+      checking: 'Checking for duplicates...',
+      counts: '{{total}} links, {{accepted}} accepted, {{skipped}} skipped',
+      acceptAll: 'Accept remaining',
+      skipAll: 'Skip remaining',
+      submit: 'Submit {{count}} accepted',
+      submitting: 'Submitting...',
+      submitted: '{{count}} links submitted',
+      accept: 'Accept',
+      edit: 'Edit',
+      skip: 'Skip',
+      saveRow: 'Save and accept',
+      pickCategory: 'Pick a category before accepting this link',
+      noCategory: 'No category',
+      repeated: 'Repeated in this file',
+      duplicate: 'Already in the catalog; accepting merges its tags and details into',
+      status: {
+        pending: 'To review',
+        accepted: 'Accepted',
+        skipped: 'Skipped',
+        submitted: 'Submitted',
+        merged: 'Merged',
+        failed: 'Failed'
+      },
+      errors: {
+        parse: 'Could not read that file for the selected source',
+        empty: 'No links found in that file',
+        duplicates: 'Could not check for duplicates; they will be flagged when submitted',
+        someFailed: '{{count}} links could not be submitted'
+      }
+    },
+    bulk: {
+      description: 'Paste one URL per line, or a CSV with the columns {{columns}}. Up to {{max}} rows are checked; the ones that pass are submitted for admin approval.',
+      localMode: 'Bulk submissions go to the admin queue in the database. Switch off local mode to submit them.',
+      input: 'URLs or CSV',
+      chooseFile: 'Load a file',
+      orCsv: 'or',
+      defaultCategory: 'Category for rows without one',
+      defaultSubcategory: 'Subcategory',
+      none: 'None',
+      check: 'Check rows',
+      checking: 'Checking {{current}} of {{total}}...',
+      submit: 'Submit {{count}} valid rows',
+      submitting: 'Submitting...',
+      submitted: '{{count}} resources submitted for review',
+      summary: '{{valid}} valid, {{invalid}} with errors',
+      truncated: '{{count}} rows past the limit were not read',
+      untitled: 'Untitled row',
+      status: {
+        valid: 'Valid',
+        invalid: 'Errors',
+        submitted: 'Submitted',
+        failed: 'Failed'
+      },
+      fields: {
+        title: 'Title',
+        description: 'Description',
+        url: 'URL',
+        category: 'Category',
+        subcategory: 'Subcategory'
+      },
+      errors: {
+        empty: 'Paste a CSV or at least one URL',
+        duplicates: 'Could not check for duplicates; they will be flagged when submitted',
+        someFailed: '{{count}} resources could not be submitted',
+        required: 'is required',
+        invalidUrl: 'is not an http(s) URL',
+        unknownCategory: 'is not a known category',
+        unknownSubcategory: 'is not a subcategory of this category',
+        duplicate: 'is already in the catalog',
+        repeated: 'is repeated in this list'
+      }
+    },
+    duplicates: {
+      title: 'This resource already exists',
+      description: 'Another resource links to the same page. Check it out, or use a different URL.'
+    },
     ui: {
       back: 'Back'
     },
     common: {
+      collections: 'Collections',
       backToHome: 'Back to Home',
       error: 'An error occurred'
     },
     errors: {
       resourceNotFound: 'Resource not found',
-      resourceNotFoundDesc: 'The resource you are looking for does not exist or has been removed.'
+      resourceNotFoundDesc: 'The resource you are looking for does not exist or has been removed.',
+      network: 'Network connection error. Please check your internet connection.',
+      auth: 'Your session has expired. Please sign in again.',
+      permission: 'You do not have permission to do this.',
+      notFound: 'We could not find what you were looking for.',
+      missingTable: 'The database is not set up yet. Please try again later.',
+      validation: 'Some of the information is invalid. Please check it and try again.',
+      rateLimit: 'Too many requests. Please wait a moment and try again.',
+      unknown: 'Something went wrong. Please try again.'
     },
     auth: {
       signInRequired: 'Sign in required to perform this action'
@@ -99,6 +328,11 @@ const FALLBACK_TRANSLATIONS = {
         filterResources: 'Filtrar Recursos',
         trendingResources: 'Recursos em Destaque',
         recentUploads: 'Uploads Recentes',
+        forYou: 'Para você',
+        forYouSubtitle: 'Com base nos seus favoritos e visualizações',
+        forYouColdStart: 'Favorite alguns recursos para personalizar esta seção',
+        trendingThisWeek: 'Em alta esta semana',
+        trendingInCategory: 'Em alta em {{category}}',
         software: 'Software'
       },
       filters: {
@@ -183,21 +417,250 @@ const FALLBACK_TRANSLATIONS = {
       removeFavorite: 'Remover dos favoritos',
       addedToFavorites: 'Adicionado aos favoritos',
       removedFromFavorites: 'Removido dos favoritos',
+      edit: 'Editar',
       share: {
         copied: 'Link copiado para a área de transferência'
       }
     },
+    related: {
+      noResults: 'Nenhum recurso relacionado encontrado',
+      tags: 'Tags em comum: {{tags}}',
+      subcategory: 'Também em {{subcategory}}',
+      software: 'Também para {{software}}',
+      coFavorite: 'Favoritado junto por 1 pessoa',
+      coFavorites: 'Favoritado junto por {{count}} pessoas'
+    },
+    edit: {
+      title: 'Editar Recurso',
+      description: 'As alterações ficam no histórico de revisões, para que administradores possam revisá-las e revertê-las.',
+      save: 'Salvar Alterações',
+      saving: 'Salvando...',
+      success: 'Recurso atualizado',
+      noChanges: 'Nada para salvar',
+      notAllowed: 'Somente quem enviou este recurso ou um administrador pode editá-lo.',
+      errors: {
+        saveFailed: 'Falha ao salvar as alterações'
+      }
+    },
+    history: {
+      title: 'Histórico de Edições',
+      empty: 'Nenhuma edição ainda',
+      revert: 'Reverter',
+      reverting: 'Revertendo...',
+      reverted: 'Revisão revertida',
+      revertFailed: 'Falha ao reverter',
+      fields: {
+        title: 'Título',
+        description: 'Descrição',
+        url: 'URL',
+        image_url: 'Imagem',
+        category: 'Categoria',
+        subcategory: 'Subcategoria',
+        tags: 'Tags',
+        attributes: 'Atributos'
+      }
+    },
+    attributes: {
+      notSpecified: 'Não informado',
+      fields: {
+        pricing: 'Preço',
+        license: 'Licença',
+        variable: 'Fonte variável',
+        formats: 'Formatos',
+        style: 'Estilo',
+        platforms: 'Plataformas'
+      },
+      values: {
+        free: 'Gratuito',
+        freemium: 'Freemium',
+        paid: 'Pago',
+        subscription: 'Assinatura',
+        'one-time': 'Compra única',
+        'open-source': 'Código aberto',
+        personal: 'Uso pessoal',
+        commercial: 'Uso comercial',
+        outline: 'Contorno',
+        solid: 'Sólido',
+        duotone: 'Duotone',
+        flat: 'Flat',
+        '3d': '3D',
+        'hand-drawn': 'Desenhado à mão',
+        web: 'Web',
+        macos: 'macOS',
+        windows: 'Windows',
+        linux: 'Linux',
+        ios: 'iOS',
+        android: 'Android',
+        figma: 'Figma',
+        adobe: 'Adobe'
+      }
+    },
+    collections: {
+      title: 'Coleções',
+      yours: 'Suas coleções',
+      public: 'Coleções públicas',
+      noPublic: 'Ainda não há coleções públicas.',
+      browse: 'Ver coleções',
+      favorites: 'Favoritos',
+      addTo: 'Adicionar à coleção',
+      manage: 'Gerenciar',
+      newPlaceholder: 'Nova coleção',
+      create: 'Criar coleção',
+      added: 'Adicionado a {{title}}',
+      removed: 'Removido de {{title}}',
+      saved: 'Coleção salva',
+      deleted: 'Coleção excluída',
+      edit: 'Editar',
+      delete: 'Excluir coleção',
+      confirmDelete: 'Excluir esta coleção? Os recursos em si são mantidos.',
+      copyLink: 'Copiar link',
+      linkCopied: 'Link copiado para a área de transferência',
+      moveUp: 'Mover para cima',
+      moveDown: 'Mover para baixo',
+      remove: 'Remover da coleção',
+      empty: 'Esta coleção ainda não tem recursos.',
+      resourceCount: '{{count}} recursos',
+      notFound: 'Coleção não encontrada',
+      notFoundDescription: 'Ela pode ser privada, ou o link pode estar errado.',
+      signInRequired: 'Entre para salvar recursos em coleções',
+      signInPrompt: 'Entre para agrupar recursos em coleções e compartilhá-las.',
+      fields: {
+        title: 'Título',
+        description: 'Descrição',
+        cover: 'URL da imagem de capa',
+        visibility: 'Visibilidade'
+      },
+      visibility: {
+        private: 'Privada',
+        unlisted: 'Não listada',
+        public: 'Pública'
+      },
+      errors: {
+        load: 'Falha ao carregar coleções',
+        create: 'Falha ao criar coleção',
+        update: 'Falha ao atualizar coleção',
+        delete: 'Falha ao excluir coleção',
+        copy: 'Não foi possível copiar o link',
+        titleRequired: 'Dê um título à coleção'
+      }
+    },
+    transfer: {
+      export: 'Exportar',
+      import: 'Importar favoritos',
+      importing: 'Importando...',
+      imported: '{{count}} recursos adicionados',
+      summary: '{{added}} adicionados, {{existing}} já estavam aqui, {{missing}} fora do catálogo',
+      missingHint: 'Estes links ainda não estão no Mindy. Envie-os para adicioná-los ao catálogo:',
+      submit: 'Enviar',
+      dismiss: 'Fechar',
+      errors: {
+        read: 'Não foi possível ler o arquivo. Use JSON, CSV ou um arquivo HTML de favoritos.',
+        empty: 'Nenhum link encontrado no arquivo',
+        import: 'Falha na importação'
+      }
+    },
+    import: {
+      title: 'Importar Links',
+      description: 'Traga links do Raindrop, Pocket, Are.na ou de uma lista awesome. Revise cada um antes de enviá-lo.',
+      signInPrompt: 'Entre para importar links de outras ferramentas.',
+      source: 'Origem',
+      chooseFile: 'Escolher arquivo exportado',
+      checking: 'Verificando duplicados...',
+      counts: '{{total}} links, {{accepted}} aceitos, {{skipped}} ignorados',
+      acceptAll: 'Aceitar restantes',
+      skipAll: 'Ignorar restantes',
+      submit: 'Enviar {{count}} aceitos',
+      submitting: 'Enviando...',
+      submitted: '{{count}} links enviados',
+      accept: 'Aceitar',
+      edit: 'Editar',
+      skip: 'Ignorar',
+      saveRow: 'Salvar e aceitar',
+      pickCategory: 'Escolha uma categoria antes de aceitar este link',
+      noCategory: 'Sem categoria',
+      repeated: 'Repetido neste arquivo',
+      duplicate: 'Já está no catálogo; aceitar mescla as tags e detalhes em',
+      status: {
+        pending: 'A revisar',
+        accepted: 'Aceito',
+        skipped: 'Ignorado',
+        submitted: 'Enviado',
+        merged: 'Mesclado',
+        failed: 'Falhou'
+      },
+      errors: {
+        parse: 'Não foi possível ler o arquivo para a origem selecionada',
+        empty: 'Nenhum link encontrado no arquivo',
+        duplicates: 'Não foi possível verificar duplicados; eles serão sinalizados no envio',
+        someFailed: '{{count}} links não puderam ser enviados'
+      }
+    },
+    bulk: {
+      description: 'Cole uma URL por linha, ou um CSV com as colunas {{columns}}. Até {{max}} linhas são verificadas; as válidas são enviadas para aprovação de um administrador.',
+      localMode: 'Envios em lote vão para a fila de aprovação no banco de dados. Desative o modo local para enviá-los.',
+      input: 'URLs ou CSV',
+      chooseFile: 'Carregar arquivo',
+      orCsv: 'ou',
+      defaultCategory: 'Categoria para linhas sem categoria',
+      defaultSubcategory: 'Subcategoria',
+      none: 'Nenhuma',
+      check: 'Verificar linhas',
+      checking: 'Verificando {{current}} de {{total}}...',
+      submit: 'Enviar {{count}} linhas válidas',
+      submitting: 'Enviando...',
+      submitted: '{{count}} recursos enviados para revisão',
+      summary: '{{valid}} válidas, {{invalid}} com erros',
+      truncated: '{{count}} linhas além do limite não foram lidas',
+      untitled: 'Linha sem título',
+      status: {
+        valid: 'Válida',
+        invalid: 'Erros',
+        submitted: 'Enviada',
+        failed: 'Falhou'
+      },
+      fields: {
+        title: 'Título',
+        description: 'Descrição',
+        url: 'URL',
+        category: 'Categoria',
+        subcategory: 'Subcategoria'
+      },
+      errors: {
+        empty: 'Cole um CSV ou pelo menos uma URL',
+        duplicates: 'Não foi possível verificar duplicatas; elas serão sinalizadas no envio',
+        someFailed: '{{count}} recursos não puderam ser enviados',
+        required: 'é obrigatório',
+        invalidUrl: 'não é uma URL http(s)',
+        unknownCategory: 'não é uma categoria conhecida',
+        unknownSubcategory: 'não é uma subcategoria desta categoria',
+        duplicate: 'já está no catálogo',
+        repeated: 'está repetida nesta lista'
+      }
+    },
+    duplicates: {
+      title: 'Este recurso já existe',
+      description: 'Outro recurso aponta para a mesma página. Confira, ou use uma URL diferente.'
+    },
     ui: {
       back: 'Voltar'
     },
     common: {
+      collections: 'Coleções',
       backToHome: 'Voltar para a Página Inicial',
       error: 'Ocorreu um erro',
       viewAll: 'Ver todos'
     },
     errors: {
       resourceNotFound: 'Recurso não encontrado',
-      resourceNotFoundDesc: 'O recurso que você está procurando não existe ou foi removido.'
+      resourceNotFoundDesc: 'O recurso que você está procurando não existe ou foi removido.',
+      network: 'Erro de conexão. Verifique sua conexão com a internet.',
+      auth: 'Sua sessão expirou. Faça login novamente.',
+      permission: 'Você não tem permissão para fazer isso.',
+      notFound: 'Não encontramos o que você estava procurando.',
+      missingTable: 'O banco de dados ainda não está configurado. Tente novamente mais tarde.',
+      validation: 'Algumas informações são inválidas. Verifique e tente novamente.',
+      rateLimit: 'Muitas solicitações. Aguarde um momento e tente novamente.',
+      unknown: 'Algo deu errado. Tente novamente.'
     },
     auth: {
       signInRequired: 'É necessário fazer login para realizar esta ação'
@@ -0,0 +1,61 @@
+import { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import { getTaxonomy } from '../utils/resourceUtils';
+import { subscribe } from '../utils/entityStore';
+import { DEFAULT_TAXONOMY, findCategory, findSubcategory, getLocalizedName } from '../utils/taxonomy';
+import { useLanguage } from './LanguageContext';
+
+const TaxonomyContext = createContext();
+
+// Custom hook for using the context
+export const useTaxonomy = () => {
+  const context = useContext(TaxonomyContext);
+  if (!context) {
+    throw new Error('useTaxonomy must be used within a TaxonomyProvider');
+  }
+  return context;
+};
+
+/**
+ * Shares the category taxonomy (see utils/taxonomy.js) with every page.
+ * Shows the bundled default until the tables are read, and reloads when an
+ * admin edit invalidates the 'taxonomy' tag.
+ */
+export const TaxonomyProvider = ({ children }) => {
+  const { currentLanguage } = useLanguage();
+  const [taxonomy, setTaxonomy] = useState(DEFAULT_TAXONOMY);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadTaxonomy = useCallback(async () => {
+    const result = await getTaxonomy();
+    setTaxonomy(result.data);
+    setError(result.success ? null : result.message);
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    loadTaxonomy();
+    return subscribe(tags => {
+      if (tags.includes('taxonomy')) loadTaxonomy();
+    });
+  }, [loadTaxonomy]);
+
+  const value = useMemo(() => ({
+    taxonomy,
+    loading,
+    error,
+    reload: loadTaxonomy,
+    // Name in the current language
+    getName: (node) => getLocalizedName(node, currentLanguage.code),
+    findCategory: (categorySlug) => findCategory(categorySlug, taxonomy),
+    findSubcategory: (categorySlug, subcategorySlug) => findSubcategory(categorySlug, subcategorySlug, taxonomy)
+  }), [taxonomy, loading, error, loadTaxonomy, currentLanguage.code]);
+
+  return (
+    <TaxonomyContext.Provider value={value}>
+      {children}
+    </TaxonomyContext.Provider>
+  );
+};
+
+export default TaxonomyContext;
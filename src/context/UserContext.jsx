@@ -1,5 +1,7 @@
 import { createContext, useContext, useState, useEffect } from 'react';
 import supabase, { handleSupabaseError } from '../utils/supabase';
+import { isLocalModeEnabled } from '../utils/dataSources';
+import { authorLoader } from '../utils/authorLoader';
 import toast from 'react-hot-toast';
 
 const UserContext = createContext();
@@ -23,8 +25,7 @@ export const UserProvider = ({ children }) => {
     if (!userId) return;
     
     // Skip Supabase request if in local mode
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    if (!forceSupabase) {
+    if (isLocalModeEnabled()) {
       // Create a mock profile
       const mockProfile = {
         id: userId,
@@ -237,8 +238,7 @@ export const UserProvider = ({ children }) => {
     if (!user) return { success: false, error: 'Not authenticated' };
     
     // Skip Supabase request if in local mode
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    if (!forceSupabase) {
+    if (isLocalModeEnabled()) {
       // Update local state only
       const updatedProfile = { ...profile, ...profileData, updated_at: new Date().toISOString() };
       setProfile(updatedProfile);
@@ -299,6 +299,9 @@ export const UserProvider = ({ children }) => {
       
       console.log("Profile updated successfully");
       
+      // Make comment and resource lists pick up the new name/avatar
+      authorLoader.invalidate(user.id);
+      
       // Update local state - but keep any fields that weren't in the database
       setProfile({ ...profile, ...profileData });
       toast.success('Profile updated successfully');
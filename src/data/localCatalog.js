@@ -0,0 +1,65 @@
+import { v5 as uuidv5 } from 'uuid';
+import catalogCsv from '../../database-content.csv?raw';
+import sampleResources from './resources.json';
+import { parseCsv, splitTags } from '../utils/csvUtils';
+import { canonicalizeUrl } from '../utils/urlUtils';
+import { attributesFromTags } from '../utils/attributeSchemas';
+
+/**
+ * Offline copy of the resource catalog, built from database-content.csv
+ * (the same file import-to-supabase.js seeds the database with) plus the
+ * entries in resources.json.
+ */
+
+// Rows get a fixed timestamp so ordering is stable between reloads
+const CATALOG_EPOCH = Date.parse('2024-01-01T00:00:00.000Z');
+
+// Derive a stable UUID from the URL so /resource/:id links survive reloads
+export const localResourceId = (url) => uuidv5(url, uuidv5.URL);
+
+const toResource = (row, index) => {
+  const createdAt = row.created_at || new Date(CATALOG_EPOCH + index * 60 * 60 * 1000).toISOString();
+  const tags = splitTags(row.tags);
+
+  return {
+    id: localResourceId(row.url),
+    title: row.title,
+    description: row.description || '',
+    url: row.url,
+    canonical_url: canonicalizeUrl(row.url),
+    image_url: row.image_url || row.image || null,
+    category: row.category || null,
+    subcategory: row.subcategory || null,
+    tags,
+    attributes: attributesFromTags(tags, row.category, row.subcategory, row.attributes),
+    user_id: null,
+    featured: false,
+    likes_count: 0,
+    views_count: 0,
+    created_at: createdAt,
+    updated_at: createdAt
+  };
+};
+
+/**
+ * Build a fresh copy of the catalog. Each call returns new objects so
+ * callers can mutate them freely.
+ *
+ * @returns {Array<Object>} Resources in the same shape as the `resources` table
+ */
+export const loadLocalCatalog = () => {
+  const rows = [...parseCsv(catalogCsv), ...sampleResources];
+  const seen = new Set();
+
+  return rows
+    .filter(row => row.url && row.title)
+    .map(toResource)
+    // Keep the first of any rows that link to the same page
+    .filter(resource => {
+      if (seen.has(resource.canonical_url)) return false;
+      seen.add(resource.canonical_url);
+      return true;
+    });
+};
+
+export default loadLocalCatalog;
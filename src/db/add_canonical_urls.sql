@@ -0,0 +1,78 @@
+-- Canonical URLs for duplicate detection
+-- resources.canonical_url holds the URL normalized by canonicalize_url(), so
+-- submissions and imports can find an existing resource for the same page
+-- however its link was typed (protocol, www., trailing slash, utm_* and other
+-- tracking parameters, letter case).
+-- src/utils/urlUtils.js implements the same rules; keep the two in step.
+
+CREATE OR REPLACE FUNCTION canonicalize_url(raw TEXT)
+RETURNS TEXT
+LANGUAGE plpgsql
+IMMUTABLE
+AS $$
+DECLARE
+  value TEXT;
+  base TEXT;
+  query TEXT := '';
+  params TEXT[];
+BEGIN
+  value := lower(trim(raw));
+  IF value IS NULL OR value = '' THEN
+    RETURN NULL;
+  END IF;
+
+  value := split_part(value, '#', 1);
+  value := regexp_replace(value, '^[a-z][a-z0-9+.-]*://', '');
+  value := regexp_replace(value, '^www\.', '');
+
+  base := split_part(value, '?', 1);
+  IF position('?' IN value) > 0 THEN
+    query := substr(value, position('?' IN value) + 1);
+  END IF;
+
+  base := regexp_replace(base, '^([^/]+):(80|443)(/|$)', '\1\3');
+  base := regexp_replace(base, '/+$', '');
+  IF base = '' THEN
+    RETURN NULL;
+  END IF;
+
+  SELECT array_agg(param ORDER BY param COLLATE "C") INTO params
+  FROM unnest(string_to_array(query, '&')) AS param
+  WHERE param <> ''
+    AND split_part(param, '=', 1) NOT LIKE 'utm\_%'
+    AND split_part(param, '=', 1) <> ALL (ARRAY[
+      'recommended_by', 'ref', 'ref_src', 'fbclid', 'gclid', 'dclid',
+      'msclkid', 'mc_cid', 'mc_eid', 'igshid', '_hsenc', '_hsmi'
+    ]);
+
+  RETURN 'https://' || base || COALESCE('?' || array_to_string(params, '&'), '');
+END;
+$$;
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS canonical_url TEXT;
+
+-- Keep canonical_url in step with url on every insert and edit
+CREATE OR REPLACE FUNCTION set_resource_canonical_url()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.canonical_url := canonicalize_url(NEW.url);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_canonical_url_trigger ON resources;
+CREATE TRIGGER resource_canonical_url_trigger
+BEFORE INSERT OR UPDATE OF url ON resources
+FOR EACH ROW EXECUTE FUNCTION set_resource_canonical_url();
+
+-- Backfill existing rows
+UPDATE resources
+SET canonical_url = canonicalize_url(url)
+WHERE canonical_url IS DISTINCT FROM canonicalize_url(url);
+
+-- Not unique: the existing catalog may already hold duplicates to clean up
+CREATE INDEX IF NOT EXISTS resources_canonical_url_idx ON resources (canonical_url);
+
+GRANT EXECUTE ON FUNCTION canonicalize_url TO anon, authenticated;
@@ -0,0 +1,22 @@
+-- Indexes and policies for related resources and the "For you" rail
+-- Both read a user's favorites and views newest first, and related
+-- resources look up everyone who favorited a resource
+
+CREATE INDEX IF NOT EXISTS favorites_user_id_created_at_idx
+ON favorites (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS favorites_resource_id_idx
+ON favorites (resource_id);
+
+CREATE INDEX IF NOT EXISTS resource_views_user_id_created_at_idx
+ON resource_views (user_id, created_at DESC);
+
+-- Tag overlap queries (tags && '{...}')
+CREATE INDEX IF NOT EXISTS resources_tags_idx
+ON resources USING GIN (tags);
+
+-- Let signed-in users read their own view history when RLS is enabled
+DROP POLICY IF EXISTS "Users can view their own view history" ON resource_views;
+CREATE POLICY "Users can view their own view history"
+ON resource_views FOR SELECT
+USING (auth.uid() = user_id);
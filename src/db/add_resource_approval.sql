@@ -0,0 +1,58 @@
+-- Admin approval for submitted resources
+-- resources.approved is false while a submission waits in the admin queue
+-- (AdminPage). Existing resources stay approved; everything users submit
+-- from now on starts unapproved, and only admins (or the service role, as
+-- in import-to-supabase.js) can insert approved resources.
+-- Listings, counts and trending only include approved resources; the
+-- policy below also hides other users' pending rows everywhere else.
+-- Needs is_admin() from create_resource_revisions.sql.
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS approved BOOLEAN NOT NULL DEFAULT true;
+
+-- Adding the column approved the existing rows; new ones wait for an admin
+ALTER TABLE resources ALTER COLUMN approved SET DEFAULT false;
+
+-- The admin queue lists unapproved resources, newest first
+CREATE INDEX IF NOT EXISTS resources_pending_idx
+ON resources (created_at DESC)
+WHERE NOT approved;
+
+-- Unapproved resources are only visible to their submitter and to admins.
+-- Restrictive, so it narrows whatever SELECT policies already exist.
+DROP POLICY IF EXISTS "Unapproved resources are visible to submitters and admins" ON resources;
+CREATE POLICY "Unapproved resources are visible to submitters and admins"
+ON resources AS RESTRICTIVE FOR SELECT
+USING (approved OR auth.uid() = user_id OR is_admin());
+
+-- Rejecting a submission deletes it
+DROP POLICY IF EXISTS "Admins can delete resources" ON resources;
+CREATE POLICY "Admins can delete resources"
+ON resources FOR DELETE
+TO authenticated
+USING (is_admin());
+
+-- Submitters can edit their pending resources, but only admins approve them.
+-- Inserts by other users always get the column default (pending).
+CREATE OR REPLACE FUNCTION guard_resource_approval()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  -- The service role and admins decide for themselves
+  IF current_user NOT IN ('anon', 'authenticated') OR is_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    NEW.approved := false;
+  ELSIF NEW.approved AND NOT OLD.approved THEN
+    RAISE EXCEPTION 'Only admins can approve resources';
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_approval_guard_trigger ON resources;
+CREATE TRIGGER resource_approval_guard_trigger
+BEFORE INSERT OR UPDATE OF approved ON resources
+FOR EACH ROW EXECUTE FUNCTION guard_resource_approval();
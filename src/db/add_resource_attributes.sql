@@ -0,0 +1,13 @@
+-- Structured resource attributes
+-- resources.attributes holds category-specific facts as jsonb, e.g.
+--   { "license": "commercial", "pricing": "free", "variable": true }
+--   { "formats": ["svg", "figma"], "style": "outline" }
+-- The schema for each category lives in src/utils/attributeSchemas.js.
+-- migrate-attributes.js fills the column in from tags such as free,
+-- commercial and figma.
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS attributes jsonb NOT NULL DEFAULT '{}'::jsonb;
+
+-- Facet filters query with containment (attributes @> '{"pricing": "free"}')
+CREATE INDEX IF NOT EXISTS resources_attributes_idx
+ON resources USING GIN (attributes jsonb_path_ops);
@@ -0,0 +1,8 @@
+-- Indexes for keyset (cursor) pagination on resources
+-- Pages are ordered by (created_at, id), optionally within a category
+
+CREATE INDEX IF NOT EXISTS resources_created_at_id_idx
+ON resources (created_at DESC, id DESC);
+
+CREATE INDEX IF NOT EXISTS resources_category_created_at_id_idx
+ON resources (category, created_at DESC, id DESC);
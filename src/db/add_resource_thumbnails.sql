@@ -0,0 +1,42 @@
+-- Self-hosted resource thumbnails
+-- api/thumbnails.js resolves one image per resource (its image_url, the
+-- page's og:image or a screenshot), stores width variants in the public
+-- `thumbnails` bucket and records them on the resource:
+--   { "status": "ready", "source": "og:image", "widths": { "320": url, ... }, "generated_at": ... }
+--   { "status": "failed", "error": "...", "generated_at": ... }
+-- NULL means no thumbnails have been made yet.
+
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS thumbnails jsonb;
+
+-- Public bucket; only the service role (used by api/thumbnails.js) writes to it
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('thumbnails', 'thumbnails', true)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Thumbnails are publicly readable" ON storage.objects;
+CREATE POLICY "Thumbnails are publicly readable"
+ON storage.objects FOR SELECT
+USING (bucket_id = 'thumbnails');
+
+-- A new URL or image makes the stored thumbnails stale
+CREATE OR REPLACE FUNCTION reset_resource_thumbnails()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF OLD.url IS DISTINCT FROM NEW.url OR OLD.image_url IS DISTINCT FROM NEW.image_url THEN
+    NEW.thumbnails := NULL;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_thumbnails_reset_trigger ON resources;
+CREATE TRIGGER resource_thumbnails_reset_trigger
+BEFORE UPDATE OF url, image_url ON resources
+FOR EACH ROW EXECUTE FUNCTION reset_resource_thumbnails();
+
+-- Lets a backfill find resources still without thumbnails
+CREATE INDEX IF NOT EXISTS resources_thumbnails_missing_idx
+ON resources (created_at)
+WHERE thumbnails IS NULL;
@@ -0,0 +1,51 @@
+-- Denormalized view counter on resources
+-- Lets resource lists read view counts in the same query instead of
+-- running one COUNT(*) on resource_views per resource
+
+-- Make sure the views table exists
+CREATE TABLE IF NOT EXISTS resource_views (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  resource_id uuid REFERENCES resources(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS resource_views_resource_id_idx ON resource_views(resource_id);
+
+-- Add the counter column
+ALTER TABLE resources ADD COLUMN IF NOT EXISTS views_count INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill from existing views
+UPDATE resources r
+SET views_count = v.total
+FROM (
+  SELECT resource_id, COUNT(*)::INTEGER AS total
+  FROM resource_views
+  GROUP BY resource_id
+) v
+WHERE r.id = v.resource_id;
+
+-- Keep the counter in sync. SECURITY DEFINER so anonymous viewers can
+-- bump the counter without UPDATE rights on resources.
+CREATE OR REPLACE FUNCTION sync_resource_views_count()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE resources SET views_count = views_count + 1 WHERE id = NEW.resource_id;
+    RETURN NEW;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE resources SET views_count = GREATEST(views_count - 1, 0) WHERE id = OLD.resource_id;
+    RETURN OLD;
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_views_count_trigger ON resource_views;
+CREATE TRIGGER resource_views_count_trigger
+AFTER INSERT OR DELETE ON resource_views
+FOR EACH ROW EXECUTE FUNCTION sync_resource_views_count();
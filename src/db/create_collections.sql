@@ -0,0 +1,249 @@
+-- User collections (boards) shared at /c/:slug
+-- Each collection has a title, description, optional cover, an ordered list
+-- of resources and a visibility: private (owner only), unlisted (anyone with
+-- the link, through get_shared_collection) or public (also listed).
+--
+-- Every user's favorites are their default collection. Triggers keep the two
+-- in step both ways, so likes, trending and recommendations keep reading the
+-- favorites table. src/utils/collections.js describes the same rules.
+
+CREATE TABLE IF NOT EXISTS collections (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  user_id uuid REFERENCES auth.users(id) ON DELETE CASCADE NOT NULL,
+  title text NOT NULL,
+  slug text NOT NULL UNIQUE,
+  description text,
+  cover_url text,
+  visibility text NOT NULL DEFAULT 'private' CHECK (visibility IN ('private', 'unlisted', 'public')),
+  is_default boolean NOT NULL DEFAULT false,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  updated_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS collection_items (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  collection_id uuid REFERENCES collections(id) ON DELETE CASCADE NOT NULL,
+  resource_id uuid REFERENCES resources(id) ON DELETE CASCADE NOT NULL,
+  position integer NOT NULL DEFAULT 0,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL,
+  UNIQUE (collection_id, resource_id)
+);
+
+-- One default collection per user
+CREATE UNIQUE INDEX IF NOT EXISTS collections_one_default_per_user_idx
+ON collections (user_id)
+WHERE is_default;
+
+CREATE INDEX IF NOT EXISTS collections_public_updated_at_idx
+ON collections (updated_at DESC)
+WHERE visibility = 'public';
+
+CREATE INDEX IF NOT EXISTS collection_items_collection_position_idx
+ON collection_items (collection_id, position);
+
+-- The user's default collection, created on first use
+CREATE OR REPLACE FUNCTION ensure_default_collection(owner uuid)
+RETURNS uuid
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  collection_id uuid;
+BEGIN
+  SELECT id INTO collection_id FROM collections WHERE user_id = owner AND is_default;
+
+  IF collection_id IS NULL THEN
+    INSERT INTO collections (user_id, title, slug, visibility, is_default)
+    VALUES (owner, 'Favorites', 'favorites-' || substr(md5(random()::text || owner::text), 1, 10), 'private', true)
+    ON CONFLICT DO NOTHING;
+
+    SELECT id INTO collection_id FROM collections WHERE user_id = owner AND is_default;
+  END IF;
+
+  RETURN collection_id;
+END;
+$$;
+
+-- Only the triggers below create default collections
+REVOKE EXECUTE ON FUNCTION ensure_default_collection(uuid) FROM PUBLIC, anon, authenticated;
+
+-- Favoriting adds the resource to the end of the default collection
+CREATE OR REPLACE FUNCTION add_favorite_to_default_collection()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  target uuid := ensure_default_collection(NEW.user_id);
+BEGIN
+  INSERT INTO collection_items (collection_id, resource_id, position)
+  SELECT target, NEW.resource_id, COALESCE(MAX(position), -1) + 1
+  FROM collection_items
+  WHERE collection_id = target
+  ON CONFLICT (collection_id, resource_id) DO NOTHING;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS favorites_default_collection_insert_trigger ON favorites;
+CREATE TRIGGER favorites_default_collection_insert_trigger
+AFTER INSERT ON favorites
+FOR EACH ROW EXECUTE FUNCTION add_favorite_to_default_collection();
+
+-- Unfavoriting removes it from the default collection
+CREATE OR REPLACE FUNCTION remove_favorite_from_default_collection()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  DELETE FROM collection_items i
+  USING collections c
+  WHERE i.collection_id = c.id
+    AND c.user_id = OLD.user_id
+    AND c.is_default
+    AND i.resource_id = OLD.resource_id;
+
+  RETURN OLD;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS favorites_default_collection_delete_trigger ON favorites;
+CREATE TRIGGER favorites_default_collection_delete_trigger
+AFTER DELETE ON favorites
+FOR EACH ROW EXECUTE FUNCTION remove_favorite_from_default_collection();
+
+-- Adding to or removing from the default collection favorites or unfavorites
+CREATE OR REPLACE FUNCTION sync_default_collection_favorite()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  item collection_items;
+  owner uuid;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    item := NEW;
+  ELSE
+    item := OLD;
+  END IF;
+
+  SELECT user_id INTO owner FROM collections WHERE id = item.collection_id AND is_default;
+  IF owner IS NULL THEN
+    RETURN item;
+  END IF;
+
+  IF TG_OP = 'INSERT' THEN
+    INSERT INTO favorites (user_id, resource_id)
+    VALUES (owner, item.resource_id)
+    ON CONFLICT (user_id, resource_id) DO NOTHING;
+  ELSE
+    DELETE FROM favorites WHERE user_id = owner AND resource_id = item.resource_id;
+  END IF;
+
+  RETURN item;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS collection_items_favorite_sync_trigger ON collection_items;
+CREATE TRIGGER collection_items_favorite_sync_trigger
+AFTER INSERT OR DELETE ON collection_items
+FOR EACH ROW EXECUTE FUNCTION sync_default_collection_favorite();
+
+-- Existing favorites become each user's default collection, oldest first
+DO $$
+DECLARE
+  owner uuid;
+BEGIN
+  FOR owner IN SELECT DISTINCT user_id FROM favorites LOOP
+    PERFORM ensure_default_collection(owner);
+  END LOOP;
+END;
+$$;
+
+INSERT INTO collection_items (collection_id, resource_id, position, created_at)
+SELECT c.id, f.resource_id, row_number() OVER (PARTITION BY c.id ORDER BY f.created_at) - 1, f.created_at
+FROM favorites f
+JOIN collections c ON c.user_id = f.user_id AND c.is_default
+ON CONFLICT (collection_id, resource_id) DO NOTHING;
+
+-- A shared collection by slug: public and unlisted ones for anyone, private
+-- ones for their owner. Returns { collection, items: [{ resource_id, position }] }
+-- or NULL, so unlisted collections can be opened without being listable.
+CREATE OR REPLACE FUNCTION get_shared_collection(collection_slug text)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT jsonb_build_object(
+    'collection', to_jsonb(c),
+    'items', COALESCE((
+      SELECT jsonb_agg(jsonb_build_object('resource_id', i.resource_id, 'position', i.position) ORDER BY i.position, i.created_at)
+      FROM collection_items i
+      WHERE i.collection_id = c.id
+    ), '[]'::jsonb)
+  )
+  FROM collections c
+  WHERE c.slug = collection_slug
+    AND (c.visibility <> 'private' OR c.user_id = auth.uid());
+$$;
+
+-- Owners manage their collections; everyone can read public ones
+ALTER TABLE collections ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public collections are viewable by everyone" ON collections;
+CREATE POLICY "Public collections are viewable by everyone"
+ON collections FOR SELECT
+USING (visibility = 'public' OR auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create their own collections" ON collections;
+CREATE POLICY "Users can create their own collections"
+ON collections FOR INSERT
+TO authenticated
+WITH CHECK (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can update their own collections" ON collections;
+CREATE POLICY "Users can update their own collections"
+ON collections FOR UPDATE
+TO authenticated
+USING (auth.uid() = user_id)
+WITH CHECK (auth.uid() = user_id);
+
+-- The default collection is the user's favorites and can't be deleted
+DROP POLICY IF EXISTS "Users can delete their own collections" ON collections;
+CREATE POLICY "Users can delete their own collections"
+ON collections FOR DELETE
+TO authenticated
+USING (auth.uid() = user_id AND NOT is_default);
+
+ALTER TABLE collection_items ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Items of visible collections are viewable" ON collection_items;
+CREATE POLICY "Items of visible collections are viewable"
+ON collection_items FOR SELECT
+USING (
+  EXISTS (
+    SELECT 1 FROM collections c
+    WHERE c.id = collection_id
+      AND (c.visibility = 'public' OR c.user_id = auth.uid())
+  )
+);
+
+DROP POLICY IF EXISTS "Owners can manage collection items" ON collection_items;
+CREATE POLICY "Owners can manage collection items"
+ON collection_items FOR ALL
+TO authenticated
+USING (
+  EXISTS (SELECT 1 FROM collections c WHERE c.id = collection_id AND c.user_id = auth.uid())
+)
+WITH CHECK (
+  EXISTS (SELECT 1 FROM collections c WHERE c.id = collection_id AND c.user_id = auth.uid())
+);
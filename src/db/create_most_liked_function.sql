@@ -19,6 +19,7 @@ BEGIN
       FROM favorites
       GROUP BY resource_id
     ) f ON r.id = f.resource_id
+    WHERE r.approved
     ORDER BY f.favorite_count DESC NULLS LAST, r.created_at DESC
     LIMIT limit_count;
   ELSE
@@ -26,6 +27,7 @@ BEGIN
     RETURN QUERY
     SELECT *
     FROM resources
+    WHERE approved
     ORDER BY created_at DESC
     LIMIT limit_count;
   END IF;
@@ -35,6 +37,7 @@ EXCEPTION
     RETURN QUERY
     SELECT *
     FROM resources
+    WHERE approved
     ORDER BY created_at DESC
     LIMIT limit_count;
 END;
@@ -20,6 +20,7 @@ BEGIN
       FROM favorites
       GROUP BY resource_id
     ) f ON r.id = f.resource_id
+    WHERE r.approved
     ORDER BY f.favorite_count DESC NULLS LAST, r.created_at DESC
     LIMIT limit_count;
   ELSE
@@ -27,6 +28,7 @@ BEGIN
     RETURN QUERY
     SELECT *
     FROM resources
+    WHERE approved
     ORDER BY created_at DESC
     LIMIT limit_count;
   END IF;
@@ -36,6 +38,7 @@ EXCEPTION
     RETURN QUERY
     SELECT *
     FROM resources
+    WHERE approved
     ORDER BY created_at DESC
     LIMIT limit_count;
 END;
@@ -0,0 +1,54 @@
+-- Grouped resource counts for the home page filters
+-- Returns { total, categories, subcategories, tags } where each group maps a
+-- lowercased name to its number of resources, so the browser no longer has
+-- to download the whole resources table to count it.
+--
+-- tag_filter limits the tag counts to the given tags (e.g. software tags);
+-- pass NULL to count every tag.
+--
+-- SECURITY INVOKER: the counts run under the caller's row level security,
+-- so they only include the resources that same caller sees in listings.
+-- Unapproved submissions aren't listed, so they aren't counted either
+-- (needs resources.approved from add_resource_approval.sql).
+-- src/utils/resourceCounts.js computes the same shape in JavaScript.
+CREATE OR REPLACE FUNCTION get_resource_counts(tag_filter TEXT[] DEFAULT NULL)
+RETURNS jsonb
+LANGUAGE sql
+STABLE
+SECURITY INVOKER
+AS $$
+  SELECT jsonb_build_object(
+    'total', (SELECT count(*) FROM resources WHERE approved),
+    'categories', COALESCE((
+      SELECT jsonb_object_agg(name, total)
+      FROM (
+        SELECT lower(category) AS name, count(*) AS total
+        FROM resources
+        WHERE approved AND category IS NOT NULL AND category <> ''
+        GROUP BY lower(category)
+      ) grouped
+    ), '{}'::jsonb),
+    'subcategories', COALESCE((
+      SELECT jsonb_object_agg(name, total)
+      FROM (
+        SELECT lower(subcategory) AS name, count(*) AS total
+        FROM resources
+        WHERE approved AND subcategory IS NOT NULL AND subcategory <> ''
+        GROUP BY lower(subcategory)
+      ) grouped
+    ), '{}'::jsonb),
+    'tags', COALESCE((
+      SELECT jsonb_object_agg(name, total)
+      FROM (
+        SELECT lower(trim(tag)) AS name, count(DISTINCT r.id) AS total
+        FROM resources r, unnest(r.tags) AS tag
+        WHERE r.approved AND trim(tag) <> ''
+          AND (tag_filter IS NULL OR lower(trim(tag)) = ANY (SELECT lower(f) FROM unnest(tag_filter) AS f))
+        GROUP BY lower(trim(tag))
+      ) grouped
+    ), '{}'::jsonb)
+  );
+$$;
+
+-- Grant execute permission to anon and authenticated roles
+GRANT EXECUTE ON FUNCTION get_resource_counts TO anon, authenticated;
@@ -0,0 +1,126 @@
+-- Owner and admin editing of resources, with revision history
+-- Every update that touches an editable field stores a revision: who made
+-- it, when, and { field: { from, to } } for each changed field.
+-- src/utils/revisions.js lists the same editable fields, and submitters
+-- can change no others.
+
+-- True when the signed-in user is an admin (see add_admin_column.sql)
+CREATE OR REPLACE FUNCTION is_admin()
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT COALESCE((SELECT is_admin FROM profiles WHERE id = auth.uid()), false);
+$$;
+
+CREATE TABLE IF NOT EXISTS resource_revisions (
+  id uuid DEFAULT uuid_generate_v4() PRIMARY KEY,
+  resource_id uuid REFERENCES resources(id) ON DELETE CASCADE NOT NULL,
+  user_id uuid REFERENCES auth.users(id) ON DELETE SET NULL,
+  changes jsonb NOT NULL,
+  created_at timestamp with time zone DEFAULT timezone('utc'::text, now()) NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS resource_revisions_resource_id_created_at_idx
+ON resource_revisions (resource_id, created_at DESC);
+
+-- Record a revision after every update that changes an editable field
+CREATE OR REPLACE FUNCTION record_resource_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  field TEXT;
+  old_value jsonb;
+  new_value jsonb;
+  changes jsonb := '{}'::jsonb;
+BEGIN
+  FOREACH field IN ARRAY ARRAY['title', 'description', 'url', 'image_url', 'category', 'subcategory', 'tags', 'attributes'] LOOP
+    old_value := to_jsonb(OLD) -> field;
+    new_value := to_jsonb(NEW) -> field;
+    IF old_value IS DISTINCT FROM new_value THEN
+      changes := changes || jsonb_build_object(field, jsonb_build_object('from', old_value, 'to', new_value));
+    END IF;
+  END LOOP;
+
+  IF changes <> '{}'::jsonb THEN
+    INSERT INTO resource_revisions (resource_id, user_id, changes)
+    VALUES (NEW.id, auth.uid(), changes);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_revision_trigger ON resources;
+CREATE TRIGGER resource_revision_trigger
+AFTER UPDATE ON resources
+FOR EACH ROW EXECUTE FUNCTION record_resource_revision();
+
+-- Submitters can edit their own resources, admins can edit any
+DROP POLICY IF EXISTS "Owners and admins can update resources" ON resources;
+CREATE POLICY "Owners and admins can update resources"
+ON resources FOR UPDATE
+TO authenticated
+USING (auth.uid() = user_id OR is_admin())
+WITH CHECK (auth.uid() = user_id OR is_admin());
+
+-- Submitters may only change the editable fields of their resources (the
+-- ones above, plus updated_at). Counters, featured, approval, ownership and
+-- thumbnails stay with admins and the server: the service role and
+-- SECURITY DEFINER triggers such as the views counter don't run as
+-- anon/authenticated and pass through. canonical_url may only change along
+-- with url (its trigger recomputes it), and thumbnails may only be cleared.
+-- Columns are read through jsonb so this works before the canonical URL and
+-- thumbnail scripts have added theirs.
+CREATE OR REPLACE FUNCTION guard_resource_owner_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  allowed TEXT[] := ARRAY['title', 'description', 'url', 'image_url', 'category', 'subcategory', 'tags', 'attributes', 'updated_at', 'canonical_url', 'thumbnails'];
+  new_row jsonb := to_jsonb(NEW);
+  old_row jsonb := to_jsonb(OLD);
+BEGIN
+  IF current_user NOT IN ('anon', 'authenticated') OR is_admin() THEN
+    RETURN NEW;
+  END IF;
+
+  IF (new_row - allowed) IS DISTINCT FROM (old_row - allowed)
+    OR (new_row -> 'canonical_url' IS DISTINCT FROM old_row -> 'canonical_url'
+        AND new_row -> 'url' IS NOT DISTINCT FROM old_row -> 'url')
+    OR (new_row -> 'thumbnails' IS DISTINCT FROM old_row -> 'thumbnails'
+        AND COALESCE(new_row -> 'thumbnails', 'null'::jsonb) <> 'null'::jsonb) THEN
+    RAISE EXCEPTION 'Only admins can change fields other than the resource''s content'
+      USING ERRCODE = '42501';
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS resource_owner_update_guard_trigger ON resources;
+CREATE TRIGGER resource_owner_update_guard_trigger
+BEFORE UPDATE ON resources
+FOR EACH ROW EXECUTE FUNCTION guard_resource_owner_update();
+
+-- Revisions are written by the trigger only; submitters and admins can read them
+ALTER TABLE resource_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners and admins can view revisions" ON resource_revisions;
+CREATE POLICY "Owners and admins can view revisions"
+ON resource_revisions FOR SELECT
+TO authenticated
+USING (
+  is_admin() OR EXISTS (
+    SELECT 1 FROM resources r
+    WHERE r.id = resource_revisions.resource_id
+    AND r.user_id = auth.uid()
+  )
+);
+
+GRANT EXECUTE ON FUNCTION is_admin TO anon, authenticated;
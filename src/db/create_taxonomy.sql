@@ -0,0 +1,238 @@
+-- Category taxonomy managed from the admin dashboard
+-- categories and subcategories hold the tree src/utils/taxonomy.js reads:
+-- slug, English name, translations ({ "pt": "..." }), emoji, icon (a name
+-- from src/components/ui/TaxonomyIcon.jsx), position, and for subcategories
+-- their parent category.
+-- resources.category and resources.subcategory hold slugs, so renaming a
+-- slug, moving a subcategory or merging two nodes rewrites the resources
+-- filed under them. Needs is_admin() from create_resource_revisions.sql.
+
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS subcategories (
+  id SERIAL PRIMARY KEY,
+  category_id INTEGER NOT NULL REFERENCES categories(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  slug TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS emoji TEXT;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS icon TEXT;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE subcategories ADD COLUMN IF NOT EXISTS emoji TEXT;
+ALTER TABLE subcategories ADD COLUMN IF NOT EXISTS icon TEXT;
+ALTER TABLE subcategories ADD COLUMN IF NOT EXISTS position INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE subcategories ADD COLUMN IF NOT EXISTS translations JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+CREATE UNIQUE INDEX IF NOT EXISTS categories_slug_key ON categories (slug);
+CREATE UNIQUE INDEX IF NOT EXISTS subcategories_category_slug_key ON subcategories (category_id, slug);
+
+-- Default taxonomy (CATEGORY_TAXONOMY in src/utils/taxonomy.js). Existing
+-- rows keep their names and order and only gain missing emoji, icons and
+-- translations.
+INSERT INTO categories (slug, name, emoji, icon, position, translations) VALUES
+  ('assets', 'Assets', '🎨', 'collection', 0, '{"pt": "Recursos"}'),
+  ('tools', 'Tools', '🔧', 'cube', 1, '{"pt": "Ferramentas"}'),
+  ('community', 'Community', '👥', 'user-group', 2, '{"pt": "Comunidade"}'),
+  ('reference', 'Reference', '📌', 'light-bulb', 3, '{"pt": "Referência"}'),
+  ('inspiration', 'Inspiration', '✨', 'light-bulb', 4, '{"pt": "Inspiração"}'),
+  ('learn', 'Learn', '📚', 'book-open', 5, '{"pt": "Aprender"}')
+ON CONFLICT (slug) DO UPDATE SET
+  emoji = COALESCE(categories.emoji, EXCLUDED.emoji),
+  icon = COALESCE(categories.icon, EXCLUDED.icon),
+  translations = EXCLUDED.translations || categories.translations;
+
+INSERT INTO subcategories (category_id, slug, name, emoji, position, translations)
+SELECT c.id, v.slug, v.name, v.emoji, v.position, v.translations::jsonb
+FROM (VALUES
+  ('assets', 'fonts', 'Fonts', '🔤', 0, '{"pt": "Fontes"}'),
+  ('assets', 'icons', 'Icons', '🔍', 1, '{"pt": "Ícones"}'),
+  ('assets', 'textures', 'Textures', '🧩', 2, '{"pt": "Texturas"}'),
+  ('assets', 'sfx', 'SFX', '🔊', 3, '{"pt": "Efeitos Sonoros"}'),
+  ('assets', 'mockups', 'Mockups', '📱', 4, '{"pt": "Mockups"}'),
+  ('assets', '3d', '3D', '🧊', 5, '{"pt": "3D"}'),
+  ('assets', 'photos-videos', 'Images', '📸', 6, '{"pt": "Imagens"}'),
+  ('assets', 'color', 'Color', '🎨', 7, '{"pt": "Cores"}'),
+  ('tools', 'ai', 'AI', '🤖', 0, '{"pt": "IA"}'),
+  ('tools', 'productivity', 'Productivity', '⚡', 1, '{"pt": "Produtividade"}'),
+  ('community', 'portfolio', 'Portfolio', '💼', 0, '{"pt": "Portfólio"}'),
+  ('reference', 'design', 'Design', '🎨', 0, '{"pt": "Design"}'),
+  ('reference', 'ui', 'UI', '📊', 1, '{"pt": "UI"}'),
+  ('reference', 'audiovisual', 'Audiovisual', '🎬', 2, '{"pt": "Audiovisual"}'),
+  ('inspiration', 'moodboard', 'Moodboard', '🎭', 0, '{"pt": "Moodboard"}'),
+  ('inspiration', 'reference', 'Reference', '📌', 1, '{"pt": "Referência"}'),
+  ('learn', 'design', 'Design', '🎨', 0, '{"pt": "Design"}'),
+  ('learn', 'ui-ux', 'UI/UX', '📊', 1, '{"pt": "UI/UX"}'),
+  ('learn', 'typography', 'Typography', '🔠', 2, '{"pt": "Tipografia"}'),
+  ('learn', 'books', 'Books', '📚', 3, '{"pt": "Livros"}')
+) AS v(category_slug, slug, name, emoji, position, translations)
+JOIN categories c ON c.slug = v.category_slug
+ON CONFLICT (category_id, slug) DO UPDATE SET
+  emoji = COALESCE(subcategories.emoji, EXCLUDED.emoji),
+  translations = EXCLUDED.translations || subcategories.translations;
+
+-- Everyone reads the taxonomy; only admins change it
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subcategories ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Categories are viewable by everyone" ON categories;
+CREATE POLICY "Categories are viewable by everyone"
+ON categories FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage categories" ON categories;
+CREATE POLICY "Admins can manage categories"
+ON categories FOR ALL
+TO authenticated
+USING (is_admin())
+WITH CHECK (is_admin());
+
+DROP POLICY IF EXISTS "Subcategories are viewable by everyone" ON subcategories;
+CREATE POLICY "Subcategories are viewable by everyone"
+ON subcategories FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Admins can manage subcategories" ON subcategories;
+CREATE POLICY "Admins can manage subcategories"
+ON subcategories FOR ALL
+TO authenticated
+USING (is_admin())
+WITH CHECK (is_admin());
+
+-- A renamed category slug is rewritten on its resources
+CREATE OR REPLACE FUNCTION migrate_category_slug()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE resources SET category = NEW.slug WHERE category = OLD.slug;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS category_slug_migration_trigger ON categories;
+CREATE TRIGGER category_slug_migration_trigger
+AFTER UPDATE OF slug ON categories
+FOR EACH ROW
+WHEN (OLD.slug IS DISTINCT FROM NEW.slug)
+EXECUTE FUNCTION migrate_category_slug();
+
+-- A renamed subcategory slug, or a subcategory moved to another category,
+-- is rewritten on its resources
+CREATE OR REPLACE FUNCTION migrate_subcategory()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE resources
+  SET subcategory = NEW.slug,
+      category = (SELECT slug FROM categories WHERE id = NEW.category_id)
+  WHERE subcategory = OLD.slug
+  AND category = (SELECT slug FROM categories WHERE id = OLD.category_id);
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS subcategory_migration_trigger ON subcategories;
+CREATE TRIGGER subcategory_migration_trigger
+AFTER UPDATE OF slug, category_id ON subcategories
+FOR EACH ROW
+WHEN (OLD.slug IS DISTINCT FROM NEW.slug OR OLD.category_id IS DISTINCT FROM NEW.category_id)
+EXECUTE FUNCTION migrate_subcategory();
+
+-- Merge one category into another: its resources move over, its
+-- subcategories join the target (merged with one of the same slug) and it
+-- is deleted. Returns how many resources moved.
+CREATE OR REPLACE FUNCTION merge_categories(source_id INTEGER, target_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  source_slug TEXT;
+  target_slug TEXT;
+  moved INTEGER;
+  last_position INTEGER;
+  sub RECORD;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'Only admins can change the taxonomy' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT slug INTO source_slug FROM categories WHERE id = source_id;
+  SELECT slug INTO target_slug FROM categories WHERE id = target_id;
+  IF source_slug IS NULL OR target_slug IS NULL OR source_id = target_id THEN
+    RAISE EXCEPTION 'Pick two different categories to merge' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COUNT(*) INTO moved FROM resources WHERE category = source_slug;
+  SELECT COALESCE(MAX(position), -1) INTO last_position FROM subcategories WHERE category_id = target_id;
+
+  FOR sub IN SELECT * FROM subcategories WHERE category_id = source_id ORDER BY position LOOP
+    IF EXISTS (SELECT 1 FROM subcategories WHERE category_id = target_id AND slug = sub.slug) THEN
+      DELETE FROM subcategories WHERE id = sub.id;
+    ELSE
+      last_position := last_position + 1;
+      UPDATE subcategories SET category_id = target_id, position = last_position WHERE id = sub.id;
+    END IF;
+  END LOOP;
+
+  UPDATE resources SET category = target_slug WHERE category = source_slug;
+  DELETE FROM categories WHERE id = source_id;
+  RETURN moved;
+END;
+$$;
+
+-- Merge one subcategory into another, possibly in a different category.
+-- Returns how many resources moved.
+CREATE OR REPLACE FUNCTION merge_subcategories(source_id INTEGER, target_id INTEGER)
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  source_slug TEXT;
+  source_category TEXT;
+  target_slug TEXT;
+  target_category TEXT;
+  moved INTEGER;
+BEGIN
+  IF NOT is_admin() THEN
+    RAISE EXCEPTION 'Only admins can change the taxonomy' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT s.slug, c.slug INTO source_slug, source_category
+  FROM subcategories s JOIN categories c ON c.id = s.category_id
+  WHERE s.id = source_id;
+  SELECT s.slug, c.slug INTO target_slug, target_category
+  FROM subcategories s JOIN categories c ON c.id = s.category_id
+  WHERE s.id = target_id;
+  IF source_slug IS NULL OR target_slug IS NULL OR source_id = target_id THEN
+    RAISE EXCEPTION 'Pick two different subcategories to merge' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE resources
+  SET category = target_category, subcategory = target_slug
+  WHERE category = source_category AND subcategory = source_slug;
+  GET DIAGNOSTICS moved = ROW_COUNT;
+
+  DELETE FROM subcategories WHERE id = source_id;
+  RETURN moved;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION merge_categories TO authenticated;
+GRANT EXECUTE ON FUNCTION merge_subcategories TO authenticated;
@@ -0,0 +1,58 @@
+-- Time-decayed trending resources
+-- Each view (1), comment (2) and favorite (3) inside the window adds to a
+-- resource's score, and its weight halves every half_life_hours.
+-- src/utils/trending.js computes the same score in JavaScript; keep the
+-- weights in step.
+--
+-- Returns resource rows as JSON with an extra trending_score field.
+-- SECURITY DEFINER so views are counted even when RLS limits who can read them;
+-- that also skips the approval policy, so unapproved submissions are
+-- filtered here (needs resources.approved from add_resource_approval.sql).
+CREATE OR REPLACE FUNCTION get_trending_resources(
+  limit_count INTEGER DEFAULT 6,
+  half_life_hours DOUBLE PRECISION DEFAULT 48,
+  window_days INTEGER DEFAULT 14,
+  category_filter TEXT DEFAULT NULL
+)
+RETURNS SETOF jsonb
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  WITH events AS (
+    SELECT resource_id, created_at, 1.0 AS weight
+    FROM resource_views
+    WHERE created_at > now() - make_interval(days => window_days)
+    UNION ALL
+    SELECT resource_id, created_at, 2.0
+    FROM comments
+    WHERE created_at > now() - make_interval(days => window_days)
+    UNION ALL
+    SELECT resource_id, created_at, 3.0
+    FROM favorites
+    WHERE created_at > now() - make_interval(days => window_days)
+  ),
+  scores AS (
+    SELECT
+      resource_id,
+      SUM(weight * power(0.5, EXTRACT(EPOCH FROM (now() - created_at)) / 3600.0 / half_life_hours)) AS score
+    FROM events
+    GROUP BY resource_id
+  )
+  SELECT to_jsonb(r) || jsonb_build_object('trending_score', round(s.score::numeric, 3))
+  FROM scores s
+  JOIN resources r ON r.id = s.resource_id
+  WHERE r.approved
+    AND (category_filter IS NULL OR lower(r.category) = lower(category_filter))
+  ORDER BY s.score DESC, r.created_at DESC
+  LIMIT limit_count;
+$$;
+
+-- Events are read newest first within the window
+CREATE INDEX IF NOT EXISTS resource_views_created_at_idx ON resource_views (created_at DESC);
+CREATE INDEX IF NOT EXISTS favorites_created_at_idx ON favorites (created_at DESC);
+CREATE INDEX IF NOT EXISTS comments_created_at_idx ON comments (created_at DESC);
+
+-- Grant execute permission to anon and authenticated roles
+GRANT EXECUTE ON FUNCTION get_trending_resources TO anon, authenticated;
@@ -16,5 +16,42 @@
 -- Fix favorites RLS
 \i 'src/db/fix_favorites_rls.sql'
 
+-- Add the denormalized view counter
+\i 'src/db/add_views_count.sql'
+
+-- Indexes for cursor pagination
+\i 'src/db/add_resource_keyset_indexes.sql'
+
+-- Indexes and policies for related resources and recommendations
+\i 'src/db/add_recommendation_indexes.sql'
+
+-- Owner/admin editing with revision history
+\i 'src/db/create_resource_revisions.sql'
+
+-- Admin approval for bulk submissions (needs is_admin() from the revisions
+-- script; the functions below filter on its approved column)
+\i 'src/db/add_resource_approval.sql'
+
+-- Time-decayed trending function
+\i 'src/db/create_trending_function.sql'
+
+-- Grouped category, subcategory and tag counts
+\i 'src/db/create_resource_counts_function.sql'
+
+-- Canonical URLs for duplicate detection
+\i 'src/db/add_canonical_urls.sql'
+
+-- Self-hosted thumbnails
+\i 'src/db/add_resource_thumbnails.sql'
+
+-- Category-specific resource attributes
+\i 'src/db/add_resource_attributes.sql'
+
+-- Collections, with favorites as each user's default collection
+\i 'src/db/create_collections.sql'
+
+-- Category taxonomy with admin editing
+\i 'src/db/create_taxonomy.sql'
+
 -- Done!
 SELECT 'All database scripts executed successfully!' as result; 
\ No newline at end of file
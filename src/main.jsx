@@ -2,17 +2,17 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import App from './App';
 import supabase, { checkSupabaseConnection } from './utils/supabase';
+import { startOutboxSync } from './utils/outbox';
+import { startConnectionMonitoring } from './utils/connectionHealth';
+import { isLocalModeEnabled } from './utils/dataSources';
 import { Toaster } from 'react-hot-toast';
 import { Analytics } from '@vercel/analytics/react';
 import { SpeedInsights } from '@vercel/speed-insights/react';
 import './index.css';
 
-// Check if Supabase mode is forced by user preference
-const isSupabaseForced = localStorage.getItem('forceSupabaseConnection') === 'true';
-
-// Log Supabase mode status
-console.log(`Application starting in ${isSupabaseForced ? 'Supabase' : 'Local Data'} mode`);
-if (!isSupabaseForced) {
+// Log the data mode the app starts in
+console.log(`Application starting in ${isLocalModeEnabled() ? 'Local Data' : 'Supabase'} mode`);
+if (isLocalModeEnabled()) {
   console.log('Supabase connection checks disabled for performance. Use the toggle in the UI to enable if needed.');
 }
 
@@ -34,7 +34,7 @@ if (!isValidKey(supabaseKey)) {
 // Listen for auth state changes to handle token refreshes
 supabase.auth.onAuthStateChange((event, session) => {
   // Skip logging if not in Supabase mode
-  if (!isSupabaseForced && event !== 'SIGNED_IN') {
+  if (isLocalModeEnabled() && event !== 'SIGNED_IN') {
     return;
   }
   
@@ -57,6 +57,10 @@ supabase.auth.onAuthStateChange((event, session) => {
   }
 });
 
+// Follow browser online/offline events, and replay changes made while offline
+startConnectionMonitoring();
+startOutboxSync();
+
 // Render the app
 ReactDOM.createRoot(document.getElementById('root')).render(
   <React.StrictMode>
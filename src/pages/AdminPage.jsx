@@ -1,10 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import supabase from '../utils/supabase';
+import { invalidateResourceCache, requestThumbnails } from '../utils/resourceUtils';
 import { useUser } from '../context/UserContext';
 import toast from 'react-hot-toast';
 import FixCommentsButton from '../components/FixCommentsButton';
 import SetupAdminButton from '../components/SetupAdminButton';
+import TaxonomyEditor from '../components/TaxonomyEditor';
 import { CheckIcon, XIcon, ExternalLinkIcon } from '@heroicons/react/solid';
 
 export default function AdminPage() {
@@ -131,6 +133,9 @@ export default function AdminPage() {
         
       if (error) throw error;
       
+      // Approved resources start showing up in lists, and now get thumbnails
+      invalidateResourceCache();
+      requestThumbnails(id);
       toast.success('Resource approved successfully');
       setPendingResources(pendingResources.filter(resource => resource.id !== id));
     } catch (error) {
@@ -362,6 +367,10 @@ export default function AdminPage() {
           </div>
         </div>
       </div>
+      
+      <div className="mt-8">
+        <TaxonomyEditor />
+      </div>
     </div>
   );
 } 
\ No newline at end of file
@@ -1,10 +1,16 @@
 import { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useLocation, useNavigate, Link } from 'react-router-dom';
 import { motion } from 'framer-motion';
-import supabase from '../utils/supabase';
+import { getResources } from '../utils/resourceUtils';
+import { splitTags } from '../utils/csvUtils';
+import { attributeFiltersFromParams, getAttributeSchema } from '../utils/attributeSchemas';
+import { entityTag, getEntity, subscribe } from '../utils/entityStore';
 import { useLanguage } from '../context/LanguageContext';
+import { useTaxonomy } from '../context/TaxonomyContext';
+import CategorySelector from '../components/CategorySelector';
 import SearchBar from '../components/SearchBar';
 import FilterTags from '../components/FilterTags';
+import AttributeFilters from '../components/AttributeFilters';
 import ResourceCard from '../components/ResourceCard';
 import toast from 'react-hot-toast';
 import { ArrowLeftIcon, HomeIcon, ChevronRightIcon, XIcon } from '@heroicons/react/outline';
@@ -14,22 +20,34 @@ const CategoryPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
   const { t } = useLanguage();
-  const [categoryData, setCategoryData] = useState(null);
+  const { getName, findCategory, findSubcategory } = useTaxonomy();
   const [resources, setResources] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedTags, setSelectedTags] = useState([]);
   const [selectedSubcategory, setSelectedSubcategory] = useState(null);
   const [allTags, setAllTags] = useState([]);
-  const [subcategories, setSubcategories] = useState([]);
-  const [page, setPage] = useState(0);
   const [hasMore, setHasMore] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [error, setError] = useState(null);
   const ITEMS_PER_PAGE = 12;
   
   // Add refs to track if operations have been performed
   const dataFetched = useRef(false);
-  const resourceCache = useRef({});
+  const nextCursorRef = useRef(null);
+  
+  // Names, description and subcategories come from the taxonomy; slugs it
+  // doesn't list are shown as they are
+  const categoryNode = category !== 'all' ? findCategory(category) : null;
+  const categoryName = category === 'all'
+    ? t('categories.allResources', 'All Resources')
+    : (categoryNode ? getName(categoryNode) : category.charAt(0).toUpperCase() + category.slice(1));
+  const subcategoryNode = selectedSubcategory ? findSubcategory(category, selectedSubcategory) : null;
+  const subcategoryName = subcategoryNode ? getName(subcategoryNode) : selectedSubcategory;
+  
+  // Attribute facets for the current category/subcategory, selected via URL parameters
+  const attributeSchema = getAttributeSchema(category !== 'all' ? category : null, selectedSubcategory);
+  const attributeFilters = attributeFiltersFromParams(new URLSearchParams(location.search), attributeSchema);
   
   // Parse query parameters
   useEffect(() => {
@@ -63,7 +81,7 @@ const CategoryPage = () => {
     }
     
     // Reset pagination when URL changes
-    setPage(0);
+    nextCursorRef.current = null;
     setResources([]);
     setHasMore(true);
     setError(null);
@@ -74,255 +92,136 @@ const CategoryPage = () => {
   }, [location.search, category]);
   
   // Memoize fetchData to prevent recreation on each render
-  const fetchData = useCallback(async () => {
+  const fetchData = useCallback(async ({ append = false } = {}) => {
     // Prevent multiple fetches in the same render cycle
     if (dataFetched.current) return;
     dataFetched.current = true;
     
+    // Continue from the last page when loading more, otherwise start over
+    const cursor = append ? nextCursorRef.current : null;
+    
     try {
-      setLoading(true);
-      setError(null);
-      
-      // Generate cache key based on current filters
-      const urlParams = new URLSearchParams(location.search);
-      const cacheKey = `${category}_${urlParams.toString()}_${page}`;
-      
-      // Check if we have cached data for this query
-      if (resourceCache.current[cacheKey]) {
-        console.log('Using cached data for', cacheKey);
-        const cachedData = resourceCache.current[cacheKey];
-        setCategoryData(cachedData.categoryData);
-        setResources(cachedData.resources);
-        setAllTags(cachedData.allTags);
-        setSubcategories(cachedData.subcategories);
-        setHasMore(cachedData.hasMore);
-        setLoading(false);
-        return;
-      }
-      
-      // Fetch category data if not 'all'
-      if (category !== 'all') {
-        // Don't use .single() as it throws an error when no rows are found
-        const { data: catData, error: catError } = await supabase
-          .from('categories')
-          .select('*')
-          .eq('slug', category);
-          
-        if (catError) {
-          console.error('Error fetching category data:', catError);
-          // Handle specific error types
-          if (catError.code === '42P01') {
-            console.warn('Categories table does not exist');
-          } else if (catError.code === 'PGRST301') {
-            console.warn('Invalid category slug format');
-          }
-          
-          // Create a default category based on the slug
-          setCategoryData({
-            name: t(`categories.${category}`, category.charAt(0).toUpperCase() + category.slice(1)),
-            description: t('categories.description', 'Browse our curated collection of {category} resources', { category: t(`categories.${category}`, category) }),
-            slug: category
-          });
-        } else if (catData && catData.length > 0) {
-          setCategoryData(catData[0]);
-        } else {
-          // Create a default category object based on the slug
-          setCategoryData({
-            name: t(`categories.${category}`, category.charAt(0).toUpperCase() + category.slice(1)),
-            description: t('categories.description', 'Browse our curated collection of {category} resources', { category: t(`categories.${category}`, category) }),
-            slug: category
-          });
-        }
-      }
-      
-      // Check if Supabase mode is forced
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-      
-      if (!forceSupabase) {
-        // Generate mock data for local mode
-        console.log('Using local data mode - loading mock resources');
-        const mockResources = Array(ITEMS_PER_PAGE).fill().map((_, i) => ({
-          id: `mock-${category}-${i}`,
-          title: `${category.charAt(0).toUpperCase() + category.slice(1)} Resource ${i+1}`,
-          description: 'This is a mock resource for local data mode',
-          url: 'https://example.com',
-          image_url: `https://picsum.photos/seed/${category}${i}/300/200`,
-          category: category,
-          subcategory: selectedSubcategory || `subcategory-${i % 3}`,
-          tags: selectedTags.length > 0 ? selectedTags.join(',') : 'mock,local,design',
-          likes: Math.floor(Math.random() * 100),
-          created_at: new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000).toISOString()
-        }));
-        
-        // Extract all unique tags from resources
-        const tags = new Set();
-        mockResources.forEach(resource => {
-          if (resource.tags) {
-            resource.tags.split(',').forEach(tag => tags.add(tag.trim()));
-          }
-        });
-        
-        // Extract all unique subcategories
-        const subCats = new Set();
-        mockResources.forEach(resource => {
-          if (resource.subcategory) {
-            subCats.add(resource.subcategory);
-          }
-        });
-        
-        setAllTags(Array.from(tags));
-        setSubcategories(Array.from(subCats));
-        setResources(mockResources);
-        setHasMore(page < 2); // Only show 3 pages of mock data
-        
-        // Cache the results
-        resourceCache.current[cacheKey] = {
-          categoryData: categoryData,
-          resources: mockResources,
-          allTags: Array.from(tags),
-          subcategories: Array.from(subCats),
-          hasMore: page < 2
-        };
-        
-        setLoading(false);
-        return;
+      if (append) {
+        setLoadingMore(true);
+      } else {
+        setLoading(true);
       }
+      setError(null);
       
       // Parse URL parameters
+      const urlParams = new URLSearchParams(location.search);
       const urlSearchQuery = urlParams.get('search');
       const urlTagQuery = urlParams.get('tag');
       const urlSubcategoryQuery = urlParams.get('subcategory');
+      const urlAttributes = attributeFiltersFromParams(
+        urlParams,
+        getAttributeSchema(category !== 'all' ? category : null, urlSubcategoryQuery)
+      );
       
-      // Fetch resources with pagination
-      let query = supabase
-        .from('resources')
-        .select('*');
+      // Keyset pagination: each page starts after the last row we showed,
+      // so rows inserted while scrolling don't shift or duplicate items.
+      // getResources picks the configured source, caches the page and falls
+      // back to the bundled catalog when Supabase is unreachable.
+      const result = await getResources({
+        category: category !== 'all' ? category : null,
+        subcategory: urlSubcategoryQuery,
+        tags: urlTagQuery ? urlTagQuery.split(',').map(tag => tag.trim()).filter(Boolean) : [],
+        attributes: urlAttributes,
+        search: urlSearchQuery,
+        limit: ITEMS_PER_PAGE,
+        cursor,
+        pagination: 'cursor'
+      });
+      if (!result.success) throw result.error;
+      const { data: pageResources, nextCursor } = result;
       
-      // Apply category filter
-      if (category !== 'all') {
-        // Filter directly by category
-        query = query.eq('category', category);
-      }
+      // Extract all unique tags from resources
+      const tags = new Set();
+      pageResources.forEach(resource => {
+        splitTags(resource.tags).forEach(tag => tags.add(tag));
+      });
       
-      // Apply search query filter if present in URL
-      if (urlSearchQuery) {
-        query = query.or(`title.ilike.%${urlSearchQuery}%,description.ilike.%${urlSearchQuery}%`);
-      }
+      const pageData = {
+        resources: pageResources,
+        allTags: Array.from(tags),
+        nextCursor
+      };
       
-      // Apply subcategory filter if present - FIXED to use proper column name and comparison
-      if (urlSubcategoryQuery) {
-        query = query.eq('subcategory', urlSubcategoryQuery);
-      }
+      applyPage(pageData, append);
+    } catch (error) {
+      console.error('Error fetching resources:', error);
       
-      // Apply tag filtering at the database level if possible
-      if (urlTagQuery) {
-        const tags = urlTagQuery.split(',').map(tag => tag.trim()).filter(Boolean);
-        if (tags.length === 1) {
-          // For single tag, we can use contains in the query
-          query = query.contains('tags', [tags[0]]);
-        }
+      // Handle specific error types
+      if (error.code === '42P01') {
+        setError('Resources table does not exist. Please check your database setup.');
+      } else if (error.code === 'PGRST301') {
+        setError('Invalid query format. Please check your filters.');
+      } else if (error.message?.includes('Failed to fetch')) {
+        setError('Network error. Please check your internet connection.');
+      } else {
+        setError('Failed to load resources. Please try again later.');
       }
       
-      // Add pagination
-      query = query.range(page * ITEMS_PER_PAGE, (page * ITEMS_PER_PAGE) + ITEMS_PER_PAGE - 1);
-      
-      const { data: resourcesData, error: resourcesError } = await query;
-      
-      if (resourcesError) {
-        console.error('Error fetching resources:', resourcesError);
-        
-        // Handle specific error types
-        if (resourcesError.code === '42P01') {
-          setError('Resources table does not exist. Please check your database setup.');
-        } else if (resourcesError.code === 'PGRST301') {
-          setError('Invalid query format. Please check your filters.');
-        } else if (resourcesError.message?.includes('Failed to fetch')) {
-          setError('Network error. Please check your internet connection.');
-        } else {
-          setError('Failed to load resources. Please try again later.');
-        }
-        
-        toast.error(t('common.error.loading', 'Failed to load resources'));
+      toast.error(t('common.error.loading', 'Failed to load resources'));
+      if (!append) {
         setResources([]);
-        setHasMore(false);
-      } else {
-        if (resourcesData.length < ITEMS_PER_PAGE) {
-          setHasMore(false);
-        }
-        
-        // For multiple tags, we need to filter in memory
-        let filteredResources = resourcesData || [];
-        if (urlTagQuery) {
-          const tags = urlTagQuery.split(',').map(tag => tag.trim()).filter(Boolean);
-          
-          if (tags.length > 1) {
-            filteredResources = resourcesData.filter(resource => {
-              // Check if resource has all the selected tags
-              return tags.every(tag => resource.tags && 
-                (Array.isArray(resource.tags) 
-                  ? resource.tags.includes(tag)
-                  : resource.tags.split(',').map(t => t.trim()).includes(tag)
-                )
-              );
-            });
-          }
-        }
-        
-        // Extract all unique tags from resources
-        const tags = new Set();
-        resourcesData.forEach(resource => {
-          if (resource.tags) {
-            if (Array.isArray(resource.tags)) {
-              resource.tags.forEach(tag => tags.add(tag));
-            } else {
-              resource.tags.split(',').forEach(tag => tags.add(tag.trim()));
-            }
-          }
-        });
-        
-        // Extract all unique subcategories
-        const subCats = new Set();
-        resourcesData.forEach(resource => {
-          if (resource.subcategory) {
-            subCats.add(resource.subcategory);
-          }
-        });
-        
-        setAllTags(Array.from(tags));
-        setSubcategories(Array.from(subCats));
-        setResources(filteredResources);
-        
-        // Cache the results
-        resourceCache.current[cacheKey] = {
-          categoryData: categoryData,
-          resources: filteredResources,
-          allTags: Array.from(tags),
-          subcategories: Array.from(subCats),
-          hasMore: resourcesData.length >= ITEMS_PER_PAGE
-        };
       }
-    } catch (error) {
-      console.error('Error fetching data:', error);
-      setError('An unexpected error occurred. Please try again later.');
-      toast.error(t('common.error.loading', 'Failed to load resources'));
+      setHasMore(false);
     } finally {
       setLoading(false);
+      setLoadingMore(false);
     }
-  }, [category, location.search, page, t, categoryData]);
+  }, [category, location.search, t]);
   
-  const loadMore = async () => {
-    if (!hasMore || loading) return;
+  // Show a page of results, either replacing the list or appending to it
+  const applyPage = (pageData, append) => {
+    const mergeUnique = (previous, next) => (append ? Array.from(new Set([...previous, ...next])) : next);
+    
+    setResources(prev => {
+      if (!append) return pageData.resources;
+      const seen = new Set(prev.map(resource => resource.id));
+      return [...prev, ...pageData.resources.filter(resource => !seen.has(resource.id))];
+    });
+    setAllTags(prev => mergeUnique(prev, pageData.allTags));
     
-    const nextPage = page + 1;
-    setPage(nextPage);
+    nextCursorRef.current = pageData.nextCursor;
+    setHasMore(!!pageData.nextCursor);
+  };
+  
+  const loadMore = async () => {
+    if (!hasMore || loading || loadingMore) return;
     
     // Reset the fetched flag to allow fetching the next page
     dataFetched.current = false;
     
-    // Fetch data for the next page
-    fetchData();
+    // Fetch the page after the current cursor
+    fetchData({ append: true });
   };
   
+  // Keep the list in step with the shared store
+  useEffect(() => subscribe((tags) => {
+    // A list this page shows was invalidated: reload from the first page
+    if (tags.includes('list:resources') || tags.includes(`list:category:${category}`)) {
+      nextCursorRef.current = null;
+      dataFetched.current = false;
+      fetchData();
+      return;
+    }
+    
+    // Otherwise merge in any updated resources (likes, views, edits)
+    setResources(prev => {
+      let changed = false;
+      const next = prev.map(resource => {
+        if (!tags.includes(entityTag('resources', resource.id))) return resource;
+        const updated = getEntity('resources', resource.id, Infinity);
+        if (!updated) return resource;
+        changed = true;
+        return { ...resource, ...updated };
+      });
+      return changed ? next : prev;
+    });
+  }), [category, fetchData]);
+  
   // Handle tag toggle
   const handleTagToggle = (tag) => {
     // Create a copy of the current selected tags
@@ -365,7 +264,25 @@ const CategoryPage = () => {
     setSelectedTags(newTags);
     
     // Reset pagination
-    setPage(0);
+    nextCursorRef.current = null;
+    setResources([]);
+    setHasMore(true);
+  };
+  
+  // Handle attribute facet changes (null clears the facet)
+  const handleAttributeChange = (key, value) => {
+    const params = new URLSearchParams(location.search);
+    
+    if (value === null) {
+      params.delete(key);
+    } else {
+      params.set(key, Array.isArray(value) ? value.join(',') : String(value));
+    }
+    
+    navigate(`/category/${category}?${params.toString()}`);
+    
+    // Reset pagination
+    nextCursorRef.current = null;
     setResources([]);
     setHasMore(true);
   };
@@ -373,16 +290,22 @@ const CategoryPage = () => {
   // Handle subcategory toggle
   const handleSubcategorySelect = (subcategory) => {
     const params = new URLSearchParams(location.search);
+    const nextSubcategory = selectedSubcategory === subcategory ? null : subcategory;
     
-    if (selectedSubcategory === subcategory) {
-      // Deselect if already selected
-      params.delete('subcategory');
-      setSelectedSubcategory(null);
-    } else {
+    if (nextSubcategory) {
       // Select new subcategory
       params.set('subcategory', subcategory);
-      setSelectedSubcategory(subcategory);
+    } else {
+      // Deselect if already selected
+      params.delete('subcategory');
     }
+    setSelectedSubcategory(nextSubcategory);
+    
+    // Drop facets the new subcategory doesn't have
+    const nextKeys = getAttributeSchema(category !== 'all' ? category : null, nextSubcategory).map(field => field.key);
+    attributeSchema.forEach(({ key }) => {
+      if (!nextKeys.includes(key)) params.delete(key);
+    });
     
     // Keep existing search term if any
     if (searchQuery) {
@@ -403,7 +326,7 @@ const CategoryPage = () => {
     navigate(`/category/${category}?${params.toString()}`);
     
     // Reset pagination
-    setPage(0);
+    nextCursorRef.current = null;
     setResources([]);
     setHasMore(true);
   };
@@ -429,7 +352,7 @@ const CategoryPage = () => {
     setSearchQuery('');
     setSelectedTags([]);
     setSelectedSubcategory(null);
-    setPage(0);
+    nextCursorRef.current = null;
     setResources([]);
     setHasMore(true);
     
@@ -484,7 +407,7 @@ const CategoryPage = () => {
                   !selectedSubcategory ? 'text-lime-accent' : ''
                 }`}
               >
-                {t(`categories.${category}`, categoryData?.name || category)}
+                {categoryName}
               </Link>
             </>
           )}
@@ -492,7 +415,7 @@ const CategoryPage = () => {
           {selectedSubcategory && (
             <>
               <ChevronRightIcon className="h-3 w-3 mx-2" />
-              <span className="text-lime-accent">{t(`subcategories.${selectedSubcategory}`, selectedSubcategory)}</span>
+              <span className="text-lime-accent">{subcategoryName}</span>
             </>
           )}
         </div>
@@ -500,16 +423,21 @@ const CategoryPage = () => {
       
       <div className="mb-8">
         <h1 className="text-3xl font-bold mb-2">
-          {category === 'all' ? t('categories.allResources', 'All Resources') : categoryData?.name || t(`categories.${category}`, category)}
-          {selectedSubcategory && <span className="text-lime-accent"> / {t(`subcategories.${selectedSubcategory}`, selectedSubcategory)}</span>}
+          {categoryName}
+          {selectedSubcategory && <span className="text-lime-accent"> / {subcategoryName}</span>}
         </h1>
         <p className="text-gray-300">
           {category === 'all' 
             ? t('resources.browseAll', 'Browse our curated collection of resources')
-            : categoryData?.description || t('categories.description', 'Browse our curated collection of {category} resources', { category: t(`categories.${category}`, category) })}
+            : categoryNode?.description || t('categories.description', 'Browse our curated collection of {category} resources', { category: categoryName })}
         </p>
       </div>
       
+      <CategorySelector
+        activeCategory={category}
+        onSelectCategory={(slug) => navigate(`/category/${slug}`)}
+      />
+      
       <div className="glass-card p-4 mb-8">
         <div className="mb-4">
           <SearchBar 
@@ -519,6 +447,31 @@ const CategoryPage = () => {
           />
         </div>
         
+        {categoryNode?.subcategories.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {categoryNode.subcategories.map(subcategory => (
+              <button
+                key={subcategory.slug}
+                onClick={() => handleSubcategorySelect(subcategory.slug)}
+                className={`px-3 py-1 rounded-full text-sm border transition-colors ${
+                  selectedSubcategory === subcategory.slug
+                    ? 'bg-[#bfff58]/20 border-[#bfff58]/50 text-[#bfff58]'
+                    : 'bg-[rgba(255,255,255,0.05)] border-[rgba(255,255,255,0.15)] text-gray-300 hover:bg-[rgba(255,255,255,0.1)]'
+                }`}
+              >
+                {subcategory.emoji && <span className="mr-1" aria-hidden="true">{subcategory.emoji}</span>}
+                {getName(subcategory)}
+              </button>
+            ))}
+          </div>
+        )}
+        
+        <AttributeFilters
+          schema={attributeSchema}
+          filters={attributeFilters}
+          onChange={handleAttributeChange}
+        />
+        
         <FilterTags 
           tags={allTags}
           selectedTags={selectedTags}
@@ -561,9 +514,9 @@ const CategoryPage = () => {
               <button 
                 onClick={loadMore}
                 className="px-6 py-2 bg-[rgba(255,255,255,0.05)] hover:bg-[rgba(255,255,255,0.1)] rounded-full text-white transition-colors"
-                disabled={loading}
+                disabled={loadingMore}
               >
-                {loading ? 'Loading...' : 'Load More'}
+                {loadingMore ? 'Loading...' : 'Load More'}
               </button>
             </div>
           )}
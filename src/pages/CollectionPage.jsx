@@ -0,0 +1,399 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import {
+  ArrowLeftIcon,
+  ArrowUpIcon,
+  ArrowDownIcon,
+  LinkIcon,
+  LockClosedIcon,
+  GlobeAltIcon,
+  PencilIcon,
+  TrashIcon,
+  XIcon
+} from '@heroicons/react/outline';
+import ResourceCard from '../components/ResourceCard';
+import CollectionTransfer from '../components/CollectionTransfer';
+import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import {
+  getCollectionBySlug,
+  updateCollection,
+  deleteCollection,
+  reorderCollection,
+  setCollectionMembership
+} from '../utils/resourceUtils';
+import { subscribe } from '../utils/entityStore';
+import { COLLECTION_VISIBILITY, canEditCollection, getCollectionCover, moveInOrder } from '../utils/collections';
+import toast from 'react-hot-toast';
+
+const VISIBILITY_ICONS = {
+  private: LockClosedIcon,
+  unlisted: LinkIcon,
+  public: GlobeAltIcon
+};
+
+const CollectionPage = () => {
+  const { slug } = useParams();
+  const { user } = useUser();
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const [collection, setCollection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState({ title: '', description: '', cover_url: '', visibility: 'private' });
+  const [saving, setSaving] = useState(false);
+
+  const fetchCollection = useCallback(async () => {
+    const result = await getCollectionBySlug(slug);
+
+    if (!result.success) {
+      toast.error(t('collections.errors.load', 'Failed to load collections'));
+    }
+    setCollection(result.data || null);
+    setLoading(false);
+  }, [slug, t]);
+
+  useEffect(() => {
+    setLoading(true);
+    fetchCollection();
+  }, [fetchCollection]);
+
+  // Reload when this user's collections change elsewhere (picker, favorites)
+  useEffect(() => subscribe((tags) => {
+    if (tags.some(tag => tag.startsWith('collections:') || tag === 'list:collections')) {
+      fetchCollection();
+    }
+  }), [fetchCollection]);
+
+  const isOwner = canEditCollection(collection, user);
+  const title = collection?.is_default ? t('collections.favorites', 'Favorites') : collection?.title;
+  const cover = getCollectionCover(collection);
+
+  const startEditing = () => {
+    setForm({
+      title: collection.title || '',
+      description: collection.description || '',
+      cover_url: collection.cover_url || '',
+      visibility: collection.visibility
+    });
+    setEditing(true);
+  };
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    if (!form.title.trim()) {
+      toast.error(t('collections.errors.titleRequired', 'Give the collection a title'));
+      return;
+    }
+
+    setSaving(true);
+    const result = await updateCollection(collection.id, {
+      title: form.title.trim(),
+      description: form.description.trim() || null,
+      cover_url: form.cover_url.trim() || null,
+      visibility: form.visibility
+    }, user.id);
+    setSaving(false);
+
+    if (!result.success) {
+      toast.error(t('collections.errors.update', 'Failed to update collection'));
+      return;
+    }
+
+    setCollection(prev => ({ ...prev, ...result.data, resources: prev.resources, resource_ids: prev.resource_ids }));
+    setEditing(false);
+    toast.success(t('collections.saved', 'Collection saved'));
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(`${window.location.origin}/c/${collection.slug}`);
+      toast.success(t('collections.linkCopied', 'Link copied to clipboard'));
+    } catch (error) {
+      console.error('Error copying collection link:', error);
+      toast.error(t('collections.errors.copy', 'Could not copy the link'));
+    }
+  };
+
+  const handleMove = async (index, offset) => {
+    // Order by the resources shown, so ids of deleted resources drop out
+    const shownIds = collection.resources.map(resource => resource.id);
+    const resourceIds = moveInOrder(shownIds, index, offset);
+    if (resourceIds === shownIds) return;
+
+    const previous = collection;
+    const byId = new Map(collection.resources.map(resource => [resource.id, resource]));
+    setCollection({
+      ...collection,
+      resource_ids: resourceIds,
+      resources: resourceIds.map(id => byId.get(id)).filter(Boolean)
+    });
+
+    const result = await reorderCollection(collection.id, resourceIds, user.id);
+    if (!result.success) {
+      setCollection(previous);
+      toast.error(t('collections.errors.update', 'Failed to update collection'));
+    }
+  };
+
+  const handleRemove = async (resourceId) => {
+    const result = await setCollectionMembership(collection, resourceId, user.id, false);
+    if (!result.success) {
+      toast.error(t('collections.errors.update', 'Failed to update collection'));
+      return;
+    }
+
+    setCollection(prev => ({
+      ...prev,
+      resource_ids: prev.resource_ids.filter(id => id !== resourceId),
+      resources: prev.resources.filter(resource => resource.id !== resourceId)
+    }));
+    toast.success(t('collections.removed', `Removed from ${title}`, { title }));
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(t('collections.confirmDelete', 'Delete this collection? The resources themselves are kept.'))) return;
+
+    const result = await deleteCollection(collection.id, user.id);
+    if (!result.success) {
+      toast.error(t('collections.errors.delete', 'Failed to delete collection'));
+      return;
+    }
+
+    toast.success(t('collections.deleted', 'Collection deleted'));
+    navigate('/collections', { replace: true });
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-16 flex justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  if (!collection) {
+    return (
+      <div className="container mx-auto px-4 py-16">
+        <div className="glass-card p-6 text-center max-w-lg mx-auto">
+          <h1 className="text-xl font-bold mb-2">{t('collections.notFound', 'Collection not found')}</h1>
+          <p className="text-white/70 mb-4">
+            {t('collections.notFoundDescription', 'It may be private, or the link may be wrong.')}
+          </p>
+          <Link to="/collections" className="btn btn-primary">
+            {t('collections.browse', 'Browse collections')}
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const VisibilityIcon = VISIBILITY_ICONS[collection.visibility] || LockClosedIcon;
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <Helmet>
+        <title>{title} - Mindy</title>
+        {collection.description && <meta name="description" content={collection.description} />}
+        {collection.visibility !== 'public' && <meta name="robots" content="noindex" />}
+      </Helmet>
+
+      <button
+        onClick={() => navigate(-1)}
+        className="flex items-center text-gray-400 hover:text-white transition-colors mb-6"
+      >
+        <ArrowLeftIcon className="w-5 h-5 mr-2" />
+        {t('ui.back', 'Back')}
+      </button>
+
+      <div className="glass-card overflow-hidden mb-8">
+        {cover && (
+          <div className="h-48 bg-dark-400">
+            <img src={cover} alt="" className="w-full h-full object-cover" />
+          </div>
+        )}
+
+        <div className="p-6">
+          {editing ? (
+            <form onSubmit={handleSave} className="space-y-4">
+              <div>
+                <label htmlFor="collection-title" className="block text-sm text-gray-400 mb-1">
+                  {t('collections.fields.title', 'Title')}
+                </label>
+                <input
+                  id="collection-title"
+                  name="title"
+                  value={form.title}
+                  onChange={handleChange}
+                  disabled={collection.is_default}
+                  className="w-full px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent disabled:opacity-50"
+                />
+              </div>
+              <div>
+                <label htmlFor="collection-description" className="block text-sm text-gray-400 mb-1">
+                  {t('collections.fields.description', 'Description')}
+                </label>
+                <textarea
+                  id="collection-description"
+                  name="description"
+                  rows={3}
+                  value={form.description}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+                />
+              </div>
+              <div>
+                <label htmlFor="collection-cover" className="block text-sm text-gray-400 mb-1">
+                  {t('collections.fields.cover', 'Cover image URL')}
+                </label>
+                <input
+                  id="collection-cover"
+                  name="cover_url"
+                  type="url"
+                  value={form.cover_url}
+                  onChange={handleChange}
+                  placeholder="https://"
+                  className="w-full px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+                />
+              </div>
+              <div>
+                <label htmlFor="collection-visibility" className="block text-sm text-gray-400 mb-1">
+                  {t('collections.fields.visibility', 'Visibility')}
+                </label>
+                <select
+                  id="collection-visibility"
+                  name="visibility"
+                  value={form.visibility}
+                  onChange={handleChange}
+                  className="w-full px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+                >
+                  {COLLECTION_VISIBILITY.map(visibility => (
+                    <option key={visibility} value={visibility}>
+                      {t(`collections.visibility.${visibility}`, visibility)}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="flex justify-end space-x-3">
+                <button type="button" onClick={() => setEditing(false)} className="btn btn-secondary" disabled={saving}>
+                  {t('common.cancel', 'Cancel')}
+                </button>
+                <button type="submit" className="btn btn-primary" disabled={saving}>
+                  {saving ? t('common.saving', 'Saving...') : t('common.save', 'Save')}
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+              <div>
+                <h1 className="text-2xl font-bold mb-2">{title}</h1>
+                {collection.description && (
+                  <p className="text-white/70 mb-3 whitespace-pre-line">{collection.description}</p>
+                )}
+                <div className="flex items-center flex-wrap gap-3 text-sm text-gray-400">
+                  {collection.user && (
+                    <span className="flex items-center">
+                      {collection.user.avatar_url && (
+                        <img src={collection.user.avatar_url} alt="" className="w-5 h-5 rounded-full mr-2" />
+                      )}
+                      {collection.user.username || 'Anonymous'}
+                    </span>
+                  )}
+                  <span className="flex items-center px-2 py-0.5 rounded-full bg-glass-200 text-xs">
+                    <VisibilityIcon className="w-3 h-3 mr-1" />
+                    {t(`collections.visibility.${collection.visibility}`, collection.visibility)}
+                  </span>
+                  <span>
+                    {t('collections.resourceCount', `${collection.resources.length} resources`, { count: collection.resources.length })}
+                  </span>
+                </div>
+              </div>
+
+              <div className="flex items-center space-x-2 shrink-0">
+                {collection.visibility !== 'private' && (
+                  <button onClick={handleCopyLink} className="btn btn-secondary flex items-center">
+                    <LinkIcon className="w-4 h-4 mr-2" />
+                    {t('collections.copyLink', 'Copy link')}
+                  </button>
+                )}
+                {isOwner && (
+                  <button onClick={startEditing} className="btn btn-secondary flex items-center">
+                    <PencilIcon className="w-4 h-4 mr-2" />
+                    {t('collections.edit', 'Edit')}
+                  </button>
+                )}
+                {isOwner && !collection.is_default && (
+                  <button
+                    onClick={handleDelete}
+                    className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-glass-200 transition-colors"
+                    aria-label={t('collections.delete', 'Delete collection')}
+                  >
+                    <TrashIcon className="w-5 h-5" />
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {(isOwner || collection.resources.length > 0) && (
+        <CollectionTransfer collection={collection} title={title} canImport={isOwner} userId={user?.id} />
+      )}
+
+      {collection.resources.length === 0 ? (
+        <div className="glass-card p-6 text-center">
+          <p className="text-white/70 mb-4">
+            {t('collections.empty', 'This collection has no resources yet.')}
+          </p>
+          <Link to="/" className="btn btn-primary">
+            {t('favorites.browseResources', 'Browse Resources')}
+          </Link>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+          {collection.resources.map((resource, index) => (
+            <div key={resource.id} className="relative">
+              <ResourceCard resource={resource} delay={index * 0.1} />
+              {isOwner && (
+                <div className="absolute bottom-3 right-3 flex items-center space-x-1 bg-dark-300/90 rounded-lg p-1">
+                  <button
+                    onClick={() => handleMove(index, -1)}
+                    disabled={index === 0}
+                    className="p-1 rounded text-gray-400 hover:text-white disabled:opacity-30"
+                    aria-label={t('collections.moveUp', 'Move up')}
+                  >
+                    <ArrowUpIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleMove(index, 1)}
+                    disabled={index === collection.resources.length - 1}
+                    className="p-1 rounded text-gray-400 hover:text-white disabled:opacity-30"
+                    aria-label={t('collections.moveDown', 'Move down')}
+                  >
+                    <ArrowDownIcon className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleRemove(resource.id)}
+                    className="p-1 rounded text-gray-400 hover:text-red-400"
+                    aria-label={t('collections.remove', 'Remove from collection')}
+                  >
+                    <XIcon className="w-4 h-4" />
+                  </button>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CollectionPage;
@@ -0,0 +1,178 @@
+import { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { CollectionIcon, LockClosedIcon, LinkIcon, GlobeAltIcon, PlusIcon } from '@heroicons/react/outline';
+import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import { getUserCollections, getPublicCollections, createCollection } from '../utils/resourceUtils';
+import { subscribe } from '../utils/entityStore';
+import { COLLECTION_VISIBILITY, getCollectionCover } from '../utils/collections';
+import toast from 'react-hot-toast';
+
+const VISIBILITY_ICONS = {
+  private: LockClosedIcon,
+  unlisted: LinkIcon,
+  public: GlobeAltIcon
+};
+
+const CollectionCard = ({ collection, showVisibility = false }) => {
+  const { t } = useLanguage();
+  const cover = getCollectionCover(collection);
+  const VisibilityIcon = VISIBILITY_ICONS[collection.visibility] || LockClosedIcon;
+  const count = collection.resource_ids?.length || 0;
+
+  return (
+    <Link to={`/c/${collection.slug}`} className="glass-card overflow-hidden block hover:border-lime-accent/40 transition-colors">
+      <div className="h-32 bg-dark-400 flex items-center justify-center">
+        {cover ? (
+          <img src={cover} alt="" className="w-full h-full object-cover" />
+        ) : (
+          <CollectionIcon className="w-10 h-10 text-gray-600" />
+        )}
+      </div>
+      <div className="p-4">
+        <h3 className="font-semibold truncate">
+          {collection.is_default ? t('collections.favorites', 'Favorites') : collection.title}
+        </h3>
+        <div className="flex items-center justify-between mt-1 text-xs text-gray-400">
+          <span>{t('collections.resourceCount', `${count} resources`, { count })}</span>
+          {showVisibility ? (
+            <span className="flex items-center">
+              <VisibilityIcon className="w-3 h-3 mr-1" />
+              {t(`collections.visibility.${collection.visibility}`, collection.visibility)}
+            </span>
+          ) : (
+            collection.user?.username && <span className="truncate ml-2">{collection.user.username}</span>
+          )}
+        </div>
+      </div>
+    </Link>
+  );
+};
+
+const CollectionsPage = () => {
+  const { user } = useUser();
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const [collections, setCollections] = useState([]);
+  const [publicCollections, setPublicCollections] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [newTitle, setNewTitle] = useState('');
+  const [newVisibility, setNewVisibility] = useState('private');
+  const [creating, setCreating] = useState(false);
+
+  const fetchCollections = useCallback(async () => {
+    const [own, shared] = await Promise.all([
+      user ? getUserCollections(user.id) : Promise.resolve({ success: true, data: [] }),
+      getPublicCollections()
+    ]);
+
+    if (!own.success || !shared.success) {
+      toast.error(t('collections.errors.load', 'Failed to load collections'));
+    }
+    setCollections(own.data || []);
+    setPublicCollections(shared.data || []);
+    setLoading(false);
+  }, [user, t]);
+
+  useEffect(() => {
+    fetchCollections();
+  }, [fetchCollections]);
+
+  useEffect(() => subscribe((tags) => {
+    if (tags.some(tag => tag.startsWith('collections:') || tag === 'list:collections')) {
+      fetchCollections();
+    }
+  }), [fetchCollections]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const title = newTitle.trim();
+    if (!title || creating) return;
+
+    setCreating(true);
+    const result = await createCollection(user.id, { title, visibility: newVisibility });
+    setCreating(false);
+
+    if (!result.success) {
+      toast.error(t('collections.errors.create', 'Failed to create collection'));
+      return;
+    }
+
+    setNewTitle('');
+    navigate(`/c/${result.data.slug}`);
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-16 flex justify-center">
+        <div className="spinner"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-2xl font-bold mb-6">{t('collections.title', 'Collections')}</h1>
+
+      {user ? (
+        <section className="mb-12">
+          <h2 className="text-lg font-semibold mb-4">{t('collections.yours', 'Your collections')}</h2>
+
+          <form onSubmit={handleCreate} className="glass-card p-4 mb-6 flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              value={newTitle}
+              onChange={(e) => setNewTitle(e.target.value)}
+              placeholder={t('collections.newPlaceholder', 'New collection')}
+              className="flex-1 px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+              disabled={creating}
+            />
+            <select
+              value={newVisibility}
+              onChange={(e) => setNewVisibility(e.target.value)}
+              className="px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+              aria-label={t('collections.fields.visibility', 'Visibility')}
+            >
+              {COLLECTION_VISIBILITY.map(visibility => (
+                <option key={visibility} value={visibility}>
+                  {t(`collections.visibility.${visibility}`, visibility)}
+                </option>
+              ))}
+            </select>
+            <button type="submit" className="btn btn-primary flex items-center justify-center" disabled={creating || !newTitle.trim()}>
+              <PlusIcon className="w-4 h-4 mr-2" />
+              {t('collections.create', 'Create collection')}
+            </button>
+          </form>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+            {collections.map(collection => (
+              <CollectionCard key={collection.id} collection={collection} showVisibility />
+            ))}
+          </div>
+        </section>
+      ) : (
+        <div className="glass-card p-6 text-center mb-12">
+          <p className="text-white/70">
+            {t('collections.signInPrompt', 'Sign in to group resources into collections and share them.')}
+          </p>
+        </div>
+      )}
+
+      <section>
+        <h2 className="text-lg font-semibold mb-4">{t('collections.public', 'Public collections')}</h2>
+        {publicCollections.length === 0 ? (
+          <p className="text-white/60">{t('collections.noPublic', 'No public collections yet.')}</p>
+        ) : (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6">
+            {publicCollections.map(collection => (
+              <CollectionCard key={collection.id} collection={collection} />
+            ))}
+          </div>
+        )}
+      </section>
+    </div>
+  );
+};
+
+export default CollectionsPage;
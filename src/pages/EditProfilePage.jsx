@@ -3,6 +3,7 @@ import { useNavigate, Link } from 'react-router-dom';
 import { useUser } from '../context/UserContext';
 import { getAvatarPreviews, getAvatarUrl } from '../utils/avatarUtils';
 import supabase from '../utils/supabase';
+import { isLocalModeEnabled } from '../utils/dataSources';
 import toast from 'react-hot-toast';
 import { ArrowLeftIcon, CheckIcon, ExternalLinkIcon, RefreshIcon } from '@heroicons/react/outline';
 import { useLanguage } from '../context/LanguageContext';
@@ -122,8 +123,7 @@ const EditProfilePage = () => {
   useEffect(() => {
     const checkConnection = async () => {
       // Skip Supabase request if in local mode
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-      if (!forceSupabase) {
+      if (isLocalModeEnabled()) {
         console.log("Using local data mode, skipping Supabase connection check");
         setSupabaseConnected(true);
         return;
@@ -208,8 +208,7 @@ const EditProfilePage = () => {
       }
       
       // Skip Supabase request if in local mode
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-      if (!forceSupabase) {
+      if (isLocalModeEnabled()) {
         console.log("Using local data mode, creating mock profile");
         
         // Create a mock profile
@@ -441,8 +440,7 @@ const EditProfilePage = () => {
     setSupabaseConnected(true);
     
     // Skip Supabase request if in local mode
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    if (!forceSupabase) {
+    if (isLocalModeEnabled()) {
       console.log("Using local data mode, skipping Supabase connection check");
       setSupabaseConnected(true);
       
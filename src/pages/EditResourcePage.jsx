@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { findDuplicateResources, getResourceById, updateResource } from '../utils/resourceUtils';
+import { canEditResource, diffResource } from '../utils/revisions';
+import { attributesFromTags, getAttributeSchema, pickAttributes } from '../utils/attributeSchemas';
+import { getErrorMessage } from '../utils/errors';
+import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import ResourceForm from '../components/ResourceForm';
+import DuplicateNotice from '../components/DuplicateNotice';
+import toast from 'react-hot-toast';
+
+// Form values for a resource (tags edited as a comma separated string).
+// Resources saved before attributes existed start from what their tags say.
+const toFormData = (resource) => ({
+  title: resource.title || '',
+  description: resource.description || '',
+  url: resource.url || '',
+  image_url: resource.image_url || '',
+  category: resource.category || '',
+  subcategory: resource.subcategory || '',
+  tags: (resource.tags || []).join(', '),
+  attributes: attributesFromTags(resource.tags, resource.category, resource.subcategory, resource.attributes)
+});
+
+const EditResourcePage = () => {
+  const { id } = useParams();
+  const { user, profile } = useUser();
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const [resource, setResource] = useState(null);
+  const [formData, setFormData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [duplicates, setDuplicates] = useState([]);
+
+  useEffect(() => {
+    let mounted = true;
+
+    const fetchResource = async () => {
+      setLoading(true);
+      // Always edit the latest version, not a cached copy
+      const result = await getResourceById(id, true);
+      if (!mounted) return;
+
+      if (result.success) {
+        setResource(result.data);
+        setFormData(toFormData(result.data));
+        setLoadError(null);
+      } else {
+        setLoadError(result.error);
+      }
+      setLoading(false);
+    };
+
+    fetchResource();
+
+    return () => {
+      mounted = false;
+    };
+  }, [id]);
+
+  useEffect(() => {
+    setDuplicates([]);
+  }, [formData?.url]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const changes = {
+      title: formData.title,
+      description: formData.description,
+      url: formData.url,
+      image_url: formData.image_url || null,
+      category: formData.category,
+      subcategory: formData.subcategory || null,
+      tags: formData.tags
+        .split(',')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter((tag) => tag),
+      attributes: pickAttributes(formData.attributes, getAttributeSchema(formData.category, formData.subcategory || null))
+    };
+
+    // Only send what actually changed, so the revision stays readable
+    const changed = Object.fromEntries(
+      Object.entries(diffResource(resource, { ...resource, ...changes })).map(([field, change]) => [field, change.to])
+    );
+
+    if (Object.keys(changed).length === 0) {
+      toast(t('edit.noChanges', 'Nothing to save'));
+      navigate(`/resource/${id}`);
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      // Moving to a URL another resource already uses would duplicate it
+      if ('url' in changed) {
+        const duplicateCheck = await findDuplicateResources(changed.url, { excludeId: id });
+        if (duplicateCheck.data.length > 0) {
+          setDuplicates(duplicateCheck.data);
+          toast.error(t('duplicates.title', 'This resource already exists'));
+          return;
+        }
+      }
+
+      const result = await updateResource(id, changed, user.id);
+      if (!result.success) throw result.error;
+
+      toast.success(t('edit.success', 'Resource updated'));
+      navigate(`/resource/${id}`);
+    } catch (error) {
+      console.error('Error updating resource:', error);
+      toast.error(`${t('edit.errors.saveFailed', 'Failed to save changes')}: ${getErrorMessage(error, t)}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto text-white/70">{t('resource.loading', 'Loading...')}</div>
+      </div>
+    );
+  }
+
+  if (loadError || !resource) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto glass-card p-6">
+          <p className="text-white/70 mb-4">{getErrorMessage(loadError, t)}</p>
+          <Link to="/" className="text-lime-accent hover:underline">{t('ui.back', 'Back')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  if (!canEditResource(resource, user, profile)) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="max-w-2xl mx-auto glass-card p-6">
+          <p className="text-white/70 mb-4">
+            {t('edit.notAllowed', 'Only the person who submitted this resource or an admin can edit it.')}
+          </p>
+          <Link to={`/resource/${id}`} className="text-lime-accent hover:underline">{t('ui.back', 'Back')}</Link>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-2xl font-bold mb-6">{t('edit.title', 'Edit Resource')}</h1>
+
+        <div className="glass-card p-6 mb-8">
+          <p className="text-white/70 mb-4">
+            {t('edit.description', 'Changes are saved to the revision history, so admins can review and revert them.')}
+          </p>
+
+          <DuplicateNotice duplicates={duplicates} />
+
+          <ResourceForm
+            formData={formData}
+            setFormData={setFormData}
+            onSubmit={handleSubmit}
+            disabled={saving}
+            loading={saving}
+            submitLabel={t('edit.save', 'Save Changes')}
+            submittingLabel={t('edit.saving', 'Saving...')}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EditResourcePage;
@@ -1,71 +1,40 @@
 import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
-import supabase from '../utils/supabase';
 import { useUser } from '../context/UserContext';
-import ResourceCard from '../components/ResourceCard';
+import { getUserCollections } from '../utils/resourceUtils';
 import toast from 'react-hot-toast';
 import { useLanguage } from '../context/LanguageContext';
 
+// Favorites are the user's default collection, so signed-in users are sent
+// to it at /c/:slug
 const FavoritesPage = () => {
   const { user } = useUser();
   const { t } = useLanguage();
   const navigate = useNavigate();
-  const [favorites, setFavorites] = useState([]);
   const [loading, setLoading] = useState(true);
   
   useEffect(() => {
-    const fetchFavorites = async () => {
+    const openFavorites = async () => {
       if (!user) {
         setLoading(false);
         return;
       }
       
-      try {
-        const { data, error } = await supabase
-          .from('favorites')
-          .select('*, resources(*)')
-          .eq('user_id', user.id);
-          
-        if (error) throw error;
-        
-        // Process the data to ensure resource has favorited property
-        const processedData = (data || []).map(favorite => ({
-          ...favorite,
-          resources: {
-            ...favorite.resources,
-            favorited: true // Mark as favorited for the ResourceCard component
-          }
-        }));
-        
-        setFavorites(processedData);
-      } catch (error) {
-        console.error('Error fetching favorites:', error);
-        toast.error(t('favorites.errors.loadFavorites', 'Failed to load favorites'));
-      } finally {
-        setLoading(false);
+      const result = await getUserCollections(user.id);
+      const favorites = result.success && result.data.find(collection => collection.is_default);
+      
+      if (favorites) {
+        navigate(`/c/${favorites.slug}`, { replace: true });
+        return;
       }
+      
+      console.error('Error fetching favorites:', result.error);
+      toast.error(t('favorites.errors.loadFavorites', 'Failed to load favorites'));
+      setLoading(false);
     };
     
-    fetchFavorites();
-  }, [user, t]);
-  
-  const handleRemoveFavorite = async (favoriteId) => {
-    try {
-      const { error } = await supabase
-        .from('favorites')
-        .delete()
-        .eq('id', favoriteId);
-        
-      if (error) throw error;
-      
-      // Update local state
-      setFavorites(favorites.filter(fav => fav.id !== favoriteId));
-      toast.success(t('favorites.removed', 'Removed from favorites'));
-    } catch (error) {
-      console.error('Error removing favorite:', error);
-      toast.error(t('favorites.errors.removeFavorite', 'Failed to remove from favorites'));
-    }
-  };
+    openFavorites();
+  }, [user, t, navigate]);
   
   if (loading) {
     return (
@@ -91,25 +60,15 @@ const FavoritesPage = () => {
             {t('common.signIn', 'Sign In')}
           </button>
         </div>
-      ) : favorites.length === 0 ? (
+      ) : (
         <div className="glass-card p-6 text-center">
           <p className="text-white/70 mb-4">
-            {t('favorites.empty', "You haven't added any favorites yet.")}
+            {t('favorites.errors.loadFavorites', 'Failed to load favorites')}
           </p>
-          <Link to="/" className="btn btn-primary">
-            {t('favorites.browseResources', 'Browse Resources')}
+          <Link to="/collections" className="btn btn-primary">
+            {t('collections.browse', 'Browse collections')}
           </Link>
         </div>
-      ) : (
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-          {favorites.map((favorite, index) => (
-            <ResourceCard 
-              key={favorite.id} 
-              resource={favorite.resources} 
-              delay={index * 0.1}
-            />
-          ))}
-        </div>
       )}
     </div>
   );
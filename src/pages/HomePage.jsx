@@ -2,10 +2,16 @@ import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { motion } from 'framer-motion';
 import supabase, { checkSupabaseConnection } from '../utils/supabase';
+import { getLocalDataSource, isLocalModeEnabled, canToggleLocalMode, canUseLocalFallback, setLocalModeEnabled } from '../utils/dataSources';
+import { clearStore, subscribe } from '../utils/entityStore';
+import { getConnectionHealth, subscribeConnectionHealth } from '../utils/connectionHealth';
 import { useUser } from '../context/UserContext';
 import { useLanguage } from '../context/LanguageContext';
 import { loadTranslations } from '../utils/translations';
 import { updateUserProfile } from '../utils/user';
+import { getRecommendedResources, getResourceCounts, getTrendingResources } from '../utils/resourceUtils';
+import { getCount } from '../utils/resourceCounts';
+import { useTaxonomy } from '../context/TaxonomyContext';
 import SearchBar from '../components/SearchBar';
 import GlassCard from '../components/ui/GlassCard';
 import ResourceSkeleton from '../components/ui/ResourceSkeleton';
@@ -20,15 +26,12 @@ import {
   HeartIcon, 
   ChevronRightIcon, 
   FireIcon, 
-  CollectionIcon, 
   TagIcon,
-  CubeIcon,
-  BookOpenIcon,
-  UserGroupIcon,
-  LightBulbIcon,
   DesktopComputerIcon,
   FilterIcon,
   AdjustmentsIcon,
+  SparklesIcon,
+  TrendingUpIcon,
   XIcon
 } from '@heroicons/react/outline';
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/solid';
@@ -36,18 +39,10 @@ import ResourceCard from '../components/ResourceCard';
 import SoftwareIcon from '../components/ui/SoftwareIcon';
 import toast from 'react-hot-toast';
 
-// Move these outside the component to avoid recreating on each render
-const resourceHasTag = (resource, tagToCheck) => {
-  if (!resource?.tags || !tagToCheck) return false;
-  const normalizedTag = tagToCheck.toLowerCase();
-  return Array.isArray(resource.tags) 
-    ? resource.tags.some(tag => tag?.toLowerCase() === normalizedTag)
-    : resource.tags.split(',').map(t => t.trim().toLowerCase()).includes(normalizedTag);
-};
-
 const HomePage = () => {
   const { user } = useUser();
   const { t, currentLanguage, setCurrentLanguage, languages } = useLanguage();
+  const { taxonomy, getName } = useTaxonomy();
   const navigate = useNavigate();
   const isBrowser = typeof window !== 'undefined';
   
@@ -81,86 +76,19 @@ const HomePage = () => {
     { id: 'premiere', name: t('software.premiere', 'Premiere'), icon: '/icons/premiere-icon.svg', color: '#9999FF', count: 0 }
   ];
 
-  // Move INITIAL_CATEGORIES inside component to use t function
-  const INITIAL_CATEGORIES = {
-    assets: { 
-      name: t('categories.assets', 'Assets'), 
-      emoji: '🎨', 
-      icon: <CollectionIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'fonts', name: t('subcategories.fonts', 'Fonts'), emoji: '🔤', count: 0 },
-        { id: 'icons', name: t('subcategories.icons', 'Icons'), emoji: '🔍', count: 0 },
-        { id: 'textures', name: t('subcategories.textures', 'Textures'), emoji: '🧩', count: 0 },
-        { id: 'sfx', name: t('subcategories.sfx', 'SFX'), emoji: '🔊', count: 0 },
-        { id: 'mockups', name: t('subcategories.mockups', 'Mockups'), emoji: '📱', count: 0 },
-        { id: '3d', name: t('subcategories.3d', '3D'), emoji: '🧊', count: 0 },
-        { id: 'photos-videos', name: t('subcategories.photos-videos', 'Images'), emoji: '📸', count: 0 },
-        { id: 'color', name: t('subcategories.color', 'Color'), emoji: '🎨', count: 0 },
-      ]
-    },
-    tools: { 
-      name: t('categories.tools', 'Tools'), 
-      emoji: '🔧', 
-      icon: <CubeIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'ai', name: t('subcategories.ai', 'AI'), emoji: '🤖', count: 0 },
-        { id: 'productivity', name: t('subcategories.productivity', 'Productivity'), emoji: '⚡', count: 0 },
-      ]
-    },
-    community: { 
-      name: t('categories.community', 'Community'), 
-      emoji: '👥', 
-      icon: <UserGroupIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'portfolio', name: t('subcategories.portfolio', 'Portfolio'), emoji: '💼', count: 0 },
-      ]
-    },
-    reference: { 
-      name: t('categories.reference', 'Reference'), 
-      emoji: '📌', 
-      icon: <LightBulbIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'design', name: t('subcategories.design', 'Design'), emoji: '🎨', count: 0 },
-        { id: 'ui', name: t('subcategories.ui', 'UI'), emoji: '📊', count: 0 },
-        { id: 'audiovisual', name: t('subcategories.audiovisual', 'Audiovisual'), emoji: '🎬', count: 0 },
-      ]
-    },
-    inspiration: { 
-      name: t('categories.inspiration', 'Inspiration'), 
-      emoji: '✨', 
-      icon: <LightBulbIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'moodboard', name: t('subcategories.moodboard', 'Moodboard'), emoji: '🎭', count: 0 },
-        { id: 'reference', name: t('subcategories.reference', 'Reference'), emoji: '📌', count: 0 },
-      ]
-    },
-    learn: { 
-      name: t('categories.learn', 'Learn'), 
-      emoji: '📚', 
-      icon: <BookOpenIcon className="w-5 h-5" />, 
-      count: 0, 
-      subcategories: [
-        { id: 'design', name: t('subcategories.design', 'Design'), emoji: '🎨', count: 0 },
-        { id: 'ui-ux', name: t('subcategories.ui-ux', 'UI/UX'), emoji: '📊', count: 0 },
-        { id: 'typography', name: t('subcategories.typography', 'Typography'), emoji: '🔠', count: 0 },
-        { id: 'books', name: t('subcategories.books', 'Books'), emoji: '📚', count: 0 }
-      ]
-    }
-  };
-
   const [searchQuery, setSearchQuery] = useState('');
   const [suggestedTags, setSuggestedTags] = useState([]);
   const [recentResources, setRecentResources] = useState([]);
   const [popularResources, setPopularResources] = useState([]);
   const [trendingResources, setTrendingResources] = useState([]);
   const [mostLikedResources, setMostLikedResources] = useState([]);
+  const [forYouResources, setForYouResources] = useState([]);
+  const [forYouColdStart, setForYouColdStart] = useState(false);
+  const [trendingThisWeek, setTrendingThisWeek] = useState([]);
+  const [trendingInCategory, setTrendingInCategory] = useState({ category: null, resources: [] });
   const [loading, setLoading] = useState(true);
-  const [categories, setCategories] = useState(INITIAL_CATEGORIES);
+  // Grouped counts ({ categories, subcategories, tags }) shown on the taxonomy
+  const [categoryCounts, setCategoryCounts] = useState(null);
   const [softwareCategories, setSoftwareCategories] = useState([]);
   const [selectedFilters, setSelectedFilters] = useState({
     category: null,
@@ -168,7 +96,7 @@ const HomePage = () => {
     software: null
   });
   const [selectedFilterDisplay, setSelectedFilterDisplay] = useState({});
-  const [isSupabaseMode, setIsSupabaseMode] = useState(localStorage.getItem('forceSupabaseConnection') === 'true');
+  const [isSupabaseMode, setIsSupabaseMode] = useState(() => !isLocalModeEnabled());
   
   // Add refs to track if operations have been performed
   const resourcesFetched = useRef(false);
@@ -176,197 +104,72 @@ const HomePage = () => {
   const softwareFetched = useRef(false);
   const connectionChecked = useRef(false);
   
-  // Helper function to generate mock data
-  const generateMockData = () => {
-    // Generate mock trending resources
-    const mockTrending = Array(6).fill().map((_, i) => ({
-      id: `mock-trending-${i}`,
-      title: `Trending Resource ${i+1}`,
-      description: 'This is a mock resource for local data mode',
-      url: 'https://example.com',
-      image_url: `https://picsum.photos/seed/trending${i}/300/200`,
-      category: Object.keys(INITIAL_CATEGORIES)[i % Object.keys(INITIAL_CATEGORIES).length],
-      subcategory: Object.values(INITIAL_CATEGORIES)[0].subcategories[i % Object.values(INITIAL_CATEGORIES)[0].subcategories.length].id,
-      tags: 'mock,local,design',
-      likes: Math.floor(Math.random() * 100),
-      created_at: new Date(Date.now() - Math.floor(Math.random() * 30) * 24 * 60 * 60 * 1000).toISOString()
-    }));
-    
-    // Generate mock recent resources
-    const mockRecent = Array(6).fill().map((_, i) => ({
-      id: `mock-recent-${i}`,
-      title: `Recent Resource ${i+1}`,
-      description: 'This is a mock resource for local data mode',
-      url: 'https://example.com',
-      image_url: `https://picsum.photos/seed/recent${i}/300/200`,
-      category: Object.keys(INITIAL_CATEGORIES)[i % Object.keys(INITIAL_CATEGORIES).length],
-      subcategory: Object.values(INITIAL_CATEGORIES)[1].subcategories[i % Object.values(INITIAL_CATEGORIES)[1].subcategories.length].id,
-      tags: 'mock,local,design',
-      likes: Math.floor(Math.random() * 100),
-      created_at: new Date(Date.now() - Math.floor(Math.random() * 10) * 24 * 60 * 60 * 1000).toISOString()
-    }));
-    
-    // Generate mock popular resources
-    const mockPopular = Array(6).fill().map((_, i) => ({
-      id: `mock-popular-${i}`,
-      title: `Popular Resource ${i+1}`,
-      description: 'This is a mock resource for local data mode',
-      url: 'https://example.com',
-      image_url: `https://picsum.photos/seed/popular${i}/300/200`,
-      category: Object.keys(INITIAL_CATEGORIES)[i % Object.keys(INITIAL_CATEGORIES).length],
-      subcategory: Object.values(INITIAL_CATEGORIES)[2].subcategories[i % Object.values(INITIAL_CATEGORIES)[2].subcategories.length].id,
-      tags: 'mock,local,design',
-      likes: Math.floor(Math.random() * 100) + 50,
-      created_at: new Date(Date.now() - Math.floor(Math.random() * 60) * 24 * 60 * 60 * 1000).toISOString()
-    }));
-    
-    // Generate mock most liked resources
-    const mockMostLiked = Array(6).fill().map((_, i) => ({
-      id: `mock-most-liked-${i}`,
-      title: `Most Liked Resource ${i+1}`,
-      description: 'This is a highly liked mock resource',
-      url: 'https://example.com',
-      image_url: `https://picsum.photos/seed/liked${i}/300/200`,
-      category: Object.keys(INITIAL_CATEGORIES)[i % Object.keys(INITIAL_CATEGORIES).length],
-      subcategory: Object.values(INITIAL_CATEGORIES)[3].subcategories[i % Object.values(INITIAL_CATEGORIES)[3].subcategories.length].id,
-      tags: 'mock,local,popular,favorite',
-      likes: Math.floor(Math.random() * 50) + 150, // Higher likes count
-      created_at: new Date(Date.now() - Math.floor(Math.random() * 90) * 24 * 60 * 60 * 1000).toISOString()
-    }));
-    
-    // Set the mock data
-    setTrendingResources(mockTrending);
-    setRecentResources(mockRecent);
-    setPopularResources(mockPopular);
-    setMostLikedResources(mockMostLiked);
-    
-    // Generate mock category counts
-    const updatedCategories = {};
-    Object.entries(INITIAL_CATEGORIES).forEach(([key, category]) => {
-      updatedCategories[key] = {
-        ...category,
-        count: Math.floor(Math.random() * 20) + 5,
-        subcategories: category.subcategories.map(sub => ({
-          ...sub,
-          count: Math.floor(Math.random() * 10) + 2
-        }))
-      };
-    });
-    setCategories(updatedCategories);
-    
-    // Generate mock software counts
+  // The taxonomy (see TaxonomyContext) keyed by category slug, with names in
+  // the current language and counts
+  const categories = useMemo(() => Object.fromEntries(taxonomy.map(category => [category.slug, {
+    name: getName(category),
+    emoji: category.emoji,
+    count: getCount(categoryCounts, 'categories', category.slug),
+    subcategories: category.subcategories.map(subcategory => ({
+      id: subcategory.slug,
+      name: getName(subcategory),
+      emoji: subcategory.emoji,
+      count: getCount(categoryCounts, 'subcategories', subcategory.slug)
+    }))
+  }])), [taxonomy, getName, categoryCounts]);
+  
+  // Apply grouped counts to the software filters
+  const applySoftwareCounts = (counts) => {
     const updatedSoftware = INITIAL_SOFTWARE_CATEGORIES.map(software => ({
       ...software,
-      count: Math.floor(Math.random() * 15) + 3
+      count: getCount(counts, 'tags', software.id)
     }));
+    
     setSoftwareCategories(updatedSoftware);
   };
-
-  // Fetch counts for all categories and subcategories
-  const fetchCategoryCounts = useCallback(async () => {
-    try {
-      // Get all resources first (we need to count locally because of array filters)
-      const { data: allResources, error } = await supabase
-        .from('resources')
-        .select('*');
-      
-      if (error) {
-        console.error('Error fetching category counts:', error);
-        
-        // If the table doesn't exist, just use the initial categories
-        if (error.code === '42P01') {
-          console.warn('Resources table does not exist, using initial categories');
-          return;
-        }
-        
-        throw error;
-      }
-      
-      if (!allResources) return;
-      
-      // Create a deep copy of the categories structure without React elements
-      const updatedCategories = {};
-      Object.entries(INITIAL_CATEGORIES).forEach(([key, category]) => {
-        updatedCategories[key] = {
-          ...category,
-          // Don't include the icon in the copy since it's a React element
-          icon: category.icon,
-          subcategories: [...category.subcategories]
-        };
-      });
-      
-      // Count resources for each category and subcategory
-      Object.keys(updatedCategories).forEach(categoryKey => {
-        // Find resources for this category
-        const resourcesInCategory = allResources.filter(r => {
-          if (!r.category) return false;
-          const normalizedCategory = r.category.toLowerCase();
-          return normalizedCategory === categoryKey.toLowerCase();
-        });
-        
-        updatedCategories[categoryKey].count = resourcesInCategory.length;
-        
-        // Count for each subcategory
-        updatedCategories[categoryKey].subcategories.forEach((subcategory, index) => {
-          // Case-insensitive matching for subcategory
-          const resourcesInSubcategory = allResources.filter(r => 
-            r.subcategory && r.subcategory.toLowerCase() === subcategory.id.toLowerCase()
-          );
-          updatedCategories[categoryKey].subcategories[index].count = resourcesInSubcategory.length;
-        });
-      });
-      
-      setCategories(updatedCategories);
-    } catch (error) {
-      console.error('Error fetching category counts:', error);
-      // Use fallback data if there's an error
-      setConnectionError(true);
-    }
-  }, [INITIAL_CATEGORIES]);
   
-  // Fetch counts for software categories
-  const fetchSoftwareCounts = useCallback(async () => {
-    try {
-      // Get all resources first
-      const { data: allResources, error } = await supabase
-        .from('resources')
-        .select('*');
-      
-      if (error) {
-        console.error('Error fetching software counts:', error);
-        
-        // If the table doesn't exist, just use the initial software categories
-        if (error.code === '42P01') {
-          console.warn('Resources table does not exist, using initial software categories');
-          setSoftwareCategories(INITIAL_SOFTWARE_CATEGORIES);
-          return;
-        }
-        
-        throw error;
-      }
+  // Load every section from the bundled catalog in local mode
+  const loadLocalData = async () => {
+    const localSource = getLocalDataSource();
+    const allResources = await localSource.getAllResources();
+    const newest = allResources.slice(0, 6);
+    const mostLiked = [...allResources]
+      .sort((a, b) => (b.likes_count || 0) - (a.likes_count || 0))
+      .slice(0, 6);
+    
+    // Mirror the live queries: featured flag, newest, and most favorited
+    setTrendingResources(allResources.filter(r => r.featured).slice(0, 6));
+    setRecentResources(newest);
+    setPopularResources(newest);
+    setMostLikedResources(mostLiked);
+    
+    const counts = await localSource.getResourceCounts({ tags: INITIAL_SOFTWARE_CATEGORIES.map(software => software.id) });
+    setCategoryCounts(counts);
+    applySoftwareCounts(counts);
+  };
+
+  // Fetch category, subcategory and software counts in one grouped request
+  const fetchCounts = useCallback(async () => {
+    const result = await getResourceCounts({ tags: INITIAL_SOFTWARE_CATEGORIES.map(software => software.id) });
+    
+    if (!result.success) {
+      console.error('Error fetching resource counts:', result.message);
       
-      if (!allResources) {
+      // If the table doesn't exist, just use the initial categories
+      if (result.error?.code === '42P01') {
+        console.warn('Resources table does not exist, using initial categories');
         setSoftwareCategories(INITIAL_SOFTWARE_CATEGORIES);
         return;
       }
       
-      // Create a deep copy of software categories
-      const updatedSoftware = JSON.parse(JSON.stringify(INITIAL_SOFTWARE_CATEGORIES));
-      
-      // Count resources for each software
-      updatedSoftware.forEach((software, index) => {
-        // Use the utility function to check for tag matches
-        const resourcesWithSoftware = allResources.filter(r => resourceHasTag(r, software.id));
-        updatedSoftware[index].count = resourcesWithSoftware.length;
-      });
-      
-      setSoftwareCategories(updatedSoftware);
-    } catch (error) {
-      console.error('Error fetching software counts:', error);
       // Use fallback data if there's an error
       setConnectionError(true);
       setSoftwareCategories(INITIAL_SOFTWARE_CATEGORIES);
+      return;
     }
+    
+    setCategoryCounts(result.data);
+    applySoftwareCounts(result.data);
   }, [INITIAL_SOFTWARE_CATEGORIES]);
 
   // Move fetchResources outside useEffect and memoize it
@@ -380,24 +183,13 @@ const HomePage = () => {
     try {
       setLoading(true);
       
-      // Check if Supabase mode is forced
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection');
-      
-      // If not in forced Supabase mode, use local data
-      if (forceSupabase === 'false') {
-        console.log('Using local data mode - loading mock resources');
-        // Generate mock data for local mode
-        generateMockData();
+      // Local mode reads straight from the bundled catalog
+      if (isLocalModeEnabled()) {
+        console.log('Using local data mode - loading local catalog');
+        await loadLocalData();
         return;
       }
       
-      // Force Supabase mode if explicitly set
-      if (forceSupabase === 'true') {
-        console.log('Supabase mode is forced - attempting to connect');
-        localStorage.setItem('forceSupabaseConnection', 'true');
-        setIsSupabaseMode(true);
-      }
-      
       // First check if we can connect to the database
       // Skip this check if we've already checked in this render cycle
       let isConnected = false;
@@ -413,14 +205,14 @@ const HomePage = () => {
         console.error('Database connection failed. Using fallback data.');
         setConnectionError(true);
         
-        // Only use mock data if we're not forcing Supabase mode
-        if (forceSupabase !== 'true') {
-          generateMockData();
+        // Fall back to the local catalog unless the deployment pins Supabase
+        if (canUseLocalFallback()) {
+          await loadLocalData();
           return;
         }
         
-        // If we're forcing Supabase mode, show an error and continue trying
-        toast.error('Failed to connect to Supabase but Supabase mode is forced. Check your configuration.', {
+        // Without a fallback, show an error and continue trying
+        toast.error('Failed to connect to Supabase. Check your configuration.', {
           duration: 5000,
           icon: '⚠️'
         });
@@ -431,17 +223,20 @@ const HomePage = () => {
         const [featuredData, recentData, topRatedData, mostLikedData] = await Promise.all([
           supabase.from('resources')
             .select('*')
+            .eq('approved', true)
             .eq('featured', true)  // Only get featured resources
             .order('created_at', { ascending: false })
             .limit(6),
             
           supabase.from('resources')
             .select('*')
+            .eq('approved', true)
             .order('created_at', { ascending: false })
             .limit(6),
             
           supabase.from('resources')
             .select('*')
+            .eq('approved', true)
             .order('created_at', { ascending: false })
             .limit(6),
             
@@ -464,6 +259,7 @@ const HomePage = () => {
                 try {
                   return await supabase.from('resources')
                     .select('*, favorite_count:favorites!resource_id(count)')
+                    .eq('approved', true)
                     .order('created_at', { ascending: false })
                     .limit(6);
                 } catch (joinError) {
@@ -471,6 +267,7 @@ const HomePage = () => {
                   console.log('Join query failed, using simple query:', joinError);
                   return await supabase.from('resources')
                     .select('*')
+                    .eq('approved', true)
                     .order('created_at', { ascending: false })
                     .limit(6);
                 }
@@ -529,10 +326,7 @@ const HomePage = () => {
         
         // Try to fetch category and software counts
         try {
-          await Promise.all([
-            fetchCategoryCounts(),
-            fetchSoftwareCounts()
-          ]);
+          await fetchCounts();
         } catch (countsError) {
           console.error('Error fetching counts:', countsError);
           // Continue with what we have
@@ -563,15 +357,15 @@ const HomePage = () => {
           setConnectionError(true);
         }
         
-        // Use mock data on error only if not forcing Supabase mode
-        if (forceSupabase !== 'true') {
-          generateMockData();
+        // Use the local catalog on error unless the deployment pins Supabase
+        if (canUseLocalFallback()) {
+          await loadLocalData();
         } else {
-          // If forcing Supabase mode, show empty state
+          // Without a fallback, show empty state
           setTrendingResources([]);
           setRecentResources([]);
           setPopularResources([]);
-          toast.error('Error fetching resources and Supabase mode is forced. Check console for details.', {
+          toast.error('Error fetching resources. Check console for details.', {
             duration: 5000,
             icon: '⚠️'
           });
@@ -581,12 +375,11 @@ const HomePage = () => {
       console.error('Error in fetchResources:', error);
       setConnectionError(true);
       
-      // Use mock data on error only if not forcing Supabase mode
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection');
-      if (forceSupabase !== 'true') {
-        generateMockData();
+      // Use the local catalog on error unless the deployment pins Supabase
+      if (canUseLocalFallback()) {
+        await loadLocalData();
       } else {
-        // If forcing Supabase mode, show empty state
+        // Without a fallback, show empty state
         setTrendingResources([]);
         setRecentResources([]);
         setPopularResources([]);
@@ -594,13 +387,15 @@ const HomePage = () => {
     } finally {
       setLoading(false);
     }
-  }, [isBrowser, fetchCategoryCounts, fetchSoftwareCounts, connectionError]);
+  }, [isBrowser, fetchCounts, connectionError]);
   
   // Toggle Supabase connection mode
   const toggleSupabaseMode = useCallback(() => {
-    const newMode = !isSupabaseMode;
+    const newMode = !setLocalModeEnabled(isSupabaseMode);
     setIsSupabaseMode(newMode);
-    localStorage.setItem('forceSupabaseConnection', newMode.toString());
+    
+    // Cached entities belong to the previous data source
+    clearStore();
     
     if (newMode) {
       toast.success('Supabase mode enabled. The app will use live data.');
@@ -612,7 +407,7 @@ const HomePage = () => {
       fetchResources();
     } else {
       toast.success('Local data mode enabled. Connection checks disabled for performance.');
-      // Data will be reloaded with mock data on next render
+      // Data will be reloaded from the local catalog
       setLoading(true);
       // Reset the fetched flag to allow fetching again
       resourcesFetched.current = false;
@@ -631,9 +426,8 @@ const HomePage = () => {
       if (connectionChecked.current) return;
       connectionChecked.current = true;
       
-      // Skip connection check if local mode is explicitly set
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection');
-      if (forceSupabase === 'false') {
+      // Skip connection check if local mode is enabled
+      if (isLocalModeEnabled()) {
         console.log('Local mode is enabled, skipping connection check');
         setConnectionError(true); // Treat as disconnected for UI purposes
         return;
@@ -745,18 +539,86 @@ const HomePage = () => {
   useEffect(() => {
     // Only fetch resources on first mount, not on every fetchResources change
     if (!resourcesFetched.current) {
-      // Add a small delay to prevent concurrent requests on page load
-      const timer = setTimeout(() => {
-        fetchResources();
-      }, 500);
+      // No delay needed: the request queue limits concurrent requests, and
+      // cached responses from the last session paint right away
+      fetchResources();
       
       return () => {
-        clearTimeout(timer);
         resourcesFetched.current = false;
       };
     }
   }, []); // Empty dependency array - only run on mount
   
+  // Refetch when resources are added or changed elsewhere (e.g. a new submission)
+  useEffect(() => subscribe((tags) => {
+    if (tags.includes('list:resources')) {
+      resourcesFetched.current = false;
+      fetchResources();
+    }
+  }), [fetchResources]);
+  
+  // Time-decayed trending: this week overall, and in the selected category
+  // (or, with no category selected, the category of this week's top resource)
+  const fetchTrending = useCallback(async () => {
+    const weekly = await getTrendingResources({ limit: 6, windowDays: 7 });
+    const thisWeek = weekly.success ? weekly.data : [];
+    setTrendingThisWeek(thisWeek);
+    
+    const category = selectedFilters.category || thisWeek[0]?.category || null;
+    if (!category) {
+      setTrendingInCategory({ category: null, resources: [] });
+      return;
+    }
+    
+    const inCategory = await getTrendingResources({ limit: 6, category });
+    setTrendingInCategory({ category, resources: inCategory.success ? inCategory.data : [] });
+  }, [selectedFilters.category]);
+  
+  useEffect(() => {
+    fetchTrending();
+  }, [fetchTrending, isSupabaseMode]);
+  
+  // Personal recommendations for signed-in users
+  const fetchRecommendations = useCallback(async () => {
+    if (!user?.id) {
+      setForYouResources([]);
+      return;
+    }
+    
+    const result = await getRecommendedResources(user.id, 6);
+    setForYouResources(result.success ? result.data : []);
+    setForYouColdStart(!!result.coldStart);
+  }, [user?.id]);
+  
+  useEffect(() => {
+    fetchRecommendations();
+  }, [fetchRecommendations, isSupabaseMode]);
+  
+  // New favorites and resources change what's recommended
+  useEffect(() => subscribe((tags) => {
+    if (user?.id && tags.some(tag => tag === 'list:resources' || tag === `favorites:${user.id}`)) {
+      fetchRecommendations();
+    }
+  }), [fetchRecommendations, user?.id]);
+  
+  // Follow the shared connection health: flag outages, and reload live data once Supabase is back
+  useEffect(() => {
+    let lastStatus = getConnectionHealth().status;
+    
+    return subscribeConnectionHealth(({ status }) => {
+      if (status === 'offline') {
+        setConnectionError(true);
+      } else if (status === 'online' && lastStatus === 'offline' && isSupabaseMode) {
+        setConnectionError(false);
+        resourcesFetched.current = false;
+        connectionChecked.current = false;
+        fetchResources();
+      }
+      
+      if (status !== 'checking') lastStatus = status;
+    });
+  }, [fetchResources, isSupabaseMode]);
+  
   // Add manual refresh function
   const handleManualRefresh = () => {
     resourcesFetched.current = false;
@@ -918,6 +780,8 @@ const HomePage = () => {
     }
   };
 
+  const trendingCategoryName = categories[trendingInCategory.category]?.name || trendingInCategory.category;
+  
   return (
     <div className="min-h-screen">
       {/* Hero Section */}
@@ -949,25 +813,27 @@ const HomePage = () => {
             </p>
             
             {/* Data Mode Toggle */}
-            <div className="mb-4 flex justify-center">
-              <button
-                onClick={toggleSupabaseMode}
-                className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
-                  isSupabaseMode 
-                    ? 'bg-[#bfff58]/20 text-[#bfff58] hover:bg-[#bfff58]/30' 
-                    : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700/70'
-                }`}
-              >
-                {isSupabaseMode 
-                  ? 'Using Supabase Data 🔄' 
-                  : 'Using Local Data 📊'}
-              </button>
-              {connectionError && isSupabaseMode && (
-                <div className="ml-2 px-3 py-2 bg-red-500/20 text-red-300 rounded-full text-xs flex items-center">
-                  <span>Connection Error</span>
-                </div>
-              )}
-            </div>
+            {canToggleLocalMode() && (
+              <div className="mb-4 flex justify-center">
+                <button
+                  onClick={toggleSupabaseMode}
+                  className={`px-4 py-2 rounded-full text-sm font-medium transition-colors ${
+                    isSupabaseMode 
+                      ? 'bg-[#bfff58]/20 text-[#bfff58] hover:bg-[#bfff58]/30' 
+                      : 'bg-gray-700/50 text-gray-300 hover:bg-gray-700/70'
+                  }`}
+                >
+                  {isSupabaseMode 
+                    ? 'Using Supabase Data 🔄' 
+                    : 'Using Local Data 📊'}
+                </button>
+                {connectionError && isSupabaseMode && (
+                  <div className="ml-2 px-3 py-2 bg-red-500/20 text-red-300 rounded-full text-xs flex items-center">
+                    <span>Connection Error</span>
+                  </div>
+                )}
+              </div>
+            )}
             
             {/* Search Bar */}
             <div className="relative max-w-2xl mx-auto mb-8">
@@ -1045,11 +911,11 @@ const HomePage = () => {
               
               if (type === 'category') {
                 const category = categories[value];
-                displayText = t(`categories.${value}`, category?.name || value);
+                displayText = category?.name || value;
                 emoji = category?.emoji || '';
               } else if (type === 'subcategory') {
                 const subcategory = subcategories.find(s => s.id === value);
-                displayText = t(`subcategories.${value}`, subcategory?.name || value);
+                displayText = subcategory?.name || value;
                 emoji = subcategory?.emoji || '';
               } else if (type === 'software') {
                 const software = softwareCategories.find(s => s.id === value);
@@ -1091,7 +957,7 @@ const HomePage = () => {
           <div key={categoryId} className="mb-6">
             <div className="flex items-center justify-between mb-3">
               <h4 className="text-sm font-medium text-white/90 uppercase tracking-wider">
-                {t(`categories.${categoryId}`, category.name)}
+                {category.name}
               </h4>
               <span className="text-xs px-2 py-0.5 rounded-full bg-dark-300/80 text-gray-400">
                 {category.count}
@@ -1100,7 +966,7 @@ const HomePage = () => {
             
             <div className="grid grid-cols-2 sm:grid-cols-3 md:grid-cols-4 lg:grid-cols-6 gap-2">
               {category.subcategories.map((subcategory) => {
-                const translatedName = t(`subcategories.${subcategory.id}`, subcategory.name);
+                const translatedName = subcategory.name;
                 return (
                   <button
                     key={subcategory.id}
@@ -1181,6 +1047,35 @@ const HomePage = () => {
         </div>
       </section>
       
+      {/* For you: personal recommendations for signed-in users */}
+      {user && forYouResources.length > 0 && (
+        <section className="py-12">
+          <div className="container mx-auto px-4">
+            <div className="mb-6">
+              <h2 className="text-2xl font-bold text-white flex items-center">
+                <SparklesIcon className="w-6 h-6 mr-2 text-[#bfff58]" />
+                {t('home.sections.forYou', 'For you')}
+              </h2>
+              <p className="text-sm text-gray-400 mt-1">
+                {forYouColdStart
+                  ? t('home.sections.forYouColdStart', 'Favorite a few resources to personalize this section')
+                  : t('home.sections.forYouSubtitle', 'Based on your favorites and views')}
+              </p>
+            </div>
+            
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {forYouResources.map((resource, index) => (
+                <ResourceCard 
+                  key={resource.id} 
+                  resource={resource} 
+                  delay={index * 0.1}
+                />
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+      
       <SectionDivider label={t('home.sections.highlightedResources', 'Highlighted Resources')} />
       
       {/* Highlighted Resources (formerly Trending Resources) */}
@@ -1212,6 +1107,58 @@ const HomePage = () => {
       
       <SectionDivider />
       
+      {/* Trending this week: recent views, favorites and comments, newest counting most */}
+      {trendingThisWeek.length > 0 && (
+        <section className="py-12 bg-dark-200/30">
+          <div className="container mx-auto px-4">
+            <div className="flex items-center mb-6">
+              <h2 className="text-2xl font-bold text-white flex items-center">
+                <TrendingUpIcon className="w-6 h-6 mr-2 text-[#bfff58]" />
+                {t('home.sections.trendingThisWeek', 'Trending this week')}
+              </h2>
+            </div>
+            
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {trendingThisWeek.map((resource, index) => (
+                <ResourceCard 
+                  key={resource.id} 
+                  resource={resource} 
+                  delay={index * 0.1}
+                />
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+      
+      {trendingInCategory.resources.length > 0 && (
+        <section className="py-12">
+          <div className="container mx-auto px-4">
+            <div className="flex items-center mb-6">
+              <h2 className="text-2xl font-bold text-white flex items-center">
+                <FireIcon className="w-6 h-6 mr-2 text-[#bfff58]" />
+                {t('home.sections.trendingInCategory', `Trending in ${trendingCategoryName}`, { category: trendingCategoryName })}
+              </h2>
+              <Link to={`/category/${trendingInCategory.category}`} className="ml-auto text-sm text-[#bfff58] hover:underline flex items-center">
+                {t('common.viewAll', 'View all')} <ChevronRightIcon className="w-4 h-4 ml-1" />
+              </Link>
+            </div>
+            
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+              {trendingInCategory.resources.map((resource, index) => (
+                <ResourceCard 
+                  key={resource.id} 
+                  resource={resource} 
+                  delay={index * 0.1}
+                />
+              ))}
+            </div>
+          </div>
+        </section>
+      )}
+      
+      {(trendingThisWeek.length > 0 || trendingInCategory.resources.length > 0) && <SectionDivider />}
+      
       {/* Recent Uploads */}
       {recentResources.length > 0 && (
         <section className="py-12 bg-dark-200/30">
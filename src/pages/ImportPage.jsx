@@ -0,0 +1,367 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { CheckIcon, PencilIcon, XIcon, UploadIcon } from '@heroicons/react/outline';
+import { IMPORT_SOURCES, normalizeTags, parseImport } from '../utils/importers';
+import { attributesFromTags, getAttributeSchema, pickAttributes } from '../utils/attributeSchemas';
+import { checkForDuplicates, findDuplicateResources, mergeDuplicateResource, submitResource } from '../utils/resourceUtils';
+import { useUser } from '../context/UserContext';
+import { useLanguage } from '../context/LanguageContext';
+import ResourceForm from '../components/ResourceForm';
+import toast from 'react-hot-toast';
+
+const STATUS_STYLES = {
+  pending: 'bg-glass-200 text-white/70',
+  accepted: 'bg-[#bfff58]/20 text-[#bfff58]',
+  skipped: 'bg-glass-200 text-gray-500',
+  submitted: 'bg-green-500/20 text-green-300',
+  merged: 'bg-blue-500/20 text-blue-300',
+  failed: 'bg-red-500/20 text-red-300'
+};
+
+// Rows that are finished and can't be changed any more
+const DONE_STATUSES = ['submitted', 'merged'];
+
+const toFormData = (resource) => ({
+  title: resource.title,
+  description: resource.description,
+  url: resource.url,
+  image_url: resource.image_url,
+  category: resource.category,
+  subcategory: resource.subcategory,
+  tags: resource.tags.join(', '),
+  attributes: resource.attributes || {}
+});
+
+/**
+ * Review screen for links imported from Raindrop, Pocket, Are.na or an
+ * awesome list (see utils/importers.js). Every row is accepted, edited or
+ * skipped; accepted rows are then submitted, or merged into the resource
+ * they duplicate.
+ */
+const ImportPage = () => {
+  const { user } = useUser();
+  const { t } = useLanguage();
+  const [source, setSource] = useState('raindrop');
+  const [rows, setRows] = useState([]);
+  const [parsing, setParsing] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [editingKey, setEditingKey] = useState(null);
+  const [editForm, setEditForm] = useState(null);
+
+  const updateRow = (key, changes) => {
+    setRows(prev => prev.map(row => (row.key === key ? { ...row, ...changes } : row)));
+  };
+
+  const handleFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+
+    let resources;
+    try {
+      resources = parseImport(source, await file.text());
+    } catch (error) {
+      console.error('Error parsing import:', error);
+      toast.error(t('import.errors.parse', 'Could not read that file for the selected source'));
+      return;
+    }
+
+    if (resources.length === 0) {
+      toast.error(t('import.errors.empty', 'No links found in that file'));
+      return;
+    }
+
+    setParsing(true);
+    const check = await checkForDuplicates(resources);
+    setParsing(false);
+
+    if (!check.success) {
+      toast.error(t('import.errors.duplicates', 'Could not check for duplicates; they will be flagged when submitted'));
+    }
+    const duplicates = new Map(check.data.duplicates.map(duplicate => [duplicate.resource, duplicate]));
+
+    setEditingKey(null);
+    setRows(resources.map((resource, index) => {
+      const duplicate = duplicates.get(resource) || null;
+      return {
+        key: `${index}-${resource.url}`,
+        resource,
+        duplicate,
+        // A link repeated within the file is only offered once
+        status: duplicate?.inBatch ? 'skipped' : 'pending',
+        error: null
+      };
+    }));
+  };
+
+  const handleAccept = (row) => {
+    if (!row.resource.category) {
+      startEditing(row);
+      toast(t('import.pickCategory', 'Pick a category before accepting this link'));
+      return;
+    }
+    updateRow(row.key, { status: 'accepted', error: null });
+  };
+
+  const startEditing = (row) => {
+    setEditingKey(row.key);
+    setEditForm(toFormData(row.resource));
+  };
+
+  const handleSaveEdit = async (e) => {
+    e.preventDefault();
+    const row = rows.find(item => item.key === editingKey);
+    const tags = normalizeTags(editForm.tags);
+    const resource = {
+      ...row.resource,
+      title: editForm.title.trim(),
+      description: editForm.description.trim(),
+      url: editForm.url.trim(),
+      image_url: editForm.image_url.trim(),
+      category: editForm.category,
+      subcategory: editForm.subcategory,
+      tags,
+      attributes: pickAttributes(editForm.attributes, getAttributeSchema(editForm.category, editForm.subcategory || null))
+    };
+
+    // A new URL may point at a different resource
+    let { duplicate } = row;
+    if (resource.url !== row.resource.url) {
+      const matches = await findDuplicateResources(resource.url);
+      duplicate = matches.data.length > 0
+        ? { resource, existing: matches.data[0], canonicalUrl: matches.canonicalUrl, inBatch: false }
+        : null;
+    }
+
+    updateRow(row.key, {
+      resource,
+      duplicate: duplicate && { ...duplicate, resource },
+      status: 'accepted',
+      error: null
+    });
+    setEditingKey(null);
+  };
+
+  const setPendingStatus = (status) => {
+    setRows(prev => prev.map(row => (
+      row.status === 'pending' && !(status === 'accepted' && !row.resource.category)
+        ? { ...row, status }
+        : row
+    )));
+  };
+
+  const handleSubmit = async () => {
+    const accepted = rows.filter(row => row.status === 'accepted');
+    if (accepted.length === 0) return;
+
+    setSubmitting(true);
+    let done = 0;
+
+    for (const row of accepted) {
+      const { resource } = row;
+      let result;
+
+      if (row.duplicate) {
+        result = await mergeDuplicateResource({ ...row.duplicate, resource }, user.id);
+      } else {
+        result = await submitResource({
+          title: resource.title,
+          description: resource.description,
+          url: resource.url,
+          image_url: resource.image_url || null,
+          category: resource.category,
+          subcategory: resource.subcategory || null,
+          tags: resource.tags,
+          // Tags like "free" fill in attributes that weren't set
+          attributes: attributesFromTags(resource.tags, resource.category, resource.subcategory || null, resource.attributes),
+          user_id: user.id
+        });
+      }
+
+      if (result.success) {
+        done += 1;
+        updateRow(row.key, { status: row.duplicate ? 'merged' : 'submitted', error: null });
+      } else {
+        updateRow(row.key, { status: 'failed', error: result.message });
+      }
+    }
+
+    setSubmitting(false);
+    if (done === accepted.length) {
+      toast.success(t('import.submitted', `${done} links submitted`, { count: done }));
+    } else {
+      toast.error(t('import.errors.someFailed', `${accepted.length - done} links could not be submitted`, { count: accepted.length - done }));
+    }
+  };
+
+  if (!user) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <h1 className="text-2xl font-bold mb-6">{t('import.title', 'Import Links')}</h1>
+        <div className="glass-card p-6 text-center">
+          <p className="text-white/70">
+            {t('import.signInPrompt', 'Sign in to import links from other tools.')}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const counts = rows.reduce((totals, row) => ({ ...totals, [row.status]: (totals[row.status] || 0) + 1 }), {});
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <h1 className="text-2xl font-bold mb-2">{t('import.title', 'Import Links')}</h1>
+      <p className="text-white/60 mb-6">
+        {t('import.description', 'Bring in links from Raindrop, Pocket, Are.na or an awesome list. Review each one before it is submitted.')}
+      </p>
+
+      <div className="glass-card p-4 mb-6 flex flex-col sm:flex-row sm:items-center gap-3">
+        <select
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          className="px-3 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-1 focus:ring-lime-accent"
+          aria-label={t('import.source', 'Source')}
+        >
+          {Object.entries(IMPORT_SOURCES).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <label className="btn btn-secondary flex items-center justify-center cursor-pointer">
+          <UploadIcon className="w-4 h-4 mr-2" />
+          {parsing ? t('import.checking', 'Checking for duplicates...') : t('import.chooseFile', 'Choose export file')}
+          <input
+            type="file"
+            accept={IMPORT_SOURCES[source].accept}
+            onChange={handleFile}
+            className="hidden"
+            disabled={parsing || submitting}
+          />
+        </label>
+      </div>
+
+      {rows.length > 0 && (
+        <>
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3 mb-4">
+            <p className="text-sm text-gray-400">
+              {t('import.counts', `${rows.length} links, ${counts.accepted || 0} accepted, ${counts.skipped || 0} skipped`, {
+                total: rows.length,
+                accepted: counts.accepted || 0,
+                skipped: counts.skipped || 0
+              })}
+            </p>
+            <div className="flex items-center gap-2">
+              <button onClick={() => setPendingStatus('accepted')} className="btn btn-secondary text-sm" disabled={submitting}>
+                {t('import.acceptAll', 'Accept remaining')}
+              </button>
+              <button onClick={() => setPendingStatus('skipped')} className="btn btn-secondary text-sm" disabled={submitting}>
+                {t('import.skipAll', 'Skip remaining')}
+              </button>
+              <button onClick={handleSubmit} className="btn btn-primary text-sm" disabled={submitting || !counts.accepted}>
+                {submitting
+                  ? t('import.submitting', 'Submitting...')
+                  : t('import.submit', `Submit ${counts.accepted || 0} accepted`, { count: counts.accepted || 0 })}
+              </button>
+            </div>
+          </div>
+
+          <ul className="space-y-3">
+            {rows.map(row => {
+              const { resource, duplicate } = row;
+              const done = DONE_STATUSES.includes(row.status);
+
+              return (
+                <li key={row.key} className="glass-card p-4">
+                  <div className="flex flex-col md:flex-row md:items-start gap-3">
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center gap-2 mb-1">
+                        <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[row.status]}`}>
+                          {t(`import.status.${row.status}`, row.status)}
+                        </span>
+                        <h3 className="font-medium truncate">{resource.title}</h3>
+                      </div>
+                      <a href={resource.url} target="_blank" rel="noopener noreferrer" className="text-xs text-gray-400 hover:text-lime-accent break-all">
+                        {resource.url}
+                      </a>
+                      {resource.description && (
+                        <p className="text-sm text-white/60 mt-1 line-clamp-2">{resource.description}</p>
+                      )}
+                      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+                        <span className={resource.category ? 'text-white/70' : 'text-yellow-300'}>
+                          {resource.category
+                            ? [resource.category, resource.subcategory].filter(Boolean).join(' / ')
+                            : t('import.noCategory', 'No category')}
+                        </span>
+                        {resource.tags.map(tag => (
+                          <span key={tag} className="px-2 py-0.5 rounded-full bg-glass-200 text-white/60">{tag}</span>
+                        ))}
+                      </div>
+                      {duplicate && (
+                        <p className="text-xs text-blue-300 mt-2">
+                          {duplicate.inBatch
+                            ? t('import.repeated', 'Repeated in this file')
+                            : (
+                              <>
+                                {t('import.duplicate', 'Already in the catalog; accepting merges its tags and details into')}{' '}
+                                <Link to={`/resource/${duplicate.existing.id}`} className="underline">{duplicate.existing.title}</Link>
+                              </>
+                            )}
+                        </p>
+                      )}
+                      {row.error && <p className="text-xs text-red-300 mt-2">{row.error}</p>}
+                    </div>
+
+                    {!done && !duplicate?.inBatch && (
+                      <div className="flex items-center gap-1 shrink-0">
+                        <button
+                          onClick={() => handleAccept(row)}
+                          disabled={submitting}
+                          className="p-2 rounded-lg text-gray-400 hover:text-[#bfff58] hover:bg-glass-200 transition-colors"
+                          aria-label={t('import.accept', 'Accept')}
+                        >
+                          <CheckIcon className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => startEditing(row)}
+                          disabled={submitting}
+                          className="p-2 rounded-lg text-gray-400 hover:text-white hover:bg-glass-200 transition-colors"
+                          aria-label={t('import.edit', 'Edit')}
+                        >
+                          <PencilIcon className="w-5 h-5" />
+                        </button>
+                        <button
+                          onClick={() => updateRow(row.key, { status: 'skipped' })}
+                          disabled={submitting}
+                          className="p-2 rounded-lg text-gray-400 hover:text-red-400 hover:bg-glass-200 transition-colors"
+                          aria-label={t('import.skip', 'Skip')}
+                        >
+                          <XIcon className="w-5 h-5" />
+                        </button>
+                      </div>
+                    )}
+                  </div>
+
+                  {editingKey === row.key && editForm && (
+                    <div className="mt-4 pt-4 border-t border-glass-200">
+                      <ResourceForm
+                        formData={editForm}
+                        setFormData={setEditForm}
+                        onSubmit={handleSaveEdit}
+                        submitLabel={t('import.saveRow', 'Save and accept')}
+                      />
+                      <button onClick={() => setEditingKey(null)} className="text-sm text-gray-400 hover:text-white mt-3">
+                        {t('common.cancel', 'Cancel')}
+                      </button>
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImportPage;
@@ -7,7 +7,8 @@ import {
   HeartIcon, 
   ShareIcon,
   TagIcon,
-  RefreshIcon
+  RefreshIcon,
+  PencilIcon
 } from '@heroicons/react/outline';
 import { HeartIcon as HeartSolidIcon } from '@heroicons/react/solid';
 import supabase, { executeWithRetry, handleSupabaseError } from '../utils/supabase';
@@ -18,10 +19,16 @@ import SoftwareIcon from '../components/ui/SoftwareIcon';
 import AutoThumbnail from '../components/ui/AutoThumbnail';
 import CommentSection from '../components/CommentSection';
 import RelatedResources from '../components/RelatedResources';
+import ResourceHistory from '../components/ResourceHistory';
+import CollectionPicker from '../components/CollectionPicker';
 import toast from 'react-hot-toast';
 import { Helmet } from 'react-helmet-async';
 import { getResourceThumbnails } from '../utils/thumbnailUtils';
-import { getResourceById, trackResourceView, toggleFavorite as toggleFavoriteUtil, checkAuthStatus } from '../utils/resourceUtils';
+import { getResourceById, getRelatedResources, trackResourceView, toggleFavorite as toggleFavoriteUtil, checkAuthStatus } from '../utils/resourceUtils';
+import { attachAuthors } from '../utils/authorLoader';
+import { entityTag, getEntity, putEntities, subscribe } from '../utils/entityStore';
+import { getErrorMessage, isRetryableError } from '../utils/errors';
+import { canEditResource } from '../utils/revisions';
 import { formatDistanceToNow } from 'date-fns';
 import { motion } from 'framer-motion';
 
@@ -55,37 +62,9 @@ const generateMockResource = (id) => {
   };
 };
 
-// Resource cache to reduce database load
-const resourceCache = {
-  data: {},
-  timestamp: {},
-  ttl: 5 * 60 * 1000, // 5 minute cache TTL
-  
-  // Get resource from cache if available and not expired
-  get(resourceId) {
-    const now = Date.now();
-    if (this.data[resourceId] && now - this.timestamp[resourceId] < this.ttl) {
-      return this.data[resourceId];
-    }
-    return null;
-  },
-  
-  // Store resource in cache
-  set(resourceId, resource) {
-    this.data[resourceId] = resource;
-    this.timestamp[resourceId] = Date.now();
-  },
-  
-  // Clear cache for a specific resource
-  clear(resourceId) {
-    delete this.data[resourceId];
-    delete this.timestamp[resourceId];
-  }
-};
-
 const ResourcePage = () => {
   const { id } = useParams();
-  const { user } = useUser();
+  const { user, profile } = useUser();
   const { t } = useLanguage();
   const navigate = useNavigate();
   const location = useLocation();
@@ -96,11 +75,15 @@ const ResourcePage = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [isFavorited, setIsFavorited] = useState(false);
   const [isLoadingFavorite, setIsLoadingFavorite] = useState(false);
-  const [thumbnailUrl, setThumbnailUrl] = useState(null);
   const [faviconUrl, setFaviconUrl] = useState(null);
   const [comments, setComments] = useState([]);
   const [isLoadingComments, setIsLoadingComments] = useState(false);
-  const [error, setError] = useState(null);
+  const [error, setError] = useState(null); // { message, retryable }
+  
+  // Show a translated message for a failed load, offering a retry only when it can help
+  const showLoadError = (err) => {
+    setError({ message: getErrorMessage(err, t), retryable: isRetryableError(err) });
+  };
 
   // Animation variants for elements
   const fadeIn = {
@@ -159,15 +142,14 @@ const ResourcePage = () => {
       }
     
       // Check if resource is in cache
-      const cachedResource = resourceCache.get(id);
+      const cachedResource = getEntity('resources', id);
       if (cachedResource) {
         console.log('Using cached resource data for', id);
         setResource(cachedResource);
         setIsLoading(false);
         
         // Get thumbnail and favicon
-        const { thumbnailUrl: thumbUrl, faviconUrl: favUrl } = getResourceThumbnails(cachedResource);
-        setThumbnailUrl(thumbUrl);
+        const { faviconUrl: favUrl } = getResourceThumbnails(cachedResource);
         setFaviconUrl(favUrl);
         
         // Check if favorited by user
@@ -188,7 +170,7 @@ const ResourcePage = () => {
         
         if (!result.success) {
           console.error('Error loading resource:', result.message || result.error);
-          setError(result.message || t('errors.errorLoadingResource', 'Error loading resource'));
+          showLoadError(result.error);
           setIsLoading(false);
           return;
         }
@@ -199,7 +181,7 @@ const ResourcePage = () => {
         if (Array.isArray(resourceData)) {
           console.warn('Resource data returned as array, using first item');
           if (resourceData.length === 0) {
-            setError(t('errors.resourceNotFound', 'Resource not found'));
+            setError({ message: t('errors.resourceNotFound', 'Resource not found'), retryable: false });
             setIsLoading(false);
             return;
           }
@@ -209,18 +191,17 @@ const ResourcePage = () => {
         // Verify we have valid resource data
         if (!resourceData || !resourceData.id || typeof resourceData !== 'object' || Array.isArray(resourceData)) {
           console.error('Invalid resource data returned:', resourceData);
-          setError(t('errors.invalidData', 'Invalid resource data returned from database'));
+          setError({ message: t('errors.invalidData', 'Invalid resource data returned from database'), retryable: true });
           setIsLoading(false);
           return;
         }
         
         // Cache the resource data
-        resourceCache.set(id, resourceData);
+        putEntities('resources', resourceData);
         setResource(resourceData);
         
         // Get thumbnail and favicon
-        const { thumbnailUrl: thumbUrl, faviconUrl: favUrl } = getResourceThumbnails(resourceData);
-        setThumbnailUrl(thumbUrl);
+        const { faviconUrl: favUrl } = getResourceThumbnails(resourceData);
         setFaviconUrl(favUrl);
         
         // Get authentication status
@@ -261,7 +242,7 @@ const ResourcePage = () => {
         }
       } catch (error) {
         console.error('Error in fetchData:', error);
-        setError(error.message || t('errors.errorLoadingResource', 'Error loading resource'));
+        showLoadError(error);
     } finally {
         if (mounted) {
       setIsLoading(false);
@@ -276,6 +257,19 @@ const ResourcePage = () => {
     };
   }, [id, user, t]);
   
+  // Pick up changes made elsewhere (likes, views, edits) to the cached resource
+  useEffect(() => {
+    if (!id) return undefined;
+    
+    return subscribe((tags) => {
+      if (!tags.includes(entityTag('resources', id))) return;
+      const updated = getEntity('resources', id, Infinity);
+      if (updated) {
+        setResource(prev => (prev ? { ...prev, ...updated } : prev));
+      }
+    });
+  }, [id]);
+  
   // Check if the resource is favorited by the user
   const checkFavoriteStatus = async (resourceId) => {
     try {
@@ -351,140 +345,17 @@ const ResourcePage = () => {
     }
   };
   
-  // Fetch related resources
+  // Fetch related resources, ranked by tags, subcategory, software and co-favorites
   const fetchRelatedResources = async (resourceId, category) => {
     if (!resourceId) return;
     
     try {
-      // Try to get resources in the same category first
-      const { data, error } = await supabase
-        .from('resources')
-        .select('*')
-        .eq('category', category || '')
-        .neq('id', resourceId)
-        .limit(4);
-        
-      if (error) {
-        console.error('Error fetching related resources:', error);
-        setRelatedResources([]);
-        return;
-      }
+      const result = await getRelatedResources(resourceId, category, 4);
       
-      // Ensure data is an array
-      const resourcesData = Array.isArray(data) ? data : (data ? [data] : []);
-      
-      // Get authentication status for user data fetching
-      const authStatus = await checkAuthStatus();
-      const isAuthenticated = authStatus.authenticated;
-      
-      // Process resources to add user data
-      const processedResources = await Promise.all(
-        (resourcesData || []).map(async (resource) => {
-          // If resource already has user object, use it
-          if (resource.user) {
-            // If user is an array, take the first item
-            if (Array.isArray(resource.user)) {
-              resource.user = resource.user[0] || { 
-                username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-                avatar_url: null
-              };
-            }
-            return resource;
-          }
-          
-          let userData = null;
-          
-          // Try to get user info if user_id exists
-          if (resource.user_id) {
-            try {
-              // Try users table first
-              const { data: userInfo, error: userError } = await supabase
-                .from('users')
-                .select('username, avatar_url')
-                .eq('id', resource.user_id)
-                .single();
-              
-              if (!userError && userInfo) {
-                // Handle userInfo as array if needed
-                userData = Array.isArray(userInfo) ? userInfo[0] : userInfo;
-              } else {
-                // Fallback to profiles table
-                try {
-                  const { data: profileInfo, error: profileError } = await supabase
-                    .from('profiles')
-                    .select('username, avatar_url')
-                    .eq('id', resource.user_id)
-                    .single();
-                  
-                  if (!profileError && profileInfo) {
-                    // Handle profileInfo as array if needed
-                    userData = Array.isArray(profileInfo) ? profileInfo[0] : profileInfo;
-                  }
-                } catch (profileError) {
-                  console.warn('Failed to fetch profile data for resource:', profileError);
-                }
-              }
-            } catch (userError) {
-              console.warn('Failed to fetch user data for resource:', userError);
-            }
-          }
-          
-          // Return resource with user data or fallback
-          return {
-            ...resource,
-            user: userData || {
-              username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-              avatar_url: null
-            }
-          };
-        })
-      );
-      
-      if (processedResources && processedResources.length > 0) {
-        setRelatedResources(processedResources);
-      } else {
-        // If no results, get any 4 resources
-        const { data: anyData, error: anyError } = await supabase
-        .from('resources')
-        .select('*')
-        .neq('id', resourceId)
-        .limit(4);
-        
-        if (!anyError && anyData) {
-          // Ensure anyData is an array
-          const anyResourcesData = Array.isArray(anyData) ? anyData : (anyData ? [anyData] : []);
-          
-          // Process these resources too
-          const processedAnyResources = await Promise.all(
-            anyResourcesData.map(async (resource) => {
-              // If resource already has user object, use it
-              if (resource.user) {
-                // If user is an array, take the first item
-                if (Array.isArray(resource.user)) {
-                  resource.user = resource.user[0] || { 
-                    username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-                    avatar_url: null
-                  };
-                }
-                return resource;
-              }
-              
-              // Return resource with basic user data
-              return {
-                ...resource,
-                user: {
-                  username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-                  avatar_url: null
-                }
-              };
-            })
-          );
-          
-          setRelatedResources(processedAnyResources);
-        } else {
-          setRelatedResources([]);
-        }
+      if (!result.success) {
+        console.error('Error fetching related resources:', result.message);
       }
+      setRelatedResources(result.data || []);
     } catch (error) {
       console.error('Error fetching related resources:', error);
       setRelatedResources([]);
@@ -509,68 +380,8 @@ const ResourcePage = () => {
       // Ensure data is an array
       const commentsData = Array.isArray(data) ? data : (data ? [data] : []);
       
-      // Process comments to ensure they have user data
-      const processedComments = await Promise.all(
-        (commentsData || []).map(async (comment) => {
-          // If comment already has user object, use it
-          if (comment.user) {
-            // If user is an array, take the first item
-            if (Array.isArray(comment.user)) {
-              comment.user = comment.user[0] || { 
-                username: comment.user_id ? `User ${comment.user_id.substring(0, 5)}` : 'Anonymous',
-                avatar_url: null
-              };
-            }
-            return comment;
-          }
-          
-          let userData = null;
-          
-          // Try to get user info if user_id exists
-          if (comment.user_id) {
-            try {
-              // Try users table first
-              const { data: userInfo, error: userError } = await supabase
-                .from('users')
-                .select('username, avatar_url')
-                .eq('id', comment.user_id)
-                .single();
-              
-              if (!userError && userInfo) {
-                // Handle userInfo as array if needed
-                userData = Array.isArray(userInfo) ? userInfo[0] : userInfo;
-              } else {
-                // Fallback to profiles table
-                try {
-                  const { data: profileInfo, error: profileError } = await supabase
-                    .from('profiles')
-                    .select('username, avatar_url')
-                    .eq('id', comment.user_id)
-                    .single();
-                  
-                  if (!profileError && profileInfo) {
-                    // Handle profileInfo as array if needed
-                    userData = Array.isArray(profileInfo) ? profileInfo[0] : profileInfo;
-                  }
-                } catch (profileError) {
-                  console.warn('Failed to fetch profile data for comment:', profileError);
-                }
-              }
-            } catch (userError) {
-              console.warn('Failed to fetch user data for comment:', userError);
-            }
-          }
-          
-          // Return comment with user data or fallback
-          return {
-          ...comment,
-            user: userData || {
-              username: comment.user_id ? `User ${comment.user_id.substring(0, 5)}` : 'Anonymous',
-            avatar_url: null
-          }
-          };
-        })
-      );
+      // Resolve all comment authors with one batched query
+      const processedComments = await attachAuthors(commentsData);
         
       setComments(processedComments || []);
       } catch (error) {
@@ -598,20 +409,21 @@ const ResourcePage = () => {
       // Call the utility function with user ID from auth status
       const result = await toggleFavoriteUtil(resource.id, authStatus.user.id, isFavorited);
       
-      if (result.success) {
+      if (result.success && result.queued) {
+        setIsFavorited(result.isFavorited);
+        toast(t('outbox.queued', 'Saved offline. Will sync when you are back online.'), { icon: '🕓' });
+      } else if (result.success) {
         setIsFavorited(result.isFavorited);
         toast.success(result.isFavorited ? 
           t('resource.addedToFavorites', 'Added to favorites') : 
           t('resource.removedFromFavorites', 'Removed from favorites')
         );
-      } else if (result.authError) {
-        toast.error(t('auth.sessionExpired', 'Your session has expired. Please sign in again.'));
       } else {
-        toast.error(t('common.error', 'An error occurred. Please try again.'));
+        toast.error(getErrorMessage(result.error, t));
       }
     } catch (error) {
       console.error('Error toggling favorite:', error);
-      toast.error(t('common.error', 'An error occurred. Please try again.'));
+      toast.error(getErrorMessage(error, t));
     } finally {
       setIsLoadingFavorite(false);
     }
@@ -703,17 +515,19 @@ const ResourcePage = () => {
         className="container mx-auto px-4 py-16 min-h-screen flex flex-col items-center justify-center"
       >
         <h1 className="text-2xl font-bold text-white mb-4">{t('errors.error', 'Error')}</h1>
-        <p className="text-gray-400 mb-8">{error}</p>
+        <p className="text-gray-400 mb-8">{error.message}</p>
         <div className="flex space-x-4">
-          <motion.button 
-            whileHover={{ scale: 1.05 }}
-            whileTap={{ scale: 0.95 }}
-            onClick={() => window.location.reload()}
-            className="px-4 py-2 bg-[#bfff58] text-dark-900 rounded-md flex items-center shadow-lg transition-all duration-300"
-          >
-            <RefreshIcon className="w-4 h-4 mr-2" />
-            {t('common.retry', 'Retry')}
-          </motion.button>
+          {error.retryable && (
+            <motion.button 
+              whileHover={{ scale: 1.05 }}
+              whileTap={{ scale: 0.95 }}
+              onClick={() => window.location.reload()}
+              className="px-4 py-2 bg-[#bfff58] text-dark-900 rounded-md flex items-center shadow-lg transition-all duration-300"
+            >
+              <RefreshIcon className="w-4 h-4 mr-2" />
+              {t('common.retry', 'Retry')}
+            </motion.button>
+          )}
           <motion.button 
             whileHover={{ scale: 1.05 }}
             whileTap={{ scale: 0.95 }}
@@ -751,6 +565,9 @@ const ResourcePage = () => {
     );
   }
   
+  // Stored thumbnail variants, read from the resource so regenerated ones show up
+  const { thumbnailUrl, srcSet: thumbnailSrcSet } = getResourceThumbnails(resource, { size: 'large' });
+  
   return (
     <motion.div
       initial="hidden"
@@ -796,6 +613,15 @@ const ResourcePage = () => {
               </span>
             </motion.button>
             
+            <CollectionPicker
+              resourceId={resource.id}
+              onFavoriteChange={setIsFavorited}
+              align="left"
+              buttonClassName="flex items-center px-4 py-2 rounded-lg bg-dark-800 hover:bg-dark-700 transition-all duration-300"
+              iconClassName="w-5 h-5 text-gray-400 sm:mr-2"
+              label={<span className="hidden sm:inline">{t('collections.addTo', 'Add to collection')}</span>}
+            />
+            
             <motion.button 
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -807,6 +633,19 @@ const ResourcePage = () => {
               <span className="hidden sm:inline">{t('resource.share')}</span>
             </motion.button>
             
+            {canEditResource(resource, user, profile) && (
+              <motion.button 
+                whileHover={{ scale: 1.05 }}
+                whileTap={{ scale: 0.95 }}
+                onClick={() => navigate(`/resource/${resource.id}/edit`)}
+                className="flex items-center px-4 py-2 rounded-lg bg-dark-800 hover:bg-dark-700 transition-all duration-300"
+                aria-label={t('resource.edit', 'Edit')}
+              >
+                <PencilIcon className="w-5 h-5 text-gray-400 mr-2" />
+                <span className="hidden sm:inline">{t('resource.edit', 'Edit')}</span>
+              </motion.button>
+            )}
+            
             <motion.a
               whileHover={{ scale: 1.05 }}
               whileTap={{ scale: 0.95 }}
@@ -843,24 +682,18 @@ const ResourcePage = () => {
                   transition={{ duration: 0.7 }}
                   className="h-full w-full"
                 >
-                  {resource.image_url ? (
-                    <img 
-                      src={resource.image_url} 
-                alt={resource.title}
-                      className="w-full h-full object-cover"
-                    />
-                  ) : (
-                    <AutoThumbnail 
-                      src={thumbnailUrl}
-                      alt={resource.title}
-                      url={resource.url}
-                      title={resource.title}
-                      category={resource.category || ''}
-                      subcategory={resource.subcategory || ''}
-                      tags={resource.tags || []}
-                      className="w-full h-full object-cover"
-                    />
-                  )}
+                  <AutoThumbnail 
+                    src={thumbnailUrl}
+                    srcSet={thumbnailSrcSet}
+                    sizes="(min-width: 1024px) 66vw, 100vw"
+                    alt={resource.title}
+                    url={resource.url}
+                    title={resource.title}
+                    category={resource.category || ''}
+                    subcategory={resource.subcategory || ''}
+                    tags={resource.tags || []}
+                    className="w-full h-full object-cover"
+                  />
                 </motion.div>
                 
                 {/* Gradient overlay */}
@@ -1046,6 +879,17 @@ const ResourcePage = () => {
                 )}
               </div>
             </motion.div>
+            
+            {/* Revision history (admins only) */}
+            {profile?.is_admin && (
+              <motion.div 
+                variants={fadeIn}
+                className="bg-dark-200 p-6 rounded-xl shadow-lg mt-6"
+              >
+                <h2 className="text-xl font-medium mb-6 text-white">{t('history.title', 'Edit History')}</h2>
+                <ResourceHistory resourceId={resource.id} userId={user?.id} />
+              </motion.div>
+            )}
           </motion.div>
         </div>
       </div>
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import supabase, { checkSupabaseConnection } from '../utils/supabase';
+import { isLocalModeEnabled, canToggleLocalMode, setLocalModeEnabled } from '../utils/dataSources';
 import { ArrowLeftIcon, RefreshIcon, ServerIcon, DatabaseIcon, CheckCircleIcon, XCircleIcon, ExclamationIcon } from '@heroicons/react/outline';
 import { useLanguage } from "../context/LanguageContext";
 import { toast } from 'react-hot-toast';
@@ -8,6 +9,7 @@ import { toast } from 'react-hot-toast';
 const StatusPage = () => {
   const { t } = useLanguage();
   const [loading, setLoading] = useState(true);
+  const [isSupabaseMode, setIsSupabaseMode] = useState(() => !isLocalModeEnabled());
   const [supabaseStatus, setSupabaseStatus] = useState({
     status: 'checking',
     responseTime: null,
@@ -161,11 +163,8 @@ const StatusPage = () => {
   // Run checks on component mount
   useEffect(() => {
     const runChecks = async () => {
-      // Check if Supabase connection is forced
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-      
-      // Only run automatic checks if Supabase is forced
-      if (forceSupabase) {
+      // Only run automatic checks when the app reads from Supabase
+      if (!isLocalModeEnabled()) {
         checkServerStatus();
         await checkSupabaseStatus();
       } else {
@@ -196,10 +195,8 @@ const StatusPage = () => {
   
   // Toggle Supabase connection mode
   const toggleSupabaseMode = () => {
-    const currentMode = localStorage.getItem('forceSupabaseConnection') === 'true';
-    const newMode = !currentMode;
-    
-    localStorage.setItem('forceSupabaseConnection', newMode.toString());
+    const newMode = !setLocalModeEnabled(isSupabaseMode);
+    setIsSupabaseMode(newMode);
     
     if (newMode) {
       toast.success('Supabase mode enabled. The app will use live data.', {
@@ -235,25 +232,27 @@ const StatusPage = () => {
           <h1 className="text-2xl font-bold">{t('status.title', 'System Status')}</h1>
           
           <div className="ml-auto flex items-center space-x-2">
-            <button 
-              onClick={toggleSupabaseMode}
-              className={`flex items-center px-4 py-2 rounded-md transition-colors ${
-                localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
-                  : 'bg-dark-300 text-white/70 hover:bg-dark-400'
-              }`}
-            >
-              <span className="mr-2">
-                {localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'Using Supabase'
-                  : 'Using Local Data'}
-              </span>
-              <span className={`w-3 h-3 rounded-full ${
-                localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'bg-lime-accent'
-                  : 'bg-white/30'
-              }`}></span>
-            </button>
+            {canToggleLocalMode() && (
+              <button 
+                onClick={toggleSupabaseMode}
+                className={`flex items-center px-4 py-2 rounded-md transition-colors ${
+                  isSupabaseMode
+                    ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
+                    : 'bg-dark-300 text-white/70 hover:bg-dark-400'
+                }`}
+              >
+                <span className="mr-2">
+                  {isSupabaseMode
+                    ? 'Using Supabase'
+                    : 'Using Local Data'}
+                </span>
+                <span className={`w-3 h-3 rounded-full ${
+                  isSupabaseMode
+                    ? 'bg-lime-accent'
+                    : 'bg-white/30'
+                }`}></span>
+              </button>
+            )}
             
             <button 
               onClick={refreshStatus} 
@@ -1,94 +1,113 @@
-import { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import supabase from '../utils/supabase';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { fetchUrlMetadata, findDuplicateResources, submitResource } from '../utils/resourceUtils';
+import { attributesFromTags, getAttributeSchema, pickAttributes } from '../utils/attributeSchemas';
+import { getErrorMessage } from '../utils/errors';
 import { useUser } from '../context/UserContext';
+import ResourceForm from '../components/ResourceForm';
+import DuplicateNotice from '../components/DuplicateNotice';
+import BulkSubmitForm from '../components/BulkSubmitForm';
 import toast from 'react-hot-toast';
 import { useLanguage } from '../context/LanguageContext';
 
+// Wait for the user to stop typing before fetching page details
+const METADATA_DEBOUNCE_MS = 600;
+
+// Form fields pre-filled from the page metadata
+const METADATA_FIELDS = {
+  title: 'title',
+  description: 'description',
+  image_url: 'image'
+};
+
 const SubmitResourcePage = () => {
   const { user } = useUser();
   const { t } = useLanguage();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const [loading, setLoading] = useState(false);
-  const [categories, setCategories] = useState([]);
-  const [subcategories, setSubcategories] = useState([]);
-  const [formData, setFormData] = useState({
-    title: '',
-    description: '',
-    url: '',
+  // 'single' for the form, 'bulk' for a CSV or list of URLs
+  const [mode, setMode] = useState('single');
+  // Links from an import (see CollectionTransfer) arrive with their details
+  // in the query string
+  const [formData, setFormData] = useState(() => ({
+    title: searchParams.get('title') || '',
+    description: searchParams.get('description') || '',
+    url: searchParams.get('url') || '',
     image_url: '',
     category: '',
     subcategory: '',
-    tags: '',
-  });
+    tags: searchParams.get('tags') || '',
+    attributes: {}
+  }));
+  const [duplicates, setDuplicates] = useState([]);
+  const [metadata, setMetadata] = useState(null);
+  const [fetchingMetadata, setFetchingMetadata] = useState(false);
+  // Values filled in from page metadata, so a new URL can replace them
+  // without overwriting anything the user typed
+  const autofilled = useRef({});
   
+  // A different URL needs a fresh duplicate check
   useEffect(() => {
-    // Fetch categories and subcategories
-    const fetchCategoriesData = async () => {
-      try {
-        // Fetch categories
-        const { data: categoriesData, error: categoriesError } = await supabase
-          .from('categories')
-          .select('*')
-          .order('name');
-          
-        if (categoriesError) throw categoriesError;
-        setCategories(categoriesData || []);
-        
-        // Fetch subcategories
-        const { data: subcategoriesData, error: subcategoriesError } = await supabase
-          .from('subcategories')
-          .select('*')
-          .order('name');
-          
-        if (subcategoriesError) throw subcategoriesError;
-        setSubcategories(subcategoriesData || []);
-      } catch (error) {
-        console.error('Error fetching categories/subcategories:', error);
-        toast.error(t('submit.errors.loadCategories', 'Failed to load categories'));
-        
-        // Fallback to local mode if there's a network error
-        if (error.message === 'Failed to fetch' || error.message?.includes('network')) {
-          localStorage.setItem('forceSupabaseConnection', 'false');
-          
-          // Set mock categories and subcategories for local mode
-          setCategories([
-            { id: 1, name: 'Design', slug: 'design' },
-            { id: 2, name: 'Development', slug: 'development' },
-            { id: 3, name: 'Marketing', slug: 'marketing' },
-            { id: 4, name: 'Productivity', slug: 'productivity' }
-          ]);
-          
-          setSubcategories([
-            { id: 1, name: 'UI Design', slug: 'ui-design', category_id: 1 },
-            { id: 2, name: 'UX Design', slug: 'ux-design', category_id: 1 },
-            { id: 3, name: 'Web Development', slug: 'web-development', category_id: 2 },
-            { id: 4, name: 'Mobile Development', slug: 'mobile-development', category_id: 2 }
-          ]);
-        }
-      }
-    };
-    
-    fetchCategoriesData();
-  }, [t]);
-  
-  // Filter subcategories based on selected category
-  const filteredSubcategories = formData.category 
-    ? subcategories.filter(sub => {
-        const category = categories.find(cat => cat.slug === formData.category);
-        return category && sub.category_id === category.id;
-      })
-    : [];
+    setDuplicates([]);
+  }, [formData.url]);
   
-  const handleChange = (e) => {
-    const { name, value } = e.target;
-    setFormData((prev) => ({ ...prev, [name]: value }));
-    
-    // Reset subcategory when category changes
-    if (name === 'category') {
-      setFormData(prev => ({ ...prev, subcategory: '' }));
+  // Pre-fill title, description and image from the page once a URL is entered
+  useEffect(() => {
+    const url = formData.url.trim();
+    if (!/^https?:\/\/[^\s/]+\.[^\s]+$/i.test(url)) {
+      setMetadata(null);
+      return undefined;
     }
-  };
+    
+    const controller = new AbortController();
+    const timer = setTimeout(async () => {
+      setFetchingMetadata(true);
+      const result = await fetchUrlMetadata(url, { signal: controller.signal });
+      if (result.aborted) return;
+      
+      setFetchingMetadata(false);
+      setMetadata(result.data);
+      if (!result.data) return;
+      
+      setFormData(prev => {
+        const next = { ...prev };
+        Object.entries(METADATA_FIELDS).forEach(([field, key]) => {
+          const value = result.data[key];
+          if (value && (!prev[field] || prev[field] === autofilled.current[field])) {
+            next[field] = value;
+            autofilled.current[field] = value;
+          }
+        });
+        return next;
+      });
+    }, METADATA_DEBOUNCE_MS);
+    
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+      setFetchingMetadata(false);
+    };
+  }, [formData.url]);
+  
+  const urlHint = fetchingMetadata ? (
+    <p className="text-white/50 text-xs mt-1">
+      {t('submit.metadata.fetching', 'Fetching page details...')}
+    </p>
+  ) : metadata && (
+    <p className="flex items-center text-white/50 text-xs mt-1">
+      {metadata.favicon && (
+        <img
+          src={metadata.favicon}
+          alt=""
+          className="w-4 h-4 mr-2 rounded-sm"
+          onError={(e) => { e.currentTarget.style.display = 'none'; }}
+        />
+      )}
+      {metadata.siteName}
+      {metadata.language && ` · ${metadata.language}`}
+    </p>
+  );
   
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -116,46 +135,43 @@ const SubmitResourcePage = () => {
         category: formData.category,
         subcategory: formData.subcategory || null,
         tags: tagsArray,
+        // Tags like "free" fill in attributes the user left empty
+        attributes: attributesFromTags(
+          tagsArray,
+          formData.category,
+          formData.subcategory || null,
+          pickAttributes(formData.attributes, getAttributeSchema(formData.category, formData.subcategory || null))
+        ),
         user_id: user.id,
         created_at: new Date().toISOString(),
         updated_at: new Date().toISOString()
       };
       
-      // Check if we're in local mode
-      const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-      if (!forceSupabase) {
-        // Mock submission for local mode
-        console.log('Local mode: Resource would be submitted with data:', resourceData);
-        toast.success(t('submit.success', 'Resource submitted successfully!'));
-        navigate('/');
+      // Don't add a second copy of a resource. If the check itself fails
+      // (e.g. offline), submit anyway rather than block the user.
+      const duplicateCheck = await findDuplicateResources(resourceData.url);
+      if (duplicateCheck.data.length > 0) {
+        setDuplicates(duplicateCheck.data);
+        toast.error(t('duplicates.title', 'This resource already exists'));
         return;
       }
       
-      // Submit resource
-      const { data, error } = await supabase
-        .from('resources')
-        .insert([resourceData])
-        .select();
-        
-      if (error) throw error;
+      // Submit resource (queued in the outbox if we're offline)
+      const result = await submitResource(resourceData);
+      if (!result.success) throw result.error;
       
-      toast.success(t('submit.success', 'Resource submitted successfully!'));
+      if (result.queued) {
+        toast(t('submit.queued', 'You are offline. Your resource will be submitted when the connection is back.'), { icon: '🕓' });
+      } else if (result.data?.approved === false) {
+        toast.success(t('submit.pending', 'Resource submitted! It will appear once an admin approves it.'));
+      } else {
+        toast.success(t('submit.success', 'Resource submitted successfully!'));
+      }
       navigate('/');
     } catch (error) {
       console.error('Error submitting resource:', error);
       
-      // Check for specific error types
-      if (error.code === 'PGRST204') {
-        toast.error('Database schema error. Please contact support.');
-      } else if (error.message === 'Failed to fetch' || error.message?.includes('network')) {
-        toast.error('Network error. Switching to local mode.');
-        localStorage.setItem('forceSupabaseConnection', 'false');
-        
-        // Try again in local mode
-        setTimeout(() => handleSubmit(e), 500);
-      } else {
-        toast.error(t('submit.errors.submitFailed', 'Failed to submit resource'));
-      }
+      toast.error(`${t('submit.errors.submitFailed', 'Failed to submit resource')}: ${getErrorMessage(error, t)}`);
     } finally {
       setLoading(false);
     }
@@ -171,6 +187,15 @@ const SubmitResourcePage = () => {
             {t('submit.description', 'Share a valuable resource with the community. All submissions are reviewed before being published.')}
           </p>
           
+          {user && (
+            <p className="text-white/50 text-sm mb-4">
+              {t('submit.importHint', 'Have a lot of links in Raindrop, Pocket, Are.na or an awesome list?')}{' '}
+              <Link to="/import" className="text-lime-accent hover:underline">
+                {t('submit.importLink', 'Import them')}
+              </Link>
+            </p>
+          )}
+          
           {!user && (
             <div className="bg-dark-400 p-4 rounded-lg mb-6">
               <p className="text-white/70 mb-2">
@@ -185,154 +210,44 @@ const SubmitResourcePage = () => {
             </div>
           )}
           
-          <form onSubmit={handleSubmit} className="space-y-6">
-            <div>
-              <label htmlFor="title" className="block text-sm font-medium mb-1">
-                {t('submit.form.title', 'Title')} *
-              </label>
-              <input
-                id="title"
-                name="title"
-                type="text"
-                value={formData.title}
-                onChange={handleChange}
-                className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                required
-                disabled={!user || loading}
-              />
-            </div>
-            
-            <div>
-              <label htmlFor="description" className="block text-sm font-medium mb-1">
-                {t('submit.form.description', 'Description')} *
-              </label>
-              <textarea
-                id="description"
-                name="description"
-                value={formData.description}
-                onChange={handleChange}
-                rows={4}
-                className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                required
-                disabled={!user || loading}
-              />
-            </div>
-            
-            <div>
-              <label htmlFor="url" className="block text-sm font-medium mb-1">
-                {t('submit.form.url', 'URL')} *
-              </label>
-              <input
-                id="url"
-                name="url"
-                type="url"
-                value={formData.url}
-                onChange={handleChange}
-                className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                required
-                disabled={!user || loading}
-              />
-            </div>
-            
-            <div>
-              <label htmlFor="image_url" className="block text-sm font-medium mb-1">
-                {t('submit.form.imageUrl', 'Image URL')}
-              </label>
-              <input
-                id="image_url"
-                name="image_url"
-                type="url"
-                value={formData.image_url}
-                onChange={handleChange}
-                className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                disabled={!user || loading}
-              />
-              <p className="text-white/50 text-xs mt-1">
-                {t('submit.form.imageUrlHelp', 'Optional. Leave blank to use a default image.')}
-              </p>
-            </div>
-            
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              <div>
-                <label htmlFor="category" className="block text-sm font-medium mb-1">
-                  {t('submit.form.category', 'Category')} *
-                </label>
-                <select
-                  id="category"
-                  name="category"
-                  value={formData.category}
-                  onChange={handleChange}
-                  className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                  required
-                  disabled={!user || loading}
-                >
-                  <option value="">{t('submit.form.selectCategory', 'Select a category')}</option>
-                  {categories.map((category) => (
-                    <option key={category.id} value={category.slug}>
-                      {category.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
-              
-              <div>
-                <label htmlFor="subcategory" className="block text-sm font-medium mb-1">
-                  {t('submit.form.subcategory', 'Subcategory')}
-                </label>
-                <select
-                  id="subcategory"
-                  name="subcategory"
-                  value={formData.subcategory}
-                  onChange={handleChange}
-                  className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
-                  disabled={!formData.category || !user || loading}
+          {user && (
+            <div className="flex gap-2 mb-6" role="tablist">
+              {[
+                ['single', t('submit.mode.single', 'One resource')],
+                ['bulk', t('submit.mode.bulk', 'Bulk (CSV or URLs)')]
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  type="button"
+                  role="tab"
+                  aria-selected={mode === value}
+                  onClick={() => setMode(value)}
+                  className={`px-4 py-2 rounded-lg text-sm transition-colors ${
+                    mode === value ? 'bg-lime-accent/20 text-lime-accent' : 'text-white/60 hover:text-white hover:bg-glass-200'
+                  }`}
                 >
-                  <option value="">{t('submit.form.selectSubcategory', 'Select a subcategory (optional)')}</option>
-                  {filteredSubcategories.map((subcategory) => (
-                    <option key={subcategory.id} value={subcategory.slug}>
-                      {subcategory.name}
-                    </option>
-                  ))}
-                </select>
-              </div>
+                  {label}
+                </button>
+              ))}
             </div>
-            
-            <div>
-              <label htmlFor="tags" className="block text-sm font-medium mb-1">
-                {t('submit.form.tags', 'Tags')}
-              </label>
-              <input
-                id="tags"
-                name="tags"
-                type="text"
-                value={formData.tags}
-                onChange={handleChange}
-                className="w-full px-4 py-2 bg-dark-400 border border-glass-200 rounded-lg focus:outline-none focus:ring-2 focus:ring-lime-accent"
+          )}
+          
+          {user && mode === 'bulk' ? (
+            <BulkSubmitForm user={user} />
+          ) : (
+            <>
+              <DuplicateNotice duplicates={duplicates} />
+              
+              <ResourceForm
+                formData={formData}
+                setFormData={setFormData}
+                onSubmit={handleSubmit}
                 disabled={!user || loading}
+                loading={loading}
+                urlHint={urlHint}
               />
-              <p className="text-white/50 text-xs mt-1">
-                {t('submit.form.tagsHelp', 'Separate tags with commas (e.g., design, tools, productivity)')}
-              </p>
-            </div>
-            
-            <button
-              type="submit"
-              className="btn btn-primary w-full"
-              disabled={!user || loading}
-            >
-              {loading ? (
-                <span className="flex items-center justify-center">
-                  <svg className="animate-spin -ml-1 mr-2 h-4 w-4 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  {t('submit.form.submitting', 'Submitting...')}
-                </span>
-              ) : (
-                t('submit.form.submit', 'Submit Resource')
-              )}
-            </button>
-          </form>
+            </>
+          )}
         </div>
       </div>
     </div>
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import supabase, { checkSupabaseConnection } from '../utils/supabase';
+import { isLocalModeEnabled, canToggleLocalMode, setLocalModeEnabled } from '../utils/dataSources';
 import { useLanguage } from '../context/LanguageContext';
 import { setupDatabase } from '../utils/setupDatabase';
 import toast from 'react-hot-toast';
@@ -12,12 +13,11 @@ const TestPage = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [supabaseUrl, setSupabaseUrl] = useState('');
   const [directQueryResult, setDirectQueryResult] = useState(null);
+  const [isSupabaseMode, setIsSupabaseMode] = useState(() => !isLocalModeEnabled());
 
   useEffect(() => {
-    // Only check connection if Supabase mode is forced
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    
-    if (forceSupabase) {
+    // Only check connection when the app reads from Supabase
+    if (!isLocalModeEnabled()) {
       checkConnection();
     } else {
       setConnectionStatus('Disabled');
@@ -201,10 +201,8 @@ const TestPage = () => {
 
   // Toggle Supabase connection mode
   const toggleSupabaseMode = () => {
-    const currentMode = localStorage.getItem('forceSupabaseConnection') === 'true';
-    const newMode = !currentMode;
-    
-    localStorage.setItem('forceSupabaseConnection', newMode.toString());
+    const newMode = !setLocalModeEnabled(isSupabaseMode);
+    setIsSupabaseMode(newMode);
     
     if (newMode) {
       toast.success('Supabase mode enabled. The app will use live data.');
@@ -226,25 +224,27 @@ const TestPage = () => {
           <div className="flex justify-between items-center mb-4">
             <h2 className="text-xl font-semibold text-white">Connection Status</h2>
             
-            <button 
-              onClick={toggleSupabaseMode}
-              className={`flex items-center px-3 py-1 rounded-md text-xs transition-colors ${
-                localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
-                  : 'bg-dark-300 text-white/70 hover:bg-dark-400'
-              }`}
-            >
-              <span className="mr-2">
-                {localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'Using Supabase'
-                  : 'Using Local Data'}
-              </span>
-              <span className={`w-2 h-2 rounded-full ${
-                localStorage.getItem('forceSupabaseConnection') === 'true'
-                  ? 'bg-lime-accent'
-                  : 'bg-white/30'
-              }`}></span>
-            </button>
+            {canToggleLocalMode() && (
+              <button 
+                onClick={toggleSupabaseMode}
+                className={`flex items-center px-3 py-1 rounded-md text-xs transition-colors ${
+                  isSupabaseMode
+                    ? 'bg-lime-accent/20 text-lime-accent hover:bg-lime-accent/30'
+                    : 'bg-dark-300 text-white/70 hover:bg-dark-400'
+                }`}
+              >
+                <span className="mr-2">
+                  {isSupabaseMode
+                    ? 'Using Supabase'
+                    : 'Using Local Data'}
+                </span>
+                <span className={`w-2 h-2 rounded-full ${
+                  isSupabaseMode
+                    ? 'bg-lime-accent'
+                    : 'bg-white/30'
+                }`}></span>
+              </button>
+            )}
           </div>
           
           <div className="mb-4">
@@ -0,0 +1,217 @@
+/**
+ * Structured resource attributes.
+ *
+ * Each category (or category/subcategory) declares which facts its resources
+ * carry, e.g. a font's license or the platforms a tool runs on. Values live
+ * in resources.attributes as { key: value }, where value is a string for
+ * 'select' fields, an array of strings for 'multiselect' fields and a
+ * boolean for 'boolean' fields. The submit and edit forms render inputs from
+ * the schema and CategoryPage renders the same fields as facet filters.
+ *
+ * Facts that used to be plain tags (free, commercial, figma, ...) are mapped
+ * through TAG_ATTRIBUTES by attributesFromTags(); migrate-attributes.js runs
+ * the same mapping over the database.
+ */
+
+// Every attribute, with the options a schema may narrow down
+export const ATTRIBUTE_FIELDS = {
+  pricing: {
+    type: 'select',
+    options: ['free', 'freemium', 'paid', 'subscription', 'one-time']
+  },
+  license: {
+    type: 'select',
+    options: ['open-source', 'personal', 'commercial']
+  },
+  variable: {
+    type: 'boolean'
+  },
+  formats: {
+    type: 'multiselect',
+    options: ['svg', 'png', 'figma', 'sketch', 'psd', 'ai', 'otf', 'ttf', 'woff', 'obj', 'fbx', 'gltf', 'blend']
+  },
+  style: {
+    type: 'select',
+    options: ['outline', 'solid', 'duotone', 'flat', '3d', 'hand-drawn']
+  },
+  platforms: {
+    type: 'multiselect',
+    options: ['web', 'macos', 'windows', 'linux', 'ios', 'android', 'figma', 'adobe']
+  }
+};
+
+const field = (key, overrides = {}) => ({ key, ...ATTRIBUTE_FIELDS[key], ...overrides });
+
+// Keyed by 'category/subcategory' or 'category'; a subcategory schema
+// replaces its category's
+const SCHEMAS = {
+  assets: [
+    field('pricing', { options: ['free', 'freemium', 'paid'] }),
+    field('license')
+  ],
+  'assets/fonts': [
+    field('license'),
+    field('pricing', { options: ['free', 'freemium', 'paid'] }),
+    field('variable'),
+    field('formats', { options: ['otf', 'ttf', 'woff'] })
+  ],
+  'assets/icons': [
+    field('formats', { options: ['svg', 'png', 'figma', 'sketch', 'ai'] }),
+    field('style'),
+    field('license'),
+    field('pricing', { options: ['free', 'freemium', 'paid'] })
+  ],
+  'assets/mockups': [
+    field('formats', { options: ['psd', 'figma', 'sketch', 'png'] }),
+    field('license'),
+    field('pricing', { options: ['free', 'freemium', 'paid'] })
+  ],
+  'assets/3d': [
+    field('formats', { options: ['obj', 'fbx', 'gltf', 'blend', 'png'] }),
+    field('license'),
+    field('pricing', { options: ['free', 'freemium', 'paid'] })
+  ],
+  tool: [
+    field('platforms'),
+    field('pricing')
+  ]
+};
+
+// Tags that state an attribute. The attribute is only set when the
+// resource's schema has that field.
+export const TAG_ATTRIBUTES = {
+  free: { pricing: 'free' },
+  freemium: { pricing: 'freemium' },
+  paid: { pricing: 'paid' },
+  'open-source': { license: 'open-source' },
+  opensource: { license: 'open-source' },
+  commercial: { license: 'commercial' },
+  variable: { variable: true },
+  svg: { formats: ['svg'] },
+  vector: { formats: ['svg'] },
+  png: { formats: ['png'] },
+  psd: { formats: ['psd'] },
+  figma: { formats: ['figma'], platforms: ['figma'] },
+  sketch: { formats: ['sketch'] },
+  adobe: { platforms: ['adobe'] },
+  web: { platforms: ['web'] }
+};
+
+/**
+ * Get the attribute fields for a category and subcategory
+ * @param {string} category - Category slug
+ * @param {string} subcategory - Subcategory slug (optional)
+ * @returns {Array<Object>} Fields as { key, type, options }, empty when none apply
+ */
+export const getAttributeSchema = (category, subcategory = null) => {
+  if (!category) return [];
+  return SCHEMAS[`${category}/${subcategory}`] || SCHEMAS[category] || [];
+};
+
+const isEmptyValue = (value) => (
+  value === undefined || value === null || value === '' || value === false ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Keep only attributes the schema declares, with values it allows
+ * @param {Object} attributes - Attribute values
+ * @param {Array<Object>} schema - Fields from getAttributeSchema
+ * @returns {Object} Clean attributes; empty values are dropped
+ */
+export const pickAttributes = (attributes, schema) => {
+  const picked = {};
+
+  schema.forEach(({ key, type, options = [] }) => {
+    const value = attributes?.[key];
+    if (isEmptyValue(value)) return;
+
+    if (type === 'boolean') {
+      picked[key] = value === true || value === 'true';
+    } else if (type === 'multiselect') {
+      const values = (Array.isArray(value) ? value : [value]).filter(option => options.includes(option));
+      if (values.length > 0) picked[key] = options.filter(option => values.includes(option));
+    } else if (options.includes(value)) {
+      picked[key] = value;
+    }
+  });
+
+  return picked;
+};
+
+/**
+ * Derive attributes from a resource's tags (see TAG_ATTRIBUTES)
+ * @param {Array<string>} tags - Resource tags
+ * @param {string} category - Category slug
+ * @param {string} subcategory - Subcategory slug
+ * @param {Object} current - Attributes already set; these win over tags
+ * @returns {Object} Attributes
+ */
+export const attributesFromTags = (tags, category, subcategory = null, current = {}) => {
+  const derived = {};
+
+  (tags || []).forEach(tag => {
+    const mapped = TAG_ATTRIBUTES[String(tag).toLowerCase()];
+    if (!mapped) return;
+
+    Object.entries(mapped).forEach(([key, value]) => {
+      derived[key] = Array.isArray(value) ? [...(derived[key] || []), ...value] : value;
+    });
+  });
+
+  const schema = getAttributeSchema(category, subcategory);
+  return pickAttributes({ ...pickAttributes(derived, schema), ...(current || {}) }, schema);
+};
+
+/**
+ * Check a resource's attributes against facet filters. Multiselect filters
+ * need every selected value, matching jsonb containment in Supabase.
+ * @param {Object} attributes - Resource attributes
+ * @param {Object} filters - { key: value } from the selected facets
+ * @returns {boolean} True if the resource matches
+ */
+export const matchesAttributes = (attributes, filters) => (
+  Object.entries(filters || {}).every(([key, expected]) => {
+    const actual = attributes?.[key];
+    if (Array.isArray(expected)) {
+      return Array.isArray(actual) && expected.every(value => actual.includes(value));
+    }
+    return actual === expected;
+  })
+);
+
+/**
+ * Read facet filters from URL query parameters (one parameter per field,
+ * multiselect values comma separated)
+ * @param {URLSearchParams} params - Query parameters
+ * @param {Array<Object>} schema - Fields from getAttributeSchema
+ * @returns {Object} Filters for getResources({ attributes })
+ */
+export const attributeFiltersFromParams = (params, schema) => {
+  const filters = {};
+
+  schema.forEach(({ key, type }) => {
+    const raw = params.get(key);
+    if (!raw) return;
+
+    if (type === 'multiselect') {
+      filters[key] = raw.split(',').map(value => value.trim()).filter(Boolean);
+    } else if (type === 'boolean') {
+      if (raw === 'true') filters[key] = true;
+    } else {
+      filters[key] = raw;
+    }
+  });
+
+  return pickAttributes(filters, schema);
+};
+
+export default {
+  ATTRIBUTE_FIELDS,
+  TAG_ATTRIBUTES,
+  getAttributeSchema,
+  pickAttributes,
+  attributesFromTags,
+  matchesAttributes,
+  attributeFiltersFromParams
+};
@@ -0,0 +1,177 @@
+import supabase from './supabase';
+import { entityTag, getEntity, invalidateTags, putEntities } from './entityStore';
+
+/**
+ * Batched author lookups.
+ *
+ * Every loadAuthor() call made in the same tick is collected and resolved
+ * with a single `in('id', [...])` query, so a list of N resources or
+ * comments costs one round trip for its authors instead of 2N. The app
+ * loader caches authors as `profiles` in the shared entity store.
+ */
+
+// Authors rarely change, keep them for 10 minutes
+const AUTHOR_CACHE_TTL = 10 * 60 * 1000;
+
+// Placeholder author used when no profile can be found
+export const fallbackAuthor = (userId) => ({
+  username: userId ? `User ${userId.substring(0, 5)}` : 'Anonymous',
+  avatar_url: null
+});
+
+// Embedded authors may arrive as an array (one-to-many embed) or an object
+const embeddedAuthor = (user) => (Array.isArray(user) ? user[0] : user) || null;
+
+const toAuthor = (profile) => ({
+  username: profile.username,
+  avatar_url: profile.avatar_url || null
+});
+
+// Author cache backed by the shared entity store
+const storeCache = {
+  get: (userId) => {
+    const profile = getEntity('profiles', userId, AUTHOR_CACHE_TTL);
+    return profile ? toAuthor(profile) : undefined;
+  },
+  set: (userId, author) => putEntities('profiles', { id: userId, ...author }),
+  delete: (userId) => invalidateTags(entityTag('profiles', userId)),
+  clear: () => invalidateTags('profiles')
+};
+
+// Standalone cache for loaders over other clients (e.g. the in-memory test database)
+const createMapCache = () => {
+  const entries = new Map();
+  return {
+    get: (userId) => {
+      const entry = entries.get(userId);
+      return entry && Date.now() - entry.timestamp < AUTHOR_CACHE_TTL ? entry.author : undefined;
+    },
+    set: (userId, author) => entries.set(userId, { author, timestamp: Date.now() }),
+    delete: (userId) => entries.delete(userId),
+    clear: () => entries.clear()
+  };
+};
+
+/**
+ * Create an author loader over a Supabase client
+ * @param {Object} client - Supabase client
+ * @param {Object} cache - Author cache with get/set/delete/clear (defaults to a private one)
+ * @returns {Object} Loader with load, loadMany, attach, prime and invalidate
+ */
+export const createAuthorLoader = (client, cache = createMapCache()) => {
+  let queue = new Map();
+  // The users table is optional; once it's known to be missing we go straight to profiles
+  let hasUsersTable = true;
+
+  // Resolve ids from one table, returning the rows found keyed by id
+  const fetchFrom = async (table, ids) => {
+    const { data, error } = await client
+      .from(table)
+      .select('id, username, avatar_url')
+      .in('id', ids);
+
+    if (error) throw error;
+
+    return new Map((data || []).map(row => [row.id, toAuthor(row)]));
+  };
+
+  const flush = async (batch) => {
+    const ids = [...batch.keys()];
+    const found = new Map();
+
+    try {
+      if (hasUsersTable) {
+        try {
+          (await fetchFrom('users', ids)).forEach((author, id) => found.set(id, author));
+        } catch (error) {
+          if (error.code === '42P01') {
+            hasUsersTable = false;
+          } else {
+            console.warn('Failed to fetch authors from users:', error);
+          }
+        }
+      }
+
+      // Anything the users table didn't have comes from profiles
+      const remaining = ids.filter(id => !found.has(id));
+      if (remaining.length > 0) {
+        (await fetchFrom('profiles', remaining)).forEach((author, id) => found.set(id, author));
+      }
+    } catch (error) {
+      console.warn('Failed to fetch author data:', error);
+    }
+
+    batch.forEach((waiters, id) => {
+      const author = found.get(id) || null;
+      // Only cache real answers; a failed lookup should be retried next time
+      if (found.has(id)) cache.set(id, author);
+      waiters.forEach(resolve => resolve(author));
+    });
+  };
+
+  /**
+   * Load one author. Calls made in the same tick share a single query.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} { username, avatar_url } or null if not found
+   */
+  const load = (userId) => {
+    if (!userId) return Promise.resolve(null);
+
+    const cached = cache.get(userId);
+    if (cached !== undefined) return Promise.resolve(cached);
+
+    return new Promise(resolve => {
+      if (queue.size === 0) {
+        // Schedule the flush once per batch, after the current render pass has queued its ids
+        Promise.resolve().then(() => {
+          const batch = queue;
+          queue = new Map();
+          flush(batch);
+        });
+      }
+
+      if (!queue.has(userId)) queue.set(userId, []);
+      queue.get(userId).push(resolve);
+    });
+  };
+
+  const loadMany = (userIds) => Promise.all(userIds.map(load));
+
+  /**
+   * Attach a `user` object to each row, using embedded author data when present
+   * @param {Array<Object>} rows - Resources or comments with a user_id
+   * @returns {Promise<Array<Object>>} Rows with `user` set
+   */
+  const attach = async (rows) => {
+    const authors = await loadMany(rows.map(row => (embeddedAuthor(row.user) ? null : row.user_id)));
+
+    return rows.map((row, index) => ({
+      ...row,
+      user: embeddedAuthor(row.user) || authors[index] || fallbackAuthor(row.user_id)
+    }));
+  };
+
+  return {
+    load,
+    loadMany,
+    attach,
+    // Seed the cache, e.g. with the signed-in user's profile
+    prime: (userId, author) => cache.set(userId, author),
+    // Drop a cached author after their profile changes
+    invalidate: (userId) => {
+      if (userId) {
+        cache.delete(userId);
+      } else {
+        cache.clear();
+      }
+    }
+  };
+};
+
+// Shared loader for the app client, so the cache carries across pages
+export const authorLoader = createAuthorLoader(supabase, storeCache);
+
+export const loadAuthor = authorLoader.load;
+export const attachAuthors = authorLoader.attach;
+
+export default authorLoader;
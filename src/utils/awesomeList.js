@@ -0,0 +1,198 @@
+/**
+ * Render the catalog, or one collection, as an awesome-list README and as a
+ * self-contained HTML page with search.
+ *
+ * Both renderers take sections from taxonomy.groupByTaxonomy(), so a
+ * category's resources come first and then one subsection per subcategory.
+ * Each resource is shown with the fields ResourceCard shows: title, URL,
+ * description and tags. Kept free of imports so generate-awesome-list.js
+ * can load it with Node.
+ */
+
+// GitHub's heading anchors: lowercase, punctuation dropped, spaces to
+// hyphens; repeats get -1, -2, ...
+const createAnchorFactory = () => {
+  const seen = new Map();
+  return (text) => {
+    const base = String(text)
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}\s-]/gu, '')
+      .trim()
+      .replace(/\s/g, '-');
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count}`;
+  };
+};
+
+// Text safe inside Markdown link labels and list items
+const escapeMarkdown = (text) => String(text || '')
+  .replace(/\s+/g, ' ')
+  .replace(/([\\[\]`*_])/g, '\\$1')
+  .trim();
+
+// Parentheses and spaces would end a Markdown link early
+const markdownUrl = (url) => String(url || '').trim().replace(/[()\s]/g, char => encodeURIComponent(char));
+
+const escapeHtml = (text) => String(text ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const countResources = (sections) => sections.reduce((total, section) => (
+  total + section.resources.length + section.subcategories.reduce((sum, sub) => sum + sub.resources.length, 0)
+), 0);
+
+const headingText = ({ emoji, name }) => (emoji ? `${emoji} ${name}` : name);
+
+/**
+ * Render an awesome-list style README
+ * @param {Array<Object>} sections - From taxonomy.groupByTaxonomy()
+ * @param {Object} options - { title, description, generatedAt }
+ * @returns {string} Markdown
+ */
+export const renderAwesomeMarkdown = (sections, { title = 'Awesome Mindy', description = '', generatedAt = new Date() } = {}) => {
+  const anchor = createAnchorFactory();
+  // Plain names, without emoji, so the anchors are predictable
+  const headings = sections.map(section => ({
+    section,
+    anchor: anchor(section.name),
+    subcategories: section.subcategories.map(sub => ({ sub, anchor: anchor(sub.name) }))
+  }));
+
+  const item = (resource) => {
+    const line = `- [${escapeMarkdown(resource.title || resource.url)}](${markdownUrl(resource.url)})`;
+    const text = escapeMarkdown(resource.description);
+    const tags = (resource.tags || []).map(tag => `\`${String(tag).replace(/`/g, '')}\``).join(' ');
+    return [line, text && ` - ${text}`, tags && ` ${tags}`].filter(Boolean).join('');
+  };
+
+  const lines = [`# ${title}`, ''];
+  if (description) lines.push(`> ${escapeMarkdown(description)}`, '');
+  lines.push(`${countResources(sections)} resources, generated ${generatedAt.toISOString().slice(0, 10)}.`, '', '## Contents', '');
+
+  headings.forEach(({ section, anchor: sectionAnchor, subcategories }) => {
+    lines.push(`- [${section.name}](#${sectionAnchor})`);
+    subcategories.forEach(({ sub, anchor: subAnchor }) => lines.push(`  - [${sub.name}](#${subAnchor})`));
+  });
+
+  headings.forEach(({ section, subcategories }) => {
+    lines.push('', `## ${section.name}`, '');
+    section.resources.forEach(resource => lines.push(item(resource)));
+
+    subcategories.forEach(({ sub }) => {
+      lines.push('', `### ${sub.name}`, '');
+      sub.resources.forEach(resource => lines.push(item(resource)));
+    });
+  });
+
+  return `${lines.join('\n').replace(/\n{3,}/g, '\n\n')}\n`;
+};
+
+const STATIC_STYLES = `
+  :root { color-scheme: dark; }
+  * { box-sizing: border-box; }
+  body { margin: 0; font-family: system-ui, -apple-system, sans-serif; background: #0f0f10; color: #e5e5e5; line-height: 1.5; }
+  main { max-width: 960px; margin: 0 auto; padding: 2rem 1rem 4rem; }
+  h1 { margin: 0 0 .25rem; }
+  h2 { margin-top: 2.5rem; border-bottom: 1px solid #2a2a2e; padding-bottom: .25rem; }
+  h3 { margin-top: 1.5rem; color: #bfff58; }
+  a { color: #e5e5e5; }
+  .meta { color: #8a8a8f; margin: 0 0 1.5rem; }
+  #search { width: 100%; padding: .75rem 1rem; border-radius: .5rem; border: 1px solid #2a2a2e; background: #19191b; color: inherit; font-size: 1rem; }
+  #search:focus { outline: 2px solid #bfff58; }
+  ul { list-style: none; padding: 0; }
+  li { padding: .75rem 0; border-bottom: 1px solid #1f1f22; }
+  li a { font-weight: 600; }
+  li p { margin: .25rem 0 0; color: #a3a3a8; }
+  .tags { margin-top: .35rem; display: flex; flex-wrap: wrap; gap: .35rem; }
+  .tags span { font-size: .75rem; padding: .1rem .5rem; border-radius: 999px; background: #232326; color: #a3a3a8; }
+  .empty { color: #8a8a8f; display: none; }
+  [hidden] { display: none !important; }
+`;
+
+// Filters the list as you type; sections without matches are hidden
+const STATIC_SCRIPT = `
+  const input = document.getElementById('search');
+  const empty = document.querySelector('.empty');
+  input.addEventListener('input', () => {
+    const words = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    let shown = 0;
+    document.querySelectorAll('li[data-search]').forEach(item => {
+      const match = words.every(word => item.dataset.search.includes(word));
+      item.hidden = !match;
+      if (match) shown++;
+    });
+    document.querySelectorAll('[data-group]').forEach(group => {
+      group.hidden = !group.querySelector('li[data-search]:not([hidden])');
+    });
+    empty.style.display = shown === 0 ? 'block' : 'none';
+  });
+`;
+
+/**
+ * Render a self-contained HTML page (inline styles and script, no external
+ * requests) with a search box over title, description, tags and category
+ * @param {Array<Object>} sections - From taxonomy.groupByTaxonomy()
+ * @param {Object} options - { title, description, generatedAt }
+ * @returns {string} HTML document
+ */
+export const renderStaticHtml = (sections, { title = 'Awesome Mindy', description = '', generatedAt = new Date() } = {}) => {
+  const item = (resource, section, sub) => {
+    const tags = resource.tags || [];
+    const search = [resource.title, resource.description, resource.url, section.name, sub?.name, ...tags]
+      .filter(Boolean)
+      .join(' ')
+      .toLowerCase();
+
+    return [
+      `<li data-search="${escapeHtml(search)}">`,
+      `<a href="${escapeHtml(resource.url)}" target="_blank" rel="noopener noreferrer">${escapeHtml(resource.title || resource.url)}</a>`,
+      resource.description ? `<p>${escapeHtml(resource.description)}</p>` : '',
+      tags.length > 0 ? `<div class="tags">${tags.map(tag => `<span>${escapeHtml(tag)}</span>`).join('')}</div>` : '',
+      '</li>'
+    ].join('');
+  };
+
+  const list = (resources, section, sub) => (
+    resources.length > 0 ? `<ul>\n${resources.map(resource => item(resource, section, sub)).join('\n')}\n</ul>` : ''
+  );
+
+  const body = sections.map(section => [
+    `<section data-group>`,
+    `<h2>${escapeHtml(headingText(section))}</h2>`,
+    list(section.resources, section),
+    ...section.subcategories.map(sub => (
+      `<div data-group>\n<h3>${escapeHtml(headingText(sub))}</h3>\n${list(sub.resources, section, sub)}\n</div>`
+    )),
+    '</section>'
+  ].filter(Boolean).join('\n')).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STATIC_STYLES}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p class="meta">${description ? `${escapeHtml(description)} · ` : ''}${countResources(sections)} resources, generated ${generatedAt.toISOString().slice(0, 10)}</p>
+<input id="search" type="search" placeholder="Search resources, tags or categories" autofocus>
+<p class="empty">No resources match your search.</p>
+${body}
+</main>
+<script>${STATIC_SCRIPT}</script>
+</body>
+</html>
+`;
+};
+
+export default {
+  renderAwesomeMarkdown,
+  renderStaticHtml
+};
@@ -0,0 +1,183 @@
+/**
+ * Export and import of saved resources.
+ *
+ * Three formats are supported:
+ * - 'json': { title, exported_at, resources: [...] } written by Mindy; a
+ *   plain array of resources is read as well
+ * - 'csv': the columns of database-content.csv
+ * - 'html': the Netscape bookmark file browsers export and import
+ *
+ * Parsing returns entries as { title, url, description, category,
+ * subcategory, tags }. Entries without an http(s) URL are dropped; matching
+ * them to catalog resources is left to resourceUtils.importToCollection.
+ */
+
+import { parseCsv, splitTags, stringifyCsv } from './csvUtils';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'html'];
+
+// Same columns as database-content.csv
+export const CSV_COLUMNS = ['category', 'subcategory', 'title', 'description', 'url', 'tags'];
+
+const FORMAT_TYPES = {
+  json: 'application/json',
+  csv: 'text/csv',
+  html: 'text/html'
+};
+
+const HTML_ENTITIES = {
+  '&amp;': '&',
+  '&lt;': '<',
+  '&gt;': '>',
+  '&quot;': '"',
+  '&#39;': "'",
+  '&apos;': "'",
+  '&nbsp;': ' '
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const unescapeHtml = (value) => String(value ?? '')
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCharCode(parseInt(code, 16)))
+  .replace(/&[a-z#0-9]+;/gi, entity => HTML_ENTITIES[entity.toLowerCase()] ?? entity);
+
+const isWebUrl = (url) => /^https?:\/\/\S+$/i.test(url || '');
+
+// Keep the fields the formats carry, with tags as an array
+const toEntry = (resource) => ({
+  title: (resource.title || '').trim(),
+  url: (resource.url || '').trim(),
+  description: (resource.description || '').trim(),
+  category: (resource.category || '').trim(),
+  subcategory: (resource.subcategory || '').trim(),
+  tags: splitTags(resource.tags)
+});
+
+/**
+ * Serialize resources for download
+ * @param {Array<Object>} resources - Resources to export
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {Object} options - { title } of the collection, used as the folder name
+ * @returns {Object} { content, type, extension }
+ */
+export const exportResources = (resources, format, { title = 'Mindy' } = {}) => {
+  const entries = resources.map(toEntry);
+  let content;
+
+  if (format === 'csv') {
+    content = stringifyCsv(entries, CSV_COLUMNS);
+  } else if (format === 'html') {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const links = entries.map(entry => {
+      const tags = entry.tags.length > 0 ? ` TAGS="${escapeHtml(entry.tags.join(','))}"` : '';
+      const link = `        <DT><A HREF="${escapeHtml(entry.url)}" ADD_DATE="${timestamp}"${tags}>${escapeHtml(entry.title || entry.url)}</A>`;
+      return entry.description ? `${link}\n        <DD>${escapeHtml(entry.description)}` : link;
+    });
+
+    content = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file.',
+      '     It will be read and overwritten.',
+      '     DO NOT EDIT! -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Bookmarks</TITLE>',
+      '<H1>Bookmarks</H1>',
+      '<DL><p>',
+      `    <DT><H3 ADD_DATE="${timestamp}">${escapeHtml(title)}</H3>`,
+      '    <DL><p>',
+      ...links,
+      '    </DL><p>',
+      '</DL><p>',
+      ''
+    ].join('\n');
+  } else {
+    content = `${JSON.stringify({ title, exported_at: new Date().toISOString(), resources: entries }, null, 2)}\n`;
+  }
+
+  return { content, type: FORMAT_TYPES[format] || FORMAT_TYPES.json, extension: format in FORMAT_TYPES ? format : 'json' };
+};
+
+/**
+ * Work out a file's format from its name, then its content
+ * @param {string} text - File content
+ * @param {string} filename - File name
+ * @returns {string|null} 'json', 'csv', 'html' or null if unknown
+ */
+export const detectFormat = (text, filename = '') => {
+  const extension = filename.split('.').pop().toLowerCase();
+  if (extension === 'json') return 'json';
+  if (extension === 'csv') return 'csv';
+  if (extension === 'html' || extension === 'htm') return 'html';
+
+  const start = String(text || '').trimStart();
+  if (start.startsWith('{') || start.startsWith('[')) return 'json';
+  if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(start) || /<A\s[^>]*HREF=/i.test(start)) return 'html';
+  if (/^[^\n]*\burl\b/i.test(start)) return 'csv';
+  return null;
+};
+
+// <DT><A HREF="..." TAGS="...">Title</A> with an optional <DD>description
+const parseNetscapeHtml = (text) => {
+  const entries = [];
+  const linkPattern = /<A\s([^>]*)>([\s\S]*?)<\/A>(?:\s*<DD>([^<]*))?/gi;
+  let match;
+
+  while ((match = linkPattern.exec(text)) !== null) {
+    const [, attributes, title, description] = match;
+    const attribute = (name) => {
+      const found = attributes.match(new RegExp(`${name}\\s*=\\s*"([^"]*)"`, 'i'));
+      return found ? unescapeHtml(found[1]) : '';
+    };
+
+    entries.push({
+      url: attribute('HREF'),
+      title: unescapeHtml(title.replace(/<[^>]+>/g, '')),
+      description: unescapeHtml(description || ''),
+      tags: attribute('TAGS')
+    });
+  }
+
+  return entries;
+};
+
+/**
+ * Read saved resources from an exported file
+ * @param {string} text - File content
+ * @param {string} filename - File name, used to detect the format
+ * @returns {Object} { format, entries }
+ * @throws {Error} When the format is unknown or the JSON is invalid
+ */
+export const parseBookmarkFile = (text, filename = '') => {
+  const format = detectFormat(text, filename);
+  let rows;
+
+  if (format === 'json') {
+    const parsed = JSON.parse(text);
+    rows = Array.isArray(parsed) ? parsed : parsed?.resources;
+    if (!Array.isArray(rows)) throw new Error('The JSON file has no list of resources');
+  } else if (format === 'csv') {
+    rows = parseCsv(text);
+  } else if (format === 'html') {
+    rows = parseNetscapeHtml(text);
+  } else {
+    throw new Error('Unsupported file format. Use JSON, CSV or a bookmarks HTML file.');
+  }
+
+  return {
+    format,
+    entries: rows.filter(row => row && typeof row === 'object').map(toEntry).filter(entry => isWebUrl(entry.url))
+  };
+};
+
+export default {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  exportResources,
+  detectFormat,
+  parseBookmarkFile
+};
@@ -0,0 +1,131 @@
+/**
+ * Parsing and validation for the submit page's bulk mode.
+ *
+ * The input is either CSV with a header row (the columns of
+ * database-content.csv, see bookmarkFormats.CSV_COLUMNS) or a pasted list
+ * with one URL per line. Rows are shaped like a submission plus `row`, their
+ * 1-based position in the input, which the error report refers to.
+ *
+ * validateBulkRow checks one row on its own: required fields, URL format and
+ * the category/subcategory against the taxonomy (see taxonomy.js).
+ * Duplicates need the catalog and are checked by the page with
+ * resourceUtils.checkForDuplicates.
+ */
+
+import { parseCsv } from './csvUtils';
+import { CSV_COLUMNS } from './bookmarkFormats';
+import { normalizeTags } from './importers';
+
+export const BULK_REQUIRED_FIELDS = ['title', 'description', 'url', 'category'];
+
+// Rows beyond this are not read; larger sets belong in import-to-supabase.js
+export const BULK_MAX_ROWS = 200;
+
+// Header row shown as an example and offered as a template
+export const BULK_CSV_TEMPLATE = `${CSV_COLUMNS.join(',')}\n`;
+
+const isWebUrl = (url) => /^https?:\/\/[^\s/]+\.[^\s]+$/i.test(url || '');
+
+const slugify = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+// CSV when the first line is a header naming a url column
+const looksLikeCsv = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  return firstLine.includes(',') && firstLine.split(',').some(column => column.trim().toLowerCase() === 'url');
+};
+
+const toRow = (values, index) => ({
+  row: index + 1,
+  title: String(values.title || '').trim(),
+  description: String(values.description || '').trim(),
+  url: String(values.url || '').trim(),
+  image_url: String(values.image_url || '').trim(),
+  category: String(values.category || '').trim(),
+  subcategory: String(values.subcategory || '').trim(),
+  tags: normalizeTags(values.tags)
+});
+
+/**
+ * Read pasted text or a file's content into rows
+ * @param {string} text - CSV with a header row, or one URL per line
+ * @returns {Object} { format: 'csv' | 'urls', rows, truncated } where
+ *   truncated is the number of rows past BULK_MAX_ROWS that were dropped
+ */
+export const parseBulkInput = (text) => {
+  const content = String(text || '');
+  const format = looksLikeCsv(content) ? 'csv' : 'urls';
+
+  const records = format === 'csv'
+    ? parseCsv(content).map(record => Object.fromEntries(
+      Object.entries(record).map(([column, value]) => [column.toLowerCase(), value])
+    ))
+    : content.split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line !== '' && !line.startsWith('#'))
+      .map(url => ({ url }));
+
+  return {
+    format,
+    rows: records.slice(0, BULK_MAX_ROWS).map(toRow),
+    truncated: Math.max(0, records.length - BULK_MAX_ROWS)
+  };
+};
+
+// A category or subcategory given by slug or by name, in any language
+const findOption = (options, value) => {
+  const slug = slugify(value);
+  return options.find(option => option.slug === value || option.slug === slug ||
+    [option.name, ...Object.values(option.translations || {})].some(name => slugify(name) === slug));
+};
+
+/**
+ * Validate one row and resolve its category and subcategory to slugs
+ * @param {Object} row - From parseBulkInput
+ * @param {Object} options - { taxonomy }, the tree from
+ *   taxonomy.buildTaxonomyTree
+ * @returns {Object} { resource, errors } where resource has the resolved
+ *   slugs and errors is a list of { field, code } with code one of
+ *   'required', 'invalidUrl', 'unknownCategory' or 'unknownSubcategory'
+ */
+export const validateBulkRow = (row, { taxonomy = [] } = {}) => {
+  const errors = BULK_REQUIRED_FIELDS
+    .filter(field => !row[field])
+    .map(field => ({ field, code: 'required' }));
+  const resource = { ...row };
+
+  if (row.url && !isWebUrl(row.url)) {
+    errors.push({ field: 'url', code: 'invalidUrl' });
+  }
+
+  if (row.category) {
+    const category = findOption(taxonomy, row.category);
+    if (!category) {
+      errors.push({ field: 'category', code: 'unknownCategory' });
+    } else {
+      resource.category = category.slug;
+
+      if (row.subcategory) {
+        const subcategory = findOption(category.subcategories, row.subcategory);
+        if (subcategory) {
+          resource.subcategory = subcategory.slug;
+        } else {
+          errors.push({ field: 'subcategory', code: 'unknownSubcategory' });
+        }
+      }
+    }
+  }
+
+  return { resource, errors };
+};
+
+export default {
+  BULK_REQUIRED_FIELDS,
+  BULK_MAX_ROWS,
+  BULK_CSV_TEMPLATE,
+  parseBulkInput,
+  validateBulkRow
+};
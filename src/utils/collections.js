@@ -0,0 +1,104 @@
+/**
+ * User collections.
+ *
+ * A collection is { id, user_id, title, slug, description, cover_url,
+ * visibility, is_default, created_at, updated_at } with its resources in
+ * collection_items ({ collection_id, resource_id, position }), lowest
+ * position first. Every user has one default collection that mirrors their
+ * favorites: favoriting adds to it and removing from it unfavorites
+ * (db/create_collections.sql keeps the two in step).
+ *
+ * Visibility:
+ * - 'private': only the owner sees it
+ * - 'unlisted': anyone with the /c/:slug link can open it
+ * - 'public': also listed on the collections page
+ */
+
+export const COLLECTION_VISIBILITY = ['private', 'unlisted', 'public'];
+
+export const DEFAULT_COLLECTION_TITLE = 'Favorites';
+
+// Fields owners can change
+export const COLLECTION_FIELDS = ['title', 'description', 'cover_url', 'visibility'];
+
+/**
+ * Build a URL slug for a collection: the title plus a random suffix, so two
+ * "Inspiration" boards never clash and slugs can't be guessed from titles
+ * @param {string} title - Collection title
+ * @returns {string} Slug such as "brand-refresh-fonts-k3x9q2"
+ */
+export const createCollectionSlug = (title) => {
+  const base = String(title || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 48) || 'collection';
+  const suffix = Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+
+  return `${base}-${suffix}`;
+};
+
+/**
+ * Keep only the fields owners can change, with a valid visibility
+ * @param {Object} changes - Proposed values
+ * @returns {Object} Collection fields present in changes
+ */
+export const pickCollectionFields = (changes) => {
+  const picked = Object.fromEntries(
+    COLLECTION_FIELDS.filter(field => field in changes).map(field => [field, changes[field]])
+  );
+  if ('visibility' in picked && !COLLECTION_VISIBILITY.includes(picked.visibility)) {
+    delete picked.visibility;
+  }
+  return picked;
+};
+
+/**
+ * Check whether a user owns a collection
+ * @param {Object} collection - Collection
+ * @param {Object} user - Signed-in user
+ * @returns {boolean} True if the user may edit it
+ */
+export const canEditCollection = (collection, user) => (
+  !!collection && !!user && collection.user_id === user.id
+);
+
+/**
+ * Image for a collection card: its cover, else the first resource's image
+ * @param {Object} collection - Collection, optionally with resources
+ * @returns {string|null} Image URL
+ */
+export const getCollectionCover = (collection) => {
+  if (collection?.cover_url) return collection.cover_url;
+  const withImage = (collection?.resources || []).find(resource => resource?.image_url);
+  return withImage ? withImage.image_url : null;
+};
+
+/**
+ * Move one resource within a collection's order
+ * @param {Array<string>} resourceIds - Resource ids in their current order
+ * @param {number} index - Position of the resource to move
+ * @param {number} offset - -1 to move it up, 1 to move it down
+ * @returns {Array<string>} Ids in the new order
+ */
+export const moveInOrder = (resourceIds, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= resourceIds.length) return resourceIds;
+
+  const next = [...resourceIds];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+export default {
+  COLLECTION_VISIBILITY,
+  DEFAULT_COLLECTION_TITLE,
+  COLLECTION_FIELDS,
+  createCollectionSlug,
+  pickCollectionFields,
+  canEditCollection,
+  getCollectionCover,
+  moveInOrder
+};
@@ -0,0 +1,285 @@
+/**
+ * Shared Supabase connection health.
+ *
+ * Every request made through the Supabase client reports its outcome here,
+ * so the whole app agrees on whether the database is reachable instead of
+ * each component retrying on its own:
+ *
+ * - closed: requests flow normally
+ * - open: after FAILURE_THRESHOLD consecutive connection failures, requests
+ *   are refused locally (code CIRCUIT_OPEN) until the next probe is due
+ * - half-open: the probe delay has passed; the next request (or the
+ *   scheduled probe) decides whether the circuit closes or opens again
+ *
+ * The probe delay grows exponentially, with jitter, each time the circuit
+ * reopens. Listeners get the health snapshot on every state change.
+ */
+
+const FAILURE_THRESHOLD = 3;
+const BASE_OPEN_DELAY = 5 * 1000; // First probe 5 seconds after opening
+const MAX_OPEN_DELAY = 5 * 60 * 1000; // Never wait more than 5 minutes between probes
+
+export const CIRCUIT_CLOSED = 'closed';
+export const CIRCUIT_OPEN = 'open';
+export const CIRCUIT_HALF_OPEN = 'half-open';
+
+let health = {
+  state: CIRCUIT_CLOSED,
+  status: 'unknown', // 'online', 'offline', 'checking' or 'unknown'
+  consecutiveFailures: 0,
+  totalFailures: 0,
+  openCount: 0,
+  lastCheckedAt: null,
+  lastError: null,
+  nextProbeAt: null,
+  latency: null
+};
+
+let probeHandler = null;
+let probePromise = null;
+let probeTimer = null;
+let monitoringStarted = false;
+const listeners = new Set();
+
+const emit = () => {
+  listeners.forEach(listener => {
+    try {
+      listener(health);
+    } catch (error) {
+      console.error('Connection health listener failed:', error);
+    }
+  });
+};
+
+const update = (changes) => {
+  const previous = health;
+  health = { ...health, ...changes };
+  if (previous.state !== health.state || previous.status !== health.status) {
+    emit();
+  }
+};
+
+/**
+ * Delay before the next retry: exponential growth capped at `max`, with
+ * jitter so clients that failed together don't retry together
+ * @param {number} attempt - Zero-based attempt number
+ * @param {Object} options
+ * @param {number} options.base - Delay for the first attempt in milliseconds
+ * @param {number} options.max - Upper bound in milliseconds
+ * @returns {number} Delay in milliseconds
+ */
+export const getBackoffDelay = (attempt, { base = 1000, max = 30 * 1000 } = {}) => {
+  const ceiling = Math.min(max, base * 2 ** attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+};
+
+const NETWORK_ERROR_CODES = ['NETWORK_ERROR', 'CIRCUIT_OPEN'];
+
+// Postgres SQLSTATE and PostgREST codes only come back in a server response
+const SERVER_ERROR_CODE = /^(PGRST\d+|[0-9A-Z]{5})$/;
+
+// How browsers word a fetch that never got a response
+const FETCH_FAILURE_MESSAGES = ['Failed to fetch', 'NetworkError', 'Load failed'];
+
+/**
+ * Check whether an error means Supabase couldn't be reached at all
+ * (as opposed to the request being answered with an error)
+ * @param {Object} error - Error or Supabase error object
+ * @returns {boolean} True for network failures and refused requests
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  if (NETWORK_ERROR_CODES.includes(error.code)) return true;
+  if (error.status || SERVER_ERROR_CODE.test(error.code || '')) return false;
+  if (FETCH_FAILURE_MESSAGES.some(message => error.message?.includes(message))) return true;
+
+  // Being offline only explains errors fetch itself threw
+  return error.name === 'TypeError' && typeof navigator !== 'undefined' && navigator.onLine === false;
+};
+
+/**
+ * Build the error returned for requests refused while the circuit is open
+ * @returns {Error} Error with code CIRCUIT_OPEN
+ */
+export const createCircuitOpenError = () => {
+  const seconds = Math.max(Math.ceil(((health.nextProbeAt || Date.now()) - Date.now()) / 1000), 0);
+  const error = new Error(`Supabase is unreachable. Retrying in ${seconds}s.`);
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+};
+
+/**
+ * Get the current health snapshot
+ * @returns {Object} { state, status, consecutiveFailures, lastCheckedAt, lastError, nextProbeAt, latency }
+ */
+export const getConnectionHealth = () => health;
+
+/**
+ * Check whether requests should be refused right now
+ * @returns {boolean} True while the circuit is open and no probe is due
+ */
+export const isCircuitOpen = () => {
+  if (health.state !== CIRCUIT_OPEN) return false;
+  if (Date.now() < health.nextProbeAt) return true;
+
+  // The wait is over: let the next request through as a probe
+  update({ state: CIRCUIT_HALF_OPEN });
+  return false;
+};
+
+const scheduleProbe = (delay) => {
+  clearTimeout(probeTimer);
+  probeTimer = setTimeout(() => {
+    probeTimer = null;
+    probeConnection();
+  }, delay);
+};
+
+/**
+ * Report a request that reached Supabase
+ * @param {number} latency - Response time in milliseconds
+ */
+export const recordSuccess = (latency = null) => {
+  if (health.state !== CIRCUIT_CLOSED) {
+    console.log('Supabase is reachable again, closing the circuit');
+  }
+
+  clearTimeout(probeTimer);
+  probeTimer = null;
+  update({
+    state: CIRCUIT_CLOSED,
+    status: 'online',
+    consecutiveFailures: 0,
+    openCount: 0,
+    lastCheckedAt: Date.now(),
+    lastError: null,
+    nextProbeAt: null,
+    ...(latency !== null && { latency })
+  });
+};
+
+/**
+ * Report a request that failed to reach Supabase
+ * @param {Object} error - What went wrong
+ */
+export const recordFailure = (error = null) => {
+  const consecutiveFailures = health.consecutiveFailures + 1;
+  const changes = {
+    consecutiveFailures,
+    totalFailures: health.totalFailures + 1,
+    lastCheckedAt: Date.now(),
+    lastError: error?.message || null
+  };
+
+  // A failed probe reopens at once; otherwise wait for repeated failures
+  if (health.state === CIRCUIT_HALF_OPEN || consecutiveFailures >= FAILURE_THRESHOLD) {
+    const delay = getBackoffDelay(health.openCount, { base: BASE_OPEN_DELAY, max: MAX_OPEN_DELAY });
+    console.warn(`Supabase unreachable after ${consecutiveFailures} failures, next probe in ${Math.round(delay / 1000)}s`);
+
+    update({
+      ...changes,
+      state: CIRCUIT_OPEN,
+      status: 'offline',
+      openCount: health.openCount + 1,
+      nextProbeAt: Date.now() + delay
+    });
+    scheduleProbe(delay);
+    return;
+  }
+
+  update(changes);
+};
+
+/**
+ * Register the function that checks the connection (returns true when reachable)
+ * @param {Function} handler - Async connection check
+ */
+export const setProbeHandler = (handler) => {
+  probeHandler = handler;
+};
+
+/**
+ * Run the connection check. Concurrent calls share one check.
+ * @param {Object} options
+ * @param {boolean} options.force - Probe even if the circuit is open and no probe is due
+ * @returns {Promise<boolean>} True when Supabase is reachable
+ */
+export const probeConnection = ({ force = false } = {}) => {
+  if (probePromise) return probePromise;
+  if (!probeHandler) return Promise.resolve(health.status === 'online');
+
+  if (force && health.state === CIRCUIT_OPEN) {
+    update({ state: CIRCUIT_HALF_OPEN });
+  }
+
+  const failuresBefore = health.totalFailures;
+  const previousStatus = health.status;
+  update({ status: 'checking' });
+
+  probePromise = (async () => {
+    let reachable = false;
+    try {
+      reachable = await probeHandler();
+    } catch (error) {
+      console.error('Connection probe failed:', error);
+    }
+
+    // The probe's own requests usually report their outcome already
+    if (reachable) {
+      recordSuccess();
+    } else if (health.totalFailures === failuresBefore) {
+      recordFailure(new Error('Connection check failed'));
+    } else if (health.status === 'checking') {
+      update({ status: previousStatus === 'checking' ? 'unknown' : previousStatus });
+    }
+
+    return reachable;
+  })().finally(() => {
+    probePromise = null;
+  });
+
+  return probePromise;
+};
+
+/**
+ * Listen for health changes
+ * @param {Function} listener - Called with the health snapshot
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeConnectionHealth = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Follow the browser's own online/offline events
+export const startConnectionMonitoring = () => {
+  if (monitoringStarted || typeof window === 'undefined') return;
+  monitoringStarted = true;
+
+  window.addEventListener('offline', () => {
+    console.log('Browser went offline');
+    update({
+      state: CIRCUIT_OPEN,
+      status: 'offline',
+      nextProbeAt: Date.now() + BASE_OPEN_DELAY
+    });
+  });
+
+  window.addEventListener('online', () => {
+    console.log('Browser is back online, probing Supabase');
+    probeConnection({ force: true });
+  });
+};
+
+export default {
+  getConnectionHealth,
+  getBackoffDelay,
+  isNetworkError,
+  isCircuitOpen,
+  recordSuccess,
+  recordFailure,
+  probeConnection,
+  setProbeHandler,
+  subscribeConnectionHealth,
+  startConnectionMonitoring
+};
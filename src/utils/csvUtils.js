@@ -0,0 +1,120 @@
+/**
+ * Utility functions for reading and writing CSV in the browser
+ */
+
+/**
+ * Parse CSV text into an array of row objects keyed by the header row.
+ * Handles quoted fields, escaped quotes ("") and CRLF line endings.
+ *
+ * @param {string} text - Raw CSV content
+ * @returns {Array<Object>} Parsed rows
+ */
+export const parseCsv = (text) => {
+  if (!text) return [];
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat CRLF as a single line break
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Flush the last row if the file doesn't end with a newline
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header, ...body] = rows.filter(r => r.some(value => value.trim() !== ''));
+  if (!header) return [];
+
+  const columns = header.map(column => column.trim());
+  return body.map(values => {
+    const record = {};
+    columns.forEach((column, index) => {
+      record[column] = (values[index] ?? '').trim();
+    });
+    return record;
+  });
+};
+
+/**
+ * Split a tags cell into a clean array. Accepts comma-separated strings
+ * ("a,b,c") and PostgreSQL array literals ({"a","b","c"}).
+ *
+ * @param {string|Array} value - Raw tags value
+ * @returns {Array<string>} Normalized tags
+ */
+export const splitTags = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value.map(tag => String(tag).trim()).filter(Boolean);
+
+  return String(value)
+    .replace(/^\{|\}$/g, '')
+    .replace(/"/g, '')
+    .split(',')
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Quote a CSV field when it contains a comma, quote or line break
+ *
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe field
+ */
+const escapeCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write row objects as CSV with a header row. Array values (tags) are
+ * joined with commas, the way splitTags reads them back.
+ *
+ * @param {Array<Object>} rows - Rows to write
+ * @param {Array<string>} columns - Column names, in order
+ * @returns {string} CSV content
+ */
+export const stringifyCsv = (rows, columns) => {
+  const lines = [columns.map(escapeCsvField).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => {
+      const value = row[column];
+      return escapeCsvField(Array.isArray(value) ? value.join(',') : value);
+    }).join(','));
+  });
+
+  return `${lines.join('\n')}\n`;
+};
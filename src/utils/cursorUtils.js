@@ -0,0 +1,99 @@
+/**
+ * Keyset pagination helpers.
+ *
+ * A cursor marks the last row of a page by its sort value and id, so the
+ * next page starts strictly after that row regardless of inserts made in
+ * the meantime. Cursors are opaque to callers: pass back what you got.
+ */
+
+// Base64 that survives being put in a URL
+const toBase64Url = (text) => btoa(unescape(encodeURIComponent(text)))
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  return decodeURIComponent(escape(atob(base64)));
+};
+
+/**
+ * Build the cursor pointing after a row
+ * @param {Object} row - Last row of the current page
+ * @param {string} orderBy - Column the page is sorted by
+ * @returns {string|null} Opaque cursor, or null if the row can't be keyed
+ */
+export const encodeCursor = (row, orderBy) => {
+  if (!row || row.id == null) return null;
+  return toBase64Url(JSON.stringify({ o: orderBy, v: row[orderBy] ?? null, id: row.id }));
+};
+
+/**
+ * Read a cursor produced by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {string} orderBy - Column the caller is sorting by
+ * @returns {Object|null} { value, id }, or null if the cursor is invalid or for another sort
+ */
+export const decodeCursor = (cursor, orderBy) => {
+  if (!cursor) return null;
+
+  try {
+    const { o, v, id } = JSON.parse(fromBase64Url(cursor));
+    if (o !== orderBy || id == null) return null;
+    return { value: v, id };
+  } catch (error) {
+    console.warn('Ignoring invalid pagination cursor:', error);
+    return null;
+  }
+};
+
+// Quote a value for use inside a PostgREST or()/and() filter
+const quoteFilterValue = (value) => `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+
+/**
+ * Build the PostgREST filter selecting rows after a cursor position.
+ * Rows are ordered by (orderBy, id) in the same direction.
+ *
+ * @param {Object} position - Decoded cursor { value, id }
+ * @param {string} orderBy - Sort column
+ * @param {boolean} ascending - Sort direction
+ * @returns {string} Expression for query.or()
+ */
+export const keysetFilter = ({ value, id }, orderBy, ascending) => {
+  const op = ascending ? 'gt' : 'lt';
+
+  if (value === null) {
+    // Nulls sort last ascending / first descending in Postgres
+    return ascending
+      ? `and(${orderBy}.is.null,id.${op}.${quoteFilterValue(id)})`
+      : `${orderBy}.not.is.null,and(${orderBy}.is.null,id.${op}.${quoteFilterValue(id)})`;
+  }
+
+  const quoted = quoteFilterValue(value);
+  const after = `${orderBy}.${op}.${quoted},and(${orderBy}.eq.${quoted},id.${op}.${quoteFilterValue(id)})`;
+  return ascending ? `${after},${orderBy}.is.null` : after;
+};
+
+/**
+ * Check whether a row comes after a cursor position (in-memory equivalent of keysetFilter)
+ * @param {Object} row - Row to test
+ * @param {Object} position - Decoded cursor { value, id }
+ * @param {string} orderBy - Sort column
+ * @param {boolean} ascending - Sort direction
+ * @returns {boolean} True if the row belongs on a later page
+ */
+export const isAfterCursor = (row, { value, id }, orderBy, ascending) => {
+  const rowValue = row[orderBy] ?? null;
+  const compare = (a, b) => (a === b ? 0 : (a > b ? 1 : -1));
+
+  let result;
+  if (rowValue === null || value === null) {
+    // Nulls sort as the largest value, matching Postgres
+    result = rowValue === value ? 0 : (rowValue === null ? 1 : -1);
+  } else {
+    result = compare(rowValue, value);
+  }
+
+  if (result === 0) result = compare(String(row.id), String(id));
+  return ascending ? result > 0 : result < 0;
+};
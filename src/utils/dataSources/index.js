@@ -0,0 +1,131 @@
+import { createSupabaseDataSource } from './supabaseDataSource';
+import { createLocalDataSource } from './localDataSource';
+
+/**
+ * Data source selection for resource queries.
+ *
+ * Every data source implements the same interface:
+ * - name / isLocal
+ * - getResources(options) -> { data, count, nextCursor }
+ * - getResourceById(id) -> resource | null
+ * - getRelatedResources(resourceId, category, limit) -> resources, most related
+ *   first, each with related: { score, reasons } (see relatedScoring.js)
+ * - getAllResources({ category }) -> resources
+ * - getViewCount(resourceId) -> number | null
+ * - recordView(resourceId, userId)
+ * - getTrendingResources({ limit, category, halfLifeHours, windowDays }) -> resources
+ *   with trending_score, highest first (see trending.js)
+ * - getResourceCounts({ tags }) -> { total, categories, subcategories, tags }
+ *   (see resourceCounts.js)
+ * - getUserActivity(userId) -> { favorites, views }, each a list of
+ *   { resource_id, created_at, resource: { id, category, subcategory, tags } }
+ * - isFavorited(resourceId, userId) -> boolean
+ * - setFavorite(resourceId, userId, favorited) -> boolean
+ * - createResource(resourceData) -> resource
+ * - updateResource(id, changes, userId) -> resource; records a revision (see revisions.js)
+ * - getResourceRevisions(resourceId) -> revisions, newest first, each with user
+ * - findResourcesByCanonicalUrls(canonicalUrls) -> resources whose URL has one of
+ *   these canonical forms (see urlUtils.js)
+ * - getUserCollections(userId) -> the user's collections, default first, each
+ *   with resource_ids in order (see collections.js); creates the default one
+ * - getPublicCollections({ limit }) -> public collections, recently updated first
+ * - getCollectionBySlug(slug) -> collection with user and resources in order,
+ *   null when missing or private to someone else
+ * - createCollection(collectionData) / updateCollection(id, changes) -> collection
+ * - deleteCollection(id); the default collection can't be deleted
+ * - addToCollection(collectionId, resourceId) / removeFromCollection(collectionId, resourceId);
+ *   for the default collection these favorite and unfavorite
+ * - reorderCollection(collectionId, resourceIds) -> resource ids in the new order
+ * - getTaxonomy() -> categories in order, each with subcategories in order
+ *   (see taxonomy.js)
+ * - createTaxonomyNode(kind, fields) / updateTaxonomyNode(kind, id, changes) -> node,
+ *   where kind is 'category' or 'subcategory'; a new slug, or a subcategory's
+ *   new category_id, is rewritten on the resources filed under it
+ * - mergeTaxonomyNodes(kind, sourceId, targetId) -> number of resources moved;
+ *   the source node is deleted
+ * - reorderTaxonomy(kind, ids) -> ids in the new order
+ *
+ * getResources filters by category, subcategory, tags (all of them), search
+ * and attributes ({ key: value }, see attributeSchemas.js). It pages by
+ * offset/limit by default (count is the total), or by keyset when given
+ * `cursor` or `pagination: 'cursor'` (count is null and nextCursor is the
+ * opaque cursor for the following page, null on the last).
+ *
+ * Resources carry a views_count read in the same query (null when unknown).
+ *
+ * Listings, related, trending and counts leave out unapproved submissions
+ * (approved = false); getResourceById still returns them to whoever can read
+ * them, and the admin queue reads them directly.
+ *
+ * Methods throw on failure; callers are responsible for turning errors
+ * into user-facing results.
+ *
+ * The source is chosen by VITE_DATA_SOURCE:
+ * - 'supabase': always use the live database
+ * - 'local': always use the bundled catalog (fully offline)
+ * - 'memory': use the Supabase source; supabase.js swaps in the in-memory client
+ * - 'auto' (default): use Supabase unless the local mode toggle is switched on
+ */
+
+const configuredSource = (import.meta.env.VITE_DATA_SOURCE || 'auto').toLowerCase();
+
+// Kept under its old name so existing browsers keep their choice
+const LOCAL_MODE_KEY = 'forceSupabaseConnection';
+
+let supabaseSource = null;
+let localSource = null;
+
+export const getSupabaseDataSource = () => {
+  if (!supabaseSource) {
+    supabaseSource = createSupabaseDataSource();
+  }
+  return supabaseSource;
+};
+
+// The local source is created lazily so the catalog is only parsed when needed
+export const getLocalDataSource = () => {
+  if (!localSource) {
+    localSource = createLocalDataSource();
+  }
+  return localSource;
+};
+
+// Check the local mode toggle shared with the rest of the app
+export const isLocalModeEnabled = () => {
+  if (configuredSource === 'local') return true;
+  if (configuredSource === 'supabase' || configuredSource === 'memory') return false;
+  return localStorage.getItem(LOCAL_MODE_KEY) === 'false';
+};
+
+// The toggle only applies when the deployment doesn't pin the data source
+export const canToggleLocalMode = () => configuredSource === 'auto';
+
+/**
+ * Switch the local mode toggle. This is the only place the stored flag is written.
+ * @param {boolean} enabled - Whether to read from the bundled catalog
+ * @returns {boolean} Whether local mode is enabled afterwards
+ */
+export const setLocalModeEnabled = (enabled) => {
+  if (canToggleLocalMode()) {
+    if (enabled) {
+      localStorage.setItem(LOCAL_MODE_KEY, 'false');
+    } else {
+      localStorage.removeItem(LOCAL_MODE_KEY);
+    }
+  }
+  return isLocalModeEnabled();
+};
+
+// Reads may fall back to the bundled catalog while Supabase is unreachable,
+// unless the deployment pins the data source
+export const canUseLocalFallback = () => configuredSource === 'auto';
+
+/**
+ * Get the data source for the current configuration
+ * @returns {Object} Active data source
+ */
+export const getDataSource = () => (
+  isLocalModeEnabled() ? getLocalDataSource() : getSupabaseDataSource()
+);
+
+export default getDataSource;
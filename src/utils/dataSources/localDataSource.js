@@ -0,0 +1,440 @@
+import { v4 as uuidv4 } from 'uuid';
+import { loadLocalCatalog } from '../../data/localCatalog';
+import { fallbackAuthor } from '../authorLoader';
+import { decodeCursor, encodeCursor, isAfterCursor } from '../cursorUtils';
+import { countCoFavorites, rankRelatedResources } from '../relatedScoring';
+import { computeTrendingScores, rankTrending } from '../trending';
+import { countResources } from '../resourceCounts';
+import { diffResource, pickEditableFields } from '../revisions';
+import { canonicalizeUrl } from '../urlUtils';
+import { matchesAttributes } from '../attributeSchemas';
+import { DEFAULT_COLLECTION_TITLE, createCollectionSlug, pickCollectionFields } from '../collections';
+import { DEFAULT_TAXONOMY } from '../taxonomy';
+
+/**
+ * In-memory data source seeded from the bundled catalog.
+ * Used for local mode and for running the app without a network connection.
+ * Favorites, views, submissions and collections live for the lifetime of the page.
+ * The taxonomy is the bundled default and can't be edited.
+ */
+
+// Taxonomy edits migrate resources in the database, so they need Supabase
+const taxonomyReadOnly = () => {
+  const error = new Error('The taxonomy can only be edited when connected to the database');
+  error.code = '42501';
+  return error;
+};
+
+// Unapproved submissions stay out of listings, counts and suggestions, as in
+// the database; catalog rows without the flag count as approved
+const isListed = (resource) => resource.approved !== false;
+
+const normalize = (value) => (value == null ? '' : String(value).toLowerCase());
+
+// Sort by field then id, with nulls last ascending / first descending like Postgres
+const compareBy = (field, ascending) => (a, b) => {
+  const left = a[field] ?? null;
+  const right = b[field] ?? null;
+  let result;
+  if (left === right) {
+    result = 0;
+  } else if (left === null || right === null) {
+    result = left === null ? 1 : -1;
+  } else {
+    result = left > right ? 1 : -1;
+  }
+  if (result === 0 && a.id !== b.id) result = String(a.id) > String(b.id) ? 1 : -1;
+  return ascending ? result : -result;
+};
+
+/**
+ * Create an in-memory data source
+ * @param {Array<Object>} seed - Initial resources (defaults to the bundled catalog)
+ * @returns {Object} Data source implementation
+ */
+export const createLocalDataSource = (seed = loadLocalCatalog()) => {
+  const resources = [...seed];
+  const favorites = new Set();
+  const views = new Map();
+  // Views and favorites with their time, for trending and recommendations
+  const viewHistory = [];
+  const favoritedAt = new Map();
+  const revisions = [];
+  // Collections hold their resource ids in order; each user's default
+  // collection mirrors their favorites
+  const collections = [];
+
+  const favoriteKey = (resourceId, userId) => `${userId}:${resourceId}`;
+
+  const favoriteCount = (resourceId) => {
+    let count = 0;
+    favorites.forEach(key => {
+      if (key.endsWith(`:${resourceId}`)) count++;
+    });
+    return count;
+  };
+
+  const defaultCollection = (userId) => {
+    let collection = collections.find(c => c.user_id === userId && c.is_default);
+    if (!collection) {
+      const now = new Date().toISOString();
+      collection = {
+        id: uuidv4(),
+        user_id: userId,
+        title: DEFAULT_COLLECTION_TITLE,
+        slug: createCollectionSlug(DEFAULT_COLLECTION_TITLE),
+        description: null,
+        cover_url: null,
+        visibility: 'private',
+        is_default: true,
+        resource_ids: [],
+        created_at: now,
+        updated_at: now
+      };
+      collections.push(collection);
+    }
+    return collection;
+  };
+
+  const findCollection = (id) => {
+    const collection = collections.find(c => c.id === id);
+    if (!collection) {
+      const missing = new Error('Collection not found');
+      missing.code = 'PGRST116';
+      throw missing;
+    }
+    return collection;
+  };
+
+  // Favorites and the default collection change together
+  const setFavorite = (resourceId, userId, favorited) => {
+    const favoritesCollection = defaultCollection(userId);
+    if (favorited) {
+      favorites.add(favoriteKey(resourceId, userId));
+      favoritedAt.set(favoriteKey(resourceId, userId), new Date().toISOString());
+      if (!favoritesCollection.resource_ids.includes(resourceId)) favoritesCollection.resource_ids.push(resourceId);
+    } else {
+      favorites.delete(favoriteKey(resourceId, userId));
+      favoritedAt.delete(favoriteKey(resourceId, userId));
+      favoritesCollection.resource_ids = favoritesCollection.resource_ids.filter(id => id !== resourceId);
+    }
+    return favorited;
+  };
+
+  const presentCollection = (collection) => ({
+    ...collection,
+    resource_ids: [...collection.resource_ids],
+    user: fallbackAuthor(collection.user_id)
+  });
+
+  // Attach the same derived fields the Supabase source provides
+  const present = (resource) => ({
+    ...resource,
+    tags: [...(resource.tags || [])],
+    likes_count: favoriteCount(resource.id),
+    views_count: views.get(resource.id) || 0,
+    user: fallbackAuthor(resource.user_id)
+  });
+
+  return {
+    name: 'local',
+    isLocal: true,
+
+    async getResources({
+      limit = 20,
+      offset = 0,
+      category = null,
+      subcategory = null,
+      tags = [],
+      attributes = null,
+      search = null,
+      orderBy = 'created_at',
+      orderDirection = 'desc',
+      cursor = null,
+      pagination = cursor ? 'cursor' : 'offset'
+    } = {}) {
+      const searchTerm = normalize(search);
+      const ascending = orderDirection === 'asc';
+
+      const matches = resources
+        .filter(isListed)
+        .filter(resource => !category || normalize(resource.category) === normalize(category))
+        .filter(resource => !subcategory || normalize(resource.subcategory) === normalize(subcategory))
+        .filter(resource => {
+          if (!tags || tags.length === 0) return true;
+          const resourceTags = (resource.tags || []).map(normalize);
+          return tags.every(tag => resourceTags.includes(normalize(tag)));
+        })
+        .filter(resource => matchesAttributes(resource.attributes, attributes))
+        .filter(resource => !searchTerm ||
+          normalize(resource.title).includes(searchTerm) ||
+          normalize(resource.description).includes(searchTerm))
+        .sort(compareBy(orderBy, ascending));
+
+      if (pagination === 'cursor') {
+        const position = decodeCursor(cursor, orderBy);
+        const remaining = position
+          ? matches.filter(resource => isAfterCursor(resource, position, orderBy, ascending))
+          : matches;
+        const page = remaining.slice(0, limit);
+
+        return {
+          data: page.map(present),
+          count: null,
+          nextCursor: remaining.length > limit ? encodeCursor(page[page.length - 1], orderBy) : null
+        };
+      }
+
+      return {
+        data: matches.slice(offset, offset + limit).map(present),
+        count: matches.length,
+        nextCursor: null
+      };
+    },
+
+    async getResourceById(id) {
+      const resource = resources.find(r => r.id === id);
+      return resource ? present(resource) : null;
+    },
+
+    async getRelatedResources(resourceId, category, limit = 4) {
+      const target = resources.find(r => r.id === resourceId) || { id: resourceId, category, tags: [] };
+      // Newest first so equally related resources keep the old order
+      const others = resources.filter(r => r.id !== resourceId && isListed(r)).sort(compareBy('created_at', false));
+
+      const favoriteRows = [...favorites].map(key => {
+        const separator = key.indexOf(':');
+        return { user_id: key.slice(0, separator), resource_id: key.slice(separator + 1) };
+      });
+
+      return rankRelatedResources(target, others, {
+        coFavorites: countCoFavorites(favoriteRows, resourceId),
+        limit
+      }).map(({ related, ...resource }) => ({ ...present(resource), related }));
+    },
+
+    async getAllResources({ category = null } = {}) {
+      return resources
+        .filter(isListed)
+        .filter(resource => !category || normalize(resource.category) === normalize(category))
+        .sort(compareBy('created_at', false))
+        .map(present);
+    },
+
+    async getViewCount(resourceId) {
+      return views.get(resourceId) || 0;
+    },
+
+    async recordView(resourceId, userId = null) {
+      views.set(resourceId, (views.get(resourceId) || 0) + 1);
+      viewHistory.push({ user_id: userId, resource_id: resourceId, created_at: new Date().toISOString() });
+    },
+
+    async getResourceCounts({ tags = null } = {}) {
+      return countResources(resources.filter(isListed), { tags });
+    },
+
+    async getUserActivity(userId) {
+      const withResource = (item) => ({
+        resource_id: item.resource_id,
+        created_at: item.created_at,
+        resource: resources.find(r => r.id === item.resource_id) || null
+      });
+
+      const favorited = [...favorites]
+        .filter(key => key.startsWith(`${userId}:`))
+        .map(key => ({ resource_id: key.slice(userId.length + 1), created_at: favoritedAt.get(key) || null }));
+
+      return {
+        favorites: favorited.map(withResource),
+        views: viewHistory.filter(item => item.user_id === userId).map(withResource)
+      };
+    },
+
+    async getTrendingResources({ limit = 6, category = null, halfLifeHours, windowDays } = {}) {
+      const scores = computeTrendingScores({
+        views: viewHistory,
+        favorites: [...favoritedAt].map(([key, createdAt]) => ({
+          resource_id: key.slice(key.indexOf(':') + 1),
+          created_at: createdAt
+        }))
+      }, { halfLifeHours, windowDays });
+
+      return rankTrending(resources.filter(isListed), scores, { category, limit }).map(({ trending_score, ...resource }) => ({
+        ...present(resource),
+        trending_score
+      }));
+    },
+
+    async isFavorited(resourceId, userId) {
+      return favorites.has(favoriteKey(resourceId, userId));
+    },
+
+    async setFavorite(resourceId, userId, favorited) {
+      return setFavorite(resourceId, userId, favorited);
+    },
+
+    async createResource(resourceData) {
+      const resource = {
+        id: uuidv4(),
+        ...resourceData,
+        tags: resourceData.tags || [],
+        attributes: resourceData.attributes || {},
+        canonical_url: canonicalizeUrl(resourceData.url)
+      };
+      resources.push(resource);
+      return present(resource);
+    },
+
+    async updateResource(id, changes, userId = null) {
+      const index = resources.findIndex(r => r.id === id);
+      if (index === -1) {
+        const missing = new Error('Resource not found');
+        missing.code = 'PGRST116';
+        throw missing;
+      }
+
+      const previous = resources[index];
+      const updated = { ...previous, ...pickEditableFields(changes), updated_at: new Date().toISOString() };
+      updated.canonical_url = canonicalizeUrl(updated.url);
+      resources[index] = updated;
+
+      const diff = diffResource(previous, updated);
+      if (Object.keys(diff).length > 0) {
+        revisions.unshift({
+          id: uuidv4(),
+          resource_id: id,
+          user_id: userId,
+          changes: diff,
+          created_at: new Date().toISOString()
+        });
+      }
+
+      return present(updated);
+    },
+
+    async findResourcesByCanonicalUrls(canonicalUrls) {
+      const wanted = new Set(canonicalUrls);
+      return resources
+        .filter(resource => wanted.has(resource.canonical_url || canonicalizeUrl(resource.url)))
+        .map(present);
+    },
+
+    async getResourceRevisions(resourceId) {
+      return revisions
+        .filter(revision => revision.resource_id === resourceId)
+        .map(revision => ({ ...revision, user: fallbackAuthor(revision.user_id) }));
+    },
+
+    async getUserCollections(userId) {
+      defaultCollection(userId);
+      return collections
+        .filter(collection => collection.user_id === userId)
+        .sort((a, b) => Number(b.is_default) - Number(a.is_default) || a.created_at.localeCompare(b.created_at))
+        .map(presentCollection);
+    },
+
+    async getPublicCollections({ limit = 24 } = {}) {
+      return collections
+        .filter(collection => collection.visibility === 'public')
+        .sort((a, b) => b.updated_at.localeCompare(a.updated_at))
+        .slice(0, limit)
+        .map(presentCollection);
+    },
+
+    async getCollectionBySlug(slug) {
+      const collection = collections.find(c => c.slug === slug);
+      if (!collection) return null;
+
+      const byId = new Map(resources.map(resource => [resource.id, resource]));
+      return {
+        ...presentCollection(collection),
+        resources: collection.resource_ids.map(id => byId.get(id)).filter(Boolean).map(present)
+      };
+    },
+
+    async createCollection(collectionData) {
+      const now = new Date().toISOString();
+      const collection = {
+        id: uuidv4(),
+        description: null,
+        cover_url: null,
+        visibility: 'private',
+        ...pickCollectionFields(collectionData),
+        user_id: collectionData.user_id,
+        slug: createCollectionSlug(collectionData.title),
+        is_default: false,
+        resource_ids: [],
+        created_at: now,
+        updated_at: now
+      };
+      collections.push(collection);
+      return presentCollection(collection);
+    },
+
+    async updateCollection(id, changes) {
+      const collection = findCollection(id);
+      Object.assign(collection, pickCollectionFields(changes), { updated_at: new Date().toISOString() });
+      return presentCollection(collection);
+    },
+
+    async deleteCollection(id) {
+      const collection = findCollection(id);
+      if (collection.is_default) {
+        const denied = new Error('This collection cannot be deleted');
+        denied.code = '42501';
+        throw denied;
+      }
+      collections.splice(collections.indexOf(collection), 1);
+      return true;
+    },
+
+    async addToCollection(collectionId, resourceId) {
+      const collection = findCollection(collectionId);
+      if (collection.is_default) {
+        setFavorite(resourceId, collection.user_id, true);
+      } else if (!collection.resource_ids.includes(resourceId)) {
+        collection.resource_ids.push(resourceId);
+      }
+      return true;
+    },
+
+    async removeFromCollection(collectionId, resourceId) {
+      const collection = findCollection(collectionId);
+      if (collection.is_default) {
+        setFavorite(resourceId, collection.user_id, false);
+      } else {
+        collection.resource_ids = collection.resource_ids.filter(id => id !== resourceId);
+      }
+      return true;
+    },
+
+    async reorderCollection(collectionId, resourceIds) {
+      const collection = findCollection(collectionId);
+      collection.resource_ids = resourceIds.filter(id => collection.resource_ids.includes(id));
+      return [...collection.resource_ids];
+    },
+
+    async getTaxonomy() {
+      return DEFAULT_TAXONOMY;
+    },
+
+    async createTaxonomyNode() {
+      throw taxonomyReadOnly();
+    },
+
+    async updateTaxonomyNode() {
+      throw taxonomyReadOnly();
+    },
+
+    async mergeTaxonomyNodes() {
+      throw taxonomyReadOnly();
+    },
+
+    async reorderTaxonomy() {
+      throw taxonomyReadOnly();
+    }
+  };
+};
+
+export default createLocalDataSource;
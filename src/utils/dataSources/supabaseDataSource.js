@@ -0,0 +1,815 @@
+import supabase, { executeWithRetry } from '../supabase';
+import { authorLoader, createAuthorLoader, fallbackAuthor } from '../authorLoader';
+import { decodeCursor, encodeCursor, keysetFilter } from '../cursorUtils';
+import { countCoFavorites, rankRelatedResources } from '../relatedScoring';
+import { computeTrendingScores, getTrendingWindowStart, rankTrending } from '../trending';
+import { countResources } from '../resourceCounts';
+import { pickEditableFields } from '../revisions';
+import { canonicalizeUrl } from '../urlUtils';
+import { DEFAULT_COLLECTION_TITLE, createCollectionSlug, pickCollectionFields } from '../collections';
+import { buildTaxonomyTree, pickTaxonomyFields } from '../taxonomy';
+
+/**
+ * Data source backed by the live Supabase database.
+ * Methods throw the raw Supabase error so resourceUtils can decide how to report it.
+ */
+
+// How many resources to score for the related panel
+const RELATED_CANDIDATE_LIMIT = 50;
+// How many of a resource's fans, and of their favorites, to read for co-favorites
+const CO_FAVORITE_USER_LIMIT = 200;
+const CO_FAVORITE_ROW_LIMIT = 2000;
+// How much of a user's history to read for recommendations
+const ACTIVITY_FAVORITE_LIMIT = 200;
+const ACTIVITY_VIEW_LIMIT = 500;
+// Rows per event table read when trending is computed in the browser
+const TRENDING_EVENT_LIMIT = 5000;
+const TRENDING_CANDIDATE_LIMIT = 200;
+
+// How many revisions the history view shows
+const REVISION_LIMIT = 100;
+// Canonical URLs per duplicate lookup, to keep the request URL short
+const CANONICAL_URL_BATCH = 100;
+// What duplicate panels and merges need
+const DUPLICATE_COLUMNS = 'id, title, url, description, image_url, category, subcategory, tags';
+
+// How many public collections the collections page lists
+const PUBLIC_COLLECTION_LIMIT = 24;
+// Collection rows with their resources in order
+const COLLECTION_COLUMNS = '*, items:collection_items(resource_id, position)';
+
+// Tables and merge functions behind each level of the taxonomy
+const TAXONOMY_TABLES = { category: 'categories', subcategory: 'subcategories' };
+const TAXONOMY_MERGE_FUNCTIONS = { category: 'merge_categories', subcategory: 'merge_subcategories' };
+
+// A database function hasn't been installed (see db/run_all_scripts.sql)
+const MISSING_FUNCTION_CODES = ['PGRST202', '42883'];
+
+// Normalize query results that may come back as a single object
+const toArray = (data) => (Array.isArray(data) ? data : (data ? [data] : []));
+
+// Listings, counts and suggestions skip unapproved submissions, which row
+// level security still shows to their submitter and to admins (see
+// db/add_resource_approval.sql)
+const listed = (query) => query.eq('approved', true);
+
+// Replace embedded items with resource_ids in collection order
+const withResourceIds = ({ items, ...collection }) => ({
+  ...collection,
+  resource_ids: toArray(items)
+    .sort((a, b) => a.position - b.position)
+    .map(item => item.resource_id)
+});
+
+/**
+ * Create a data source over a Supabase client
+ * @param {Object} client - Supabase client (defaults to the app client)
+ * @returns {Object} Data source implementation
+ */
+export const createSupabaseDataSource = (client = supabase) => {
+  // Share the app-wide author cache when running against the app client
+  const authors = client === supabase ? authorLoader : createAuthorLoader(client);
+
+  // Count how often each resource was favorited by people who favorited this one
+  const loadCoFavorites = async (resourceId) => {
+    // Co-favorites only improve the ranking, so a failed lookup isn't fatal
+    try {
+      const { data: fans, error: fansError } = await client
+        .from('favorites')
+        .select('user_id, resource_id')
+        .eq('resource_id', resourceId)
+        .limit(CO_FAVORITE_USER_LIMIT);
+
+      if (fansError) throw fansError;
+
+      const userIds = toArray(fans).map(row => row.user_id);
+      if (userIds.length === 0) return new Map();
+
+      const { data, error } = await client
+        .from('favorites')
+        .select('user_id, resource_id')
+        .in('user_id', userIds)
+        .neq('resource_id', resourceId)
+        .limit(CO_FAVORITE_ROW_LIMIT);
+
+      if (error) throw error;
+      return countCoFavorites([...toArray(fans), ...toArray(data)], resourceId);
+    } catch (error) {
+      console.warn('Could not load co-favorites, ranking related resources without them:', error);
+      return new Map();
+    }
+  };
+
+  return {
+    name: 'supabase',
+    isLocal: false,
+
+    async getResources({
+      limit = 20,
+      offset = 0,
+      category = null,
+      subcategory = null,
+      tags = [],
+      attributes = null,
+      search = null,
+      orderBy = 'created_at',
+      orderDirection = 'desc',
+      cursor = null,
+      pagination = cursor ? 'cursor' : 'offset'
+    } = {}) {
+      const useKeyset = pagination === 'cursor';
+      const ascending = orderDirection === 'asc';
+
+      // Keyset pages skip the exact count, which costs a full scan on every page
+      let query = listed(client
+        .from('resources')
+        .select('*, user:profiles(id, username, avatar_url)', useKeyset ? {} : { count: 'exact' }));
+
+      if (category) {
+        query = query.eq('category', category);
+      }
+
+      if (subcategory) {
+        query = query.eq('subcategory', subcategory);
+      }
+
+      if (tags && tags.length > 0) {
+        query = query.contains('tags', tags);
+      }
+
+      if (attributes && Object.keys(attributes).length > 0) {
+        query = query.contains('attributes', attributes);
+      }
+
+      if (search) {
+        query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+      }
+
+      query = query.order(orderBy, { ascending });
+
+      if (useKeyset) {
+        const position = decodeCursor(cursor, orderBy);
+        if (position) {
+          query = query.or(keysetFilter(position, orderBy, ascending));
+        }
+        // Fetch one extra row to know whether there's another page
+        query = query.order('id', { ascending }).limit(limit + 1);
+      } else {
+        query = query.range(offset, offset + limit - 1);
+      }
+
+      const { data, error, count } = await query;
+      if (error) throw error;
+
+      const rows = toArray(data);
+      const hasMore = useKeyset && rows.length > limit;
+
+      const resources = (useKeyset ? rows.slice(0, limit) : rows).map(resource => ({
+        ...resource,
+        user: (Array.isArray(resource.user) ? resource.user[0] : resource.user) || fallbackAuthor(resource.user_id)
+      }));
+
+      return {
+        data: resources,
+        count: useKeyset ? null : (count || 0),
+        nextCursor: hasMore ? encodeCursor(resources[resources.length - 1], orderBy) : null
+      };
+    },
+
+    async getResourceById(id) {
+      const { data, error } = await client
+        .from('resources')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+      if (error) throw error;
+
+      // Handle the case where Supabase returns an array instead of a single object
+      let resource = data;
+      if (Array.isArray(data)) {
+        console.warn('Supabase returned an array instead of a single object. Using first item.');
+        resource = data[0];
+      }
+
+      if (!resource) return null;
+
+      const [withUser] = await authors.attach([resource]);
+      return withUser;
+    },
+
+    async getRelatedResources(resourceId, category, limit = 4) {
+      const { data: target, error: targetError } = await client
+        .from('resources')
+        .select('id, category, subcategory, tags')
+        .eq('id', resourceId)
+        .maybeSingle();
+
+      if (targetError) throw targetError;
+
+      const subject = target || { id: resourceId, category, subcategory: null, tags: [] };
+      const tags = subject.tags || [];
+
+      const candidateQuery = () => listed(client
+        .from('resources')
+        .select('*'))
+        .neq('id', resourceId)
+        .order('created_at', { ascending: false })
+        .limit(RELATED_CANDIDATE_LIMIT);
+
+      const [sameCategory, sharedTags, coFavorites] = await Promise.all([
+        candidateQuery().eq('category', subject.category || category),
+        tags.length > 0 ? candidateQuery().overlaps('tags', tags) : Promise.resolve({ data: [] }),
+        loadCoFavorites(resourceId)
+      ]);
+
+      if (sameCategory.error) throw sameCategory.error;
+      if (sharedTags.error) throw sharedTags.error;
+
+      const candidates = new Map();
+      [...toArray(sameCategory.data), ...toArray(sharedTags.data)].forEach(resource => {
+        candidates.set(resource.id, resource);
+      });
+
+      // Resources favorited together can come from any category
+      const missingIds = [...coFavorites.entries()]
+        .filter(([id]) => !candidates.has(id))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RELATED_CANDIDATE_LIMIT)
+        .map(([id]) => id);
+
+      if (missingIds.length > 0) {
+        const { data, error } = await listed(client.from('resources').select('*')).in('id', missingIds);
+        if (error) throw error;
+        toArray(data).forEach(resource => candidates.set(resource.id, resource));
+      }
+
+      // Nothing in common with anything: show the newest resources instead
+      if (candidates.size === 0) {
+        const { data, error } = await candidateQuery();
+        if (error) throw error;
+        toArray(data).forEach(resource => candidates.set(resource.id, resource));
+      }
+
+      const related = rankRelatedResources(subject, [...candidates.values()], { coFavorites, limit });
+      return authors.attach(related);
+    },
+
+    async getAllResources({ category = null } = {}) {
+      let query = listed(client.from('resources').select('*'));
+
+      if (category) {
+        query = query.eq('category', category);
+      }
+
+      const { data, error } = await query.order('created_at', { ascending: false });
+      if (error) throw error;
+
+      return toArray(data);
+    },
+
+    async getViewCount(resourceId) {
+      const { data, error } = await client
+        .from('resources')
+        .select('views_count')
+        .eq('id', resourceId)
+        .single();
+
+      // 42703: the views_count column hasn't been added yet (see db/add_views_count.sql)
+      if (error && error.code !== '42703') throw error;
+      if (!error) return data?.views_count ?? null;
+
+      const { count, error: countError } = await client
+        .from('resource_views')
+        .select('*', { count: 'exact', head: true })
+        .eq('resource_id', resourceId);
+
+      if (countError) throw countError;
+      return count ?? null;
+    },
+
+    async recordView(resourceId, userId = null) {
+      const { error } = await client
+        .from('resource_views')
+        .insert([{
+          resource_id: resourceId,
+          user_id: userId,
+          created_at: new Date().toISOString()
+        }]);
+
+      if (error) throw error;
+    },
+
+    async getResourceCounts({ tags = null } = {}) {
+      const { data, error } = await client.rpc('get_resource_counts', { tag_filter: tags });
+
+      if (!error) return data;
+      if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error;
+
+      // Without the function, read only the grouped columns and count here
+      console.warn('get_resource_counts is not installed, counting resources in the browser');
+      const { data: rows, error: rowsError } = await listed(client
+        .from('resources')
+        .select('category, subcategory, tags'));
+
+      if (rowsError) throw rowsError;
+      return countResources(toArray(rows), { tags });
+    },
+
+    async getUserActivity(userId) {
+      const [favoritesResult, viewsResult] = await Promise.all([
+        client
+          .from('favorites')
+          .select('resource_id, created_at')
+          .eq('user_id', userId)
+          .order('created_at', { ascending: false })
+          .limit(ACTIVITY_FAVORITE_LIMIT),
+        client
+          .from('resource_views')
+          .select('resource_id, created_at')
+          .eq('user_id', userId)
+          .order('created_at', { ascending: false })
+          .limit(ACTIVITY_VIEW_LIMIT)
+      ]);
+
+      if (favoritesResult.error) throw favoritesResult.error;
+      // Views are a weaker signal; carry on with favorites alone if they can't be read
+      if (viewsResult.error) {
+        console.warn('Could not read view history:', viewsResult.error);
+      }
+
+      const favorites = toArray(favoritesResult.data);
+      const views = viewsResult.error ? [] : toArray(viewsResult.data);
+
+      const ids = [...new Set([...favorites, ...views].map(item => item.resource_id))];
+      const resourcesById = new Map();
+
+      if (ids.length > 0) {
+        const { data, error } = await client
+          .from('resources')
+          .select('id, category, subcategory, tags')
+          .in('id', ids);
+
+        if (error) throw error;
+        toArray(data).forEach(resource => resourcesById.set(resource.id, resource));
+      }
+
+      const withResource = (item) => ({ ...item, resource: resourcesById.get(item.resource_id) || null });
+      return { favorites: favorites.map(withResource), views: views.map(withResource) };
+    },
+
+    async getTrendingResources({ limit = 6, category = null, halfLifeHours, windowDays } = {}) {
+      const { data, error } = await client.rpc('get_trending_resources', {
+        limit_count: limit,
+        half_life_hours: halfLifeHours,
+        window_days: windowDays,
+        category_filter: category
+      });
+
+      if (!error) return authors.attach(toArray(data));
+      if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error;
+
+      console.warn('get_trending_resources is not installed, computing trending in the browser');
+
+      const recentEvents = async (table) => {
+        const { data: rows, error: eventsError } = await client
+          .from(table)
+          .select('resource_id, created_at')
+          .gte('created_at', getTrendingWindowStart(windowDays))
+          .order('created_at', { ascending: false })
+          .limit(TRENDING_EVENT_LIMIT);
+
+        // A missing events table just contributes nothing
+        if (eventsError) {
+          console.warn(`Could not read ${table} for trending:`, eventsError);
+          return [];
+        }
+        return toArray(rows);
+      };
+
+      const [views, favorites, comments] = await Promise.all([
+        recentEvents('resource_views'),
+        recentEvents('favorites'),
+        recentEvents('comments')
+      ]);
+
+      const scores = computeTrendingScores({ views, favorites, comments }, { halfLifeHours, windowDays });
+      if (scores.size === 0) return [];
+
+      const ids = [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TRENDING_CANDIDATE_LIMIT)
+        .map(([id]) => id);
+
+      let query = listed(client.from('resources').select('*')).in('id', ids);
+      if (category) {
+        query = query.eq('category', category);
+      }
+
+      const { data: resources, error: resourcesError } = await query;
+      if (resourcesError) throw resourcesError;
+
+      return authors.attach(rankTrending(toArray(resources), scores, { category, limit }));
+    },
+
+    async isFavorited(resourceId, userId) {
+      const { data, error } = await client
+        .from('favorites')
+        .select('id')
+        .eq('resource_id', resourceId)
+        .eq('user_id', userId)
+        .single();
+
+      if (error && error.code !== 'PGRST116') throw error;
+      return !!data;
+    },
+
+    async setFavorite(resourceId, userId, favorited) {
+      const { error } = await executeWithRetry(async () => {
+        if (favorited) {
+          return client
+            .from('favorites')
+            .insert({
+              resource_id: resourceId,
+              user_id: userId
+            });
+        }
+
+        return client
+          .from('favorites')
+          .delete()
+          .eq('resource_id', resourceId)
+          .eq('user_id', userId);
+      });
+
+      if (error) throw error;
+      return favorited;
+    },
+
+    async createResource(resourceData) {
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from('resources')
+          .insert(resourceData)
+          .select()
+          .single();
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateResource(id, changes) {
+      // The revision is recorded by the record_resource_revision trigger
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from('resources')
+          .update({ ...pickEditableFields(changes), updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .select();
+      });
+
+      if (error) throw error;
+
+      // Row level security filters the update down to nothing when the user may not edit
+      const [updated] = toArray(data);
+      if (!updated) {
+        const denied = new Error('You do not have permission to edit this resource');
+        denied.code = '42501';
+        throw denied;
+      }
+
+      const [withUser] = await authors.attach([updated]);
+      return withUser;
+    },
+
+    async findResourcesByCanonicalUrls(canonicalUrls) {
+      const wanted = [...new Set(canonicalUrls.filter(Boolean))];
+      if (wanted.length === 0) return [];
+
+      const matches = [];
+      for (let start = 0; start < wanted.length; start += CANONICAL_URL_BATCH) {
+        const { data, error } = await client
+          .from('resources')
+          .select(`${DUPLICATE_COLUMNS}, canonical_url`)
+          .in('canonical_url', wanted.slice(start, start + CANONICAL_URL_BATCH));
+
+        if (!error) {
+          matches.push(...toArray(data));
+          continue;
+        }
+
+        // 42703: the canonical_url column hasn't been added yet (see db/add_canonical_urls.sql)
+        if (error.code !== '42703') throw error;
+
+        console.warn('resources.canonical_url is missing, comparing URLs in the browser');
+        const { data: rows, error: rowsError } = await client
+          .from('resources')
+          .select(DUPLICATE_COLUMNS);
+
+        if (rowsError) throw rowsError;
+        const wantedSet = new Set(wanted);
+        return toArray(rows)
+          .map(row => ({ ...row, canonical_url: canonicalizeUrl(row.url) }))
+          .filter(row => wantedSet.has(row.canonical_url));
+      }
+
+      return matches;
+    },
+
+    async getResourceRevisions(resourceId) {
+      const { data, error } = await client
+        .from('resource_revisions')
+        .select('*')
+        .eq('resource_id', resourceId)
+        .order('created_at', { ascending: false })
+        .limit(REVISION_LIMIT);
+
+      if (error) throw error;
+      return authors.attach(toArray(data));
+    },
+
+    async getUserCollections(userId) {
+      const load = () => client
+        .from('collections')
+        .select(COLLECTION_COLUMNS)
+        .eq('user_id', userId)
+        .order('is_default', { ascending: false })
+        .order('created_at', { ascending: true });
+
+      let { data, error } = await load();
+      if (error) throw error;
+
+      // Users who never favorited anything don't have a default collection yet
+      if (!toArray(data).some(collection => collection.is_default)) {
+        const { error: insertError } = await client
+          .from('collections')
+          .insert({
+            user_id: userId,
+            title: DEFAULT_COLLECTION_TITLE,
+            slug: createCollectionSlug(DEFAULT_COLLECTION_TITLE),
+            visibility: 'private',
+            is_default: true
+          });
+
+        // 23505: created meanwhile (e.g. by favoriting in another tab)
+        if (insertError && insertError.code !== '23505') throw insertError;
+        ({ data, error } = await load());
+        if (error) throw error;
+      }
+
+      return toArray(data).map(withResourceIds);
+    },
+
+    async getPublicCollections({ limit = PUBLIC_COLLECTION_LIMIT } = {}) {
+      const { data, error } = await client
+        .from('collections')
+        .select(COLLECTION_COLUMNS)
+        .eq('visibility', 'public')
+        .order('updated_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return authors.attach(toArray(data).map(withResourceIds));
+    },
+
+    async getCollectionBySlug(slug) {
+      let collection = null;
+      let items = [];
+
+      const { data: shared, error } = await client.rpc('get_shared_collection', { collection_slug: slug });
+
+      if (!error) {
+        if (!shared) return null;
+        collection = shared.collection;
+        items = toArray(shared.items);
+      } else {
+        // Without the function only public and the user's own collections can be read
+        if (!MISSING_FUNCTION_CODES.includes(error.code)) throw error;
+
+        const { data, error: collectionError } = await client
+          .from('collections')
+          .select(COLLECTION_COLUMNS)
+          .eq('slug', slug)
+          .maybeSingle();
+
+        if (collectionError) throw collectionError;
+        if (!data) return null;
+        ({ items, ...collection } = data);
+        items = toArray(items);
+      }
+
+      const { resource_ids: resourceIds, ...rest } = withResourceIds({ ...collection, items });
+      let resources = [];
+
+      if (resourceIds.length > 0) {
+        const { data, error: resourcesError } = await client
+          .from('resources')
+          .select('*')
+          .in('id', resourceIds);
+
+        if (resourcesError) throw resourcesError;
+        const byId = new Map(toArray(data).map(resource => [resource.id, resource]));
+        resources = resourceIds.map(id => byId.get(id)).filter(Boolean);
+      }
+
+      const [withUser] = await authors.attach([{ ...rest, resource_ids: resourceIds }]);
+      return { ...withUser, resources: await authors.attach(resources) };
+    },
+
+    async createCollection(collectionData) {
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from('collections')
+          .insert({
+            ...pickCollectionFields(collectionData),
+            user_id: collectionData.user_id,
+            slug: createCollectionSlug(collectionData.title)
+          })
+          .select()
+          .single();
+      });
+
+      if (error) throw error;
+      return { ...data, resource_ids: [] };
+    },
+
+    async updateCollection(id, changes) {
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from('collections')
+          .update({ ...pickCollectionFields(changes), updated_at: new Date().toISOString() })
+          .eq('id', id)
+          .select(COLLECTION_COLUMNS);
+      });
+
+      if (error) throw error;
+
+      // Row level security filters the update down to nothing for other users' collections
+      const [updated] = toArray(data);
+      if (!updated) {
+        const denied = new Error('You do not have permission to edit this collection');
+        denied.code = '42501';
+        throw denied;
+      }
+
+      return withResourceIds(updated);
+    },
+
+    async deleteCollection(id) {
+      const { data, error } = await client
+        .from('collections')
+        .delete()
+        .eq('id', id)
+        .select('id');
+
+      if (error) throw error;
+      if (toArray(data).length === 0) {
+        const denied = new Error('This collection cannot be deleted');
+        denied.code = '42501';
+        throw denied;
+      }
+      return true;
+    },
+
+    async addToCollection(collectionId, resourceId) {
+      const { data: last, error: lastError } = await client
+        .from('collection_items')
+        .select('position')
+        .eq('collection_id', collectionId)
+        .order('position', { ascending: false })
+        .limit(1);
+
+      if (lastError) throw lastError;
+      const [lastItem] = toArray(last);
+
+      const { error } = await executeWithRetry(async () => {
+        return client
+          .from('collection_items')
+          .insert({
+            collection_id: collectionId,
+            resource_id: resourceId,
+            position: lastItem ? lastItem.position + 1 : 0
+          });
+      });
+
+      // 23505: already in the collection
+      if (error && error.code !== '23505') throw error;
+      return true;
+    },
+
+    async removeFromCollection(collectionId, resourceId) {
+      const { error } = await executeWithRetry(async () => {
+        return client
+          .from('collection_items')
+          .delete()
+          .eq('collection_id', collectionId)
+          .eq('resource_id', resourceId);
+      });
+
+      if (error) throw error;
+      return true;
+    },
+
+    async reorderCollection(collectionId, resourceIds) {
+      const results = await Promise.all(resourceIds.map((resourceId, position) => (
+        client
+          .from('collection_items')
+          .update({ position })
+          .eq('collection_id', collectionId)
+          .eq('resource_id', resourceId)
+      )));
+
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+      return resourceIds;
+    },
+
+    async getTaxonomy() {
+      const [categoriesResult, subcategoriesResult] = await Promise.all([
+        client.from('categories').select('*'),
+        client.from('subcategories').select('*')
+      ]);
+
+      if (categoriesResult.error) throw categoriesResult.error;
+      if (subcategoriesResult.error) throw subcategoriesResult.error;
+      return buildTaxonomyTree(toArray(categoriesResult.data), toArray(subcategoriesResult.data));
+    },
+
+    async createTaxonomyNode(kind, fields) {
+      const table = TAXONOMY_TABLES[kind];
+      const { data: last, error: lastError } = await (kind === 'subcategory'
+        ? client.from(table).select('position').eq('category_id', fields.category_id)
+        : client.from(table).select('position'))
+        .order('position', { ascending: false })
+        .limit(1);
+
+      if (lastError) throw lastError;
+      const [lastNode] = toArray(last);
+
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from(table)
+          .insert({
+            ...pickTaxonomyFields(fields),
+            ...(kind === 'subcategory' && { category_id: fields.category_id }),
+            position: lastNode ? lastNode.position + 1 : 0
+          })
+          .select()
+          .single();
+      });
+
+      if (error) throw error;
+      return data;
+    },
+
+    async updateTaxonomyNode(kind, id, changes) {
+      const { data, error } = await executeWithRetry(async () => {
+        return client
+          .from(TAXONOMY_TABLES[kind])
+          .update({
+            ...pickTaxonomyFields(changes),
+            ...(kind === 'subcategory' && changes.category_id !== undefined && { category_id: changes.category_id })
+          })
+          .eq('id', id)
+          .select();
+      });
+
+      if (error) throw error;
+
+      // Row level security filters the update down to nothing for non-admins
+      const [updated] = toArray(data);
+      if (!updated) {
+        const denied = new Error('You do not have permission to edit the taxonomy');
+        denied.code = '42501';
+        throw denied;
+      }
+      return updated;
+    },
+
+    async mergeTaxonomyNodes(kind, sourceId, targetId) {
+      const { data, error } = await client.rpc(TAXONOMY_MERGE_FUNCTIONS[kind], {
+        source_id: sourceId,
+        target_id: targetId
+      });
+
+      if (error) throw error;
+      return data ?? 0;
+    },
+
+    async reorderTaxonomy(kind, ids) {
+      const results = await Promise.all(ids.map((id, position) => (
+        client
+          .from(TAXONOMY_TABLES[kind])
+          .update({ position })
+          .eq('id', id)
+      )));
+
+      const failed = results.find(result => result.error);
+      if (failed) throw failed.error;
+      return ids;
+    }
+  };
+};
+
+export default createSupabaseDataSource;
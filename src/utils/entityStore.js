@@ -0,0 +1,255 @@
+import { clearTableCache, onRevalidate } from './requestManager';
+
+/**
+ * Normalized client-side store for resources, profiles, comments and collections.
+ *
+ * Entities are kept once, keyed by id. Lists (query results) only hold ids
+ * plus metadata, so updating an entity updates every list that shows it.
+ * Lists carry tags and are dropped by tag:
+ *
+ * - `resource:<id>`, `profile:<id>`, `comment:<id>`, `collection:<id>`: one
+ *   entity; lists that contain it are refetched because they can no longer
+ *   be resolved
+ * - `resources`, `profiles`, `comments`, `collections`: every entity of that type
+ * - `taxonomy`: categories and subcategories
+ * - `list:resources`, `list:category:<slug>`, `comments:<resourceId>`, ...:
+ *   any list tagged with it
+ *
+ * Invalidating also clears the matching Supabase responses cached by
+ * requestManager, so the next fetch really goes to the database.
+ * When requestManager revalidates a stale resources response in the
+ * background and gets different data, resource lists are dropped so pages
+ * refetch (from the now fresh request cache).
+ */
+
+const DEFAULT_TTL = 5 * 60 * 1000; // 5 minutes
+
+const ENTITY_TAG_PREFIXES = {
+  resources: 'resource',
+  profiles: 'profile',
+  comments: 'comment',
+  collections: 'collection'
+};
+
+// Supabase tables whose cached responses a tag prefix makes stale
+const TABLES_BY_TAG_PREFIX = {
+  taxonomy: ['categories', 'subcategories'],
+  resource: 'resources',
+  resources: 'resources',
+  list: 'resources',
+  profile: 'profiles',
+  profiles: 'profiles',
+  comment: 'comments',
+  comments: 'comments',
+  favorites: 'favorites',
+  collection: 'collections',
+  collections: 'collections'
+};
+
+const entities = {
+  resources: new Map(),
+  profiles: new Map(),
+  comments: new Map(),
+  collections: new Map()
+};
+
+// key -> { type, ids, meta, tags, timestamp, ttl }
+const lists = new Map();
+const listeners = new Set();
+
+const notify = (tags) => {
+  listeners.forEach(listener => {
+    try {
+      listener(tags);
+    } catch (error) {
+      console.error('Entity store listener failed:', error);
+    }
+  });
+};
+
+const isFresh = (entry, ttl) => !!entry && Date.now() - entry.timestamp < ttl;
+
+/**
+ * Build the tag for one entity
+ * @param {string} type - 'resources', 'profiles' or 'comments'
+ * @param {string} id - Entity ID
+ * @returns {string} Tag like `resource:<id>`
+ */
+export const entityTag = (type, id) => `${ENTITY_TAG_PREFIXES[type]}:${id}`;
+
+const storeEntity = (type, record) => {
+  if (!record || record.id == null) return record;
+
+  const existing = entities[type].get(record.id);
+  const data = existing ? { ...existing.data, ...record } : record;
+  entities[type].set(record.id, { data, timestamp: Date.now() });
+  return data;
+};
+
+/**
+ * Get a cached entity
+ * @param {string} type - Entity type
+ * @param {string} id - Entity ID
+ * @param {number} ttl - Maximum age in milliseconds
+ * @returns {Object|null} Entity, or null if missing or stale
+ */
+export const getEntity = (type, id, ttl = DEFAULT_TTL) => {
+  const entry = entities[type].get(id);
+  return isFresh(entry, ttl) ? entry.data : null;
+};
+
+/**
+ * Add or merge entities into the store
+ * @param {string} type - Entity type
+ * @param {Object|Array<Object>} records - Records with an id
+ * @returns {Object|Array<Object>} Stored (merged) records
+ */
+export const putEntities = (type, records) => {
+  const many = Array.isArray(records);
+  const stored = (many ? records : [records]).map(record => storeEntity(type, record));
+
+  notify(stored.filter(record => record?.id != null).map(record => entityTag(type, record.id)));
+  return many ? stored : stored[0];
+};
+
+/**
+ * Update a cached entity in place, e.g. for optimistic counters.
+ * Does nothing if the entity isn't cached.
+ *
+ * @param {string} type - Entity type
+ * @param {string} id - Entity ID
+ * @param {Function} updater - (entity) => changed fields
+ * @returns {Object|null} Updated entity
+ */
+export const updateEntity = (type, id, updater) => {
+  const entry = entities[type].get(id);
+  if (!entry) return null;
+
+  const data = { ...entry.data, ...updater(entry.data) };
+  entities[type].set(id, { data, timestamp: entry.timestamp });
+  notify([entityTag(type, id)]);
+  return data;
+};
+
+/**
+ * Cache a query result as a list of entity ids
+ * @param {string} key - Query key
+ * @param {string} type - Entity type of the rows
+ * @param {Array<Object>} records - Rows
+ * @param {Object} options
+ * @param {Array<string>} options.tags - Tags to invalidate the list by
+ * @param {Object} options.meta - Extra values returned with the list (count, cursor, ...)
+ * @param {number} options.ttl - Maximum age in milliseconds
+ */
+export const putList = (key, type, records, { tags = [], meta = {}, ttl = DEFAULT_TTL } = {}) => {
+  records.forEach(record => storeEntity(type, record));
+
+  lists.set(key, {
+    type,
+    ids: records.map(record => record.id),
+    meta,
+    tags: new Set(tags.filter(Boolean)),
+    timestamp: Date.now(),
+    ttl
+  });
+};
+
+/**
+ * Read a cached list
+ * @param {string} key - Query key
+ * @returns {Object|null} { data, ...meta }, or null if missing, stale or any row was invalidated
+ */
+export const getList = (key) => {
+  const list = lists.get(key);
+  if (!isFresh(list, list?.ttl)) return null;
+
+  const data = [];
+  for (const id of list.ids) {
+    const entry = entities[list.type].get(id);
+    if (!entry) {
+      lists.delete(key);
+      return null;
+    }
+    data.push(entry.data);
+  }
+
+  return { data, ...list.meta };
+};
+
+/**
+ * Invalidate everything carrying any of the given tags
+ * @param {string|Array<string>} tags - Tags to invalidate
+ * @param {Object} options
+ * @param {boolean} options.clearRequests - Also clear cached Supabase responses (default true)
+ */
+export const invalidateTags = (tags, { clearRequests = true } = {}) => {
+  const tagList = (Array.isArray(tags) ? tags : [tags]).filter(Boolean);
+  if (tagList.length === 0) return;
+
+  const tables = new Set();
+
+  tagList.forEach(tag => {
+    const [prefix, ...rest] = tag.split(':');
+    const id = rest.join(':');
+
+    // Type-wide tags drop every entity of that type
+    if (entities[tag]) {
+      entities[tag].clear();
+    }
+
+    // Entity tags drop the entity itself
+    const type = Object.keys(ENTITY_TAG_PREFIXES).find(key => ENTITY_TAG_PREFIXES[key] === prefix);
+    if (type && id) {
+      entities[type].delete(id);
+    }
+
+    lists.forEach((list, key) => {
+      if (list.tags.has(tag)) lists.delete(key);
+    });
+
+    [TABLES_BY_TAG_PREFIX[prefix] || []].flat().forEach(table => tables.add(table));
+  });
+
+  if (clearRequests) {
+    tables.forEach(table => clearTableCache(table));
+  }
+  console.log('Invalidated cache tags:', tagList.join(', '));
+  notify(tagList);
+};
+
+/**
+ * Listen for store changes
+ * @param {Function} listener - Called with the tags that changed
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Fresh resources arrived from a background revalidation; the request cache
+// already holds them, so only the lists need to go
+onRevalidate((endpoints) => {
+  if (endpoints.some(endpoint => endpoint.includes('/rest/v1/resources'))) {
+    invalidateTags('list:resources', { clearRequests: false });
+  }
+});
+
+// Drop everything, e.g. when switching between local and Supabase mode
+export const clearStore = () => {
+  Object.values(entities).forEach(map => map.clear());
+  lists.clear();
+  notify(Object.keys(entities));
+};
+
+export default {
+  getEntity,
+  putEntities,
+  updateEntity,
+  putList,
+  getList,
+  invalidateTags,
+  subscribe,
+  clearStore,
+  entityTag
+};
@@ -0,0 +1,157 @@
+import { isNetworkError } from './connectionHealth';
+
+/**
+ * Error taxonomy for Supabase and data source failures.
+ *
+ * classifyError() sorts any error (Supabase error object, thrown Error or
+ * an errorInfo from handleSupabaseError) into one of ERROR_TYPES. Each type
+ * has a translation key with an English default, and says whether trying
+ * again can help. Components render errors with getErrorMessage(error, t)
+ * instead of building their own strings.
+ */
+
+export const ERROR_TYPES = {
+  NETWORK: 'network',
+  AUTH: 'auth',
+  PERMISSION: 'permission',
+  NOT_FOUND: 'not_found',
+  MISSING_TABLE: 'missing_table',
+  VALIDATION: 'validation',
+  RATE_LIMIT: 'rate_limit',
+  UNKNOWN: 'unknown'
+};
+
+const ERROR_DEFINITIONS = {
+  [ERROR_TYPES.NETWORK]: {
+    messageKey: 'errors.network',
+    defaultMessage: 'Network connection error. Please check your internet connection.',
+    retryable: true
+  },
+  [ERROR_TYPES.AUTH]: {
+    messageKey: 'errors.auth',
+    defaultMessage: 'Your session has expired. Please sign in again.',
+    retryable: false
+  },
+  [ERROR_TYPES.PERMISSION]: {
+    messageKey: 'errors.permission',
+    defaultMessage: 'You do not have permission to do this.',
+    retryable: false
+  },
+  [ERROR_TYPES.NOT_FOUND]: {
+    messageKey: 'errors.notFound',
+    defaultMessage: 'We could not find what you were looking for.',
+    retryable: false
+  },
+  [ERROR_TYPES.MISSING_TABLE]: {
+    messageKey: 'errors.missingTable',
+    defaultMessage: 'The database is not set up yet. Please try again later.',
+    retryable: false
+  },
+  [ERROR_TYPES.VALIDATION]: {
+    messageKey: 'errors.validation',
+    defaultMessage: 'Some of the information is invalid. Please check it and try again.',
+    retryable: false
+  },
+  [ERROR_TYPES.RATE_LIMIT]: {
+    messageKey: 'errors.rateLimit',
+    defaultMessage: 'Too many requests. Please wait a moment and try again.',
+    retryable: true
+  },
+  [ERROR_TYPES.UNKNOWN]: {
+    messageKey: 'errors.unknown',
+    defaultMessage: 'Something went wrong. Please try again.',
+    retryable: true
+  }
+};
+
+// Postgres / PostgREST codes by type
+const CODE_TYPES = {
+  '401': ERROR_TYPES.AUTH,
+  PGRST301: ERROR_TYPES.AUTH, // JWT expired or invalid
+  PGRST302: ERROR_TYPES.AUTH, // Anonymous access disabled
+  '42501': ERROR_TYPES.PERMISSION, // Insufficient privilege / RLS
+  PGRST116: ERROR_TYPES.NOT_FOUND, // single() found no rows
+  '42P01': ERROR_TYPES.MISSING_TABLE, // Relation does not exist
+  PGRST205: ERROR_TYPES.MISSING_TABLE, // Table not in the schema cache
+  '23502': ERROR_TYPES.VALIDATION, // Not-null violation
+  '23503': ERROR_TYPES.VALIDATION, // Foreign key violation
+  '23505': ERROR_TYPES.VALIDATION, // Unique violation
+  '23514': ERROR_TYPES.VALIDATION, // Check violation
+  '22001': ERROR_TYPES.VALIDATION, // Value too long
+  '22P02': ERROR_TYPES.VALIDATION, // Invalid input syntax (e.g. bad UUID)
+  PGRST204: ERROR_TYPES.VALIDATION, // Unknown column in the payload
+  '429': ERROR_TYPES.RATE_LIMIT
+};
+
+const STATUS_TYPES = {
+  400: ERROR_TYPES.VALIDATION,
+  401: ERROR_TYPES.AUTH,
+  403: ERROR_TYPES.PERMISSION,
+  404: ERROR_TYPES.NOT_FOUND,
+  422: ERROR_TYPES.VALIDATION,
+  429: ERROR_TYPES.RATE_LIMIT
+};
+
+/**
+ * Work out the type of an error
+ * @param {Object} error - Error, Supabase error or errorInfo
+ * @returns {string} One of ERROR_TYPES
+ */
+export const classifyError = (error) => {
+  if (!error) return ERROR_TYPES.UNKNOWN;
+
+  // Already classified (e.g. an errorInfo from handleSupabaseError)
+  if (ERROR_DEFINITIONS[error.type]) return error.type;
+
+  if (isNetworkError(error) || error.name === 'AbortError') return ERROR_TYPES.NETWORK;
+
+  const code = error.code != null ? String(error.code) : null;
+  if (code && CODE_TYPES[code]) return CODE_TYPES[code];
+
+  const status = Number(error.status);
+  if (STATUS_TYPES[status]) return STATUS_TYPES[status];
+  if (status >= 502 && status <= 504) return ERROR_TYPES.NETWORK;
+
+  const message = error.message || '';
+  if (/throttled|rate limit|too many requests/i.test(message)) return ERROR_TYPES.RATE_LIMIT;
+  if (/jwt expired|invalid jwt|not authenticated|must be logged in/i.test(message)) return ERROR_TYPES.AUTH;
+  if (/not found/i.test(message)) return ERROR_TYPES.NOT_FOUND;
+
+  return ERROR_TYPES.UNKNOWN;
+};
+
+/**
+ * Describe an error for display
+ * @param {Object} error - Error, Supabase error or errorInfo
+ * @returns {Object} { type, messageKey, defaultMessage, retryable }
+ */
+export const describeError = (error) => {
+  const type = classifyError(error);
+  return { type, ...ERROR_DEFINITIONS[type] };
+};
+
+/**
+ * Check whether trying the same operation again can succeed
+ * @param {Object} error - Error, Supabase error or errorInfo
+ * @returns {boolean} True for network, rate-limit and unknown errors
+ */
+export const isRetryableError = (error) => describeError(error).retryable;
+
+/**
+ * Translated, user-facing message for an error
+ * @param {Object} error - Error, Supabase error or errorInfo
+ * @param {Function} t - Translate function from useLanguage()
+ * @returns {string} Message to show in a toast or error panel
+ */
+export const getErrorMessage = (error, t) => {
+  const { messageKey, defaultMessage } = describeError(error);
+  return t ? t(messageKey, defaultMessage) : defaultMessage;
+};
+
+export default {
+  ERROR_TYPES,
+  classifyError,
+  describeError,
+  isRetryableError,
+  getErrorMessage
+};
@@ -0,0 +1,249 @@
+/**
+ * Offline parsers for link collections kept in other tools.
+ *
+ * Each parser turns an export into resources shaped like a submission:
+ * { title, url, description, image_url, category, subcategory, tags }.
+ * The category is guessed from the tags, folder or section the link was
+ * filed under (see guessCategory) and may be empty; the import review screen
+ * asks for one before the row is submitted.
+ *
+ * Supported exports:
+ * - 'raindrop': Raindrop.io CSV (id, title, note, excerpt, url, folder, tags, cover, ...)
+ * - 'pocket': Pocket HTML (<a href tags>) or the newer CSV (title, url, tags separated by |)
+ * - 'arena': Are.na channel JSON from the API ({ title, contents: [blocks] } or a list of blocks)
+ * - 'awesome': GitHub "awesome-*" README Markdown (- [Name](url) - description under ## headings)
+ */
+
+import { parseCsv, splitTags } from './csvUtils';
+
+export const IMPORT_SOURCES = {
+  raindrop: { label: 'Raindrop.io (CSV)', accept: '.csv,text/csv' },
+  pocket: { label: 'Pocket (HTML or CSV)', accept: '.html,.htm,.csv,text/html,text/csv' },
+  arena: { label: 'Are.na channel (JSON)', accept: '.json,application/json' },
+  awesome: { label: 'Awesome list (Markdown)', accept: '.md,.markdown,text/markdown,text/plain' }
+};
+
+// Keywords that point at a category/subcategory, checked in order against a
+// link's tags, folder or section, title, URL and description
+const CATEGORY_RULES = [
+  { pattern: /\b(fonts?|typefaces?|typography)\b/, category: 'assets', subcategory: 'fonts' },
+  { pattern: /\bicons?\b|\biconography\b/, category: 'assets', subcategory: 'icons' },
+  { pattern: /\bmock-?ups?\b/, category: 'assets', subcategory: 'mockups' },
+  { pattern: /\b(3d|blender|models?|textures?)\b/, category: 'assets', subcategory: '3d' },
+  { pattern: /\bafter[- ]?effects\b/, category: 'assets', subcategory: 'after-effects' },
+  { pattern: /\b(sfx|sounds?|audio|music)\b/, category: 'assets', subcategory: 'sfx' },
+  { pattern: /\b(photos?|stock|videos?|footage|images?)\b/, category: 'assets', subcategory: 'photos-videos' },
+  { pattern: /\b(colou?rs?|palettes?|gradients?)\b/, category: 'tool', subcategory: 'color' },
+  { pattern: /\b(ai|gpt|llm|machine[- ]learning)\b/, category: 'tool', subcategory: 'ai' },
+  { pattern: /\bmind[- ]?maps?\b/, category: 'tool', subcategory: 'mindmap' },
+  { pattern: /\b(productivity|notes?|tasks?|todo)\b/, category: 'tool', subcategory: 'productivity' },
+  { pattern: /\bportfolios?\b/, category: 'community', subcategory: 'portfolio' },
+  { pattern: /\b(ui|ux|design[- ]systems?|components?)\b/, category: 'reference', subcategory: 'ui' },
+  { pattern: /\b(inspiration|showcase|gallery)\b/, category: 'reference', subcategory: 'design' },
+  { pattern: /\bbooks?\b/, category: 'shop', subcategory: 'books' },
+  { pattern: /\b(tutorials?|courses?|learn(ing)?)\b/, category: 'tutorial', subcategory: '' }
+];
+
+// Awesome-list sections that hold no resources
+const SKIPPED_SECTIONS = /^(contents|table of contents|contribut\w*|license|footnotes|related( lists)?|credits|about)$/i;
+
+/**
+ * Clean up imported tags: split with csvUtils.splitTags (the rules
+ * convert-csv-tags.js applies), lowercase and drop repeats
+ * @param {string|Array} value - Tags as a list or a comma separated string
+ * @returns {Array<string>} Tags
+ */
+export const normalizeTags = (value) => (
+  [...new Set(splitTags(value).map(tag => tag.toLowerCase()))]
+);
+
+/**
+ * Guess a category and subcategory from the words around a link
+ * @param {Object} resource - { title, url, description, tags }
+ * @param {Array<string>} hints - Folder, channel or section names
+ * @returns {Object} { category, subcategory }, empty strings when nothing matches
+ */
+export const guessCategory = (resource, hints = []) => {
+  const sources = [
+    [...(resource.tags || []), ...hints].join(' '),
+    resource.title || '',
+    resource.url || '',
+    resource.description || ''
+  ].map(text => text.toLowerCase().replace(/[_/]+/g, ' '));
+
+  for (const text of sources) {
+    const rule = CATEGORY_RULES.find(({ pattern }) => pattern.test(text));
+    if (rule) return { category: rule.category, subcategory: rule.subcategory };
+  }
+
+  return { category: '', subcategory: '' };
+};
+
+const isWebUrl = (url) => /^https?:\/\/\S+$/i.test(url || '');
+
+const unescapeHtml = (value) => String(value ?? '')
+  .replace(/&#(\d+);/g, (_, code) => String.fromCharCode(Number(code)))
+  .replace(/&quot;/g, '"')
+  .replace(/&#39;|&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Build the resource shape, guessing the category from hints
+const toResource = ({ title, url, description = '', image_url = '', tags = [] }, hints = []) => {
+  const resource = {
+    title: String(title || '').trim() || String(url).trim(),
+    url: String(url).trim(),
+    description: String(description || '').trim(),
+    image_url: String(image_url || '').trim(),
+    tags: normalizeTags(tags)
+  };
+  return { ...resource, ...guessCategory(resource, hints) };
+};
+
+/**
+ * Parse a Raindrop.io CSV export
+ * @param {string} text - File content
+ * @returns {Array<Object>} Resources
+ */
+export const parseRaindrop = (text) => (
+  parseCsv(text)
+    .filter(row => isWebUrl(row.url))
+    .map(row => toResource({
+      title: row.title,
+      url: row.url,
+      description: row.excerpt || row.note,
+      image_url: row.cover,
+      tags: row.tags
+    }, row.folder ? [row.folder] : []))
+);
+
+/**
+ * Parse a Pocket export: the HTML list, or the CSV Pocket switched to later
+ * @param {string} text - File content
+ * @returns {Array<Object>} Resources
+ */
+export const parsePocket = (text) => {
+  if (!/<a\s/i.test(text)) {
+    return parseCsv(text)
+      .filter(row => isWebUrl(row.url))
+      .map(row => toResource({ title: row.title, url: row.url, tags: (row.tags || '').split('|') }));
+  }
+
+  const resources = [];
+  const linkPattern = /<a\s([^>]*)>([\s\S]*?)<\/a>/gi;
+  let match;
+
+  while ((match = linkPattern.exec(text)) !== null) {
+    const [, attributes, title] = match;
+    const attribute = (name) => {
+      const found = attributes.match(new RegExp(`\\b${name}\\s*=\\s*"([^"]*)"`, 'i'));
+      return found ? unescapeHtml(found[1]) : '';
+    };
+
+    const url = attribute('href');
+    if (!isWebUrl(url)) continue;
+    resources.push(toResource({ title: unescapeHtml(title.replace(/<[^>]+>/g, '')), url, tags: attribute('tags') }));
+  }
+
+  return resources;
+};
+
+/**
+ * Parse an Are.na channel JSON export. Blocks with a source URL become
+ * resources; the channel's title is added as a tag.
+ * @param {string} text - File content
+ * @returns {Array<Object>} Resources
+ * @throws {Error} When the JSON is invalid or holds no blocks
+ */
+export const parseArena = (text) => {
+  const parsed = JSON.parse(text);
+  const blocks = Array.isArray(parsed) ? parsed : parsed?.contents;
+  if (!Array.isArray(blocks)) throw new Error('The JSON file has no Are.na blocks');
+
+  const channel = Array.isArray(parsed) ? '' : (parsed.title || '');
+
+  return blocks
+    .filter(block => isWebUrl(block?.source?.url))
+    .map(block => toResource({
+      title: block.title || block.generated_title || block.source.title,
+      url: block.source.url,
+      description: block.description,
+      image_url: block.image?.display?.url || block.image?.original?.url,
+      tags: channel ? [channel] : []
+    }, channel ? [channel] : []));
+};
+
+// Markdown links, images and emphasis reduced to their text
+const stripMarkdown = (text) => text
+  .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[*_`]+/g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Parse an awesome-list README. Each "- [Name](url) - Description" item
+ * becomes a resource tagged with the headings it sits under.
+ * @param {string} text - Markdown content
+ * @returns {Array<Object>} Resources
+ */
+export const parseAwesomeList = (text) => {
+  const resources = [];
+  const headings = [];
+
+  String(text || '').split(/\r?\n/).forEach(line => {
+    const heading = line.match(/^(#{2,6})\s+(.+?)\s*#*$/);
+    if (heading) {
+      const level = heading[1].length;
+      headings.splice(level - 2);
+      headings[level - 2] = stripMarkdown(heading[2]);
+      return;
+    }
+
+    const item = line.match(/^\s*[-*+]\s+\[([^\]]+)\]\((https?:\/\/[^)\s]+)\)\s*(?:[-–—:]\s*)?(.*)$/);
+    const sections = headings.filter(Boolean);
+    if (!item || sections.some(section => SKIPPED_SECTIONS.test(section))) return;
+
+    const [, name, url, description] = item;
+    resources.push(toResource({
+      title: stripMarkdown(name),
+      url,
+      description: stripMarkdown(description),
+      tags: sections.map(section => section.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '')).filter(Boolean)
+    }, sections));
+  });
+
+  return resources;
+};
+
+const PARSERS = {
+  raindrop: parseRaindrop,
+  pocket: parsePocket,
+  arena: parseArena,
+  awesome: parseAwesomeList
+};
+
+/**
+ * Parse an export from one of IMPORT_SOURCES
+ * @param {string} source - Key of IMPORT_SOURCES
+ * @param {string} text - File content
+ * @returns {Array<Object>} Resources
+ * @throws {Error} For an unknown source or a file the parser can't read
+ */
+export const parseImport = (source, text) => {
+  const parser = PARSERS[source];
+  if (!parser) throw new Error(`Unknown import source: ${source}`);
+  return parser(text);
+};
+
+export default {
+  IMPORT_SOURCES,
+  normalizeTags,
+  guessCategory,
+  parseRaindrop,
+  parsePocket,
+  parseArena,
+  parseAwesomeList,
+  parseImport
+};
@@ -0,0 +1,967 @@
+import { v4 as uuidv4 } from 'uuid';
+import { loadLocalCatalog } from '../data/localCatalog';
+import { computeTrendingScores, rankTrending } from './trending';
+import { countResources } from './resourceCounts';
+import { diffResource } from './revisions';
+import { canonicalizeUrl } from './urlUtils';
+import { DEFAULT_COLLECTION_TITLE, createCollectionSlug } from './collections';
+import { CATEGORY_TAXONOMY, findCategory, findSubcategory } from './taxonomy';
+
+/**
+ * In-memory stand-in for the Supabase client.
+ *
+ * Implements the part of the supabase-js query builder the app uses
+ * (select/insert/upsert/update/delete, eq/neq/in/contains/or/ilike/...,
+ * order/range/limit/single/maybeSingle, count + head, rpc) and returns the
+ * same { data, error, count } result shape, including the Postgres and
+ * PostgREST error codes the app checks for (42P01, PGRST116, 23505, ...).
+ */
+
+// Error helpers mirroring PostgREST responses
+const makeError = (code, message, details = null, hint = null) => ({ code, message, details, hint });
+
+const missingTable = (table) => makeError('42P01', `relation "public.${table}" does not exist`);
+
+const notSingle = (count) => makeError(
+  'PGRST116',
+  'JSON object requested, multiple (or no) rows returned',
+  `The result contains ${count} rows`
+);
+
+const missingFunction = (name) => makeError(
+  'PGRST202',
+  `Could not find the function public.${name} in the schema cache`
+);
+
+const missingRelationship = (from, to) => makeError(
+  'PGRST200',
+  `Could not find a relationship between '${from}' and '${to}' in the schema cache`
+);
+
+const uniqueViolation = (table, columns) => makeError(
+  '23505',
+  `duplicate key value violates unique constraint "${table}_${columns.join('_')}_key"`
+);
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const singular = (table) => {
+  if (table.endsWith('ies')) return `${table.slice(0, -3)}y`;
+  if (table.endsWith('s')) return table.slice(0, -1);
+  return table;
+};
+
+const valuesEqual = (a, b) => a === b || (a != null && b != null && String(a) === String(b));
+
+const compareValues = (a, b) => {
+  if (a === b) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) > String(b) ? 1 : -1;
+};
+
+// Convert a SQL LIKE pattern into a RegExp
+const likeToRegExp = (pattern, caseInsensitive) => {
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/%/g, '.*')
+    .replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, caseInsensitive ? 'is' : 's');
+};
+
+// Parse a PostgREST literal from an or() filter string
+const parseLiteral = (value) => {
+  if (value === 'null') return null;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  // Double-quoted values may contain reserved characters like , . ( )
+  if (value.startsWith('"') && value.endsWith('"')) {
+    return value.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return value;
+};
+
+const OPERATORS = {
+  eq: (actual, expected) => valuesEqual(actual, expected),
+  neq: (actual, expected) => !valuesEqual(actual, expected),
+  gt: (actual, expected) => actual != null && compareValues(actual, expected) > 0,
+  gte: (actual, expected) => actual != null && compareValues(actual, expected) >= 0,
+  lt: (actual, expected) => actual != null && compareValues(actual, expected) < 0,
+  lte: (actual, expected) => actual != null && compareValues(actual, expected) <= 0,
+  like: (actual, pattern) => actual != null && likeToRegExp(pattern, false).test(String(actual)),
+  ilike: (actual, pattern) => actual != null && likeToRegExp(pattern, true).test(String(actual)),
+  is: (actual, expected) => (expected === null ? actual == null : actual === expected),
+  in: (actual, values) => values.some(value => valuesEqual(actual, value)),
+  contains: (actual, values) => {
+    // jsonb containment: every expected key is present with a contained value
+    if (values && typeof values === 'object' && !Array.isArray(values)) {
+      return !!actual && typeof actual === 'object' && Object.entries(values).every(([key, value]) => (
+        value && typeof value === 'object' ? OPERATORS.contains(actual[key], value) : valuesEqual(actual[key], value)
+      ));
+    }
+    if (!Array.isArray(actual)) return false;
+    const expected = Array.isArray(values) ? values : [values];
+    return expected.every(value => actual.some(item => valuesEqual(item, value)));
+  },
+  overlaps: (actual, values) => Array.isArray(actual) && values.some(value => actual.includes(value))
+};
+
+// Split on commas that aren't inside parentheses or double quotes
+const splitTopLevel = (expression) => {
+  const parts = [];
+  let depth = 0;
+  let quoted = false;
+  let current = '';
+
+  for (let i = 0; i < expression.length; i++) {
+    const char = expression[i];
+
+    if (quoted && char === '\\') {
+      current += char + expression[++i];
+      continue;
+    }
+    if (char === '"') quoted = !quoted;
+    if (!quoted && char === '(') depth++;
+    if (!quoted && char === ')') depth--;
+
+    if (char === ',' && depth === 0 && !quoted) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Compile "col.op.value,and(col.op.value,...)" as used by .or() into a row predicate
+const compileLogicFilter = (expression, combine) => {
+  const conditions = splitTopLevel(expression).map(part => {
+    const group = part.match(/^(and|or)\((.*)\)$/s);
+    if (group) {
+      return compileLogicFilter(group[2], group[1]);
+    }
+
+    const [column, ...rest] = part.split('.');
+    const negated = rest[0] === 'not';
+    const [operator, ...valueParts] = negated ? rest.slice(1) : rest;
+    const raw = valueParts.join('.');
+    const value = operator === 'in'
+      ? splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(parseLiteral)
+      : parseLiteral(raw);
+
+    return (row) => {
+      const result = OPERATORS[operator] ? OPERATORS[operator](row[column], value) : false;
+      return negated ? !result : result;
+    };
+  });
+
+  return combine === 'and'
+    ? (row) => conditions.every(test => test(row))
+    : (row) => conditions.some(test => test(row));
+};
+
+// Split a select string on top-level commas (ignoring those inside embeds)
+const splitColumns = (columns) => {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+
+  for (const char of columns) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) parts.push(current.trim());
+  return parts;
+};
+
+// Parse "alias:table!hint(columns)" into its parts
+const parseColumn = (column) => {
+  const match = column.match(/^(?:(\w+):)?(\w+)(?:!(\w+))?\((.*)\)$/s);
+  if (!match) {
+    const [alias, name] = column.includes(':') ? column.split(':') : [column, column];
+    return { type: 'column', alias, name };
+  }
+
+  const [, alias, table, hint, inner] = match;
+  return { type: 'embed', alias: alias || table, table, hint, columns: inner.trim() || '*' };
+};
+
+class QueryBuilder {
+  constructor(db, table) {
+    this.db = db;
+    this.table = table;
+    this.action = 'select';
+    this.columns = '*';
+    this.countMode = null;
+    this.head = false;
+    this.filters = [];
+    this.orders = [];
+    this.offset = 0;
+    this.limitCount = null;
+    this.mode = 'many';
+    this.returning = false;
+    this.payload = null;
+    this.onConflict = null;
+  }
+
+  // Query shape -------------------------------------------------------------
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    if (this.action === 'select') {
+      this.columns = columns;
+      this.countMode = count;
+      this.head = head;
+    } else {
+      // select() after a mutation returns the affected rows
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) {
+    this.action = 'insert';
+    this.payload = Array.isArray(values) ? values : [values];
+    return this;
+  }
+
+  upsert(values, { onConflict = null } = {}) {
+    this.action = 'upsert';
+    this.payload = Array.isArray(values) ? values : [values];
+    this.onConflict = onConflict ? onConflict.split(',').map(column => column.trim()) : null;
+    return this;
+  }
+
+  update(values) {
+    this.action = 'update';
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  // Filters -----------------------------------------------------------------
+
+  filter(column, operator, value) {
+    this.filters.push(row => OPERATORS[operator](row[column], value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, 'eq', value); }
+  neq(column, value) { return this.filter(column, 'neq', value); }
+  gt(column, value) { return this.filter(column, 'gt', value); }
+  gte(column, value) { return this.filter(column, 'gte', value); }
+  lt(column, value) { return this.filter(column, 'lt', value); }
+  lte(column, value) { return this.filter(column, 'lte', value); }
+  like(column, value) { return this.filter(column, 'like', value); }
+  ilike(column, value) { return this.filter(column, 'ilike', value); }
+  is(column, value) { return this.filter(column, 'is', value); }
+  in(column, values) { return this.filter(column, 'in', values); }
+  contains(column, values) { return this.filter(column, 'contains', values); }
+  overlaps(column, values) { return this.filter(column, 'overlaps', values); }
+
+  match(criteria) {
+    Object.entries(criteria).forEach(([column, value]) => this.eq(column, value));
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push(compileLogicFilter(expression, 'or'));
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push(row => !OPERATORS[operator](row[column], value));
+    return this;
+  }
+
+  // Modifiers ---------------------------------------------------------------
+
+  order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+    this.orders.push({ column, ascending, nullsFirst });
+    return this;
+  }
+
+  range(from, to) {
+    this.offset = from;
+    this.limitCount = to - from + 1;
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.mode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.mode = 'maybeSingle';
+    return this;
+  }
+
+  // Execution ---------------------------------------------------------------
+
+  then(onFulfilled, onRejected) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  finally(onFinally) {
+    return this.then(
+      value => { onFinally?.(); return value; },
+      error => { onFinally?.(); throw error; }
+    );
+  }
+
+  matches(row) {
+    return this.filters.every(test => test(row));
+  }
+
+  sortRows(rows) {
+    if (this.orders.length === 0) return rows;
+
+    return [...rows].sort((a, b) => {
+      for (const { column, ascending, nullsFirst } of this.orders) {
+        const left = a[column];
+        const right = b[column];
+
+        if (left == null || right == null) {
+          if (left == null && right == null) continue;
+          return (left == null) === nullsFirst ? -1 : 1;
+        }
+
+        const result = compareValues(left, right);
+        if (result !== 0) return ascending ? result : -result;
+      }
+      return 0;
+    });
+  }
+
+  // Resolve an embedded resource like user:profiles(id, username)
+  embed(row, { table, hint, columns }) {
+    const target = this.db.tables[table];
+    if (!target) throw missingRelationship(this.table, table);
+
+    const relationKey = `${this.table}.${table}`;
+    const foreignKey = this.db.relations[relationKey] ||
+      (['profiles', 'users'].includes(table) ? 'user_id' : `${singular(table)}_id`);
+
+    // Many-to-one: the foreign key lives on this row
+    if (!hint && foreignKey in row) {
+      const related = target.find(candidate => valuesEqual(candidate.id, row[foreignKey]));
+      return related ? this.project(table, related, columns) : null;
+    }
+
+    // One-to-many: the target rows point back at this row
+    const backReference = hint || `${singular(this.table)}_id`;
+    const children = target.filter(candidate => valuesEqual(candidate[backReference], row.id));
+
+    if (columns === 'count') return [{ count: children.length }];
+    return children.map(child => this.project(table, child, columns));
+  }
+
+  project(table, row, columns) {
+    const parts = splitColumns(columns || '*').map(parseColumn);
+    const result = {};
+
+    parts.forEach(part => {
+      if (part.type === 'embed') {
+        const builder = new QueryBuilder(this.db, table);
+        result[part.alias] = builder.embed(row, part);
+      } else if (part.name === '*') {
+        Object.assign(result, clone(row));
+      } else {
+        result[part.alias] = clone(row[part.name]);
+      }
+    });
+
+    return result;
+  }
+
+  paginate(rows) {
+    const end = this.limitCount == null ? undefined : this.offset + this.limitCount;
+    return rows.slice(this.offset, end);
+  }
+
+  finish(rows, status, count = null) {
+    if (this.mode !== 'many') {
+      if (rows.length === 1) {
+        return { data: rows[0], error: null, count, status, statusText: 'OK' };
+      }
+      if (rows.length === 0 && this.mode === 'maybeSingle') {
+        return { data: null, error: null, count, status, statusText: 'OK' };
+      }
+      return { data: null, error: notSingle(rows.length), count: null, status: 406, statusText: 'Not Acceptable' };
+    }
+
+    return { data: rows, error: null, count, status, statusText: 'OK' };
+  }
+
+  execute() {
+    const rows = this.db.tables[this.table];
+    if (!rows) {
+      return { data: null, error: missingTable(this.table), count: null, status: 404, statusText: 'Not Found' };
+    }
+
+    try {
+      switch (this.action) {
+        case 'insert':
+          return this.executeInsert(rows);
+        case 'upsert':
+          return this.executeUpsert(rows);
+        case 'update':
+          return this.executeUpdate(rows);
+        case 'delete':
+          return this.executeDelete(rows);
+        default:
+          return this.executeSelect(rows);
+      }
+    } catch (error) {
+      return { data: null, error, count: null, status: 400, statusText: 'Bad Request' };
+    }
+  }
+
+  executeSelect(rows) {
+    const matched = this.sortRows(rows.filter(row => this.matches(row)));
+    const count = this.countMode ? matched.length : null;
+
+    if (this.head) {
+      return { data: null, error: null, count, status: 200, statusText: 'OK' };
+    }
+
+    // select('count') returns an aggregate row
+    if (this.columns.trim() === 'count') {
+      return this.finish([{ count: matched.length }], 200, count);
+    }
+
+    const page = this.paginate(matched).map(row => this.project(this.table, row, this.columns));
+    return this.finish(page, 200, count);
+  }
+
+  withDefaults(values) {
+    const now = new Date().toISOString();
+    return {
+      id: uuidv4(),
+      created_at: now,
+      ...clone(values)
+    };
+  }
+
+  findConflict(rows, candidate, columns) {
+    return rows.find(row => columns.every(column => valuesEqual(row[column], candidate[column])));
+  }
+
+  checkUnique(rows, candidate, ignore = null) {
+    const constraints = [['id'], ...(this.db.uniqueKeys[this.table] ? [this.db.uniqueKeys[this.table]] : [])];
+
+    constraints.forEach(columns => {
+      if (columns.some(column => candidate[column] == null)) return;
+      const existing = this.findConflict(rows, candidate, columns);
+      if (existing && existing !== ignore) {
+        throw uniqueViolation(this.table, columns);
+      }
+    });
+  }
+
+  returned(affected, status) {
+    if (!this.returning) {
+      return { data: null, error: null, count: null, status, statusText: 'OK' };
+    }
+    return this.finish(affected.map(row => this.project(this.table, row, this.columns)), status);
+  }
+
+  executeInsert(rows) {
+    const inserted = [];
+
+    this.payload.forEach(values => {
+      const row = this.withDefaults(values);
+      this.checkUnique([...rows, ...inserted], row);
+      inserted.push(row);
+    });
+
+    rows.push(...inserted);
+    inserted.forEach(row => this.db.triggers[this.table]?.insert?.(row, this.db));
+    return this.returned(inserted, 201);
+  }
+
+  executeUpsert(rows) {
+    const conflictColumns = this.onConflict || this.db.uniqueKeys[this.table] || ['id'];
+    const affected = [];
+
+    this.payload.forEach(values => {
+      const existing = this.findConflict(rows, values, conflictColumns) ||
+        (values.id != null ? rows.find(row => valuesEqual(row.id, values.id)) : null);
+
+      if (existing) {
+        Object.assign(existing, clone(values));
+        affected.push(existing);
+      } else {
+        const row = this.withDefaults(values);
+        rows.push(row);
+        affected.push(row);
+      }
+    });
+
+    return this.returned(affected, 201);
+  }
+
+  executeUpdate(rows) {
+    const matched = rows.filter(row => this.matches(row));
+
+    matched.forEach(row => {
+      const previous = clone(row);
+      const updated = { ...row, ...clone(this.payload) };
+      this.checkUnique(rows, updated, row);
+      Object.assign(row, updated);
+      this.db.triggers[this.table]?.update?.(row, this.db, previous);
+    });
+
+    return this.returned(matched, 200);
+  }
+
+  executeDelete(rows) {
+    const removed = rows.filter(row => this.matches(row));
+    this.db.tables[this.table] = rows.filter(row => !removed.includes(row));
+    removed.forEach(row => this.db.triggers[this.table]?.delete?.(row, this.db));
+    return this.returned(removed, 200);
+  }
+}
+
+/**
+ * Create an in-memory Supabase client
+ *
+ * @param {Object} options
+ * @param {Object} options.tables - Initial rows keyed by table name. Tables not listed here don't exist (42P01).
+ * @param {Object} options.functions - RPC handlers keyed by name: (args, db) => data
+ * @param {Object} options.relations - Foreign keys for embeds, e.g. { 'resources.profiles': 'user_id' }
+ * @param {Object} options.uniqueKeys - Unique column sets per table, e.g. { favorites: ['user_id', 'resource_id'] }
+ * @param {Object} options.triggers - Row hooks per table, e.g. { resource_views: { insert: (row, db) => {} } }.
+ *   Update hooks also get the row as it was: update: (row, db, previous) => {}
+ * @param {Object} options.user - Signed-in user to report from auth, if any
+ * @returns {Object} Client exposing from(), rpc(), auth and channel()
+ */
+export const createMemorySupabaseClient = ({
+  tables = {},
+  functions = {},
+  relations = {},
+  uniqueKeys = {},
+  triggers = {},
+  user = null
+} = {}) => {
+  const db = {
+    tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, clone(rows)])),
+    functions,
+    relations,
+    uniqueKeys,
+    triggers
+  };
+
+  let session = user ? { user, access_token: 'memory-session' } : null;
+  // What auth.uid() would return, for triggers
+  db.currentUserId = () => session?.user?.id || null;
+  const authListeners = new Set();
+
+  const notifyAuth = (event) => {
+    authListeners.forEach(listener => listener(event, session));
+  };
+
+  const signIn = async ({ email }) => {
+    session = {
+      user: { id: uuidv4(), email, user_metadata: {} },
+      access_token: 'memory-session'
+    };
+    notifyAuth('SIGNED_IN');
+    return { data: { user: session.user, session }, error: null };
+  };
+
+  return {
+    from: (table) => new QueryBuilder(db, table),
+
+    rpc: async (name, args = {}) => {
+      const handler = db.functions[name];
+      if (!handler) {
+        return { data: null, error: missingFunction(name), status: 404, statusText: 'Not Found' };
+      }
+
+      try {
+        return { data: clone(await handler(args, db)), error: null, status: 200, statusText: 'OK' };
+      } catch (error) {
+        return { data: null, error, status: 400, statusText: 'Bad Request' };
+      }
+    },
+
+    auth: {
+      getSession: async () => ({ data: { session }, error: null }),
+      getUser: async () => ({ data: { user: session?.user || null }, error: null }),
+      signInWithPassword: signIn,
+      signUp: signIn,
+      signOut: async () => {
+        session = null;
+        notifyAuth('SIGNED_OUT');
+        return { error: null };
+      },
+      onAuthStateChange: (callback) => {
+        authListeners.add(callback);
+        return { data: { subscription: { unsubscribe: () => authListeners.delete(callback) } } };
+      }
+    },
+
+    // Realtime is a no-op: subscriptions connect but never receive changes
+    channel: () => {
+      const channel = {
+        on: () => channel,
+        subscribe: (callback) => {
+          callback?.('SUBSCRIBED');
+          return channel;
+        },
+        unsubscribe: async () => 'ok'
+      };
+      return channel;
+    },
+
+    removeChannel: async () => 'ok',
+
+    // Direct access to the rows, for assertions and debugging
+    getTable: (table) => clone(db.tables[table]) || null
+  };
+};
+
+// Mirror of the approved filter in the listing functions
+const approvedResources = (db) => db.tables.resources.filter(resource => resource.approved !== false);
+
+// Rank resources by how many times they were favorited
+const mostLikedResources = ({ limit_count = 6 } = {}, db) => {
+  const favoriteCounts = {};
+  (db.tables.favorites || []).forEach(favorite => {
+    favoriteCounts[favorite.resource_id] = (favoriteCounts[favorite.resource_id] || 0) + 1;
+  });
+
+  return approvedResources(db)
+    .sort((a, b) => (favoriteCounts[b.id] || 0) - (favoriteCounts[a.id] || 0) ||
+      compareValues(b.created_at, a.created_at))
+    .slice(0, limit_count);
+};
+
+// Mirror of get_trending_resources() in db/create_trending_function.sql
+const trendingResources = ({ limit_count = 6, half_life_hours, window_days, category_filter = null } = {}, db) => {
+  const scores = computeTrendingScores({
+    views: db.tables.resource_views || [],
+    favorites: db.tables.favorites || [],
+    comments: db.tables.comments || []
+  }, { halfLifeHours: half_life_hours, windowDays: window_days });
+
+  return rankTrending(approvedResources(db), scores, { category: category_filter, limit: limit_count });
+};
+
+// Mirror of get_resource_counts() in db/create_resource_counts_function.sql
+const resourceCounts = ({ tag_filter = null } = {}, db) => countResources(approvedResources(db), { tags: tag_filter });
+
+// Mirror of the record_resource_revision trigger in db/create_resource_revisions.sql
+const recordRevision = (resource, db, previous) => {
+  const changes = diffResource(previous, resource);
+  if (!db.tables.resource_revisions || Object.keys(changes).length === 0) return;
+
+  db.tables.resource_revisions.push({
+    id: uuidv4(),
+    resource_id: resource.id,
+    user_id: db.currentUserId(),
+    changes,
+    created_at: new Date().toISOString()
+  });
+};
+
+// Mirror of the resource_canonical_url_trigger in db/add_canonical_urls.sql
+const setCanonicalUrl = (resource) => {
+  resource.canonical_url = canonicalizeUrl(resource.url);
+};
+
+// Mirror of the approved default and guard_resource_approval() in
+// db/add_resource_approval.sql; there are no admins in memory, so anything a
+// signed-in user submits waits in the queue
+const setApprovedDefault = (resource, db) => {
+  if (resource.approved === undefined || db.currentUserId()) resource.approved = false;
+};
+
+// Mirror of ensure_default_collection() in db/create_collections.sql
+const ensureDefaultCollection = (userId, db) => {
+  let collection = db.tables.collections.find(c => valuesEqual(c.user_id, userId) && c.is_default);
+  if (!collection) {
+    const now = new Date().toISOString();
+    collection = {
+      id: uuidv4(),
+      user_id: userId,
+      title: DEFAULT_COLLECTION_TITLE,
+      slug: createCollectionSlug(DEFAULT_COLLECTION_TITLE),
+      description: null,
+      cover_url: null,
+      visibility: 'private',
+      is_default: true,
+      created_at: now,
+      updated_at: now
+    };
+    db.tables.collections.push(collection);
+  }
+  return collection;
+};
+
+// Mirror of the favorites <-> default collection triggers in db/create_collections.sql
+const addFavoriteToDefaultCollection = (favorite, db) => {
+  const collection = ensureDefaultCollection(favorite.user_id, db);
+  const items = db.tables.collection_items.filter(item => valuesEqual(item.collection_id, collection.id));
+  if (items.some(item => valuesEqual(item.resource_id, favorite.resource_id))) return;
+
+  db.tables.collection_items.push({
+    id: uuidv4(),
+    collection_id: collection.id,
+    resource_id: favorite.resource_id,
+    position: items.reduce((last, item) => Math.max(last, item.position), -1) + 1,
+    created_at: new Date().toISOString()
+  });
+};
+
+const removeFavoriteFromDefaultCollection = (favorite, db) => {
+  const collection = db.tables.collections.find(c => valuesEqual(c.user_id, favorite.user_id) && c.is_default);
+  if (!collection) return;
+
+  db.tables.collection_items = db.tables.collection_items.filter(item => !(
+    valuesEqual(item.collection_id, collection.id) && valuesEqual(item.resource_id, favorite.resource_id)
+  ));
+};
+
+const syncDefaultCollectionFavorite = (favorited) => (item, db) => {
+  const collection = db.tables.collections.find(c => valuesEqual(c.id, item.collection_id) && c.is_default);
+  if (!collection) return;
+
+  const isFavorite = (favorite) => (
+    valuesEqual(favorite.user_id, collection.user_id) && valuesEqual(favorite.resource_id, item.resource_id)
+  );
+
+  if (!favorited) {
+    db.tables.favorites = db.tables.favorites.filter(favorite => !isFavorite(favorite));
+  } else if (!db.tables.favorites.some(isFavorite)) {
+    db.tables.favorites.push({
+      id: uuidv4(),
+      user_id: collection.user_id,
+      resource_id: item.resource_id,
+      created_at: new Date().toISOString()
+    });
+  }
+};
+
+// Mirror of get_shared_collection() in db/create_collections.sql
+const sharedCollection = ({ collection_slug } = {}, db) => {
+  const collection = db.tables.collections.find(c => c.slug === collection_slug);
+  if (!collection || (collection.visibility === 'private' && !valuesEqual(collection.user_id, db.currentUserId()))) {
+    return null;
+  }
+
+  const items = db.tables.collection_items
+    .filter(item => valuesEqual(item.collection_id, collection.id))
+    .sort((a, b) => a.position - b.position || compareValues(a.created_at, b.created_at))
+    .map(item => ({ resource_id: item.resource_id, position: item.position }));
+
+  return { collection, items };
+};
+
+// Mirror of the views_count trigger in db/add_views_count.sql
+const adjustViewsCount = (delta) => (view, db) => {
+  const resource = db.tables.resources.find(r => valuesEqual(r.id, view.resource_id));
+  if (resource) {
+    resource.views_count = Math.max((resource.views_count || 0) + delta, 0);
+  }
+};
+
+// Build categories/subcategories rows from the default taxonomy, in its
+// order, followed by any other slugs used in the catalog
+const buildTaxonomy = (resources) => {
+  const toName = (slug) => slug.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  const categories = [];
+  const subcategories = [];
+  const defaults = CATEGORY_TAXONOMY.flatMap(category => [
+    { category: category.slug },
+    ...category.subcategories.map(subcategory => ({ category: category.slug, subcategory: subcategory.slug }))
+  ]);
+
+  [...defaults, ...resources].forEach(resource => {
+    if (!resource.category) return;
+
+    let category = categories.find(c => c.slug === resource.category);
+    if (!category) {
+      const known = findCategory(resource.category);
+      category = {
+        id: categories.length + 1,
+        name: known?.name || toName(resource.category),
+        slug: resource.category,
+        emoji: known?.emoji || null,
+        icon: known?.icon || null,
+        position: categories.length,
+        translations: known?.translations || {}
+      };
+      categories.push(category);
+    }
+
+    if (resource.subcategory && !subcategories.some(s => s.slug === resource.subcategory && s.category_id === category.id)) {
+      const known = findSubcategory(resource.category, resource.subcategory);
+      subcategories.push({
+        id: subcategories.length + 1,
+        name: known?.name || toName(resource.subcategory),
+        slug: resource.subcategory,
+        category_id: category.id,
+        emoji: known?.emoji || null,
+        icon: null,
+        position: subcategories.filter(s => s.category_id === category.id).length,
+        translations: known?.translations || {}
+      });
+    }
+  });
+
+  return { categories, subcategories };
+};
+
+const categorySlug = (db, id) => db.tables.categories.find(c => valuesEqual(c.id, id))?.slug;
+
+// Mirrors migrate_category_slug(): resources follow a renamed category
+const migrateCategorySlug = (category, db, previous) => {
+  if (category.slug === previous.slug) return;
+  db.tables.resources.forEach(resource => {
+    if (resource.category === previous.slug) resource.category = category.slug;
+  });
+};
+
+// Mirrors migrate_subcategory(): resources follow a renamed or moved subcategory
+const migrateSubcategory = (subcategory, db, previous) => {
+  if (subcategory.slug === previous.slug && valuesEqual(subcategory.category_id, previous.category_id)) return;
+  const from = categorySlug(db, previous.category_id);
+  const to = categorySlug(db, subcategory.category_id);
+  db.tables.resources.forEach(resource => {
+    if (resource.category === from && resource.subcategory === previous.slug) {
+      resource.category = to;
+      resource.subcategory = subcategory.slug;
+    }
+  });
+};
+
+const invalidMerge = (level) => makeError('22023', `Pick two different ${level} to merge`);
+
+// Mirrors merge_categories()
+const mergeCategories = ({ source_id, target_id }, db) => {
+  const source = db.tables.categories.find(c => valuesEqual(c.id, source_id));
+  const target = db.tables.categories.find(c => valuesEqual(c.id, target_id));
+  if (!source || !target || source === target) throw invalidMerge('categories');
+
+  const moved = db.tables.resources.filter(resource => resource.category === source.slug);
+  let lastPosition = Math.max(-1, ...db.tables.subcategories
+    .filter(s => valuesEqual(s.category_id, target.id))
+    .map(s => s.position));
+
+  db.tables.subcategories = db.tables.subcategories.filter(sub => {
+    if (!valuesEqual(sub.category_id, source.id)) return true;
+    if (db.tables.subcategories.some(s => valuesEqual(s.category_id, target.id) && s.slug === sub.slug)) return false;
+    lastPosition += 1;
+    Object.assign(sub, { category_id: target.id, position: lastPosition });
+    return true;
+  });
+
+  moved.forEach(resource => { resource.category = target.slug; });
+  db.tables.categories = db.tables.categories.filter(c => c !== source);
+  return moved.length;
+};
+
+// Mirrors merge_subcategories()
+const mergeSubcategories = ({ source_id, target_id }, db) => {
+  const source = db.tables.subcategories.find(s => valuesEqual(s.id, source_id));
+  const target = db.tables.subcategories.find(s => valuesEqual(s.id, target_id));
+  if (!source || !target || source === target) throw invalidMerge('subcategories');
+
+  const from = categorySlug(db, source.category_id);
+  const to = categorySlug(db, target.category_id);
+  const moved = db.tables.resources.filter(resource => resource.category === from && resource.subcategory === source.slug);
+
+  moved.forEach(resource => Object.assign(resource, { category: to, subcategory: target.slug }));
+  db.tables.subcategories = db.tables.subcategories.filter(s => s !== source);
+  return moved.length;
+};
+
+/**
+ * Create an in-memory client seeded with the bundled catalog, with the
+ * tables and functions the app expects to find in Supabase.
+ *
+ * @param {Object} options - Extra options passed to createMemorySupabaseClient
+ * @returns {Object} Seeded in-memory client
+ */
+export const createLocalSupabaseClient = (options = {}) => {
+  const resources = loadLocalCatalog().map(resource => ({ ...resource, approved: resource.approved ?? true }));
+  const { categories, subcategories } = buildTaxonomy(resources);
+
+  return createMemorySupabaseClient({
+    tables: {
+      resources,
+      categories,
+      subcategories,
+      favorites: [],
+      comments: [],
+      resource_views: [],
+      resource_revisions: [],
+      collections: [],
+      collection_items: [],
+      profiles: []
+    },
+    functions: {
+      get_most_liked_resources: mostLikedResources,
+      get_most_liked_resources_v2: mostLikedResources,
+      get_trending_resources: trendingResources,
+      get_resource_counts: resourceCounts,
+      get_shared_collection: sharedCollection,
+      merge_categories: mergeCategories,
+      merge_subcategories: mergeSubcategories
+    },
+    uniqueKeys: {
+      favorites: ['user_id', 'resource_id'],
+      collections: ['slug'],
+      collection_items: ['collection_id', 'resource_id'],
+      categories: ['slug'],
+      subcategories: ['category_id', 'slug']
+    },
+    triggers: {
+      resource_views: { insert: adjustViewsCount(1), delete: adjustViewsCount(-1) },
+      favorites: { insert: addFavoriteToDefaultCollection, delete: removeFavoriteFromDefaultCollection },
+      collection_items: { insert: syncDefaultCollectionFavorite(true), delete: syncDefaultCollectionFavorite(false) },
+      categories: { update: migrateCategorySlug },
+      subcategories: { update: migrateSubcategory },
+      resources: {
+        insert: (resource, db) => {
+          setCanonicalUrl(resource);
+          setApprovedDefault(resource, db);
+        },
+        update: (resource, db, previous) => {
+          setCanonicalUrl(resource);
+          recordRevision(resource, db, previous);
+        }
+      }
+    },
+    ...options
+  });
+};
+
+export default createMemorySupabaseClient;
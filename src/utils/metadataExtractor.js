@@ -0,0 +1,233 @@
+/**
+ * Page metadata extraction (Open Graph, Twitter cards and plain meta tags).
+ *
+ * parseMetadata() is a pure function of the HTML and the page URL, so it runs
+ * the same in the browser, in the api/metadata.js serverless route and
+ * against fixture pages. extractMetadata() adds the fetch, which callers can
+ * replace: the API route plugs in a fetcher that refuses private addresses.
+ */
+
+// Metadata lives in <head>, so there's no need to read whole pages
+export const MAX_HTML_BYTES = 512 * 1024;
+export const FETCH_TIMEOUT_MS = 8000;
+
+const MAX_TITLE_LENGTH = 300;
+const MAX_DESCRIPTION_LENGTH = 1000;
+
+const NAMED_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  ndash: '–',
+  mdash: '—',
+  hellip: '…',
+  rsquo: '’',
+  lsquo: '‘',
+  rdquo: '”',
+  ldquo: '“',
+  copy: '©',
+  reg: '®',
+  trade: '™'
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+  if (code[0] === '#') {
+    const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+    return Number.isFinite(point) && point > 0 && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+  }
+  return NAMED_ENTITIES[code.toLowerCase()] ?? entity;
+});
+
+// Decode entities and collapse whitespace; empty strings become null
+const cleanText = (text, maxLength) => {
+  if (!text) return null;
+  const value = decodeEntities(text).replace(/\s+/g, ' ').trim();
+  if (!value) return null;
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1).trimEnd()}…` : value;
+};
+
+// Attributes of a single start tag, keyed by lowercased name
+const parseAttributes = (tag) => {
+  const attributes = {};
+  const pattern = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  const body = tag.replace(/^<[a-z]+/i, '').replace(/\/?>$/, '');
+  let match;
+
+  while ((match = pattern.exec(body)) !== null) {
+    const name = match[1].toLowerCase();
+    if (!(name in attributes)) {
+      attributes[name] = decodeEntities(match[2] ?? match[3] ?? match[4] ?? '');
+    }
+  }
+
+  return attributes;
+};
+
+const findTags = (html, name) => (
+  (html.match(new RegExp(`<${name}\\b[^>]*>`, 'gi')) || []).map(parseAttributes)
+);
+
+// Resolve a possibly relative URL; only http(s) results are useful to the app
+const resolveUrl = (value, base) => {
+  if (!value) return null;
+  try {
+    const resolved = new URL(value.trim(), base);
+    return resolved.protocol === 'http:' || resolved.protocol === 'https:' ? resolved.href : null;
+  } catch {
+    return null;
+  }
+};
+
+// "en_US" (og:locale) and "en-us" (lang) both become "en-US"
+const normalizeLanguage = (value) => {
+  if (!value) return null;
+  const [language, region] = value.trim().split(/[-_,\s]/);
+  if (!/^[a-z]{2,3}$/i.test(language || '')) return null;
+  return region && /^[a-z]{2}$/i.test(region)
+    ? `${language.toLowerCase()}-${region.toUpperCase()}`
+    : language.toLowerCase();
+};
+
+// Largest declared size of an icon link, 0 when unknown
+const iconSize = (link) => Math.max(0, ...String(link.sizes || '')
+  .split(/\s+/)
+  .map(size => parseInt(size.split('x')[0], 10))
+  .filter(Number.isFinite));
+
+/**
+ * Extract metadata from a page's HTML
+ * @param {string} html - Page HTML (the <head> is enough)
+ * @param {string} pageUrl - URL the HTML was served from, for relative links
+ * @returns {Object} { url, title, description, image, favicon, siteName, language };
+ *   fields the page doesn't provide are null
+ */
+export const parseMetadata = (html, pageUrl) => {
+  const source = String(html || '').slice(0, MAX_HTML_BYTES);
+  // Skip scripts and comments so strings inside them aren't read as tags
+  const markup = source
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<script\b[\s\S]*?<\/script>/gi, '')
+    .replace(/<style\b[\s\S]*?<\/style>/gi, '');
+
+  const meta = {};
+  findTags(markup, 'meta').forEach(tag => {
+    const key = (tag.property || tag.name || tag['http-equiv'] || '').toLowerCase();
+    if (key && tag.content !== undefined && !(key in meta)) meta[key] = tag.content;
+  });
+
+  const links = findTags(markup, 'link');
+  const linksWithRel = (...rels) => links.filter(link => (
+    String(link.rel || '').toLowerCase().split(/\s+/).some(rel => rels.includes(rel)) && link.href
+  ));
+
+  const [base] = findTags(markup, 'base');
+  const baseUrl = resolveUrl(base?.href, pageUrl) || pageUrl;
+  const [canonical] = linksWithRel('canonical');
+
+  const titleMatch = markup.match(/<title\b[^>]*>([\s\S]*?)<\/title>/i);
+  const [htmlTag] = findTags(markup, 'html');
+
+  const icons = linksWithRel('icon', 'apple-touch-icon');
+  const [largestIcon] = [...icons].sort((a, b) => iconSize(b) - iconSize(a));
+  const [imageLink] = linksWithRel('image_src');
+
+  let hostname = null;
+  try {
+    hostname = new URL(pageUrl).hostname.replace(/^www\./, '');
+  } catch {
+    hostname = null;
+  }
+
+  return {
+    url: resolveUrl(meta['og:url'], baseUrl) || resolveUrl(canonical?.href, baseUrl) || resolveUrl(pageUrl, pageUrl),
+    title: cleanText(meta['og:title'] || meta['twitter:title'] || titleMatch?.[1], MAX_TITLE_LENGTH),
+    description: cleanText(
+      meta['og:description'] || meta['twitter:description'] || meta.description,
+      MAX_DESCRIPTION_LENGTH
+    ),
+    image: resolveUrl(
+      meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] ||
+        meta['twitter:image'] || meta['twitter:image:src'] || imageLink?.href,
+      baseUrl
+    ),
+    favicon: resolveUrl(largestIcon?.href || '/favicon.ico', baseUrl),
+    siteName: cleanText(meta['og:site_name'] || meta['application-name'], MAX_TITLE_LENGTH) || hostname,
+    language: normalizeLanguage(htmlTag?.lang || meta['og:locale'] || meta['content-language'])
+  };
+};
+
+/**
+ * Fetch a page's HTML with the platform fetch, reading at most MAX_HTML_BYTES
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to the global fetch)
+ * @returns {Promise<Object>} { url, html } where url is the address after redirects
+ */
+export const fetchHtml = async (url, { fetchImpl = globalThis.fetch } = {}) => {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+
+  try {
+    const response = await fetchImpl(url, {
+      signal: controller.signal,
+      redirect: 'follow',
+      headers: {
+        Accept: 'text/html,application/xhtml+xml',
+        'User-Agent': 'MindyMetadataBot/1.0'
+      }
+    });
+
+    if (!response.ok) {
+      const failed = new Error(`Page responded with ${response.status}`);
+      failed.status = response.status;
+      throw failed;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+    if (contentType && !/html|xml/i.test(contentType)) {
+      const unsupported = new Error(`Not an HTML page (${contentType})`);
+      unsupported.code = 'NOT_HTML';
+      throw unsupported;
+    }
+
+    // Stop reading once the head has certainly arrived
+    let html = '';
+    if (response.body?.getReader) {
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let received = 0;
+
+      while (received < MAX_HTML_BYTES) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        html += decoder.decode(value, { stream: true });
+      }
+      reader.cancel().catch(() => {});
+    } else {
+      html = await response.text();
+    }
+
+    return { url: response.url || url, html };
+  } finally {
+    clearTimeout(timeout);
+  }
+};
+
+/**
+ * Fetch a page and extract its metadata
+ * @param {string} url - Page URL
+ * @param {Object} options
+ * @param {Function} options.fetchPage - async (url) => { url, html }; swap in
+ *   a fixture reader or a guarded fetcher (defaults to fetchHtml)
+ * @returns {Promise<Object>} Metadata, see parseMetadata
+ */
+export const extractMetadata = async (url, { fetchPage = fetchHtml } = {}) => {
+  const page = await fetchPage(url);
+  return parseMetadata(page.html, page.url || url);
+};
+
+export default extractMetadata;
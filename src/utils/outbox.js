@@ -0,0 +1,298 @@
+import { v4 as uuidv4 } from 'uuid';
+import supabase from './supabase';
+import { getSupabaseDataSource } from './dataSources';
+import { invalidateTags } from './entityStore';
+import { getConnectionHealth, isNetworkError, subscribeConnectionHealth } from './connectionHealth';
+
+/**
+ * Durable outbox for mutations made while offline.
+ *
+ * When a favorite, unfavorite, resource submission or comment fails with a
+ * network error it is stored here (in localStorage, so it survives reloads)
+ * instead of being dropped. The outbox replays entries in order once the
+ * connection is back:
+ *
+ * - a unique violation (23505) means the change already reached the
+ *   database, e.g. from another tab, and counts as synced
+ * - errors that can never succeed (deleted target, no permission, invalid
+ *   data) mark the entry as failed so the user can retry or discard it
+ * - a favorite and unfavorite of the same resource cancel each other out
+ *   before anything is sent
+ *
+ * Each entry is { id, type, payload, meta, status, attempts, lastError, createdAt }
+ * where status is 'pending' or 'failed'.
+ */
+
+const STORAGE_KEY = 'mindy-outbox';
+const MAX_ATTEMPTS = 5;
+const SYNC_INTERVAL = 30 * 1000; // Retry pending entries every 30 seconds
+
+// Errors that no amount of retrying will fix
+const REJECTED_ERROR_CODES = ['23502', '23503', '22P02', '42501', 'PGRST204', '401'];
+
+const OPPOSITE_TYPES = { favorite: 'unfavorite', unfavorite: 'favorite' };
+
+const loadEntries = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(stored) ? stored : [];
+  } catch (error) {
+    console.warn('Could not read the offline outbox:', error);
+    return [];
+  }
+};
+
+let entries = loadEntries();
+let syncPromise = null;
+let syncStarted = false;
+const listeners = new Set();
+
+const saveEntries = () => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.warn('Could not save the offline outbox:', error);
+  }
+};
+
+/**
+ * Get the current outbox state
+ * @returns {Object} { entries, pendingCount, failedCount, syncing }
+ */
+export const getOutboxState = () => ({
+  entries,
+  pendingCount: entries.filter(entry => entry.status === 'pending').length,
+  failedCount: entries.filter(entry => entry.status === 'failed').length,
+  syncing: !!syncPromise
+});
+
+const notify = () => {
+  const state = getOutboxState();
+  listeners.forEach(listener => {
+    try {
+      listener(state);
+    } catch (error) {
+      console.error('Outbox listener failed:', error);
+    }
+  });
+};
+
+const setEntries = (nextEntries) => {
+  entries = nextEntries;
+  saveEntries();
+  notify();
+};
+
+const isAlreadyApplied = (error) => error?.code === '23505';
+
+const isRejected = (error) => REJECTED_ERROR_CODES.includes(String(error?.code)) || error?.status === 401;
+
+// How each mutation is replayed against the database
+const handlers = {
+  favorite: ({ resourceId, userId }) => getSupabaseDataSource().setFavorite(resourceId, userId, true),
+  unfavorite: ({ resourceId, userId }) => getSupabaseDataSource().setFavorite(resourceId, userId, false),
+  submit: ({ resource }) => getSupabaseDataSource().createResource(resource),
+  comment: async ({ comment }) => {
+    const { error } = await supabase.from('comments').insert(comment);
+    if (error) throw error;
+  }
+};
+
+// Cached data that a synced mutation makes stale
+const affectedTags = {
+  favorite: ({ userId }) => [`favorites:${userId}`, 'list:most-liked'],
+  unfavorite: ({ userId }) => [`favorites:${userId}`, 'list:most-liked'],
+  submit: ({ resource }) => [
+    'list:resources',
+    resource.category && `list:category:${resource.category}`,
+    resource.subcategory && `list:subcategory:${resource.subcategory}`
+  ],
+  comment: ({ comment }) => [`comments:${comment.resource_id}`]
+};
+
+const isSameFavorite = (entry, { resourceId, userId }) => (
+  entry.status === 'pending' &&
+  entry.payload.resourceId === resourceId &&
+  entry.payload.userId === userId
+);
+
+/**
+ * Store a mutation to replay when the connection is back
+ * @param {string} type - 'favorite', 'unfavorite', 'submit' or 'comment'
+ * @param {Object} payload - What the handler needs to replay the mutation
+ * @param {Object} meta - Display data for pending UI (title, author, ...)
+ * @returns {Object|null} The queued entry, or null if it cancelled out a queued one
+ */
+export const enqueueMutation = (type, payload, meta = {}) => {
+  if (!handlers[type]) {
+    throw new Error(`Unknown outbox mutation: ${type}`);
+  }
+
+  if (OPPOSITE_TYPES[type]) {
+    // Favoriting then unfavoriting offline leaves the database as it was
+    const opposite = entries.find(entry => entry.type === OPPOSITE_TYPES[type] && isSameFavorite(entry, payload));
+    if (opposite) {
+      setEntries(entries.filter(entry => entry.id !== opposite.id));
+      return null;
+    }
+
+    const duplicate = entries.find(entry => entry.type === type && isSameFavorite(entry, payload));
+    if (duplicate) return duplicate;
+  }
+
+  const entry = {
+    id: uuidv4(),
+    type,
+    payload,
+    meta,
+    status: 'pending',
+    attempts: 0,
+    lastError: null,
+    createdAt: new Date().toISOString()
+  };
+
+  console.log(`Queued offline ${type} mutation ${entry.id}`);
+  setEntries([...entries, entry]);
+  return entry;
+};
+
+/**
+ * Get queued mutations, optionally of one type
+ * @param {string} type - Mutation type
+ * @returns {Array<Object>} Entries in queue order
+ */
+export const getPendingMutations = (type = null) => (
+  type ? entries.filter(entry => entry.type === type) : entries
+);
+
+const replayEntries = async () => {
+  let synced = 0;
+  let failed = 0;
+
+  for (const entry of entries.filter(item => item.status === 'pending')) {
+    // The entry may have been discarded while an earlier one was syncing
+    if (!entries.some(item => item.id === entry.id)) continue;
+
+    try {
+      await handlers[entry.type](entry.payload);
+    } catch (error) {
+      if (isNetworkError(error)) {
+        // Still offline: keep this entry and everything after it, in order
+        console.log('Outbox sync paused, still offline');
+        break;
+      }
+
+      if (!isAlreadyApplied(error)) {
+        const attempts = entry.attempts + 1;
+        const status = isRejected(error) || attempts >= MAX_ATTEMPTS ? 'failed' : 'pending';
+        if (status === 'failed') failed++;
+
+        console.warn(`Outbox ${entry.type} mutation ${entry.id} failed:`, error);
+        setEntries(entries.map(item => (
+          item.id === entry.id
+            ? { ...item, attempts, status, lastError: error.message || String(error) }
+            : item
+        )));
+        continue;
+      }
+    }
+
+    synced++;
+    setEntries(entries.filter(item => item.id !== entry.id));
+    invalidateTags(affectedTags[entry.type](entry.payload).filter(Boolean));
+  }
+
+  return { synced, failed, remaining: getOutboxState().pendingCount };
+};
+
+/**
+ * Replay pending mutations. Concurrent calls share one sync.
+ * @returns {Promise<Object>} { synced, failed, remaining }
+ */
+export const flushOutbox = () => {
+  if (syncPromise) return syncPromise;
+
+  if (!entries.some(entry => entry.status === 'pending')) {
+    return Promise.resolve({ synced: 0, failed: 0, remaining: 0 });
+  }
+
+  syncPromise = replayEntries().finally(() => {
+    syncPromise = null;
+    notify();
+  });
+  notify();
+
+  return syncPromise;
+};
+
+/**
+ * Put a failed mutation back in the queue and sync
+ * @param {string} id - Entry ID
+ * @returns {Promise<Object>} Sync result
+ */
+export const retryMutation = (id) => {
+  setEntries(entries.map(entry => (
+    entry.id === id ? { ...entry, status: 'pending', attempts: 0, lastError: null } : entry
+  )));
+  return flushOutbox();
+};
+
+/**
+ * Drop a queued mutation without sending it
+ * @param {string} id - Entry ID
+ * @returns {Object|null} The discarded entry
+ */
+export const discardMutation = (id) => {
+  const entry = entries.find(item => item.id === id) || null;
+  if (!entry) return null;
+
+  setEntries(entries.filter(item => item.id !== id));
+  // Optimistic data shown for this change is now wrong; let views refetch
+  invalidateTags(affectedTags[entry.type](entry.payload).filter(Boolean));
+  return entry;
+};
+
+/**
+ * Listen for outbox changes
+ * @param {Function} listener - Called with the outbox state
+ * @returns {Function} Unsubscribe function
+ */
+export const subscribeOutbox = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Sync when Supabase becomes reachable again, periodically while entries are
+// waiting, and whenever another tab changes the outbox
+export const startOutboxSync = () => {
+  if (syncStarted || typeof window === 'undefined') return;
+  syncStarted = true;
+
+  let lastStatus = getConnectionHealth().status;
+  subscribeConnectionHealth(({ status }) => {
+    if (status === 'online' && lastStatus !== 'online') flushOutbox();
+    lastStatus = status;
+  });
+  window.addEventListener('storage', (event) => {
+    if (event.key !== STORAGE_KEY) return;
+    entries = loadEntries();
+    notify();
+  });
+  setInterval(() => {
+    // While the circuit is open the scheduled probe decides when to try again
+    if (getConnectionHealth().state !== 'open') flushOutbox();
+  }, SYNC_INTERVAL);
+
+  flushOutbox();
+};
+
+export default {
+  enqueueMutation,
+  getPendingMutations,
+  getOutboxState,
+  flushOutbox,
+  retryMutation,
+  discardMutation,
+  subscribeOutbox,
+  startOutboxSync
+};
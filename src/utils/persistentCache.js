@@ -0,0 +1,154 @@
+/**
+ * IndexedDB-backed storage for cached API responses.
+ *
+ * Keeps responses across reloads so pages can paint from the last session.
+ * Every operation resolves (never rejects): when IndexedDB is unavailable
+ * (private browsing, old browsers, tests) reads miss and writes are skipped.
+ */
+
+const DB_NAME = 'mindy-request-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+// Size cap for the whole cache; least recently used entries go first
+export const MAX_CACHE_BYTES = 5 * 1024 * 1024; // 5 MB
+export const MAX_CACHE_ENTRIES = 500;
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  if (typeof indexedDB === 'undefined') {
+    dbPromise = Promise.resolve(null);
+    return dbPromise;
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(STORE_NAME)) {
+        const store = db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+        store.createIndex('lastAccessed', 'lastAccessed');
+      }
+    };
+
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      console.warn('Persistent cache unavailable:', request.error);
+      resolve(null);
+    };
+    request.onblocked = () => resolve(null);
+  });
+
+  return dbPromise;
+};
+
+// Run a callback inside a transaction, resolving with its result or the fallback on failure
+const withStore = async (mode, callback, fallback = null) => {
+  try {
+    const db = await openDatabase();
+    if (!db) return fallback;
+
+    const transaction = db.transaction(STORE_NAME, mode);
+    const completed = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+
+    const result = await callback(transaction.objectStore(STORE_NAME));
+    await completed;
+    return result;
+  } catch (error) {
+    console.warn('Persistent cache operation failed:', error);
+    return fallback;
+  }
+};
+
+/**
+ * Read a cached entry and mark it as recently used
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>} { key, data, timestamp, size, lastAccessed } or null
+ */
+export const readEntry = (key) => withStore('readwrite', async (store) => {
+  const entry = await requestToPromise(store.get(key));
+  if (!entry) return null;
+
+  entry.lastAccessed = Date.now();
+  store.put(entry);
+  return entry;
+});
+
+/**
+ * Store a response
+ * @param {string} key - Cache key
+ * @param {any} data - JSON-serializable response data
+ * @param {number} timestamp - When the data was fetched
+ * @returns {Promise<void>}
+ */
+export const writeEntry = async (key, data, timestamp = Date.now()) => {
+  let size;
+  try {
+    size = JSON.stringify(data).length;
+  } catch (error) {
+    return;
+  }
+
+  // Never let one response take over the whole cache
+  if (size > MAX_CACHE_BYTES / 4) return;
+
+  await withStore('readwrite', (store) => {
+    store.put({ key, data, timestamp, size, lastAccessed: Date.now() });
+  });
+
+  await evictLeastRecentlyUsed();
+};
+
+/**
+ * Delete entries whose key matches a predicate (or all entries)
+ * @param {Function|null} predicate - (key) => boolean, or null to clear everything
+ * @returns {Promise<void>}
+ */
+export const deleteEntries = (predicate = null) => withStore('readwrite', async (store) => {
+  if (!predicate) {
+    store.clear();
+    return;
+  }
+
+  const keys = await requestToPromise(store.getAllKeys());
+  keys.filter(predicate).forEach(key => store.delete(key));
+});
+
+/**
+ * Drop the least recently used entries until the cache fits its caps
+ * @returns {Promise<void>}
+ */
+export const evictLeastRecentlyUsed = () => withStore('readwrite', async (store) => {
+  const entries = await requestToPromise(store.index('lastAccessed').getAll());
+
+  let totalBytes = entries.reduce((sum, entry) => sum + (entry.size || 0), 0);
+  let count = entries.length;
+
+  // Oldest access first
+  for (const entry of entries) {
+    if (totalBytes <= MAX_CACHE_BYTES && count <= MAX_CACHE_ENTRIES) break;
+    store.delete(entry.key);
+    totalBytes -= entry.size || 0;
+    count--;
+  }
+});
+
+export default {
+  readEntry,
+  writeEntry,
+  deleteEntries,
+  evictLeastRecentlyUsed
+};
@@ -0,0 +1,152 @@
+import { SOFTWARE_TAGS } from './relatedScoring';
+
+/**
+ * Personal recommendations for the "For you" rail.
+ *
+ * A user's profile is a weighted bag of the tags, categories and software
+ * of what they favorited and viewed. Favorites count more than views, and
+ * recent activity counts more than old activity. Resources the user hasn't
+ * seen yet are ranked by how well they match the profile.
+ *
+ * With too little activity to go on (cold start), or too few matches, the
+ * rail is topped up with the most liked resources the user hasn't seen.
+ * Resources the user already favorited are never recommended.
+ */
+
+const FAVORITE_WEIGHT = 3;
+const VIEW_WEIGHT = 1;
+// Activity loses half its weight every 30 days
+const HALF_LIFE = 30 * 24 * 60 * 60 * 1000;
+// Fewer distinct resources than this and the profile is too thin to rank by
+const MIN_PROFILE_RESOURCES = 2;
+
+const SCORE_WEIGHTS = {
+  tags: 0.5,
+  category: 0.3,
+  software: 0.2
+};
+
+const normalize = (value) => (value == null ? '' : String(value).trim().toLowerCase());
+
+const recencyWeight = (createdAt, now) => {
+  const age = Math.max(now - new Date(createdAt || now).getTime(), 0);
+  return 0.5 ** (age / HALF_LIFE);
+};
+
+const addWeight = (weights, key, weight) => {
+  if (!key) return;
+  weights.set(key, (weights.get(key) || 0) + weight);
+};
+
+// Scale weights so the strongest interest is 1
+const scaleToMax = (weights) => {
+  const max = Math.max(0, ...weights.values());
+  if (max > 0) weights.forEach((weight, key) => weights.set(key, weight / max));
+  return weights;
+};
+
+/**
+ * Build a user's interest profile from their activity
+ * @param {Object} activity - { favorites, views } from a data source's getUserActivity
+ * @param {number} now - Current time (for recency weighting)
+ * @returns {Object} { tags, categories, software, favorited, seen, size }
+ */
+export const buildUserProfile = ({ favorites = [], views = [] } = {}, now = Date.now()) => {
+  const tags = new Map();
+  const categories = new Map();
+  const software = new Map();
+  const favorited = new Set(favorites.map(item => item.resource_id));
+  const seen = new Set([...favorited, ...views.map(item => item.resource_id)]);
+
+  const signals = [
+    ...favorites.map(item => ({ ...item, weight: FAVORITE_WEIGHT })),
+    ...views.map(item => ({ ...item, weight: VIEW_WEIGHT }))
+  ];
+
+  signals.forEach(({ resource, created_at, weight }) => {
+    if (!resource) return;
+    const signalWeight = weight * recencyWeight(created_at, now);
+
+    addWeight(categories, normalize(resource.category), signalWeight);
+    (resource.tags || []).map(normalize).forEach(tag => {
+      addWeight(SOFTWARE_TAGS.includes(tag) ? software : tags, tag, signalWeight);
+    });
+  });
+
+  return {
+    tags: scaleToMax(tags),
+    categories: scaleToMax(categories),
+    software: scaleToMax(software),
+    favorited,
+    seen,
+    size: seen.size
+  };
+};
+
+/**
+ * Score a resource against a profile
+ * @param {Object} profile - From buildUserProfile
+ * @param {Object} resource - Candidate resource
+ * @returns {number} 0..1
+ */
+export const scoreForProfile = (profile, resource) => {
+  const resourceTags = [...new Set((resource.tags || []).map(normalize))];
+  const topicTags = resourceTags.filter(tag => !SOFTWARE_TAGS.includes(tag));
+  const softwareTags = resourceTags.filter(tag => SOFTWARE_TAGS.includes(tag));
+
+  // Divide by the square root of the tag count so long tag lists don't win by volume
+  const tagMatch = topicTags.length > 0
+    ? Math.min(topicTags.reduce((sum, tag) => sum + (profile.tags.get(tag) || 0), 0) / Math.sqrt(topicTags.length), 1)
+    : 0;
+  const softwareMatch = Math.max(0, ...softwareTags.map(tag => profile.software.get(tag) || 0));
+  const categoryMatch = profile.categories.get(normalize(resource.category)) || 0;
+
+  return SCORE_WEIGHTS.tags * tagMatch +
+    SCORE_WEIGHTS.category * categoryMatch +
+    SCORE_WEIGHTS.software * softwareMatch;
+};
+
+const byPopularity = (a, b) => (
+  (b.likes_count || 0) - (a.likes_count || 0) ||
+  String(b.created_at || '').localeCompare(String(a.created_at || ''))
+);
+
+/**
+ * Pick recommendations for a user
+ * @param {Object} profile - From buildUserProfile
+ * @param {Array<Object>} candidates - Resources to choose from
+ * @param {number} limit - How many to return
+ * @returns {Array<Object>} Resources, each with `recommended: { score, coldStart }`
+ */
+export const recommendForProfile = (profile, candidates, limit = 6) => {
+  const unseen = candidates.filter(resource => !profile.seen.has(resource.id));
+
+  const ranked = profile.size >= MIN_PROFILE_RESOURCES
+    ? unseen
+      .map(resource => ({ resource, score: scoreForProfile(profile, resource) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || byPopularity(a.resource, b.resource))
+      .slice(0, limit)
+      .map(({ resource, score }) => ({ ...resource, recommended: { score: Math.round(score * 1000) / 1000, coldStart: false } }))
+    : [];
+
+  if (ranked.length >= limit) return ranked;
+
+  // Cold start: fill up with popular resources the user hasn't seen, then
+  // with ones they've only viewed
+  const picked = new Set(ranked.map(resource => resource.id));
+  const fillers = [
+    ...unseen.filter(resource => !picked.has(resource.id)).sort(byPopularity),
+    ...candidates.filter(resource => profile.seen.has(resource.id) && !profile.favorited.has(resource.id)).sort(byPopularity)
+  ]
+    .slice(0, limit - ranked.length)
+    .map(resource => ({ ...resource, recommended: { score: 0, coldStart: true } }));
+
+  return [...ranked, ...fillers];
+};
+
+export default {
+  buildUserProfile,
+  scoreForProfile,
+  recommendForProfile
+};
@@ -0,0 +1,172 @@
+/**
+ * Ranking for the "related resources" panel.
+ *
+ * Each candidate is scored against the resource being viewed:
+ * - tag overlap (Jaccard similarity of the tag sets)
+ * - same subcategory
+ * - shared software tags (figma, blender, ...)
+ * - co-favorites: how many people who favorited this resource also favorited the candidate
+ * - same category, as a small tie-breaker
+ *
+ * Picks are made greedily, and a candidate that looks a lot like something
+ * already picked pays a small diversity penalty, so the panel doesn't fill
+ * up with four near-identical items. Every pick carries the reasons it was
+ * suggested.
+ */
+
+// Tags that name a tool rather than describe the resource
+export const SOFTWARE_TAGS = ['figma', 'photoshop', 'illustrator', 'after-effects', 'premiere', 'blender', 'cursor', 'indesign'];
+
+const WEIGHTS = {
+  tags: 0.45,
+  subcategory: 0.2,
+  software: 0.15,
+  coFavorites: 0.3,
+  category: 0.05
+};
+
+// Subtracted per unit of similarity to the closest item already picked
+const DIVERSITY_PENALTY = 0.15;
+
+const normalizeTags = (tags) => new Set((tags || []).map(tag => String(tag).trim().toLowerCase()).filter(Boolean));
+
+const normalize = (value) => (value == null ? '' : String(value).toLowerCase());
+
+/**
+ * Jaccard similarity of two sets
+ * @param {Set} a
+ * @param {Set} b
+ * @returns {number} |a ∩ b| / |a ∪ b|, 0 when both are empty
+ */
+export const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(value => {
+    if (b.has(value)) shared++;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+const sharedValues = (a, b) => [...a].filter(value => b.has(value));
+
+/**
+ * Score one candidate against the target
+ * @param {Object} target - Resource being viewed
+ * @param {Object} candidate - Possible related resource
+ * @param {number} coFavoriteScore - Co-favorite count scaled to 0..1
+ * @param {number} coFavoriteCount - Raw co-favorite count (for the reason)
+ * @returns {Object} { score, reasons }
+ */
+const scoreCandidate = (target, candidate, coFavoriteScore, coFavoriteCount) => {
+  const targetTags = normalizeTags(target.tags);
+  const candidateTags = normalizeTags(candidate.tags);
+  const reasons = [];
+  let score = 0;
+
+  const tagSimilarity = jaccard(targetTags, candidateTags);
+  if (tagSimilarity > 0) {
+    score += WEIGHTS.tags * tagSimilarity;
+    reasons.push({ type: 'tags', tags: sharedValues(targetTags, candidateTags).filter(tag => !SOFTWARE_TAGS.includes(tag)) });
+  }
+
+  if (target.subcategory && normalize(target.subcategory) === normalize(candidate.subcategory)) {
+    score += WEIGHTS.subcategory;
+    reasons.push({ type: 'subcategory', subcategory: candidate.subcategory });
+  }
+
+  const software = sharedValues(targetTags, candidateTags).filter(tag => SOFTWARE_TAGS.includes(tag));
+  if (software.length > 0) {
+    score += WEIGHTS.software;
+    reasons.push({ type: 'software', software });
+  }
+
+  if (coFavoriteCount > 0) {
+    score += WEIGHTS.coFavorites * coFavoriteScore;
+    reasons.push({ type: 'coFavorites', count: coFavoriteCount });
+  }
+
+  if (target.category && normalize(target.category) === normalize(candidate.category)) {
+    score += WEIGHTS.category;
+  }
+
+  // Software shows up in both the tag and software reasons; keep the tag reason only if it adds something
+  return {
+    score,
+    reasons: reasons.filter(reason => reason.type !== 'tags' || reason.tags.length > 0)
+  };
+};
+
+// How alike two candidates are, for the diversity penalty
+const similarity = (a, b) => {
+  const tagSimilarity = jaccard(normalizeTags(a.tags), normalizeTags(b.tags));
+  const sameSubcategory = a.subcategory && normalize(a.subcategory) === normalize(b.subcategory) ? 1 : 0;
+  return Math.max(tagSimilarity, sameSubcategory);
+};
+
+/**
+ * Rank candidates by how related they are to a resource
+ * @param {Object} target - Resource being viewed ({ id, category, subcategory, tags })
+ * @param {Array<Object>} candidates - Resources to choose from
+ * @param {Object} options
+ * @param {Map<string, number>} options.coFavorites - Candidate id -> number of users who favorited both
+ * @param {number} options.limit - How many to return
+ * @returns {Array<Object>} Picked resources, each with `related: { score, reasons }`
+ */
+export const rankRelatedResources = (target, candidates, { coFavorites = new Map(), limit = 4 } = {}) => {
+  const maxCoFavorites = Math.max(0, ...coFavorites.values());
+
+  const scored = candidates
+    .filter(candidate => candidate && candidate.id !== target.id)
+    .map(candidate => {
+      const count = coFavorites.get(candidate.id) || 0;
+      return {
+        resource: candidate,
+        ...scoreCandidate(target, candidate, maxCoFavorites > 0 ? count / maxCoFavorites : 0, count)
+      };
+    });
+
+  const picked = [];
+  while (picked.length < limit && scored.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+
+    scored.forEach((entry, index) => {
+      const closest = Math.max(0, ...picked.map(pick => similarity(entry.resource, pick.resource)));
+      const adjusted = entry.score - DIVERSITY_PENALTY * closest;
+      // Ties go to the newer resource
+      if (adjusted > bestScore || (adjusted === bestScore &&
+          String(entry.resource.created_at || '') > String(scored[bestIndex].resource.created_at || ''))) {
+        bestScore = adjusted;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = scored.splice(bestIndex, 1);
+    picked.push({ ...best, score: bestScore });
+  }
+
+  return picked.map(({ resource, score, reasons }) => ({
+    ...resource,
+    related: { score: Math.round(score * 1000) / 1000, reasons }
+  }));
+};
+
+/**
+ * Count co-favorites from favorite rows
+ * @param {Array<Object>} rows - Favorites ({ user_id, resource_id }) of users who favorited the target
+ * @param {string} targetId - Resource being viewed
+ * @returns {Map<string, number>} Resource id -> number of those users who favorited it
+ */
+export const countCoFavorites = (rows, targetId) => {
+  const fans = new Set(rows.filter(row => row.resource_id === targetId).map(row => row.user_id));
+  const counts = new Map();
+
+  rows.forEach(row => {
+    if (row.resource_id === targetId || !fans.has(row.user_id)) return;
+    counts.set(row.resource_id, (counts.get(row.resource_id) || 0) + 1);
+  });
+
+  return counts;
+};
+
+export default rankRelatedResources;
@@ -1,6 +1,7 @@
 import { nanoid } from 'nanoid';
+import { readEntry, writeEntry, deleteEntries } from './persistentCache';
 
-// Request cache with TTL
+// In-memory request cache, in front of the persistent (IndexedDB) cache
 const requestCache = new Map();
 const pendingRequests = new Map();
 
@@ -8,6 +9,152 @@ const pendingRequests = new Map();
 const DEFAULT_CACHE_TTL = 5 * 60 * 1000; // 5 minutes (increased from 1 minute)
 const HEALTH_CHECK_TTL = 5 * 60 * 1000; // 5 minutes for health checks
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Cache policies by endpoint, first match wins:
+ * - ttl: how long a response counts as fresh
+ * - staleTtl: how much longer a stale response may be served while it's revalidated in the background
+ * - persist: keep the response across reloads
+ */
+const CACHE_POLICIES = [
+  { match: '/health', ttl: HEALTH_CHECK_TTL, staleTtl: 0, persist: false },
+  { match: '/rest/v1/resources', ttl: 10 * 60 * 1000, staleTtl: 7 * DAY, persist: true },
+  { match: '/rest/v1/categories', ttl: HOUR, staleTtl: 7 * DAY, persist: true },
+  { match: '/rest/v1/subcategories', ttl: HOUR, staleTtl: 7 * DAY, persist: true },
+  { match: '/rest/v1/comments', ttl: 60 * 1000, staleTtl: DAY, persist: true },
+  // Favorites are per user and change with every click: short-lived and never persisted
+  { match: '/rest/v1/favorites', ttl: 30 * 1000, staleTtl: 0, persist: false }
+];
+
+// Row level security shows each user different rows (their own pending
+// submissions, for one), so cached responses are kept per user
+let cacheUserId = 'anon';
+
+/**
+ * Scope cached responses to the signed-in user
+ * @param {string|null} userId - Auth user id, or null when signed out
+ */
+export const setCacheUser = (userId) => {
+  cacheUserId = userId || 'anon';
+};
+
+const getCachePolicy = (endpoint, cacheTTL) => (
+  CACHE_POLICIES.find(policy => endpoint.includes(policy.match)) ||
+  { ttl: cacheTTL || DEFAULT_CACHE_TTL, staleTtl: 0, persist: false }
+);
+
+// Concurrency limits for the request queue
+const MAX_CONCURRENT_REQUESTS = 6;
+const MAX_CONCURRENT_LOW_PRIORITY = 2;
+const PRIORITY_ORDER = { high: 0, normal: 1, low: 2 };
+
+// Priority queue for network requests. High priority requests start
+// immediately; normal and low wait for a free slot, and low priority
+// requests (prefetches, background revalidation) share a smaller pool.
+const requestQueue = {
+  waiting: [],
+  active: 0,
+  activeLow: 0,
+  sequence: 0,
+  
+  // Run a task once a slot is free
+  run(task, priority = 'normal') {
+    return new Promise((resolve, reject) => {
+      this.waiting.push({
+        task,
+        priority,
+        rank: PRIORITY_ORDER[priority] ?? PRIORITY_ORDER.normal,
+        sequence: this.sequence++,
+        resolve,
+        reject
+      });
+      // Highest priority first, then first come first served
+      this.waiting.sort((a, b) => a.rank - b.rank || a.sequence - b.sequence);
+      this.next();
+    });
+  },
+  
+  canStart(item) {
+    if (item.priority === 'high') return true;
+    if (this.active >= MAX_CONCURRENT_REQUESTS) return false;
+    return item.priority !== 'low' || this.activeLow < MAX_CONCURRENT_LOW_PRIORITY;
+  },
+  
+  // Start every waiting request that fits in the limits
+  next() {
+    let index = 0;
+    while (index < this.waiting.length) {
+      const item = this.waiting[index];
+      if (!this.canStart(item)) {
+        index++;
+        continue;
+      }
+      this.waiting.splice(index, 1);
+      this.start(item);
+    }
+  },
+  
+  start(item) {
+    this.active++;
+    if (item.priority === 'low') this.activeLow++;
+    
+    Promise.resolve()
+      .then(item.task)
+      .then(item.resolve, item.reject)
+      .finally(() => {
+        this.active--;
+        if (item.priority === 'low') this.activeLow--;
+        this.next();
+      });
+  }
+};
+
+// Listeners told when a background revalidation brought back different data
+const revalidationListeners = new Set();
+let revalidatedEndpoints = new Set();
+let revalidationTimer = null;
+
+// Batch notifications so a burst of revalidations triggers one refresh
+const notifyRevalidated = (endpoint) => {
+  revalidatedEndpoints.add(endpoint);
+  if (revalidationTimer) return;
+  
+  revalidationTimer = setTimeout(() => {
+    const endpoints = [...revalidatedEndpoints];
+    revalidatedEndpoints = new Set();
+    revalidationTimer = null;
+    revalidationListeners.forEach(listener => listener(endpoints));
+  }, 300);
+};
+
+/**
+ * Listen for cached responses that were replaced by newer data
+ * @param {Function} listener - Called with the list of endpoints that changed
+ * @returns {Function} Unsubscribe function
+ */
+export const onRevalidate = (listener) => {
+  revalidationListeners.add(listener);
+  return () => revalidationListeners.delete(listener);
+};
+
+// Look up a cached response in memory, then in the persistent cache
+const getCachedResponse = async (cacheKey, policy) => {
+  if (requestCache.has(cacheKey)) {
+    return requestCache.get(cacheKey);
+  }
+  
+  if (!policy.persist) return null;
+  
+  const entry = await readEntry(cacheKey);
+  if (!entry) return null;
+  
+  const cached = { data: entry.data, timestamp: entry.timestamp };
+  requestCache.set(cacheKey, cached);
+  return cached;
+};
+
 // Track request frequency to prevent excessive calls
 const requestTracker = {
   endpoints: {},
@@ -77,13 +224,13 @@ const requestTracker = {
 };
 
 /**
- * Generate a cache key for a request
+ * Generate a cache key for a request, scoped to the current user
  * @param {string} endpoint - The API endpoint
  * @param {Object} params - Request parameters
  * @returns {string} Cache key
  */
 const generateCacheKey = (endpoint, params = {}) => {
-  return `${endpoint}:${JSON.stringify(params)}`;
+  return `${endpoint}:${JSON.stringify({ ...params, user: cacheUserId })}`;
 };
 
 /**
@@ -103,35 +250,36 @@ export const optimizedRequest = async (endpoint, options = {}) => {
     retryCount = 2,
     retryDelay = 1000,
     priority = 'normal', // 'high', 'normal', 'low'
+    cacheOnly = false, // Answer from the cache whatever its age, never touch the network
   } = options;
   
-  // Calculate cache TTL based on endpoint type
-  let effectiveCacheTTL = DEFAULT_CACHE_TTL;
-  
-  // Special handling for health checks - much longer cache time
-  if (endpoint.includes('/health')) {
-    effectiveCacheTTL = HEALTH_CHECK_TTL;
-  }
-  // Longer cache for resources
-  else if (endpoint.includes('/resources')) {
-    effectiveCacheTTL = 10 * 60 * 1000; // 10 minutes for resources
-  }
-  // Use provided cacheTTL if specified
-  else if (cacheTTL) {
-    effectiveCacheTTL = cacheTTL;
-  }
+  // TTLs and persistence depend on the endpoint
+  const policy = getCachePolicy(endpoint, cacheTTL);
   
   // Generate a unique request ID and cache key
   const requestId = nanoid();
   const cacheKey = generateCacheKey(endpoint, { method, params, body });
   
+  // Offline (e.g. while the connection circuit is open): cached data beats no data
+  if (cacheOnly) {
+    const cachedData = await getCachedResponse(cacheKey, policy);
+    if (cachedData) {
+      console.log(`Serving cached data for ${endpoint} while offline`);
+      return cachedData.data;
+    }
+    
+    const error = new Error(`No cached response for ${endpoint}`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+  
   // Check if this endpoint is being throttled due to excessive requests
   if (requestTracker.isThrottled(endpoint) && priority !== 'high') {
     console.log(`Request to ${endpoint} throttled due to excessive calls`);
     
     // For throttled endpoints, try to return cached data even if expired
-    if (requestCache.has(cacheKey)) {
-      const cachedData = requestCache.get(cacheKey);
+    const cachedData = await getCachedResponse(cacheKey, policy);
+    if (cachedData) {
       console.log(`Returning stale cached data for throttled endpoint: ${endpoint}`);
       return cachedData.data;
     }
@@ -145,29 +293,8 @@ export const optimizedRequest = async (endpoint, options = {}) => {
     await new Promise(resolve => setTimeout(resolve, 2000));
   }
   
-  // Track this request
-  requestTracker.track(endpoint);
-  
-  // Check cache first (unless bypass is requested)
-  if (!bypassCache && method === 'GET' && requestCache.has(cacheKey)) {
-    const cachedData = requestCache.get(cacheKey);
-    if (Date.now() - cachedData.timestamp < effectiveCacheTTL) {
-      console.log(`Cache hit for ${endpoint}`);
-      return cachedData.data;
-    } else {
-      console.log(`Cache expired for ${endpoint}`);
-      requestCache.delete(cacheKey);
-    }
-  }
-  
-  // Check for pending identical requests to deduplicate
-  if (pendingRequests.has(cacheKey)) {
-    console.log(`Deduplicating request to ${endpoint}`);
-    return pendingRequests.get(cacheKey);
-  }
-  
   // Create the actual request function
-  const makeRequest = async (retryAttempt = 0) => {
+  const makeRequest = async (requestPriority, retryAttempt = 0) => {
     try {
       // Prepare request options
       const requestOptions = {
@@ -201,8 +328,9 @@ export const optimizedRequest = async (endpoint, options = {}) => {
           : endpoint;
       }
       
-      // Make the request
-      const response = await fetch(url, requestOptions);
+      // Track this request and wait for a slot in the queue
+      requestTracker.track(endpoint);
+      const response = await requestQueue.run(() => fetch(url, requestOptions), requestPriority);
       
       // Handle non-OK responses
       if (!response.ok) {
@@ -215,10 +343,11 @@ export const optimizedRequest = async (endpoint, options = {}) => {
       
       // Cache successful GET responses
       if (method === 'GET') {
-        requestCache.set(cacheKey, {
-          data,
-          timestamp: Date.now()
-        });
+        const timestamp = Date.now();
+        requestCache.set(cacheKey, { data, timestamp });
+        if (policy.persist) {
+          writeEntry(cacheKey, data, timestamp);
+        }
       }
       
       return data;
@@ -227,24 +356,64 @@ export const optimizedRequest = async (endpoint, options = {}) => {
       if (retryAttempt < retryCount) {
         console.log(`Retrying request to ${endpoint} (attempt ${retryAttempt + 1}/${retryCount})`);
         await new Promise(resolve => setTimeout(resolve, retryDelay * (retryAttempt + 1)));
-        return makeRequest(retryAttempt + 1);
+        return makeRequest(requestPriority, retryAttempt + 1);
       }
       
       // If we've exhausted retries, throw the error
       throw error;
-    } finally {
-      // Clean up the pending request
-      if (retryAttempt === retryCount || retryAttempt === 0) {
-        pendingRequests.delete(cacheKey);
-      }
     }
   };
   
-  // Store the promise in pending requests for deduplication
-  const requestPromise = makeRequest();
-  pendingRequests.set(cacheKey, requestPromise);
+  // Share one in-flight request between identical callers
+  const dedupe = (requestPriority) => {
+    if (pendingRequests.has(cacheKey)) {
+      console.log(`Deduplicating request to ${endpoint}`);
+      return pendingRequests.get(cacheKey);
+    }
+    
+    const requestPromise = makeRequest(requestPriority).finally(() => {
+      pendingRequests.delete(cacheKey);
+    });
+    pendingRequests.set(cacheKey, requestPromise);
+    return requestPromise;
+  };
+  
+  // Check cache first (unless bypass is requested)
+  if (!bypassCache && method === 'GET') {
+    const cachedData = await getCachedResponse(cacheKey, policy);
+    
+    if (cachedData) {
+      const age = Date.now() - cachedData.timestamp;
+      
+      if (age < policy.ttl) {
+        console.log(`Cache hit for ${endpoint}`);
+        return cachedData.data;
+      }
+      
+      // Stale but usable: answer now, refresh in the background
+      if (age < policy.ttl + policy.staleTtl) {
+        console.log(`Serving stale cache for ${endpoint}, revalidating (${requestId})`);
+        
+        if (!pendingRequests.has(cacheKey)) {
+          const previous = JSON.stringify(cachedData.data);
+          dedupe('low')
+            .then(data => {
+              if (JSON.stringify(data) !== previous) {
+                notifyRevalidated(endpoint);
+              }
+            })
+            .catch(error => console.warn(`Background revalidation failed for ${endpoint}:`, error));
+        }
+        
+        return cachedData.data;
+      }
+      
+      console.log(`Cache expired for ${endpoint}`);
+      requestCache.delete(cacheKey);
+    }
+  }
   
-  return requestPromise;
+  return dedupe(priority);
 };
 
 /**
@@ -259,14 +428,30 @@ export const clearRequestCache = (endpoint = null) => {
         requestCache.delete(key);
       }
     }
+    deleteEntries(key => key.startsWith(`${endpoint}:`));
     console.log(`Cache cleared for endpoint: ${endpoint}`);
   } else {
     // Clear all cache
     requestCache.clear();
+    deleteEntries();
     console.log('Request cache fully cleared');
   }
 };
 
+/**
+ * Clear cached responses for one Supabase table, whatever the query
+ * @param {string} table - Table name, e.g. 'resources'
+ */
+export const clearTableCache = (table) => {
+  const pattern = new RegExp(`/rest/v1/${table}(\\?|:|$)`);
+  for (const key of requestCache.keys()) {
+    if (pattern.test(key)) {
+      requestCache.delete(key);
+    }
+  }
+  deleteEntries(key => pattern.test(key));
+};
+
 /**
  * Batch multiple requests together
  * @param {Array<Object>} requests - Array of request configs
@@ -319,10 +504,9 @@ export const checkConnectionStatus = async () => {
     if (!response.ok) {
       console.warn(`Health check failed with status: ${response.status}`);
       
-      // If unauthorized, we should still allow local mode to work
+      // Unauthorized means the API key is wrong, not that Supabase is down
       if (response.status === 401) {
-        console.warn('API key authentication failed. Switching to local mode.');
-        localStorage.setItem('forceSupabaseConnection', 'false');
+        console.warn('API key authentication failed. Check VITE_SUPABASE_ANON_KEY.');
       }
       
       return false;
@@ -348,5 +532,8 @@ export default {
   optimizedRequest,
   batchRequests,
   clearRequestCache,
+  clearTableCache,
+  setCacheUser,
+  onRevalidate,
   checkConnectionStatus
 }; 
\ No newline at end of file
@@ -0,0 +1,62 @@
+/**
+ * Grouped resource counts for the category and software filters.
+ *
+ * The live database answers with get_resource_counts()
+ * (db/create_resource_counts_function.sql) in one small payload; this
+ * module is the JavaScript twin used by the local catalog, the in-memory
+ * client and databases where the function isn't installed yet.
+ *
+ * Counts are { total, categories, subcategories, tags }, each group a map
+ * of lowercased name -> number of resources.
+ */
+
+// Tags may be stored as an array or, in older rows, a comma separated string
+const tagList = (tags) => {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(',');
+  return [...new Set(list.map(tag => String(tag ?? '').trim().toLowerCase()).filter(Boolean))];
+};
+
+const increment = (group, key) => {
+  if (!key) return;
+  const name = String(key).toLowerCase();
+  group[name] = (group[name] || 0) + 1;
+};
+
+/**
+ * Count resources per category, subcategory and tag
+ * @param {Array<Object>} resources - Rows with category, subcategory and tags
+ * @param {Object} options
+ * @param {Array<string>} options.tags - Only count these tags (all tags when null)
+ * @returns {Object} { total, categories, subcategories, tags }
+ */
+export const countResources = (resources, { tags = null } = {}) => {
+  const onlyTags = tags ? new Set(tags.map(tag => tag.toLowerCase())) : null;
+  const counts = { total: resources.length, categories: {}, subcategories: {}, tags: {} };
+
+  resources.forEach(resource => {
+    increment(counts.categories, resource.category);
+    increment(counts.subcategories, resource.subcategory);
+    tagList(resource.tags)
+      .filter(tag => !onlyTags || onlyTags.has(tag))
+      .forEach(tag => increment(counts.tags, tag));
+  });
+
+  return counts;
+};
+
+/**
+ * Read one count from a counts object
+ * @param {Object} counts - From countResources or get_resource_counts()
+ * @param {string} group - 'categories', 'subcategories' or 'tags'
+ * @param {string} name - Category, subcategory or tag
+ * @returns {number} Count, 0 when unknown
+ */
+export const getCount = (counts, group, name) => (
+  (name && counts?.[group]?.[String(name).toLowerCase()]) || 0
+);
+
+export default {
+  countResources,
+  getCount
+};
@@ -1,58 +1,47 @@
-import supabase, { executeWithRetry, handleSupabaseError } from './supabase';
-import { optimizedRequest } from './requestManager';
+import supabase, { handleSupabaseError } from './supabase';
+import { canUseLocalFallback, getDataSource, getLocalDataSource } from './dataSources';
+import { entityTag, getEntity, getList, invalidateTags, putEntities, putList, updateEntity } from './entityStore';
+import { enqueueMutation } from './outbox';
+import { isNetworkError } from './connectionHealth';
+import { ERROR_TYPES } from './errors';
+import { buildUserProfile, recommendForProfile } from './recommendations';
+import { DEFAULT_HALF_LIFE_HOURS, DEFAULT_WINDOW_DAYS } from './trending';
+import { getRevertValues } from './revisions';
+import { canonicalizeUrl, findDuplicates, mergeDuplicate } from './urlUtils';
+import { DEFAULT_TAXONOMY } from './taxonomy';
 import { v4 as uuidv4 } from 'uuid';
-import toast from 'react-hot-toast';
 
 /**
- * Utility functions for working with resources in Supabase
+ * Utility functions for working with resources.
+ * Queries go through the active data source (see ./dataSources).
  */
 
-// Resource cache to reduce database load
-const resourceCache = {
-  data: {},
-  timestamp: {},
-  ttl: 5 * 60 * 1000, // 5 minute cache TTL
-  
-  // Get resource from cache if available and not expired
-  get(resourceId) {
-    const now = Date.now();
-    if (this.data[resourceId] && now - this.timestamp[resourceId] < this.ttl) {
-      return this.data[resourceId];
-    }
-    return null;
-  },
-  
-  // Store resource in cache
-  set(resourceId, resource) {
-    this.data[resourceId] = resource;
-    this.timestamp[resourceId] = Date.now();
-  },
-  
-  // Clear cache for a specific resource
-  clear(resourceId) {
-    delete this.data[resourceId];
-    delete this.timestamp[resourceId];
-  },
-  
-  // Clear all cache
-  clearAll() {
-    this.data = {};
-    this.timestamp = {};
-  }
-};
+// Hours for activity to lose half its trending weight (VITE_TRENDING_HALF_LIFE_HOURS)
+const TRENDING_HALF_LIFE_HOURS = Number(import.meta.env.VITE_TRENDING_HALF_LIFE_HOURS) || DEFAULT_HALF_LIFE_HOURS;
 
-// Resource cache implementation
-const resourceListCache = new Map();
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes in milliseconds
+// Category and tag counts change slowly; new submissions invalidate them anyway
+const COUNTS_TTL = 10 * 60 * 1000;
+
+// The taxonomy changes rarely, and admin edits invalidate it
+const TAXONOMY_TTL = 30 * 60 * 1000;
+
+// How many recent resources the "For you" rail chooses from
+const RECOMMENDATION_CANDIDATES = 100;
+
+// Tags for resource lists, so mutations can drop exactly the lists they affect
+const resourceListTags = ({ category = null, subcategory = null } = {}) => [
+  'list:resources',
+  category && `list:category:${category}`,
+  subcategory && `list:subcategory:${subcategory}`
+];
 
 // Cache invalidation function
 export const invalidateResourceCache = (resourceId = null) => {
   if (resourceId) {
-    resourceCache.clear(resourceId);
+    invalidateTags(entityTag('resources', resourceId));
     console.log(`Cache invalidated for resource: ${resourceId}`);
   } else {
-    resourceCache.clearAll();
-    resourceListCache.clear();
+    invalidateTags(['resources', 'list:resources']);
     console.log('Resource cache fully invalidated');
   }
 };
@@ -104,37 +93,25 @@ export const isValidResourceId = (id) => {
   return uuidRegex.test(id);
 };
 
-// Generate mock resource for local mode
-export const generateMockResource = (id) => {
-  return {
-    id: id || uuidv4(),
-    title: 'Sample Resource',
-    description: 'This is a sample resource generated in local mode. The actual resource data could not be fetched.',
-    url: 'https://example.com',
-    thumbnail_url: 'https://via.placeholder.com/300x200?text=Sample+Resource',
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString(),
-    user_id: 'mock-user',
-    category: 'Development',
-    subcategory: 'Web Development',
-    tags: ['sample', 'mock', 'local'],
-    likes_count: 5,
-    views_count: 10,
-    user: {
-      username: 'LocalUser',
-      avatar_url: null
-    }
-  };
-};
-
 // Check if we should use local mode
-export const checkLocalMode = () => {
-  const forceConnection = localStorage.getItem('forceSupabaseConnection');
-  return forceConnection === 'false';
-};
+export const checkLocalMode = () => getDataSource().isLocal;
+
+// Reads that can't reach Supabase are answered from the bundled catalog.
+// The user's mode setting is left alone: the connection health module
+// decides when Supabase is tried again.
+const shouldFallBackToLocal = (err, source) => (
+  !source.isLocal && isNetworkError(err) && canUseLocalFallback()
+);
+
+// Keep views_count honest: a number when the source reported one, otherwise null (unknown)
+const withViewCount = (resource) => ({
+  ...resource,
+  views_count: Number.isFinite(resource.views_count) ? resource.views_count : null
+});
 
-// Get resource by ID with optimized request handling
-export const getResourceById = async (id, skipCache = false) => {
+// Get resource by ID with optimized request handling.
+// `source` overrides the active data source (used for the local fallback).
+export const getResourceById = async (id, skipCache = false, source = getDataSource()) => {
   // Validate resource ID
   if (!isValidResourceId(id)) {
     console.error('Invalid resource ID format:', id);
@@ -142,25 +119,15 @@ export const getResourceById = async (id, skipCache = false) => {
       success: false,
       message: 'Invalid resource ID format',
       data: null,
-      localMode: true
-    };
-  }
-  
-  // Check if we should use local mode
-  const useLocalMode = checkLocalMode();
-  if (useLocalMode) {
-    console.log('Using local mode for resource');
-    return {
-      success: true,
-      message: 'Using local mode',
-      data: generateMockResource(id),
-      localMode: true
+      localMode: true,
+      // A malformed id can never match a resource
+      error: { type: ERROR_TYPES.NOT_FOUND }
     };
   }
   
   // Check cache first if not skipping
-  if (!skipCache) {
-    const cachedResource = resourceCache.get(id);
+  if (!skipCache && !source.isLocal) {
+    const cachedResource = getEntity('resources', id);
     if (cachedResource) {
       console.log('Using cached resource:', id);
       return {
@@ -173,89 +140,24 @@ export const getResourceById = async (id, skipCache = false) => {
   }
   
   try {
-    // Use a simpler query that doesn't rely on the profiles relationship
-    const { data: resourceData, error: resourceError } = await supabase
-      .from('resources')
-      .select('*')
-      .eq('id', id)
-      .single();
-      
-    if (resourceError) {
-      throw resourceError;
-    }
+    const resourceData = await source.getResourceById(id);
     
     if (!resourceData) {
       throw new Error('Resource not found');
     }
     
-    // Handle the case where Supabase returns an array instead of a single object
-    let processedResourceData = resourceData;
-    
-    // If resourceData is an array, take the first item
-    if (Array.isArray(resourceData)) {
-      console.warn('Supabase returned an array instead of a single object. Using first item.');
-      
-      if (resourceData.length === 0) {
-        throw new Error('Resource not found');
-      }
-      
-      processedResourceData = resourceData[0];
-    }
-    
     // Ensure we have a proper resource object with the expected fields
-    if (!processedResourceData.id || typeof processedResourceData !== 'object') {
-      console.error('Unexpected resource data structure:', processedResourceData);
+    if (!resourceData.id || typeof resourceData !== 'object') {
+      console.error('Unexpected resource data structure:', resourceData);
       throw new Error('Invalid resource data structure');
     }
     
-    // If we have a user_id, try to get basic user info separately
-    let userData = null;
-    if (processedResourceData.user_id) {
-      try {
-        const { data: userInfo, error: userError } = await supabase
-          .from('users')
-          .select('username, avatar_url')
-          .eq('id', processedResourceData.user_id)
-          .single();
-        
-        if (!userError && userInfo) {
-          userData = userInfo;
-        } else {
-          // Fallback to using profiles table if users table fails
-          try {
-            const { data: profileInfo, error: profileError } = await supabase
-              .from('profiles')
-              .select('username, avatar_url')
-              .eq('id', processedResourceData.user_id)
-              .single();
-            
-            if (!profileError && profileInfo) {
-              userData = profileInfo;
-            }
-          } catch (profileFetchError) {
-            console.warn('Failed to fetch profile data:', profileFetchError);
-          }
-        }
-      } catch (userFetchError) {
-        console.warn('Failed to fetch user data:', userFetchError);
-      }
-    }
+    const fullResourceData = withViewCount(resourceData);
     
-    // Get the view count
-    const viewCount = await getViewCount(id);
-    
-    // Add user data if available, or fallback to basic info
-    const fullResourceData = {
-      ...processedResourceData,
-      views_count: viewCount, // Add the view count from resource_views table
-      user: userData || {
-        username: processedResourceData.user_id ? `User ${processedResourceData.user_id.substring(0, 5)}` : 'Anonymous',
-        avatar_url: null
-      }
-    };
-    
-    // Cache the result
-    resourceCache.set(id, fullResourceData);
+    if (!source.isLocal) {
+      // Cache the result
+      putEntities('resources', fullResourceData);
+    }
     
     // Increment view count in the background
     incrementViewCount(id).catch(err => {
@@ -264,30 +166,23 @@ export const getResourceById = async (id, skipCache = false) => {
     
     return {
       success: true,
-      message: 'Resource loaded successfully',
+      message: source.isLocal ? 'Using local mode' : 'Resource loaded successfully',
       data: fullResourceData,
-      localMode: false
+      localMode: source.isLocal
     };
   } catch (err) {
     console.error('Error fetching resource:', err);
     const errorInfo = handleSupabaseError(err, 'getResourceById');
     
-    // If network error, switch to local mode
-    if (err.message === 'Failed to fetch' || err.code === 'NETWORK_ERROR') {
-      localStorage.setItem('forceSupabaseConnection', 'false');
-      return {
-        success: true,
-        message: 'Network error. Switched to local mode.',
-        data: generateMockResource(id),
-        localMode: true,
-        error: errorInfo
-      };
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getResourceById(id, skipCache, getLocalDataSource());
     } else if (err.message === 'Resource not found' || err.message === 'Invalid resource data structure') {
       return {
         success: false,
         message: err.message,
         data: null,
-        localMode: false,
+        localMode: source.isLocal,
         error: errorInfo
       };
     } else {
@@ -295,14 +190,15 @@ export const getResourceById = async (id, skipCache = false) => {
         success: false,
         message: 'Error loading resource: ' + (errorInfo.message || err.message),
         data: null,
-        localMode: false,
+        localMode: source.isLocal,
         error: errorInfo
       };
     }
   }
 };
 
-// Get multiple resources with optimized request handling
+// Get multiple resources with optimized request handling.
+// Pass `cursor` (or pagination: 'cursor') for keyset pages; offset/limit remains for admin tables.
 export const getResources = async (options = {}) => {
   const {
     limit = 20,
@@ -310,54 +206,23 @@ export const getResources = async (options = {}) => {
     category = null,
     subcategory = null,
     tags = [],
+    attributes = null,
     search = null,
     orderBy = 'created_at',
     orderDirection = 'desc',
+    cursor = null,
+    pagination = cursor ? 'cursor' : 'offset',
     skipCache = false,
-    cacheKey = 'all'
+    cacheKey = 'all',
+    source = getDataSource() // Override for the local fallback
   } = options;
   
-  // Check if we should use local mode
-  const useLocalMode = checkLocalMode();
-  if (useLocalMode) {
-    console.log('Using local mode for resources list');
-    
-    // Generate mock resources
-    const mockResources = Array(limit).fill().map((_, i) => ({
-      id: uuidv4(),
-      title: `Sample Resource ${i + 1}`,
-      description: `This is a sample resource ${i + 1} generated in local mode.`,
-      url: 'https://example.com',
-      thumbnail_url: `https://via.placeholder.com/300x200?text=Sample+Resource+${i + 1}`,
-      created_at: new Date(Date.now() - i * 86400000).toISOString(),
-      updated_at: new Date(Date.now() - i * 86400000).toISOString(),
-      user_id: 'mock-user',
-      category: category || 'Development',
-      subcategory: subcategory || 'Web Development',
-      tags: tags.length > 0 ? tags : ['sample', 'mock', 'local'],
-      views_count: Math.floor(Math.random() * 500),
-      likes_count: Math.floor(Math.random() * 100),
-      user: {
-        username: 'LocalUser',
-        avatar_url: null
-      }
-    }));
-    
-    return {
-      success: true,
-      message: 'Using local mode',
-      data: mockResources,
-      count: 100, // Mock total count
-      localMode: true
-    };
-  }
-  
   // Generate a cache key based on the query parameters
-  const fullCacheKey = `${cacheKey}-${limit}-${offset}-${category || ''}-${subcategory || ''}-${tags.join(',')}-${search || ''}-${orderBy}-${orderDirection}`;
+  const fullCacheKey = `${source.name}-${cacheKey}-${limit}-${offset}-${category || ''}-${subcategory || ''}-${tags.join(',')}-${attributes ? JSON.stringify(attributes) : ''}-${search || ''}-${orderBy}-${orderDirection}-${pagination}-${cursor || ''}`;
   
   // Check cache first if not skipping
-  if (!skipCache) {
-    const cachedResources = resourceCache.get(fullCacheKey);
+  if (!skipCache && !source.isLocal) {
+    const cachedResources = getList(fullCacheKey);
     if (cachedResources) {
       console.log('Using cached resources:', fullCacheKey);
       return {
@@ -365,106 +230,62 @@ export const getResources = async (options = {}) => {
         message: 'Resources loaded from cache',
         data: cachedResources.data,
         count: cachedResources.count,
+        nextCursor: cachedResources.nextCursor || null,
         localMode: false
       };
     }
   }
   
   try {
-    // Build the query
-    let query = supabase
-      .from('resources')
-      .select('*, user:profiles(id, username, avatar_url)', { count: 'exact' });
-    
-    // Apply filters
-    if (category) {
-      query = query.eq('category', category);
-    }
-    
-    if (subcategory) {
-      query = query.eq('subcategory', subcategory);
-    }
+    const { data, count, nextCursor = null } = await source.getResources({
+      limit,
+      offset,
+      category,
+      subcategory,
+      tags,
+      attributes,
+      search,
+      orderBy,
+      orderDirection,
+      cursor,
+      pagination
+    });
     
-    if (tags && tags.length > 0) {
-      query = query.contains('tags', tags);
-    }
+    // View counts come back with the rows, no extra queries needed
+    const enhancedResources = data.map(withViewCount);
     
-    if (search) {
-      query = query.or(`title.ilike.%${search}%,description.ilike.%${search}%`);
+    if (!source.isLocal) {
+      // Cache the results
+      putList(fullCacheKey, 'resources', enhancedResources, {
+        tags: resourceListTags({ category, subcategory }),
+        meta: { count, nextCursor }
+      });
     }
     
-    // Apply ordering
-    query = query.order(orderBy, { ascending: orderDirection === 'asc' });
-    
-    // Apply pagination
-    query = query.range(offset, offset + limit - 1);
-    
-    // Execute the query
-    const { data, error, count } = await query;
-    
-    if (error) throw error;
-    
-    // Ensure data is an array
-    const processedData = Array.isArray(data) ? data : (data ? [data] : []);
-    
-    // Enhance resources with view counts
-    const enhancedResources = await Promise.all((processedData).map(async (resource) => {
-      try {
-        // Get view count for this resource
-        const viewCount = await getViewCount(resource.id);
-        
-        // Process user data if it's in unexpected format
-        let userData = resource.user;
-        if (resource.user && Array.isArray(resource.user)) {
-          // If user is an array, take the first item
-          userData = resource.user[0];
-        } else if (!resource.user && resource.user_id) {
-          // Create basic user data if missing
-          userData = {
-            username: `User ${resource.user_id.substring(0, 5)}`,
-            avatar_url: null
-          };
-        }
-        
-        return {
-          ...resource,
-          views_count: viewCount,
-          user: userData || {
-            username: 'Anonymous',
-            avatar_url: null
-          }
-        };
-      } catch (err) {
-        console.warn(`Failed to process resource ${resource.id}:`, err);
-        return resource;
-      }
-    }));
-    
-    // Cache the results
-    resourceCache.set(fullCacheKey, { data: enhancedResources, count });
-    
     return {
       success: true,
-      message: 'Resources loaded successfully',
-      data: enhancedResources || [],
-      count: count || 0,
-      localMode: false
+      message: source.isLocal ? 'Using local mode' : 'Resources loaded successfully',
+      data: enhancedResources,
+      // Keyset pages don't count the full result set
+      count: pagination === 'cursor' ? null : (count || 0),
+      nextCursor,
+      localMode: source.isLocal
     };
   } catch (err) {
     console.error('Error fetching resources:', err);
     const errorInfo = handleSupabaseError(err, 'getResources');
     
-    // If network error, switch to local mode
-    if (err.message === 'Failed to fetch' || err.code === 'NETWORK_ERROR') {
-      localStorage.setItem('forceSupabaseConnection', 'false');
-      return getResources(options); // Retry with local mode
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getResources({ ...options, source: getLocalDataSource() });
     } else {
       return {
         success: false,
         message: `Error loading resources: ${errorInfo.message}`,
         data: [],
         count: 0,
-        localMode: false,
+        nextCursor: null,
+        localMode: source.isLocal,
         error: errorInfo
       };
     }
@@ -472,265 +293,270 @@ export const getResources = async (options = {}) => {
 };
 
 // Get related resources
-export const getRelatedResources = async (resourceId, category, limit = 4) => {
-  // Skip if no resource ID or category
-  if (!resourceId || !category) {
+export const getRelatedResources = async (resourceId, category, limit = 4, source = getDataSource()) => {
+  // Skip if no resource ID
+  if (!resourceId) {
     return {
       success: false,
-      message: 'Missing resource ID or category',
+      message: 'Missing resource ID',
       data: []
     };
   }
   
-  // Check if we should use local mode
-  const useLocalMode = checkLocalMode();
-  if (useLocalMode) {
-    console.log('Using local mode for related resources');
-    
-    // Generate mock related resources
-    const mockRelated = Array(limit).fill().map((_, i) => ({
-      id: uuidv4(),
-      title: `Related Resource ${i + 1}`,
-      description: `This is a related resource ${i + 1} generated in local mode.`,
-      url: 'https://example.com',
-      thumbnail_url: `https://via.placeholder.com/300x200?text=Related+Resource+${i + 1}`,
-      created_at: new Date(Date.now() - i * 86400000).toISOString(),
-      updated_at: new Date(Date.now() - i * 86400000).toISOString(),
-      user_id: 'mock-user',
-      category: category,
-      subcategory: 'Web Development',
-      tags: ['sample', 'mock', 'local'],
-      likes_count: Math.floor(Math.random() * 100),
-      views_count: Math.floor(Math.random() * 500),
-      user: {
-        username: 'LocalUser',
-        avatar_url: null
-      }
-    }));
-    
-    return {
-      success: true,
-      message: 'Using local mode',
-      data: mockRelated,
-      localMode: true
-    };
-  }
-  
   // Generate a cache key
   const cacheKey = `related-${resourceId}-${category}-${limit}`;
   
   // Check cache first
-  const cachedRelated = resourceCache.get(cacheKey);
-  if (cachedRelated) {
+  const cachedList = source.isLocal ? null : getList(cacheKey);
+  if (cachedList) {
     console.log('Using cached related resources:', cacheKey);
     return {
       success: true,
       message: 'Related resources loaded from cache',
-      data: cachedRelated,
+      data: cachedList.data.map(resource => ({ ...resource, related: cachedList.related[resource.id] })),
       localMode: false
     };
   }
   
   try {
-    // Use direct Supabase query without joins
-    const { data: relatedData, error } = await supabase
-      .from('resources')
-      .select('*')
-      .eq('category', category)
-      .neq('id', resourceId)
-      .order('created_at', { ascending: false })
-      .limit(limit);
-    
-    if (error) throw error;
-    
-    // Ensure relatedData is an array
-    const processedRelatedData = Array.isArray(relatedData) ? relatedData : 
-      (relatedData ? [relatedData] : []);
-    
-    if (!processedRelatedData || processedRelatedData.length === 0) {
-      // If no results in the same category, try to get any resources
-      const { data: anyData, error: anyError } = await supabase
-        .from('resources')
-        .select('*')
-        .neq('id', resourceId)
-        .order('created_at', { ascending: false })
-        .limit(limit);
-      
-      if (anyError) throw anyError;
-      
-      // Ensure anyData is an array
-      const processedAnyData = Array.isArray(anyData) ? anyData : 
-        (anyData ? [anyData] : []);
-      
-      // Process and add user data
-      const processedResources = await Promise.all(
-        (processedAnyData || []).map(async (resource) => {
-          let userData = null;
-          
-          // Try to get user info if user_id exists
-          if (resource.user_id) {
-            try {
-              // Try users table first
-              const { data: userInfo, error: userError } = await supabase
-                .from('users')
-                .select('username, avatar_url')
-                .eq('id', resource.user_id)
-                .single();
-              
-              if (!userError && userInfo) {
-                userData = userInfo;
-              } else {
-                // Fallback to profiles table
-                try {
-                  const { data: profileInfo, error: profileError } = await supabase
-                    .from('profiles')
-                    .select('username, avatar_url')
-                    .eq('id', resource.user_id)
-                    .single();
-                  
-                  if (!profileError && profileInfo) {
-                    userData = profileInfo;
-                  }
-                } catch (profileError) {
-                  console.warn('Failed to fetch profile data for resource:', profileError);
-                }
-              }
-            } catch (userError) {
-              console.warn('Failed to fetch user data for resource:', userError);
-            }
-          }
-          
-          // Get view count for this resource
-          const viewCount = await getViewCount(resource.id);
-          
-          // Return resource with user data or fallback
-          return {
-            ...resource,
-            views_count: viewCount,
-            user: userData || {
-              username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-              avatar_url: null
-            }
-          };
-        })
-      );
-      
-      resourceCache.set(cacheKey, processedResources);
-      
-      return {
-        success: true,
-        message: 'Related resources loaded (fallback)',
-        data: processedResources,
-        localMode: false
-      };
-    }
+    const related = await source.getRelatedResources(resourceId, category, limit);
+    
+    const processedResources = related.map(withViewCount);
     
-    // Process resources from the same category
-    const processedResources = await Promise.all(
-      processedRelatedData.map(async (resource) => {
-        let userData = null;
-        
-        // Try to get user info if user_id exists
-        if (resource.user_id) {
-          try {
-            // Try users table first
-            const { data: userInfo, error: userError } = await supabase
-              .from('users')
-              .select('username, avatar_url')
-              .eq('id', resource.user_id)
-              .single();
-            
-            if (!userError && userInfo) {
-              userData = userInfo;
-            } else {
-              // Fallback to profiles table
-              try {
-                const { data: profileInfo, error: profileError } = await supabase
-                  .from('profiles')
-                  .select('username, avatar_url')
-                  .eq('id', resource.user_id)
-                  .single();
-                
-                if (!profileError && profileInfo) {
-                  userData = profileInfo;
-                }
-              } catch (profileError) {
-                console.warn('Failed to fetch profile data for resource:', profileError);
-              }
-            }
-          } catch (userError) {
-            console.warn('Failed to fetch user data for resource:', userError);
-          }
-        }
-        
-        // Get view count for this resource
-        const viewCount = await getViewCount(resource.id);
-        
-        // Return resource with user data or fallback
-        return {
-          ...resource,
-          views_count: viewCount,
-          user: userData || {
-            username: resource.user_id ? `User ${resource.user_id.substring(0, 5)}` : 'Anonymous',
-            avatar_url: null
-          }
-        };
-      })
-    );
-    
-    resourceCache.set(cacheKey, processedResources);
+    if (!source.isLocal) {
+      // Why an item was suggested depends on this resource, so it stays with the
+      // list rather than on the shared resource entity
+      const reasons = {};
+      const entities = processedResources.map(({ related: relatedInfo, ...resource }) => {
+        reasons[resource.id] = relatedInfo;
+        return resource;
+      });
+
+      putList(cacheKey, 'resources', entities, {
+        tags: [...resourceListTags({ category }), `list:related:${resourceId}`],
+        meta: { related: reasons }
+      });
+    }
     
     return {
       success: true,
-      message: 'Related resources loaded successfully',
+      message: source.isLocal ? 'Using local mode' : 'Related resources loaded successfully',
       data: processedResources,
-      localMode: false
+      localMode: source.isLocal
     };
   } catch (err) {
     console.error('Error fetching related resources:', err);
     const errorInfo = handleSupabaseError(err, 'getRelatedResources');
     
-    // If network error, switch to local mode
-    if (err.message === 'Failed to fetch' || err.code === 'NETWORK_ERROR') {
-      localStorage.setItem('forceSupabaseConnection', 'false');
-      return getRelatedResources(resourceId, category, limit); // Retry with local mode
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getRelatedResources(resourceId, category, limit, getLocalDataSource());
     } else {
       return {
         success: false,
         message: `Error loading related resources: ${errorInfo.message || err.message}`,
         data: [],
-        localMode: false,
+        localMode: source.isLocal,
         error: errorInfo
       };
     }
   }
 };
 
+// Get resource counts per category, subcategory and tag in one small payload
+export const getResourceCounts = async ({ tags = null, source = getDataSource() } = {}) => {
+  const cacheKey = `counts-${tags ? [...tags].sort().join(',') : 'all'}`;
+  
+  // Counts have no rows of their own; they live in the list meta so that
+  // anything invalidating resource lists drops them too
+  const cachedList = source.isLocal ? null : getList(cacheKey);
+  if (cachedList) {
+    console.log('Using cached resource counts:', cacheKey);
+    return {
+      success: true,
+      message: 'Resource counts loaded from cache',
+      data: cachedList.counts,
+      localMode: false
+    };
+  }
+  
+  try {
+    const counts = await source.getResourceCounts({ tags });
+    
+    if (!source.isLocal) {
+      putList(cacheKey, 'resources', [], {
+        tags: ['list:resources'],
+        meta: { counts },
+        ttl: COUNTS_TTL
+      });
+    }
+    
+    return {
+      success: true,
+      message: source.isLocal ? 'Using local mode' : 'Resource counts loaded successfully',
+      data: counts,
+      localMode: source.isLocal
+    };
+  } catch (err) {
+    console.error('Error fetching resource counts:', err);
+    const errorInfo = handleSupabaseError(err, 'getResourceCounts');
+    
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getResourceCounts({ tags, source: getLocalDataSource() });
+    }
+    
+    return {
+      success: false,
+      message: `Error loading resource counts: ${errorInfo.message || err.message}`,
+      data: null,
+      localMode: source.isLocal,
+      error: errorInfo
+    };
+  }
+};
+
+// Get resources ranked by recent, time-decayed activity
+export const getTrendingResources = async ({
+  limit = 6,
+  category = null,
+  windowDays = DEFAULT_WINDOW_DAYS,
+  halfLifeHours = TRENDING_HALF_LIFE_HOURS,
+  source = getDataSource()
+} = {}) => {
+  const cacheKey = `trending-${category || 'all'}-${windowDays}-${halfLifeHours}-${limit}`;
+  
+  // Check cache first
+  const cachedList = source.isLocal ? null : getList(cacheKey);
+  if (cachedList) {
+    console.log('Using cached trending resources:', cacheKey);
+    return {
+      success: true,
+      message: 'Trending resources loaded from cache',
+      data: cachedList.data,
+      localMode: false
+    };
+  }
+  
+  try {
+    const trending = await source.getTrendingResources({ limit, category, halfLifeHours, windowDays });
+    const processedResources = trending.map(withViewCount);
+    
+    if (!source.isLocal) {
+      putList(cacheKey, 'resources', processedResources, {
+        tags: [...resourceListTags({ category }), 'list:trending']
+      });
+    }
+    
+    return {
+      success: true,
+      message: source.isLocal ? 'Using local mode' : 'Trending resources loaded successfully',
+      data: processedResources,
+      localMode: source.isLocal
+    };
+  } catch (err) {
+    console.error('Error fetching trending resources:', err);
+    const errorInfo = handleSupabaseError(err, 'getTrendingResources');
+    
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getTrendingResources({ limit, category, windowDays, halfLifeHours, source: getLocalDataSource() });
+    }
+    
+    return {
+      success: false,
+      message: `Error loading trending resources: ${errorInfo.message || err.message}`,
+      data: [],
+      localMode: source.isLocal,
+      error: errorInfo
+    };
+  }
+};
+
+// Get personal recommendations for the "For you" rail
+export const getRecommendedResources = async (userId, limit = 6, source = getDataSource()) => {
+  if (!userId) {
+    return {
+      success: false,
+      message: 'Missing user ID',
+      data: []
+    };
+  }
+  
+  const cacheKey = `for-you-${userId}-${limit}`;
+  
+  // Check cache first
+  const cachedList = source.isLocal ? null : getList(cacheKey);
+  if (cachedList) {
+    console.log('Using cached recommendations:', cacheKey);
+    return {
+      success: true,
+      message: 'Recommendations loaded from cache',
+      data: cachedList.data,
+      coldStart: cachedList.coldStart,
+      localMode: false
+    };
+  }
+  
+  try {
+    const [activity, candidates] = await Promise.all([
+      source.getUserActivity(userId),
+      source.getResources({ limit: RECOMMENDATION_CANDIDATES, orderBy: 'created_at', orderDirection: 'desc' })
+    ]);
+    
+    const profile = buildUserProfile(activity);
+    const recommended = recommendForProfile(profile, candidates.data, limit).map(withViewCount);
+    const coldStart = recommended.length > 0 && recommended.every(resource => resource.recommended.coldStart);
+    
+    if (!source.isLocal) {
+      putList(cacheKey, 'resources', recommended.map(({ recommended: _, ...resource }) => resource), {
+        // New favorites change both the profile and what may be shown
+        tags: ['list:resources', `favorites:${userId}`, `list:for-you:${userId}`],
+        meta: { coldStart }
+      });
+    }
+    
+    return {
+      success: true,
+      message: source.isLocal ? 'Using local mode' : 'Recommendations loaded successfully',
+      data: recommended,
+      coldStart,
+      localMode: source.isLocal
+    };
+  } catch (err) {
+    console.error('Error fetching recommendations:', err);
+    const errorInfo = handleSupabaseError(err, 'getRecommendedResources');
+    
+    // If Supabase is unreachable, answer from the local catalog
+    if (shouldFallBackToLocal(err, source)) {
+      return getRecommendedResources(userId, limit, getLocalDataSource());
+    }
+    
+    return {
+      success: false,
+      message: `Error loading recommendations: ${errorInfo.message || err.message}`,
+      data: [],
+      localMode: source.isLocal,
+      error: errorInfo
+    };
+  }
+};
+
 // Increment view count for a resource
 export const incrementViewCount = async (resourceId) => {
-  // Skip in local mode
-  if (checkLocalMode()) return { success: true, localMode: true };
+  const source = getDataSource();
   
   try {
     // Add a record to the resource_views table instead of updating a column
-    const { error } = await supabase
-      .from('resource_views')
-      .insert({
-        resource_id: resourceId,
-        created_at: new Date().toISOString()
-      });
-      
-    if (error) {
-      // If unauthorized/permission error, just return success false but don't break the app
-      if (error.code === '401' || error.status === 401) {
-        console.warn('Unauthorized access to resource_views. View tracking disabled.');
-        return { success: false, error: 'unauthorized', message: 'View tracking disabled' };
-      }
-      throw error;
+    await source.recordView(resourceId);
+    return { success: true, localMode: source.isLocal };
+  } catch (err) {
+    // If unauthorized/permission error, just return success false but don't break the app
+    if (err.code === '401' || err.status === 401) {
+      console.warn('Unauthorized access to resource_views. View tracking disabled.');
+      return { success: false, error: 'unauthorized', message: 'View tracking disabled' };
     }
     
-    return { success: true };
-  } catch (err) {
     console.error('Error incrementing view count:', err);
     // Non-critical error, don't show to user
     return { success: false, error: err };
@@ -744,69 +570,49 @@ export const toggleFavorite = async (resourceId, userId, isFavorited) => {
     return {
       success: false,
       message: 'User must be logged in to favorite resources',
-      authError: true
+      authError: true,
+      error: { type: ERROR_TYPES.AUTH }
     };
   }
   
-  // Skip in local mode
-  if (checkLocalMode()) {
+  const source = getDataSource();
+  
+  try {
+    const nowFavorited = await source.setFavorite(resourceId, userId, !isFavorited);
+    
+    // Update the like count everywhere the resource is shown, and drop favorite lists
+    updateEntity('resources', resourceId, resource => ({
+      likes_count: Math.max((resource.likes_count || 0) + (nowFavorited ? 1 : -1), 0)
+    }));
+    // Favorites are also the user's default collection
+    invalidateTags([`favorites:${userId}`, 'list:most-liked', `collections:${userId}`]);
+    
     return {
       success: true,
-      message: 'Using local mode',
-      isFavorited: !isFavorited,
-      localMode: true
+      message: source.isLocal
+        ? 'Using local mode'
+        : (nowFavorited ? 'Added to favorites' : 'Removed from favorites'),
+      isFavorited: nowFavorited,
+      ...(source.isLocal && { localMode: true })
     };
-  }
-  
-  try {
-    if (isFavorited) {
-      // Remove from favorites
-      const { error } = await executeWithRetry(async () => {
-        return supabase
-          .from('favorites')
-          .delete()
-          .eq('resource_id', resourceId)
-          .eq('user_id', userId);
-      });
-      
-      if (error) throw error;
-      
-      return {
-        success: true,
-        message: 'Removed from favorites',
-        isFavorited: false
-      };
-    } else {
-      // Add to favorites
-      const { error } = await executeWithRetry(async () => {
-        return supabase
-          .from('favorites')
-          .insert({
-            resource_id: resourceId,
-            user_id: userId
-          });
-      });
-      
-      if (error) throw error;
-      
-      return {
-        success: true,
-        message: 'Added to favorites',
-        isFavorited: true
-      };
-    }
   } catch (err) {
     console.error('Error toggling favorite:', err);
     const errorInfo = handleSupabaseError(err, 'toggleFavorite');
     
-    // If network error, switch to local mode
-    if (err.message === 'Failed to fetch' || err.code === 'NETWORK_ERROR') {
-      localStorage.setItem('forceSupabaseConnection', 'false');
+    // Offline: queue the change and keep the optimistic state until it syncs
+    if (isNetworkError(err)) {
+      enqueueMutation(isFavorited ? 'unfavorite' : 'favorite', { resourceId, userId }, {
+        title: getEntity('resources', resourceId, Infinity)?.title || null
+      });
+      updateEntity('resources', resourceId, resource => ({
+        likes_count: Math.max((resource.likes_count || 0) + (isFavorited ? -1 : 1), 0)
+      }));
+      
       return {
         success: true,
-        message: 'Network error. Switched to local mode.',
+        queued: true,
+        message: 'You are offline. This change will sync when the connection is back.',
         isFavorited: !isFavorited,
-        localMode: true,
         error: errorInfo
       };
     } else {
@@ -819,67 +625,402 @@ export const toggleFavorite = async (resourceId, userId, isFavorited) => {
   }
 };
 
-// Submit a new resource
-export const submitResource = async (resourceData) => {
-  // Skip in local mode
-  if (checkLocalMode()) {
+// Get the signed-in user's collections, default (favorites) first
+export const getUserCollections = async (userId, { skipCache = false } = {}) => {
+  if (!userId) return { success: true, data: [] };
+  
+  const source = getDataSource();
+  const cacheKey = `collections-${source.name}-${userId}`;
+  
+  if (!skipCache) {
+    const cached = getList(cacheKey);
+    if (cached) {
+      return { success: true, message: 'Collections loaded from cache', data: cached.data };
+    }
+  }
+  
+  try {
+    const data = await source.getUserCollections(userId);
+    putList(cacheKey, 'collections', data, { tags: [`collections:${userId}`] });
+    
     return {
       success: true,
-      message: 'Resource submitted successfully (local mode)',
-      data: {
-        ...resourceData,
-        id: uuidv4(),
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString()
-      },
-      localMode: true
+      message: 'Collections loaded successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error fetching collections:', err);
+    const errorInfo = handleSupabaseError(err, 'getUserCollections');
+    
+    return {
+      success: false,
+      message: `Failed to load collections: ${errorInfo.message}`,
+      data: [],
+      error: errorInfo
     };
   }
+};
+
+// Get recently updated public collections
+export const getPublicCollections = async ({ limit } = {}) => {
+  const source = getDataSource();
   
   try {
-    // Ensure timestamps are set
-    const dataWithTimestamps = {
-      ...resourceData,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
+    const data = await source.getPublicCollections({ limit });
+    
+    return {
+      success: true,
+      message: 'Public collections loaded successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
     };
+  } catch (err) {
+    console.error('Error fetching public collections:', err);
+    const errorInfo = handleSupabaseError(err, 'getPublicCollections');
     
-    // Submit the resource
-    const { data, error } = await executeWithRetry(async () => {
-      return supabase
-        .from('resources')
-        .insert(dataWithTimestamps)
-        .select()
-        .single();
+    return {
+      success: false,
+      message: `Failed to load collections: ${errorInfo.message}`,
+      data: [],
+      error: errorInfo
+    };
+  }
+};
+
+// Get a collection and its resources for /c/:slug
+export const getCollectionBySlug = async (slug) => {
+  const source = getDataSource();
+  
+  try {
+    const data = await source.getCollectionBySlug(slug);
+    if (data) putEntities('resources', data.resources);
+    
+    return {
+      success: true,
+      message: data ? 'Collection loaded successfully' : 'Collection not found',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error fetching collection:', err);
+    const errorInfo = handleSupabaseError(err, `getCollectionBySlug(${slug})`);
+    
+    return {
+      success: false,
+      message: `Failed to load collection: ${errorInfo.message}`,
+      data: null,
+      error: errorInfo
+    };
+  }
+};
+
+// Run a collection change and drop the cached collections it affects
+const changeCollections = async (userId, context, change) => {
+  const source = getDataSource();
+  
+  try {
+    const data = await change(source);
+    invalidateTags([`collections:${userId}`, 'list:collections']);
+    
+    return {
+      success: true,
+      message: 'Collection updated successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error(`Error in ${context}:`, err);
+    const errorInfo = handleSupabaseError(err, context);
+    
+    return {
+      success: false,
+      message: `Failed to update collection: ${errorInfo.message}`,
+      error: errorInfo
+    };
+  }
+};
+
+// Create a collection owned by the user
+export const createCollection = async (userId, fields) => (
+  changeCollections(userId, 'createCollection', source => source.createCollection({ ...fields, user_id: userId }))
+);
+
+// Change a collection's title, description, cover or visibility
+export const updateCollection = async (collectionId, changes, userId) => (
+  changeCollections(userId, 'updateCollection', source => source.updateCollection(collectionId, changes))
+);
+
+// Delete a collection (not the default one)
+export const deleteCollection = async (collectionId, userId) => (
+  changeCollections(userId, 'deleteCollection', source => source.deleteCollection(collectionId))
+);
+
+// Save a new order of a collection's resources
+export const reorderCollection = async (collectionId, resourceIds, userId) => (
+  changeCollections(userId, 'reorderCollection', source => source.reorderCollection(collectionId, resourceIds))
+);
+
+// Add a resource to a collection or take it out. The default collection is
+// the user's favorites, so it goes through toggleFavorite (like counts, offline queue).
+export const setCollectionMembership = async (collection, resourceId, userId, included) => {
+  if (collection.is_default) {
+    return toggleFavorite(resourceId, userId, !included);
+  }
+  
+  return changeCollections(userId, 'setCollectionMembership', source => (
+    included
+      ? source.addToCollection(collection.id, resourceId)
+      : source.removeFromCollection(collection.id, resourceId)
+  ));
+};
+
+// Add imported entries (see bookmarkFormats.parseBookmarkFile) to a collection,
+// matching them to catalog resources by canonical URL. Entries that match no
+// resource come back as missing, so the user can submit them.
+export const importToCollection = async (collection, entries, userId) => {
+  const check = await checkForDuplicates(entries);
+  if (!check.success) return { ...check, data: { added: [], existing: [], missing: [] } };
+
+  // Catalog matches, once each; rows repeated within the file are dropped
+  const matched = new Map();
+  check.data.duplicates
+    .filter(duplicate => !duplicate.inBatch)
+    .forEach(duplicate => {
+      if (!matched.has(duplicate.existing.id)) matched.set(duplicate.existing.id, duplicate.existing);
+    });
+
+  const current = new Set(collection.resource_ids || []);
+  const added = [...matched.values()].filter(resource => !current.has(resource.id));
+  const existing = [...matched.values()].filter(resource => current.has(resource.id));
+  const missing = check.data.unique;
+
+  if (added.length === 0) {
+    return {
+      success: true,
+      message: 'Nothing new to add',
+      data: { added, existing, missing },
+      ...(check.localMode && { localMode: true })
+    };
+  }
+
+  // One item at a time so positions follow the file; the default collection's
+  // items become favorites through the same triggers as the picker
+  const result = await changeCollections(userId, 'importToCollection', async (source) => {
+    for (const resource of added) {
+      await source.addToCollection(collection.id, resource.id);
+    }
+    return added;
+  });
+
+  if (collection.is_default) {
+    invalidateTags([`favorites:${userId}`, 'list:most-liked']);
+  }
+
+  return { ...result, data: { added: result.success ? added : [], existing, missing } };
+};
+
+// Load the category taxonomy (see taxonomy.js). Falls back to the bundled
+// default when the tables can't be read.
+export const getTaxonomy = async ({ source = getDataSource() } = {}) => {
+  const cachedList = source.isLocal ? null : getList('taxonomy');
+  if (cachedList) {
+    return {
+      success: true,
+      message: 'Taxonomy loaded from cache',
+      data: cachedList.taxonomy,
+      localMode: false
+    };
+  }
+  
+  try {
+    const taxonomy = await source.getTaxonomy();
+    
+    if (!source.isLocal) {
+      // Like counts, the tree lives in the list meta
+      putList('taxonomy', 'resources', [], {
+        tags: ['taxonomy'],
+        meta: { taxonomy },
+        ttl: TAXONOMY_TTL
+      });
+    }
+    
+    return {
+      success: true,
+      message: source.isLocal ? 'Using local mode' : 'Taxonomy loaded successfully',
+      data: taxonomy,
+      localMode: source.isLocal
+    };
+  } catch (err) {
+    console.error('Error fetching taxonomy:', err);
+    const errorInfo = handleSupabaseError(err, 'getTaxonomy');
+    
+    if (shouldFallBackToLocal(err, source)) {
+      return getTaxonomy({ source: getLocalDataSource() });
+    }
+    
+    return {
+      success: false,
+      message: `Error loading taxonomy: ${errorInfo.message || err.message}`,
+      data: DEFAULT_TAXONOMY,
+      localMode: source.isLocal,
+      error: errorInfo
+    };
+  }
+};
+
+// Run an admin change to the taxonomy. Renames and merges move resources
+// between categories, so resource lists and counts are dropped too.
+const changeTaxonomy = async (context, change) => {
+  const source = getDataSource();
+  
+  try {
+    const data = await change(source);
+    invalidateTags(['taxonomy', 'resources', 'list:resources']);
+    
+    return {
+      success: true,
+      message: 'Taxonomy updated successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error(`Error in ${context}:`, err);
+    const errorInfo = handleSupabaseError(err, context);
+    
+    return {
+      success: false,
+      message: `Failed to update the taxonomy: ${errorInfo.message}`,
+      error: errorInfo
+    };
+  }
+};
+
+// Add a category, or a subcategory (fields.category_id), at the end
+export const createTaxonomyNode = async (kind, fields) => (
+  changeTaxonomy('createTaxonomyNode', source => source.createTaxonomyNode(kind, fields))
+);
+
+// Rename a node or change its slug, emoji, icon or translations; a
+// subcategory can also move to another category (changes.category_id)
+export const updateTaxonomyNode = async (kind, id, changes) => (
+  changeTaxonomy('updateTaxonomyNode', source => source.updateTaxonomyNode(kind, id, changes))
+);
+
+// Fold one node into another; data is the number of resources moved
+export const mergeTaxonomyNodes = async (kind, sourceId, targetId) => (
+  changeTaxonomy('mergeTaxonomyNodes', source => source.mergeTaxonomyNodes(kind, sourceId, targetId))
+);
+
+// Save a new order of categories, or of one category's subcategories
+export const reorderTaxonomy = async (kind, ids) => (
+  changeTaxonomy('reorderTaxonomy', source => source.reorderTaxonomy(kind, ids))
+);
+
+// Read a page's title, description, image, favicon, site name and language
+// through the api/metadata.js route (see metadataExtractor.js)
+export const fetchUrlMetadata = async (url, { signal } = {}) => {
+  try {
+    const response = await fetch(`/api/metadata?url=${encodeURIComponent(url)}`, { signal });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body?.success) {
+      throw new Error(body?.message || `Metadata request failed with ${response.status}`);
+    }
+
+    return { success: true, data: body.data };
+  } catch (err) {
+    if (err.name === 'AbortError') return { success: false, aborted: true, data: null };
+
+    console.warn('Could not fetch page metadata:', err.message);
+    return {
+      success: false,
+      message: `Failed to fetch page details: ${err.message}`,
+      data: null,
+      error: err
+    };
+  }
+};
+
+// Ask api/thumbnails.js to store thumbnails for a resource. It answers from
+// the database when they already exist, so this is safe to call again. Only
+// the submitter or an admin may ask, so the session token goes along.
+export const requestThumbnails = async (resourceId) => {
+  try {
+    const { data: { session } } = await supabase.auth.getSession();
+    if (!session) throw new Error('Sign in to generate thumbnails');
+
+    const response = await fetch('/api/thumbnails', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${session.access_token}`
+      },
+      body: JSON.stringify({ resourceId })
     });
+    const body = await response.json().catch(() => null);
+
+    if (!response.ok || !body?.success) {
+      throw new Error(body?.message || `Thumbnail request failed with ${response.status}`);
+    }
+
+    // Cards and the resource page switch to the stored variants
+    updateEntity('resources', resourceId, () => ({ thumbnails: body.data }));
+    return { success: true, data: body.data };
+  } catch (err) {
+    console.warn('Could not generate thumbnails:', err.message);
+    return {
+      success: false,
+      message: `Failed to generate thumbnails: ${err.message}`,
+      data: null,
+      error: err
+    };
+  }
+};
+
+// Submit a new resource
+export const submitResource = async (resourceData) => {
+  const source = getDataSource();
+  
+  // Ensure the id and timestamps are set
+  const dataWithTimestamps = {
+    id: resourceData.id || uuidv4(),
+    ...resourceData,
+    created_at: new Date().toISOString(),
+    updated_at: new Date().toISOString()
+  };
+  
+  try {
+    
+    const data = await source.createResource(dataWithTimestamps);
     
-    if (error) throw error;
+    // Every list that could include the new resource is now stale
+    invalidateTags(resourceListTags({ category: data?.category, subcategory: data?.subcategory }));
     
-    // Clear the resources cache
-    resourceCache.clearAll();
+    // Thumbnails are made in the background; until then cards show a placeholder.
+    // Submissions waiting for approval get theirs when an admin approves them.
+    if (!source.isLocal && data?.id && data.approved !== false) requestThumbnails(data.id);
     
     return {
       success: true,
-      message: 'Resource submitted successfully',
-      data: data
+      message: source.isLocal ? 'Resource submitted successfully (local mode)' : 'Resource submitted successfully',
+      data: data,
+      ...(source.isLocal && { localMode: true })
     };
   } catch (err) {
     console.error('Error submitting resource:', err);
     const errorInfo = handleSupabaseError(err, 'submitResource');
     
-    // If network error, switch to local mode
-    if (err.message === 'Failed to fetch' || err.code === 'NETWORK_ERROR') {
-      localStorage.setItem('forceSupabaseConnection', 'false');
+    // Offline: queue the submission. It keeps its id, so a replay that
+    // already went through is recognised instead of duplicated.
+    if (isNetworkError(err)) {
+      enqueueMutation('submit', { resource: dataWithTimestamps }, { title: dataWithTimestamps.title });
+      
       return {
         success: true,
-        message: 'Network error. Switched to local mode.',
-        data: {
-          ...resourceData,
-          id: uuidv4(),
-          created_at: new Date().toISOString(),
-          updated_at: new Date().toISOString()
-        },
-        localMode: true,
+        queued: true,
+        message: 'You are offline. Your resource will be submitted when the connection is back.',
+        data: { ...dataWithTimestamps, pending: true },
         error: errorInfo
       };
     } else {
@@ -892,49 +1033,174 @@ export const submitResource = async (resourceData) => {
   }
 };
 
+// Edit a resource (submitter or admin). Every change is stored as a revision.
+export const updateResource = async (resourceId, changes, userId = null) => {
+  const source = getDataSource();
+  const previous = getEntity('resources', resourceId, Infinity);
+  
+  try {
+    const data = await source.updateResource(resourceId, changes, userId);
+    
+    // Views showing this resource pick up the edit through the entity store
+    putEntities('resources', data);
+    
+    // The database drops stale thumbnails when the URL or image changes
+    if (!source.isLocal && ('url' in changes || 'image_url' in changes)) requestThumbnails(resourceId);
+    invalidateTags([
+      ...resourceListTags({ category: data.category, subcategory: data.subcategory }),
+      // Lists it may have moved out of
+      ...resourceListTags({ category: previous?.category, subcategory: previous?.subcategory }),
+      `revisions:${resourceId}`
+    ]);
+    
+    return {
+      success: true,
+      message: 'Resource updated successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error updating resource:', err);
+    const errorInfo = handleSupabaseError(err, `updateResource(${resourceId})`);
+    
+    return {
+      success: false,
+      message: `Failed to update resource: ${errorInfo.message}`,
+      error: errorInfo
+    };
+  }
+};
+
+// Get the revision history of a resource, newest first
+export const getResourceRevisions = async (resourceId) => {
+  const source = getDataSource();
+  
+  try {
+    const data = await source.getResourceRevisions(resourceId);
+    
+    return {
+      success: true,
+      message: 'Revisions loaded successfully',
+      data,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error fetching revisions:', err);
+    const errorInfo = handleSupabaseError(err, `getResourceRevisions(${resourceId})`);
+    
+    return {
+      success: false,
+      message: `Failed to load revisions: ${errorInfo.message}`,
+      data: [],
+      error: errorInfo
+    };
+  }
+};
+
+// Undo a revision by restoring the values it replaced (recorded as a new revision)
+export const revertRevision = async (revision, userId = null) => (
+  updateResource(revision.resource_id, getRevertValues(revision), userId)
+);
+
+// Find resources that already link to the same page as a URL
+export const findDuplicateResources = async (url, { excludeId = null, source = getDataSource() } = {}) => {
+  const canonicalUrl = canonicalizeUrl(url);
+  if (!canonicalUrl) return { success: true, data: [], canonicalUrl };
+  
+  try {
+    const matches = await source.findResourcesByCanonicalUrls([canonicalUrl]);
+    
+    return {
+      success: true,
+      data: matches.filter(resource => resource.id !== excludeId),
+      canonicalUrl,
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error checking for duplicate resources:', err);
+    const errorInfo = handleSupabaseError(err, 'findDuplicateResources');
+    
+    return {
+      success: false,
+      message: `Failed to check for duplicates: ${errorInfo.message}`,
+      data: [],
+      canonicalUrl,
+      error: errorInfo
+    };
+  }
+};
+
+// Split a batch of resources (e.g. an import) into new ones and duplicates,
+// of the catalog or of each other (see urlUtils.findDuplicates)
+export const checkForDuplicates = async (resources, { source = getDataSource() } = {}) => {
+  try {
+    const existing = await source.findResourcesByCanonicalUrls(resources.map(resource => canonicalizeUrl(resource.url)));
+    
+    return {
+      success: true,
+      data: findDuplicates(resources, existing),
+      ...(source.isLocal && { localMode: true })
+    };
+  } catch (err) {
+    console.error('Error checking for duplicate resources:', err);
+    const errorInfo = handleSupabaseError(err, 'checkForDuplicates');
+    
+    return {
+      success: false,
+      message: `Failed to check for duplicates: ${errorInfo.message}`,
+      data: { unique: [], duplicates: [] },
+      error: errorInfo
+    };
+  }
+};
+
+// Fold a duplicate from checkForDuplicates into the resource it duplicates.
+// Duplicates within the batch are merged into the earlier row, before it's saved.
+export const mergeDuplicateResource = async ({ resource, existing, inBatch }, userId = null) => {
+  const changes = mergeDuplicate(existing, resource);
+  
+  if (Object.keys(changes).length === 0) {
+    return { success: true, message: 'Nothing to merge', data: existing, unchanged: true };
+  }
+  
+  if (inBatch) {
+    Object.assign(existing, changes);
+    return { success: true, message: 'Merged into an earlier row', data: existing };
+  }
+  
+  return updateResource(existing.id, changes, userId);
+};
+
 // Track resource view
 export const trackResourceView = async (resourceId, userId = null) => {
   if (!resourceId) return { success: false, error: 'No resource ID provided' };
   
-  // Skip in local mode
-  if (checkLocalMode()) return { success: true, localMode: true };
+  const source = getDataSource();
   
   try {
     // Create view record in the resource_views table
-    const viewData = {
-      resource_id: resourceId,
-      user_id: userId,
-      created_at: new Date().toISOString()
-    };
-    
-    const { error } = await supabase
-      .from('resource_views')
-      .insert([viewData]);
-      
-    if (error) {
-      // If unauthorized/permission error, just return success false but don't break the app
-      if (error.code === '401' || error.status === 401 || error.code === '42501') {
-        console.warn('Unauthorized access to resource_views. View tracking disabled.');
-        return { success: false, error: error, message: 'View tracking disabled due to permissions' };
-      }
-      throw error;
-    }
+    await source.recordView(resourceId, userId);
     
-    // Invalidate cache for this resource
-    invalidateResourceCache(resourceId);
+    // Keep the cached count in step with the database counter
+    updateEntity('resources', resourceId, resource => ({
+      views_count: Number.isFinite(resource.views_count) ? resource.views_count + 1 : resource.views_count
+    }));
     
-    return { success: true };
+    return { success: true, ...(source.isLocal && { localMode: true }) };
   } catch (error) {
+    // If unauthorized/permission error, just return success false but don't break the app
+    if (error.code === '401' || error.status === 401 || error.code === '42501') {
+      console.warn('Unauthorized access to resource_views. View tracking disabled.');
+      return { success: false, error: error, message: 'View tracking disabled due to permissions' };
+    }
+    
     const errorInfo = handleSupabaseError(error, `trackResourceView(${resourceId})`);
     // Don't show this as a critical error to the user
     console.warn('Error tracking resource view (non-critical):', errorInfo);
     return { 
       success: false, 
       error: errorInfo, 
-      // Include a clear message to differentiate permission errors from other errors
-      message: errorInfo.code === '42501' || errorInfo.code === '401' 
-        ? 'View tracking disabled due to permissions' 
-        : 'Error tracking view'
+      message: 'Error tracking view'
     };
   }
 };
@@ -944,16 +1210,7 @@ export const checkFavoriteStatus = async (resourceId, userId) => {
   if (!resourceId || !userId) return false;
   
   try {
-    const { data, error } = await supabase
-      .from('favorites')
-      .select('id')
-      .eq('resource_id', resourceId)
-      .eq('user_id', userId)
-      .single();
-      
-    if (error && error.code !== 'PGRST116') throw error;
-    
-    return !!data;
+    return await getDataSource().isFavorited(resourceId, userId);
   } catch (error) {
     console.error('Error checking favorite status:', error);
     return false;
@@ -964,20 +1221,12 @@ export const checkFavoriteStatus = async (resourceId, userId) => {
 export const getAllResources = async () => {
   try {
     console.log('Fetching all resources');
-    const { data, error } = await supabase
-      .from('resources')
-      .select('*')
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Error fetching resources:', error);
-      return { success: false, error };
-    }
+    const data = await getDataSource().getAllResources();
 
-    console.log(`Fetched ${data?.length || 0} resources`);
-    return { success: true, data: data || [] };
+    console.log(`Fetched ${data.length} resources`);
+    return { success: true, data };
   } catch (error) {
-    console.error('Unexpected error fetching resources:', error);
+    console.error('Error fetching resources:', error);
     return { success: false, error };
   }
 };
@@ -990,60 +1239,36 @@ export const getResourcesByCategory = async (category) => {
 
   try {
     console.log(`Fetching resources in category: ${category}`);
-    const { data, error } = await supabase
-      .from('resources')
-      .select('*')
-      .eq('category', category)
-      .order('created_at', { ascending: false });
-
-    if (error) {
-      console.error('Error fetching resources by category:', error);
-      return { success: false, error };
-    }
+    const data = await getDataSource().getAllResources({ category });
 
-    console.log(`Fetched ${data?.length || 0} resources in category: ${category}`);
-    return { success: true, data: data || [] };
+    console.log(`Fetched ${data.length} resources in category: ${category}`);
+    return { success: true, data };
   } catch (error) {
-    console.error('Unexpected error fetching resources by category:', error);
+    console.error('Error fetching resources by category:', error);
     return { success: false, error };
   }
 };
 
-// Get view count for a resource
+// Get view count for a resource. Returns null when the count is unknown.
 export const getViewCount = async (resourceId) => {
-  if (!resourceId) return 0;
-  
-  // Skip in local mode
-  if (checkLocalMode()) return Math.floor(Math.random() * 100);
+  if (!resourceId) return null;
   
   try {
-    // Count records in resource_views for this resource
-    const { count, error } = await supabase
-      .from('resource_views')
-      .select('*', { count: 'exact', head: true })
-      .eq('resource_id', resourceId);
-      
-    if (error) {
-      // If unauthorized/permission error, use a cached count or default value
-      if (error.code === '401' || error.status === 401 || error.code === '42501') {
-        console.warn('Unauthorized access to resource_views. Using cached or default view count.');
-        
-        // Try to get from cache if available
-        const cachedResource = resourceCache.get(resourceId);
-        if (cachedResource && typeof cachedResource.views_count === 'number') {
-          return cachedResource.views_count;
-        }
-        
-        // Use a random but reasonable number for better UX than showing 0
-        return Math.floor(Math.random() * 50) + 5; // Between 5-55 views
-      }
-      throw error;
+    return await getDataSource().getViewCount(resourceId);
+  } catch (error) {
+    // If unauthorized/permission error, fall back to the last count we saw
+    if (error.code === '401' || error.status === 401 || error.code === '42501') {
+      console.warn('Unauthorized access to view counts. Using cached count if available.');
+    } else {
+      console.warn('Error getting view count (non-critical):', error);
     }
     
-    return count || 0;
-  } catch (err) {
-    console.warn('Error getting view count (non-critical):', err);
-    // Return a reasonable default value instead of 0
-    return Math.floor(Math.random() * 50) + 5; // Between 5-55 views
+    const cachedResource = getEntity('resources', resourceId, Infinity);
+    if (cachedResource && typeof cachedResource.views_count === 'number') {
+      return cachedResource.views_count;
+    }
+    
+    // Report the count as unknown rather than inventing one
+    return null;
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,77 @@
+/**
+ * Resource revisions.
+ *
+ * Every edit to a resource is stored in resource_revisions as
+ * { id, resource_id, user_id, changes, created_at }, where changes maps each
+ * edited field to { from, to }. In Supabase the record_resource_revision
+ * trigger (db/create_resource_revisions.sql) writes them; the local and
+ * in-memory sources use diffResource() to do the same.
+ */
+
+// Fields owners and admins can edit, and that revisions track
+export const EDITABLE_FIELDS = ['title', 'description', 'url', 'image_url', 'category', 'subcategory', 'tags', 'attributes'];
+
+// Object keys are sorted so jsonb values compare equal whatever order they come back in
+const stableJson = (value) => JSON.stringify(value ?? null, (key, item) => (
+  item && typeof item === 'object' && !Array.isArray(item)
+    ? Object.fromEntries(Object.keys(item).sort().map(name => [name, item[name]]))
+    : item
+));
+
+const sameValue = (a, b) => stableJson(a) === stableJson(b);
+
+/**
+ * Keep only the editable fields of a change set
+ * @param {Object} changes - Proposed values
+ * @returns {Object} Editable fields present in changes
+ */
+export const pickEditableFields = (changes) => Object.fromEntries(
+  EDITABLE_FIELDS.filter(field => field in changes).map(field => [field, changes[field]])
+);
+
+/**
+ * Compare two versions of a resource
+ * @param {Object} before - Resource before the edit
+ * @param {Object} after - Resource after the edit
+ * @returns {Object} { field: { from, to } } for every editable field that changed
+ */
+export const diffResource = (before, after) => {
+  const changes = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    if (!sameValue(before?.[field], after?.[field])) {
+      changes[field] = { from: before?.[field] ?? null, to: after?.[field] ?? null };
+    }
+  });
+
+  return changes;
+};
+
+/**
+ * Values that undo a revision
+ * @param {Object} revision - Revision row
+ * @returns {Object} { field: value before the revision }
+ */
+export const getRevertValues = (revision) => Object.fromEntries(
+  Object.entries(revision.changes || {}).map(([field, change]) => [field, change.from])
+);
+
+/**
+ * Check whether a user may edit a resource: its submitter or an admin.
+ * The database enforces the same rule with row level security.
+ * @param {Object} resource - Resource
+ * @param {Object} user - Signed-in user
+ * @param {Object} profile - The user's profile
+ * @returns {boolean} True if the edit route should be offered
+ */
+export const canEditResource = (resource, user, profile) => (
+  !!resource && !!user && (resource.user_id === user.id || !!profile?.is_admin)
+);
+
+export default {
+  EDITABLE_FIELDS,
+  pickEditableFields,
+  diffResource,
+  getRevertValues,
+  canEditResource
+};
@@ -1,26 +1,114 @@
 import { createClient } from '@supabase/supabase-js';
-import { optimizedRequest, checkConnectionStatus } from './requestManager';
+import { optimizedRequest, checkConnectionStatus, clearRequestCache, setCacheUser } from './requestManager';
+import { createLocalSupabaseClient } from './memorySupabase';
+import {
+  createCircuitOpenError,
+  getBackoffDelay,
+  getConnectionHealth,
+  isCircuitOpen,
+  isNetworkError,
+  probeConnection,
+  recordFailure,
+  recordSuccess,
+  setProbeHandler
+} from './connectionHealth';
+import { describeError, ERROR_TYPES } from './errors';
 
 // Get environment variables
 const supabaseUrl = import.meta.env.VITE_SUPABASE_URL;
 const supabaseKey = import.meta.env.VITE_SUPABASE_ANON_KEY;
 
+// VITE_DATA_SOURCE=memory swaps the client for an in-memory database seeded with the catalog
+const useMemoryClient = (import.meta.env.VITE_DATA_SOURCE || '').toLowerCase() === 'memory';
+
 // Validate environment variables
-if (!supabaseUrl) {
+if (!supabaseUrl && !useMemoryClient) {
   console.error('Missing VITE_SUPABASE_URL environment variable');
 }
 
-if (!supabaseKey) {
+if (!supabaseKey && !useMemoryClient) {
   console.error('Missing VITE_SUPABASE_ANON_KEY environment variable');
 }
 
-// Connection check status
-let connectionStatus = {
-  lastChecked: 0,
-  isConnected: null,
-  checkInProgress: false
+// Healthy connections are re-checked at most every 5 minutes
+const HEALTHY_RECHECK_INTERVAL = 5 * 60 * 1000;
+
+// Query Supabase to see whether the database answers
+const runConnectionCheck = async () => {
+  // Simple direct query method to test the database connection
+  // This is more reliable than checking the health API
+  const startTime = performance.now();
+  
+  // First, try querying an existing table like 'resources'
+  try {
+    // A HEAD request, so the check always reaches the server instead of the response cache
+    const { error } = await supabase
+      .from('resources')
+      .select('id', { head: true })
+      .limit(1);
+    
+    const endTime = performance.now();
+    const responseTime = Math.round(endTime - startTime);
+    
+    if (error && error.code === '42P01') {
+      // 'resources' table doesn't exist, but connection works
+      console.log(`Supabase connection successful (${responseTime}ms) - 'resources' table doesn't exist yet`);
+      return true;
+    } else if (!error) {
+      // Successful query
+      console.log(`Supabase connection successful (${responseTime}ms) - Retrieved data from 'resources'`);
+      return true;
+    }
+  } catch (resourceError) {
+    console.log('Error checking resources table:', resourceError);
+    // Continue to fallback check
+  }
+  
+  // Fallback: Try the dummy query that will always fail with a specific error
+  const { error } = await supabase
+    .from('_dummy_query_for_connection_test_')
+    .select('*')
+    .limit(1)
+    .maybeSingle();
+    
+  const endTime = performance.now();
+  const responseTime = Math.round(endTime - startTime);
+  
+  // If we get a "relation does not exist" error (code 42P01),
+  // that actually means our connection is working! The table just doesn't exist.
+  if (error && error.code === '42P01') {
+    console.log(`Supabase connection successful (${responseTime}ms) - Expected 'relation does not exist' error`);
+    return true;
+  }
+  
+  // Check for 404 errors that can happen during connection tests
+  if (error && (error.status === 404 || error.code === '404')) {
+    // 404 errors can sometimes happen on fresh Supabase installations
+    // Let's test auth endpoints instead
+    try {
+      // Just check if we can access the auth API
+      await supabase.auth.getSession();
+      console.log(`Supabase connection successful (${responseTime}ms) - Auth API accessible`);
+      return true;
+    } catch (authError) {
+      console.log('Auth check also failed:', authError);
+    }
+  }
+  
+  // Any other error means there's a connection problem
+  if (error) {
+    console.error('Supabase connection failed:', error.message);
+    return false;
+  }
+  
+  // No error means we actually have this dummy table (very unlikely)
+  console.log(`Supabase connection successful (${responseTime}ms) - Dummy table exists!`);
+  return true;
 };
 
+// Scheduled probes (while the circuit is open) use the same check
+setProbeHandler(runConnectionCheck);
+
 // Function to check Supabase connection status
 export const checkSupabaseConnection = async (forceCheck = false) => {
   // Check if we're in a browser environment
@@ -29,124 +117,42 @@ export const checkSupabaseConnection = async (forceCheck = false) => {
     console.log('Not in browser environment, skipping connection check');
     return false;
   }
-
-  // If a check is already in progress, wait for it to complete
-  if (connectionStatus.checkInProgress) {
-    // Wait for the current check to complete
-    await new Promise(resolve => {
-      const checkInterval = setInterval(() => {
-        if (!connectionStatus.checkInProgress) {
-          clearInterval(checkInterval);
-          resolve();
-        }
-      }, 100);
-    });
-    return connectionStatus.isConnected;
-  }
-  
-  // If we've checked recently and not forcing a new check, return cached result
-  const now = Date.now();
-  if (!forceCheck && now - connectionStatus.lastChecked < 5 * 60 * 1000 && connectionStatus.isConnected !== null) {
-    return connectionStatus.isConnected;
-  }
   
-  // Mark that we're checking
-  connectionStatus.checkInProgress = true;
-  
-  try {
-    // Simple direct query method to test the database connection
-    // This is more reliable than checking the health API
-    const startTime = performance.now();
+  if (!forceCheck) {
+    const { status, lastCheckedAt } = getConnectionHealth();
     
-    // First, try querying an existing table like 'resources'
-    try {
-      const { data, error } = await supabase
-        .from('resources')
-        .select('count')
-        .limit(1)
-        .single();
-      
-      const endTime = performance.now();
-      const responseTime = Math.round(endTime - startTime);
-      
-      if (error && error.code === '42P01') {
-        // 'resources' table doesn't exist, but connection works
-        console.log(`Supabase connection successful (${responseTime}ms) - 'resources' table doesn't exist yet`);
-        connectionStatus.isConnected = true;
-        connectionStatus.lastChecked = now;
-        return true;
-      } else if (!error) {
-        // Successful query
-        console.log(`Supabase connection successful (${responseTime}ms) - Retrieved data from 'resources'`);
-        connectionStatus.isConnected = true;
-        connectionStatus.lastChecked = now;
-        return true;
-      }
-    } catch (resourceError) {
-      console.log('Error checking resources table:', resourceError);
-      // Continue to fallback check
-    }
-    
-    // Fallback: Try the dummy query that will always fail with a specific error
-    const { error } = await supabase
-      .from('_dummy_query_for_connection_test_')
-      .select('*')
-      .limit(1)
-      .maybeSingle();
-      
-    const endTime = performance.now();
-    const responseTime = Math.round(endTime - startTime);
-    
-    // If we get a "relation does not exist" error (code 42P01),
-    // that actually means our connection is working! The table just doesn't exist.
-    if (error && error.code === '42P01') {
-      console.log(`Supabase connection successful (${responseTime}ms) - Expected 'relation does not exist' error`);
-      connectionStatus.isConnected = true;
-      connectionStatus.lastChecked = now;
+    // Recently confirmed healthy: trust it
+    if (status === 'online' && Date.now() - lastCheckedAt < HEALTHY_RECHECK_INTERVAL) {
       return true;
     }
     
-    // Check for 404 errors that can happen during connection tests
-    if (error && (error.status === 404 || error.code === '404')) {
-      // 404 errors can sometimes happen on fresh Supabase installations
-      // Let's test auth endpoints instead
-      try {
-        // Just check if we can access the auth API
-        await supabase.auth.getSession();
-        console.log(`Supabase connection successful (${responseTime}ms) - Auth API accessible`);
-        connectionStatus.isConnected = true;
-        connectionStatus.lastChecked = now;
-        return true;
-      } catch (authError) {
-        console.log('Auth check also failed:', authError);
-      }
-    }
-    
-    // Any other error means there's a connection problem
-    if (error) {
-      console.error('Supabase connection failed:', error.message);
-      connectionStatus.isConnected = false;
-      connectionStatus.lastChecked = now;
+    // Known to be down and not yet time to probe again
+    if (isCircuitOpen()) {
       return false;
     }
-    
-    // No error means we actually have this dummy table (very unlikely)
-    console.log(`Supabase connection successful (${responseTime}ms) - Dummy table exists!`);
-    connectionStatus.isConnected = true;
-    connectionStatus.lastChecked = now;
-    return true;
-  } catch (error) {
-    console.error('Error checking Supabase connection:', error);
-    connectionStatus.isConnected = false;
-    connectionStatus.lastChecked = now;
-    return false;
-  } finally {
-    connectionStatus.checkInProgress = false;
   }
+  
+  // Concurrent checks share one probe
+  return probeConnection({ force: forceCheck });
 };
 
+// Mock 503 response for requests that never reached Supabase. The body becomes
+// the Supabase error object, so callers can tell network failures apart by code.
+const unavailableResponse = (code, message) => new Response(JSON.stringify({
+  error: 'Network error',
+  code,
+  message,
+  status: 503
+}), {
+  status: 503,
+  statusText: 'Service Unavailable',
+  headers: new Headers({
+    'Content-Type': 'application/json'
+  })
+});
+
 // Create Supabase client with improved configuration
-const supabase = createClient(supabaseUrl, supabaseKey, {
+const supabase = useMemoryClient ? createLocalSupabaseClient() : createClient(supabaseUrl, supabaseKey, {
   auth: {
     persistSession: true,
     autoRefreshToken: true,
@@ -158,51 +164,54 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
       // Extract the endpoint from the URL
       const endpoint = url.replace(supabaseUrl, '');
       
-      // For health checks, use our optimized version
+      // For health checks, answer from the shared connection health when we can
       if (endpoint.includes('/health')) {
-        // Check if we've checked recently (within 5 minutes)
-        const now = Date.now();
-        if (now - connectionStatus.lastChecked < 5 * 60 * 1000 && connectionStatus.isConnected !== null) {
-          // Return a mock response based on cached status
-          return new Response(
-            JSON.stringify({ status: connectionStatus.isConnected ? 'ok' : 'error' }),
-            { 
-              status: connectionStatus.isConnected ? 200 : 503,
-              headers: { 'Content-Type': 'application/json' }
-            }
-          );
-        }
+        const { status, lastCheckedAt } = getConnectionHealth();
+        let isConnected;
         
-        // If a check is already in progress, wait for it
-        if (connectionStatus.checkInProgress) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-          return new Response(
-            JSON.stringify({ status: connectionStatus.isConnected ? 'ok' : 'error' }),
-            { 
-              status: connectionStatus.isConnected ? 200 : 503,
-              headers: { 'Content-Type': 'application/json' }
-            }
-          );
+        if (status === 'online' && Date.now() - lastCheckedAt < HEALTHY_RECHECK_INTERVAL) {
+          isConnected = true;
+        } else if (isCircuitOpen()) {
+          isConnected = false;
+        } else {
+          isConnected = await checkConnectionStatus();
+          if (isConnected) {
+            recordSuccess();
+          } else {
+            recordFailure(new Error('Health check failed'));
+          }
         }
         
-        // Perform the check
-        connectionStatus.checkInProgress = true;
-        try {
-          // Use the full URL for the health check
-          const isConnected = await checkConnectionStatus();
-          connectionStatus.isConnected = isConnected;
-          connectionStatus.lastChecked = Date.now();
-          
-          return new Response(
-            JSON.stringify({ status: isConnected ? 'ok' : 'error' }),
-            { 
-              status: isConnected ? 200 : 503,
+        return new Response(
+          JSON.stringify({ status: isConnected ? 'ok' : 'error' }),
+          { 
+            status: isConnected ? 200 : 503,
+            headers: { 'Content-Type': 'application/json' }
+          }
+        );
+      }
+      
+      const isCachedRead = options.method === 'GET' && 
+        (endpoint.includes('/comments') || 
+         endpoint.includes('/resources') || 
+         endpoint.includes('/categories') || 
+         endpoint.includes('/favorites'));
+      
+      // Supabase is known to be down: answer from the cache or refuse without a request
+      if (isCircuitOpen()) {
+        if (isCachedRead) {
+          try {
+            const data = await optimizedRequest(url, { method: options.method, cacheOnly: true });
+            return new Response(JSON.stringify(data), {
+              status: 200,
               headers: { 'Content-Type': 'application/json' }
-            }
-          );
-        } finally {
-          connectionStatus.checkInProgress = false;
+            });
+          } catch (error) {
+            // Nothing cached for this query
+          }
         }
+        
+        return unavailableResponse('CIRCUIT_OPEN', createCircuitOpenError().message);
       }
       
       // Get the current session - needed for RLS policies
@@ -220,17 +229,14 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
       };
       
       // For GET requests to common endpoints, use our optimized request manager
-      if (options.method === 'GET' && 
-          (endpoint.includes('/comments') || 
-           endpoint.includes('/resources') || 
-           endpoint.includes('/favorites'))) {
+      if (isCachedRead) {
         try {
-          // Use our optimized request function
+          // Use our optimized request function (cache TTLs are set per endpoint there)
           const data = await optimizedRequest(url, {
             method: options.method,
             headers: requestHeaders,
             body: options.body,
-            cacheTTL: 60 * 1000 // 1 minute cache for these endpoints
+            cacheTTL: 60 * 1000 // 1 minute cache for endpoints without a policy
           });
           
           // Create a mock Response object
@@ -254,6 +260,8 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
         controller.abort();
       }, timeout);
       
+      const startTime = performance.now();
+      
       try {
         const response = await fetch(url, { 
           ...options, 
@@ -261,6 +269,13 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
           headers: requestHeaders
         });
         
+        // Server errors count against the connection; anything else means it answered
+        if (response.status >= 500) {
+          recordFailure(new Error(`Supabase responded with ${response.status}`));
+        } else {
+          recordSuccess(Math.round(performance.now() - startTime));
+        }
+        
         // Log any non-200 responses for debugging
         if (!response.ok) {
           console.warn(`Supabase request failed: ${response.status} ${response.statusText}`, {
@@ -277,22 +292,12 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
         } else {
           console.error('Supabase fetch error:', error, { endpoint });
         }
+        recordFailure(error);
         
         // Don't reject, return a mock response to prevent app crashes
         if (error.message === 'Failed to fetch') {
           console.log('Network error occurred. Creating fallback response.');
-          // Create a mock Response object that indicates a network error
-          return new Response(JSON.stringify({
-            error: 'Network error',
-            message: 'Failed to connect to Supabase server',
-            status: 503
-          }), {
-            status: 503,
-            statusText: 'Service Unavailable',
-            headers: new Headers({
-              'Content-Type': 'application/json'
-            })
-          });
+          return unavailableResponse('NETWORK_ERROR', 'Failed to connect to Supabase server');
         }
         
         throw error;
@@ -305,11 +310,28 @@ const supabase = createClient(supabaseUrl, supabaseKey, {
   debug: import.meta.env.DEV
 });
 
-// Helper function to execute a Supabase query with retry logic
+// Cached responses belong to the user who fetched them. Signing out drops
+// them all, so the next person on this browser can't be served rows that
+// only the previous user could read.
+supabase.auth.onAuthStateChange((event, session) => {
+  setCacheUser(session?.user?.id);
+  if (event === 'SIGNED_OUT') {
+    clearRequestCache();
+  }
+});
+
+// Helper function to execute a Supabase query with retry logic.
+// Retries back off exponentially with jitter and stop as soon as the shared
+// circuit breaker reports Supabase as unreachable.
 export const executeWithRetry = async (queryFn, maxRetries = 3, delay = 1000) => {
   let lastError = null;
   
   for (let attempt = 0; attempt < maxRetries; attempt++) {
+    // Don't pile onto a server we already know is down
+    if (isCircuitOpen()) {
+      throw lastError || createCircuitOpenError();
+    }
+    
     try {
       return await queryFn();
     } catch (error) {
@@ -319,8 +341,7 @@ export const executeWithRetry = async (queryFn, maxRetries = 3, delay = 1000) =>
       // Determine if we should retry based on error type
       const shouldRetry = 
         // Network errors
-        error.message === 'Failed to fetch' || 
-        error.code === 'NETWORK_ERROR' ||
+        isNetworkError(error) ||
         // Database initialization errors
         error.code === '42P01' || // table does not exist
         error.code === 'PGRST116' || // PostgreSQL relation does not exist
@@ -328,12 +349,15 @@ export const executeWithRetry = async (queryFn, maxRetries = 3, delay = 1000) =>
         error.message?.includes('connection') ||
         error.message?.includes('timeout');
       
-      if (shouldRetry) {
-        console.log(`Error type (${error.code}) is retriable, waiting ${delay * (attempt + 1)}ms before retry`);
-        await new Promise(resolve => setTimeout(resolve, delay * (attempt + 1)));
+      if (shouldRetry && attempt < maxRetries - 1) {
+        const wait = getBackoffDelay(attempt, { base: delay });
+        console.log(`Error type (${error.code}) is retriable, waiting ${wait}ms before retry`);
+        await new Promise(resolve => setTimeout(resolve, wait));
         continue;
       }
       
+      if (shouldRetry) break;
+      
       // For other errors, don't retry
       throw error;
     }
@@ -344,13 +368,21 @@ export const executeWithRetry = async (queryFn, maxRetries = 3, delay = 1000) =>
   throw lastError;
 };
 
-// Standardized error handler for Supabase errors
+// Standardized error handler for Supabase errors.
+// The result carries the error type from ./errors, so components can show a
+// translated message (getErrorMessage) and decide whether to offer a retry.
 export const handleSupabaseError = (error, context = '') => {
+  const { type, messageKey, retryable } = describeError(error);
+  
   // Format the error for consistent handling
   const errorInfo = {
+    type,
     code: error.code || 'UNKNOWN_ERROR',
+    status: error.status || null,
     message: error.message || 'An unknown error occurred',
     details: error.details || null,
+    messageKey,
+    retryable,
     context: context,
     timestamp: new Date().toISOString()
   };
@@ -359,7 +391,9 @@ export const handleSupabaseError = (error, context = '') => {
   console.error(`Supabase error in ${context}:`, errorInfo);
   
   // For network errors, provide a more user-friendly message
-  if (error.message === 'Failed to fetch' || error.code === 'NETWORK_ERROR') {
+  if (error.code === 'CIRCUIT_OPEN') {
+    errorInfo.message = 'The database is unreachable. We will retry automatically.';
+  } else if (type === ERROR_TYPES.NETWORK) {
     errorInfo.message = 'Network connection error. Please check your internet connection.';
   }
   
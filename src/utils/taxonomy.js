@@ -0,0 +1,290 @@
+/**
+ * Category and subcategory taxonomy.
+ *
+ * The taxonomy lives in the categories and subcategories tables (see
+ * db/create_taxonomy.sql) and is read through resourceUtils.getTaxonomy as a
+ * tree: categories in order, each with its subcategories in order. Every node
+ * has { id, slug, name, emoji, icon, position, translations }, where name is
+ * the English name and translations holds the other languages ({ pt: '...' });
+ * subcategories also have category_id, their parent.
+ *
+ * CATEGORY_TAXONOMY is the default the tables are seeded with, and what the
+ * app shows offline. Kept free of imports so scripts such as
+ * generate-awesome-list.js can load it with Node.
+ */
+
+// Keep in step with the seed in db/create_taxonomy.sql
+export const CATEGORY_TAXONOMY = [
+  {
+    slug: 'assets',
+    name: 'Assets',
+    emoji: '🎨',
+    icon: 'collection',
+    translations: { pt: 'Recursos' },
+    subcategories: [
+      { slug: 'fonts', name: 'Fonts', emoji: '🔤', translations: { pt: 'Fontes' } },
+      { slug: 'icons', name: 'Icons', emoji: '🔍', translations: { pt: 'Ícones' } },
+      { slug: 'textures', name: 'Textures', emoji: '🧩', translations: { pt: 'Texturas' } },
+      { slug: 'sfx', name: 'SFX', emoji: '🔊', translations: { pt: 'Efeitos Sonoros' } },
+      { slug: 'mockups', name: 'Mockups', emoji: '📱', translations: { pt: 'Mockups' } },
+      { slug: '3d', name: '3D', emoji: '🧊', translations: { pt: '3D' } },
+      { slug: 'photos-videos', name: 'Images', emoji: '📸', translations: { pt: 'Imagens' } },
+      { slug: 'color', name: 'Color', emoji: '🎨', translations: { pt: 'Cores' } }
+    ]
+  },
+  {
+    slug: 'tools',
+    name: 'Tools',
+    emoji: '🔧',
+    icon: 'cube',
+    translations: { pt: 'Ferramentas' },
+    subcategories: [
+      { slug: 'ai', name: 'AI', emoji: '🤖', translations: { pt: 'IA' } },
+      { slug: 'productivity', name: 'Productivity', emoji: '⚡', translations: { pt: 'Produtividade' } }
+    ]
+  },
+  {
+    slug: 'community',
+    name: 'Community',
+    emoji: '👥',
+    icon: 'user-group',
+    translations: { pt: 'Comunidade' },
+    subcategories: [
+      { slug: 'portfolio', name: 'Portfolio', emoji: '💼', translations: { pt: 'Portfólio' } }
+    ]
+  },
+  {
+    slug: 'reference',
+    name: 'Reference',
+    emoji: '📌',
+    icon: 'light-bulb',
+    translations: { pt: 'Referência' },
+    subcategories: [
+      { slug: 'design', name: 'Design', emoji: '🎨', translations: { pt: 'Design' } },
+      { slug: 'ui', name: 'UI', emoji: '📊', translations: { pt: 'UI' } },
+      { slug: 'audiovisual', name: 'Audiovisual', emoji: '🎬', translations: { pt: 'Audiovisual' } }
+    ]
+  },
+  {
+    slug: 'inspiration',
+    name: 'Inspiration',
+    emoji: '✨',
+    icon: 'light-bulb',
+    translations: { pt: 'Inspiração' },
+    subcategories: [
+      { slug: 'moodboard', name: 'Moodboard', emoji: '🎭', translations: { pt: 'Moodboard' } },
+      { slug: 'reference', name: 'Reference', emoji: '📌', translations: { pt: 'Referência' } }
+    ]
+  },
+  {
+    slug: 'learn',
+    name: 'Learn',
+    emoji: '📚',
+    icon: 'book-open',
+    translations: { pt: 'Aprender' },
+    subcategories: [
+      { slug: 'design', name: 'Design', emoji: '🎨', translations: { pt: 'Design' } },
+      { slug: 'ui-ux', name: 'UI/UX', emoji: '📊', translations: { pt: 'UI/UX' } },
+      { slug: 'typography', name: 'Typography', emoji: '🔠', translations: { pt: 'Tipografia' } },
+      { slug: 'books', name: 'Books', emoji: '📚', translations: { pt: 'Livros' } }
+    ]
+  }
+];
+
+// Fields an admin can set on a category or subcategory
+export const TAXONOMY_FIELDS = ['slug', 'name', 'emoji', 'icon', 'translations'];
+
+/**
+ * Keep only the editable taxonomy fields
+ * @param {Object} changes - Fields to set
+ * @returns {Object} The fields of TAXONOMY_FIELDS present in changes
+ */
+export const pickTaxonomyFields = (changes = {}) => Object.fromEntries(
+  TAXONOMY_FIELDS.filter(field => changes[field] !== undefined).map(field => [field, changes[field]])
+);
+
+/**
+ * Slug for a new category or subcategory: lowercase, hyphen separated
+ * @param {string} name - Name typed by the admin
+ * @returns {string} Slug, empty when the name has no letters or digits
+ */
+export const createTaxonomySlug = (name) => String(name || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+const byPosition = (a, b) => ((a.position ?? 0) - (b.position ?? 0)) || String(a.name).localeCompare(String(b.name));
+
+/**
+ * Nest rows of the categories and subcategories tables into the taxonomy tree
+ * @param {Array<Object>} categoryRows - Rows of the categories table
+ * @param {Array<Object>} subcategoryRows - Rows of the subcategories table
+ * @returns {Array<Object>} Categories in order, each with subcategories in order
+ */
+export const buildTaxonomyTree = (categoryRows = [], subcategoryRows = []) => (
+  [...categoryRows].sort(byPosition).map(category => ({
+    ...category,
+    translations: category.translations || {},
+    subcategories: subcategoryRows
+      .filter(subcategory => subcategory.category_id === category.id)
+      .sort(byPosition)
+      .map(subcategory => ({ ...subcategory, translations: subcategory.translations || {} }))
+  }))
+);
+
+// CATEGORY_TAXONOMY as a tree; slugs stand in for the ids
+export const DEFAULT_TAXONOMY = CATEGORY_TAXONOMY.map((category, position) => ({
+  ...category,
+  id: category.slug,
+  position,
+  subcategories: category.subcategories.map((subcategory, subPosition) => ({
+    ...subcategory,
+    id: `${category.slug}/${subcategory.slug}`,
+    category_id: category.slug,
+    icon: null,
+    position: subPosition
+  }))
+}));
+
+// "photos-videos" -> "Photos Videos", for slugs the taxonomy doesn't list
+const humanize = (slug) => String(slug || '')
+  .split(/[-_\s]+/)
+  .filter(Boolean)
+  .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+  .join(' ');
+
+/**
+ * Name of a category or subcategory in a language
+ * @param {Object} node - Taxonomy node
+ * @param {string} language - Language code, e.g. 'pt'
+ * @returns {string} The translation, else the English name
+ */
+export const getLocalizedName = (node, language = 'en') => (
+  node?.translations?.[language] || node?.name || humanize(node?.slug)
+);
+
+/**
+ * Find a category by slug
+ * @param {string} categorySlug - Category slug
+ * @param {Array<Object>} taxonomy - Taxonomy to look in
+ * @returns {Object|null} Category node
+ */
+export const findCategory = (categorySlug, taxonomy = DEFAULT_TAXONOMY) => (
+  taxonomy.find(category => category.slug === categorySlug) || null
+);
+
+/**
+ * Find a subcategory of a category, else one with the same slug elsewhere
+ * (resources filed as "tool/ai" still find the "AI" subcategory)
+ * @param {string} categorySlug - Category slug
+ * @param {string} subcategorySlug - Subcategory slug
+ * @param {Array<Object>} taxonomy - Taxonomy to look in
+ * @returns {Object|null} Subcategory node
+ */
+export const findSubcategory = (categorySlug, subcategorySlug, taxonomy = DEFAULT_TAXONOMY) => {
+  const inCategory = findCategory(categorySlug, taxonomy)
+    ?.subcategories.find(subcategory => subcategory.slug === subcategorySlug);
+  if (inCategory) return inCategory;
+
+  for (const category of taxonomy) {
+    const match = category.subcategories.find(subcategory => subcategory.slug === subcategorySlug);
+    if (match) return match;
+  }
+  return null;
+};
+
+/**
+ * Display name of a category
+ * @param {string} categorySlug - Category slug
+ * @param {Array<Object>} taxonomy - Taxonomy to look in
+ * @param {string} language - Language code
+ * @returns {string} Name from the taxonomy, else the slug in title case
+ */
+export const getCategoryName = (categorySlug, taxonomy = DEFAULT_TAXONOMY, language = 'en') => {
+  const category = findCategory(categorySlug, taxonomy);
+  return category ? getLocalizedName(category, language) : humanize(categorySlug);
+};
+
+/**
+ * Display name of a subcategory within a category
+ * @param {string} categorySlug - Category slug
+ * @param {string} subcategorySlug - Subcategory slug
+ * @param {Array<Object>} taxonomy - Taxonomy to look in
+ * @param {string} language - Language code
+ * @returns {string} Name from the taxonomy, else the slug in title case
+ */
+export const getSubcategoryName = (categorySlug, subcategorySlug, taxonomy = DEFAULT_TAXONOMY, language = 'en') => {
+  const subcategory = findSubcategory(categorySlug, subcategorySlug, taxonomy);
+  return subcategory ? getLocalizedName(subcategory, language) : humanize(subcategorySlug);
+};
+
+/**
+ * Group resources by category and subcategory in taxonomy order. Categories
+ * and subcategories the taxonomy doesn't list follow, alphabetically.
+ * Resources keep the order they were passed in.
+ * @param {Array<Object>} resources - Resources with category and subcategory
+ * @param {Array<Object>} taxonomy - Taxonomy to order by
+ * @returns {Array<Object>} [{ slug, name, emoji, resources, subcategories: [{ slug, name, emoji, resources }] }],
+ *   where a category's own resources are the ones without a subcategory
+ */
+export const groupByTaxonomy = (resources, taxonomy = DEFAULT_TAXONOMY) => {
+  const rank = (list, slug) => {
+    const index = list.findIndex(item => item.slug === slug);
+    return index === -1 ? list.length : index;
+  };
+  const byRankThenName = (list) => (a, b) => (rank(list, a.slug) - rank(list, b.slug)) || a.name.localeCompare(b.name);
+  const groups = new Map();
+
+  resources.forEach(resource => {
+    const categorySlug = resource.category || 'uncategorized';
+    if (!groups.has(categorySlug)) {
+      groups.set(categorySlug, {
+        slug: categorySlug,
+        name: getCategoryName(categorySlug, taxonomy),
+        emoji: findCategory(categorySlug, taxonomy)?.emoji || '',
+        resources: [],
+        subcategories: new Map()
+      });
+    }
+
+    const group = groups.get(categorySlug);
+    if (!resource.subcategory) {
+      group.resources.push(resource);
+      return;
+    }
+
+    if (!group.subcategories.has(resource.subcategory)) {
+      group.subcategories.set(resource.subcategory, {
+        slug: resource.subcategory,
+        name: getSubcategoryName(categorySlug, resource.subcategory, taxonomy),
+        emoji: findSubcategory(categorySlug, resource.subcategory, taxonomy)?.emoji || '',
+        resources: []
+      });
+    }
+    group.subcategories.get(resource.subcategory).resources.push(resource);
+  });
+
+  return [...groups.values()]
+    .map(group => {
+      const known = findCategory(group.slug, taxonomy)?.subcategories || [];
+      return { ...group, subcategories: [...group.subcategories.values()].sort(byRankThenName(known)) };
+    })
+    .sort(byRankThenName(taxonomy));
+};
+
+export default {
+  CATEGORY_TAXONOMY,
+  DEFAULT_TAXONOMY,
+  TAXONOMY_FIELDS,
+  pickTaxonomyFields,
+  createTaxonomySlug,
+  buildTaxonomyTree,
+  getLocalizedName,
+  findCategory,
+  findSubcategory,
+  getCategoryName,
+  getSubcategoryName,
+  groupByTaxonomy
+};
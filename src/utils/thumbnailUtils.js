@@ -1,69 +1,55 @@
 /**
- * Utility functions for fetching website thumbnails
+ * Utility functions for resource thumbnails and favicons.
+ * Thumbnails are generated once per resource and stored by api/thumbnails.js;
+ * these helpers only read what's stored on the resource.
  */
 
+// Widths stored by the thumbnail pipeline (api/_lib/thumbnailPipeline.js)
+export const THUMBNAIL_SIZES = {
+  small: 320,
+  medium: 640,
+  large: 1280
+};
+
+// Stored variants as [width, url], narrowest first
+const storedVariants = (resource) => {
+  const thumbnails = resource?.thumbnails;
+  if (thumbnails?.status !== 'ready' || !thumbnails.widths) return [];
+
+  return Object.entries(thumbnails.widths)
+    .map(([width, url]) => [Number(width), url])
+    .filter(([width, url]) => Number.isFinite(width) && url)
+    .sort((a, b) => a[0] - b[0]);
+};
+
 /**
- * Get a thumbnail URL for a website using various services
+ * Get the stored thumbnail closest to a size, without going below it when
+ * a wider variant exists
  * 
- * @param {string} url - The URL of the website
- * @param {Object} options - Options for thumbnail generation
- * @param {string} options.size - Size of the thumbnail (small, medium, large)
- * @param {boolean} options.fallbackToScreenshot - Whether to fallback to screenshot service if URL is invalid
- * @returns {string} - URL of the thumbnail
+ * @param {Object} resource - Resource with a thumbnails column
+ * @param {string} size - small, medium or large
+ * @returns {string|null} - Thumbnail URL, or null if none are stored yet
  */
-export const getWebsiteThumbnail = (url, options = {}) => {
-  if (!url) return null;
-  
-  const { 
-    size = 'medium',
-    fallbackToScreenshot = true 
-  } = options;
-  
-  // Ensure URL has a protocol
-  let fullUrl = url;
-  if (!url.startsWith('http://') && !url.startsWith('https://')) {
-    fullUrl = `https://${url}`;
-  }
-  
-  // Clean the URL for display (not for API calls)
-  let cleanUrl = url;
-  try {
-    // Remove protocol and trailing slashes for cleaner URLs
-    cleanUrl = url.replace(/^https?:\/\//, '').replace(/\/$/, '');
-  } catch (error) {
-    console.error('Error cleaning URL:', error);
-  }
-  
-  // Size mappings for different services
-  const sizes = {
-    small: { width: 320, height: 240 },
-    medium: { width: 640, height: 480 },
-    large: { width: 1280, height: 720 }
-  };
+export const getStoredThumbnail = (resource, size = 'medium') => {
+  const variants = storedVariants(resource);
+  if (variants.length === 0) return null;
   
-  const { width, height } = sizes[size] || sizes.medium;
+  const target = THUMBNAIL_SIZES[size] || THUMBNAIL_SIZES.medium;
+  const match = variants.find(([width]) => width >= target) || variants[variants.length - 1];
+  return match[1];
+};
+
+/**
+ * Get a srcset of the stored thumbnail widths, so browsers pick the right one
+ * 
+ * @param {Object} resource - Resource with a thumbnails column
+ * @returns {string|undefined} - srcset value, or undefined if none are stored
+ */
+export const getThumbnailSrcSet = (resource) => {
+  const variants = storedVariants(resource);
+  if (variants.length === 0) return undefined;
   
-  try {
-    // Always use encodeURIComponent for the full URL to ensure special characters are properly encoded
-    const encodedUrl = encodeURIComponent(fullUrl);
-    
-    // Try to use Microlink API first (high quality, supports most sites)
-    return `https://api.microlink.io/?url=${encodedUrl}&screenshot=true&meta=false&embed=screenshot.url`;
-  } catch (error) {
-    console.error('Error generating Microlink URL:', error);
-    
-    // Fallback to screenshot service if needed
-    if (fallbackToScreenshot) {
-      try {
-        const encodedUrl = encodeURIComponent(fullUrl);
-        return `https://api.apiflash.com/v1/urltoimage?access_key=free&url=${encodedUrl}&width=${width}&height=${height}&response_type=image`;
-      } catch (fallbackError) {
-        console.error('Error generating fallback screenshot URL:', fallbackError);
-        return null;
-      }
-    }
-    return null;
-  }
+  return variants.map(([width, url]) => `${url} ${width}w`).join(', ');
 };
 
 /**
@@ -106,9 +92,10 @@ export const getWebsiteFavicon = (url) => {
  * @param {Object} resource - The resource object
  * @param {string} resource.url - URL of the resource 
  * @param {string} resource.image_url - Optional direct image URL
- * @param {Object} options - Options for thumbnail generation
+ * @param {Object} resource.thumbnails - Stored thumbnail variants, if generated
+ * @param {Object} options - Options for thumbnail selection
  * @param {string} options.size - Size of the thumbnail (small, medium, large)
- * @returns {Object} - Object with thumbnail and favicon URLs
+ * @returns {Object} - Object with thumbnail URL, srcSet and favicon URL
  */
 export const getResourceThumbnails = (resource, options = {}) => {
   if (!resource) {
@@ -119,26 +106,15 @@ export const getResourceThumbnails = (resource, options = {}) => {
   const thumbnailOptions = { ...options };
   
   try {
-    // If resource already has an image, use it
-    if (resource.image_url) {
-      return { 
-        thumbnailUrl: resource.image_url,
-        faviconUrl: resource.url ? getWebsiteFavicon(resource.url) : null
-      };
-    }
-    
-    // No image and no URL - can't generate thumbnails
-    if (!resource.url) {
-      return { thumbnailUrl: null, faviconUrl: null };
-    }
-    
-    // Get website thumbnail
-    const thumbnailUrl = getWebsiteThumbnail(resource.url, thumbnailOptions);
+    // Stored variants first, then the submitted image. With neither,
+    // thumbnailUrl is null and AutoThumbnail draws a placeholder.
+    const thumbnailUrl = getStoredThumbnail(resource, thumbnailOptions.size) || resource.image_url || null;
+    const srcSet = getThumbnailSrcSet(resource);
     
     // Get website favicon
-    const faviconUrl = getWebsiteFavicon(resource.url);
+    const faviconUrl = resource.url ? getWebsiteFavicon(resource.url) : null;
     
-    return { thumbnailUrl, faviconUrl };
+    return { thumbnailUrl, srcSet, faviconUrl };
   } catch (error) {
     console.error('Error getting resource thumbnails:', error, resource);
     return { thumbnailUrl: null, faviconUrl: null };
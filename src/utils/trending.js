@@ -0,0 +1,89 @@
+/**
+ * Time-decayed trending score.
+ *
+ * Every recent view, favorite and comment on a resource adds to its score,
+ * and each event's contribution halves every `halfLifeHours`. A resource
+ * that was busy last month scores far below one that is busy today, no
+ * matter how many likes it has in total.
+ *
+ * This is the JavaScript twin of get_trending_resources() in
+ * db/create_trending_function.sql; keep the weights in step.
+ */
+
+export const DEFAULT_HALF_LIFE_HOURS = 48;
+export const DEFAULT_WINDOW_DAYS = 14;
+
+const EVENT_WEIGHTS = {
+  view: 1,
+  comment: 2,
+  favorite: 3
+};
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Start of the trending window
+ * @param {number} windowDays - How far back events count
+ * @param {number} now - Current time
+ * @returns {string} ISO timestamp
+ */
+export const getTrendingWindowStart = (windowDays = DEFAULT_WINDOW_DAYS, now = Date.now()) => (
+  new Date(now - windowDays * 24 * HOUR).toISOString()
+);
+
+/**
+ * Score resources by recent activity
+ * @param {Object} events - { views, favorites, comments }, rows with resource_id and created_at
+ * @param {Object} options
+ * @param {number} options.halfLifeHours - Hours for an event to lose half its weight
+ * @param {number} options.windowDays - Ignore events older than this
+ * @param {number} options.now - Current time
+ * @returns {Map<string, number>} Resource id -> trending score
+ */
+export const computeTrendingScores = ({ views = [], favorites = [], comments = [] } = {}, {
+  halfLifeHours = DEFAULT_HALF_LIFE_HOURS,
+  windowDays = DEFAULT_WINDOW_DAYS,
+  now = Date.now()
+} = {}) => {
+  const windowStart = now - windowDays * 24 * HOUR;
+  const scores = new Map();
+
+  const add = (rows, weight) => rows.forEach(({ resource_id, created_at }) => {
+    const time = new Date(created_at).getTime();
+    if (!resource_id || !Number.isFinite(time) || time < windowStart) return;
+
+    const ageHours = Math.max(now - time, 0) / HOUR;
+    scores.set(resource_id, (scores.get(resource_id) || 0) + weight * 0.5 ** (ageHours / halfLifeHours));
+  });
+
+  add(views, EVENT_WEIGHTS.view);
+  add(favorites, EVENT_WEIGHTS.favorite);
+  add(comments, EVENT_WEIGHTS.comment);
+
+  return scores;
+};
+
+/**
+ * Order resources by trending score
+ * @param {Array<Object>} resources - Resources to rank
+ * @param {Map<string, number>} scores - From computeTrendingScores
+ * @param {Object} options
+ * @param {string} options.category - Only rank resources in this category
+ * @param {number} options.limit - How many to return
+ * @returns {Array<Object>} Resources with any activity, each with trending_score, highest first
+ */
+export const rankTrending = (resources, scores, { category = null, limit = 6 } = {}) => (
+  resources
+    .filter(resource => scores.has(resource.id))
+    .filter(resource => !category || String(resource.category || '').toLowerCase() === category.toLowerCase())
+    .map(resource => ({ ...resource, trending_score: Math.round(scores.get(resource.id) * 1000) / 1000 }))
+    .sort((a, b) => b.trending_score - a.trending_score ||
+      String(b.created_at || '').localeCompare(String(a.created_at || '')))
+    .slice(0, limit)
+);
+
+export default {
+  computeTrendingScores,
+  rankTrending,
+  getTrendingWindowStart
+};
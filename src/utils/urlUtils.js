@@ -0,0 +1,139 @@
+/**
+ * Canonical URLs for duplicate detection.
+ *
+ * Two links to the same page should compare equal no matter how they were
+ * typed, so the canonical form drops the protocol, a leading `www.`, default
+ * ports, fragments, trailing slashes and tracking parameters, sorts the
+ * remaining query parameters and lowercases everything. It's a comparison
+ * key, not a link to visit: resources keep the URL that was submitted.
+ *
+ * canonicalize_url() in db/add_canonical_urls.sql does the same in SQL and
+ * fills resources.canonical_url, so keep the two in step.
+ */
+
+// Query parameters that only say where a visit came from
+export const TRACKING_PARAMS = [
+  'recommended_by',
+  'ref',
+  'ref_src',
+  'fbclid',
+  'gclid',
+  'dclid',
+  'msclkid',
+  'mc_cid',
+  'mc_eid',
+  'igshid',
+  '_hsenc',
+  '_hsmi'
+];
+
+/**
+ * Check whether a query parameter is a tracking parameter
+ * @param {string} name - Parameter name (lowercase)
+ * @returns {boolean} True for utm_* and the names in TRACKING_PARAMS
+ */
+export const isTrackingParam = (name) => name.startsWith('utm_') || TRACKING_PARAMS.includes(name);
+
+/**
+ * Normalize a URL for comparison
+ * @param {string} url - URL as typed or imported
+ * @returns {string|null} Canonical URL, or null when there's nothing to compare
+ */
+export const canonicalizeUrl = (url) => {
+  if (!url) return null;
+
+  let value = String(url).trim().toLowerCase();
+  value = value.split('#')[0];
+  value = value.replace(/^[a-z][a-z0-9+.-]*:\/\//, '');
+  value = value.replace(/^www\./, '');
+
+  const queryStart = value.indexOf('?');
+  const base = (queryStart === -1 ? value : value.slice(0, queryStart))
+    .replace(/^([^/]+):(80|443)(?=\/|$)/, '$1')
+    .replace(/\/+$/, '');
+  const query = queryStart === -1 ? '' : value.slice(queryStart + 1);
+
+  if (!base) return null;
+
+  const params = query
+    .split('&')
+    .filter(param => param && !isTrackingParam(param.split('=')[0]))
+    .sort();
+
+  return `https://${base}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+};
+
+/**
+ * Split incoming resources into new ones and duplicates, both of existing
+ * resources and of earlier rows in the same batch
+ * @param {Array<Object>} incoming - Resources to add, each with a url
+ * @param {Array<Object>} existing - Resources already in the catalog
+ * @returns {Object} { unique, duplicates }, where each duplicate is
+ *   { resource, existing, canonicalUrl, inBatch }
+ */
+export const findDuplicates = (incoming, existing = []) => {
+  const known = new Map();
+  existing.forEach(resource => {
+    const canonicalUrl = resource.canonical_url || canonicalizeUrl(resource.url);
+    if (canonicalUrl && !known.has(canonicalUrl)) known.set(canonicalUrl, { resource, inBatch: false });
+  });
+
+  const unique = [];
+  const duplicates = [];
+
+  incoming.forEach(resource => {
+    const canonicalUrl = canonicalizeUrl(resource.url);
+    const match = canonicalUrl ? known.get(canonicalUrl) : null;
+
+    if (match) {
+      duplicates.push({ resource, existing: match.resource, canonicalUrl, inBatch: match.inBatch });
+      return;
+    }
+
+    if (canonicalUrl) known.set(canonicalUrl, { resource, inBatch: true });
+    unique.push(resource);
+  });
+
+  return { unique, duplicates };
+};
+
+/**
+ * Changes that fold a duplicate into the resource it duplicates: tags are
+ * combined and empty fields and attributes are filled in. Nothing already set
+ * is overwritten.
+ * @param {Object} existing - Resource to keep
+ * @param {Object} duplicate - Incoming resource with the same canonical URL
+ * @returns {Object} Changes for updateResource (empty when there's nothing to add)
+ */
+export const mergeDuplicate = (existing, duplicate) => {
+  const changes = {};
+
+  const tags = existing.tags || [];
+  const newTags = (duplicate.tags || []).filter(tag => !tags.includes(tag));
+  if (newTags.length > 0) changes.tags = [...tags, ...newTags];
+
+  ['description', 'image_url', 'subcategory'].forEach(field => {
+    if (!existing[field] && duplicate[field]) changes[field] = duplicate[field];
+  });
+
+  // Only when the existing attributes were loaded, so none get dropped
+  if (existing.attributes && duplicate.attributes) {
+    const newAttributes = Object.keys(duplicate.attributes).filter(key => !(key in existing.attributes));
+    if (newAttributes.length > 0) {
+      changes.attributes = {
+        ...existing.attributes,
+        ...Object.fromEntries(newAttributes.map(key => [key, duplicate.attributes[key]]))
+      };
+    }
+  }
+
+  return changes;
+};
+
+export default {
+  TRACKING_PARAMS,
+  isTrackingParam,
+  canonicalizeUrl,
+  findDuplicates,
+  mergeDuplicate
+};
@@ -1,10 +1,10 @@
 import supabase from './supabase';
+import { isLocalModeEnabled } from './dataSources';
 
 export const updateUserProfile = async (updates) => {
   try {
     // Skip Supabase request if in local mode
-    const forceSupabase = localStorage.getItem('forceSupabaseConnection') === 'true';
-    if (!forceSupabase) {
+    if (isLocalModeEnabled()) {
       console.log('Skipping profile update in local mode');
       return true;
     }
@@ -1,11 +1,34 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
+import { existsSync } from 'fs';
+
+// Serve the serverless functions in api/ during development, as Vercel does in production
+const devApiRoutes = () => ({
+  name: 'dev-api-routes',
+  configureServer(server) {
+    server.middlewares.use('/api', async (req, res, next) => {
+      const name = new URL(req.url, 'http://localhost').pathname.replace(/^\/|\/$/g, '');
+      if (!/^[a-z0-9-]+$/.test(name) || !existsSync(`api/${name}.js`)) {
+        next();
+        return;
+      }
+
+      try {
+        const { default: handler } = await server.ssrLoadModule(`/api/${name}.js`);
+        await handler(req, res);
+      } catch (error) {
+        next(error);
+      }
+    });
+  }
+});
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [
     react(),
+    devApiRoutes(),
     VitePWA({
       registerType: 'autoUpdate',
       includeAssets: ['favicon.svg', 'apple-touch-icon.png', 'robots.txt'],